@@ -0,0 +1,55 @@
+// 번역 용어집 기본값 - 인물/기관/지명의 한국어 표기를 통일합니다.
+// 런타임 변경(관리자 API)은 services/glossaryService.js가 이 기본값 위에 덮어씁니다.
+//
+// 기본 항목은 config/keywords.js의 지역 키워드 중 고유명사만 골라 만듭니다. (RENDERINGS에 표기가 있는 키워드)
+//
+// 필드:
+// - term: 원문 표기 (영문 키워드)
+// - ko: 한국어 표기 (번역/요약에서 반드시 이 표기를 사용)
+// - type: person | organization | place
+// - aliases: 원문에 나올 수 있는 다른 표기 (일본어/한자 표기, 풀네임 등)
+// - variants: 피해야 할 한국어 표기. 번역 결과에 나오면 ko로 바꿈
+
+const ENTRY_TYPES = ['person', 'organization', 'place'];
+
+const RENDERINGS = {
+  // ---------- 한국 ----------
+  'Korea': { ko: '한국', type: 'place' },
+  'Seoul': { ko: '서울', type: 'place' },
+  'Busan': { ko: '부산', type: 'place', aliases: ['Pusan'] },
+  'Samsung': { ko: '삼성', type: 'organization', aliases: ['サムスン', '三星'], variants: ['샘숭', '쌤성'] },
+  'LG': { ko: 'LG', type: 'organization' },
+  'Hyundai': { ko: '현대', type: 'organization', aliases: ['ヒョンデ', '現代'], variants: ['현다이', '휸다이'] },
+  'Kia': { ko: '기아', type: 'organization', variants: ['키아'] },
+  'Moon Jae-in': { ko: '문재인', type: 'person', aliases: ['Moon Jae In', '文在寅'] },
+  'Yoon Suk-yeol': { ko: '윤석열', type: 'person', aliases: ['Yoon Suk Yeol', 'Yoon Suk-Yeol', '尹錫悦'], variants: ['윤석렬', '윤숙열'] },
+  'North Korea': { ko: '북한', type: 'place', aliases: ['北朝鮮'], variants: ['노스코리아', '북조선'] },
+  'South Korea': { ko: '한국', type: 'place', aliases: ['韓国'], variants: ['사우스코리아'] },
+  'DMZ': { ko: '비무장지대', type: 'place' },
+  'Gangnam': { ko: '강남', type: 'place' },
+  'BTS': { ko: 'BTS', type: 'organization', aliases: ['防弾少年団'] },
+  'Blackpink': { ko: '블랙핑크', type: 'organization', aliases: ['BLACKPINK'], variants: ['블랙 핑크'] },
+  'SK Hynix': { ko: 'SK하이닉스', type: 'organization', aliases: ['SKハイニックス'], variants: ['SK 하이닉스', 'SK하이닉'] },
+  'POSCO': { ko: '포스코', type: 'organization', variants: ['포스꼬'] },
+  'Lotte': { ko: '롯데', type: 'organization', aliases: ['ロッテ'], variants: ['로떼', '로테'] },
+
+  // ---------- 일본 ----------
+  'Japan': { ko: '일본', type: 'place' },
+  'Tokyo': { ko: '도쿄', type: 'place', aliases: ['東京'], variants: ['토쿄'] },
+  'Osaka': { ko: '오사카', type: 'place', aliases: ['大阪'] },
+  'Kyoto': { ko: '교토', type: 'place', aliases: ['京都'], variants: ['쿄토', '쿄또'] },
+  'Sony': { ko: '소니', type: 'organization', aliases: ['ソニー'] },
+  'Nintendo': { ko: '닌텐도', type: 'organization', aliases: ['任天堂'], variants: ['닌텐드', '님텐도'] },
+  'Toyota': { ko: '도요타', type: 'organization', aliases: ['トヨタ'], variants: ['토요타'] },
+  'Honda': { ko: '혼다', type: 'organization', aliases: ['ホンダ'] },
+  'Kishida': { ko: '기시다', type: 'person', aliases: ['Fumio Kishida', '岸田'], variants: ['키시다'] },
+  'Nikkei': { ko: '닛케이', type: 'organization', aliases: ['日経'], variants: ['니케이', '닛께이'] },
+  'Mount Fuji': { ko: '후지산', type: 'place', aliases: ['Mt. Fuji', '富士山'], variants: ['푸지산'] },
+  'Fukushima': { ko: '후쿠시마', type: 'place', aliases: ['福島'], variants: ['후꾸시마'] },
+  'Mitsubishi': { ko: '미쓰비시', type: 'organization', aliases: ['三菱'], variants: ['미츠비시', '미쯔비시'] },
+  'Panasonic': { ko: '파나소닉', type: 'organization', aliases: ['パナソニック'] },
+  'SoftBank': { ko: '소프트뱅크', type: 'organization', aliases: ['ソフトバンク'], variants: ['소프트 뱅크'] },
+  'Rakuten': { ko: '라쿠텐', type: 'organization', aliases: ['楽天'], variants: ['락텐'] },
+};
+
+module.exports = { ENTRY_TYPES, RENDERINGS };
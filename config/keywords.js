@@ -0,0 +1,17 @@
+// 지역 관련 키워드 - NewsApiService가 기사 지역 분류에, GlossaryService가 번역 용어집 기본 항목에 사용합니다.
+
+// 한국 관련 키워드
+const KOREA_KEYWORDS = [
+  'Korea', 'Korean', 'Seoul', 'Busan', 'K-pop', 'Samsung', 'LG', 'Hyundai', 'Kia',
+  'Moon Jae-in', 'Yoon Suk-yeol', 'North Korea', 'South Korea', 'DMZ', 'Gangnam',
+  'Chaebol', 'Kimchi', 'BTS', 'Blackpink', 'SK Hynix', 'POSCO', 'Lotte',
+];
+
+// 일본 관련 키워드
+const JAPAN_KEYWORDS = [
+  'Japan', 'Japanese', 'Tokyo', 'Osaka', 'Kyoto', 'Sony', 'Nintendo', 'Toyota', 'Honda',
+  'Kishida', 'Yen', 'Nikkei', 'Anime', 'Manga', 'Sushi', 'Mount Fuji', 'Earthquake',
+  'Tsunami', 'Fukushima', 'Mitsubishi', 'Panasonic', 'SoftBank', 'Rakuten',
+];
+
+module.exports = { KOREA_KEYWORDS, JAPAN_KEYWORDS };
@@ -0,0 +1,44 @@
+// 번역 언어 설정 - 기사 제목/설명을 어떤 언어로 번역해 둘지 정합니다.
+//
+// - 기사는 translations 맵에 언어별 번역을 보관 ({ ko: { title, description }, en: {...} })
+// - 한국어는 항상 포함되며 titleKo/descriptionKo에도 그대로 복사 (기존 클라이언트 호환)
+// - API는 ?lang= 으로 원하는 번역을 고르고, 없으면 원문으로 대체
+//
+// 환경 변수:
+// - TRANSLATION_LANGS: 모든 섹션의 번역 대상 언어 (기본: ko)
+// - TRANSLATION_LANGS_<SECTION>: 섹션별 번역 대상 언어 (예: TRANSLATION_LANGS_JAPAN=ko,en)
+
+const env = process.env;
+
+const DEFAULT_LANG = 'ko';
+
+// 번역 프롬프트에 쓰는 언어 이름
+const LANGUAGES = {
+  ko: { name: 'Korean', nativeName: '한국어' },
+  en: { name: 'English', nativeName: 'English' },
+  ja: { name: 'Japanese', nativeName: '日本語' },
+};
+
+const SUPPORTED_LANGS = Object.keys(LANGUAGES);
+
+const parseLangs = (value) => String(value || '')
+  .split(',')
+  .map(lang => lang.trim().toLowerCase())
+  .filter(lang => SUPPORTED_LANGS.includes(lang));
+
+const DEFAULT_TARGETS = parseLangs(env.TRANSLATION_LANGS);
+
+/**
+ * 섹션의 번역 대상 언어 (기본 언어가 항상 맨 앞)
+ * @param {string} section - 기사 섹션
+ * @returns {Array<string>}
+ */
+function sectionLanguages(section) {
+  const configured = parseLangs(env[`TRANSLATION_LANGS_${String(section).toUpperCase()}`]);
+  const langs = configured.length ? configured : DEFAULT_TARGETS;
+  return [DEFAULT_LANG, ...langs.filter(lang => lang !== DEFAULT_LANG)];
+}
+
+const isSupportedLang = (lang) => SUPPORTED_LANGS.includes(lang);
+
+module.exports = { DEFAULT_LANG, LANGUAGES, SUPPORTED_LANGS, sectionLanguages, isSupportedLang };
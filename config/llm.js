@@ -0,0 +1,90 @@
+// LLM 공급자/모델 설정 - AIService가 services/llm 라우터를 통해 작업(task)별로 공급자와 모델을 고릅니다.
+//
+// 공급자(providers):
+// - type: openai-compatible | offline
+// - openai-compatible: OpenAI Chat Completions 호환 엔드포인트 (OpenAI, llama.cpp server, Ollama, vLLM 등)
+//   baseURL을 비우면 OpenAI 기본 엔드포인트 사용
+// - offline: 네트워크 없이 동작하는 규칙 기반 공급자 (개발/테스트용, 결과가 항상 같음)
+//
+// 작업(tasks):
+// - title: 기사 제목 번역 (목록 화면, 호출 수가 가장 많음)
+// - translate: 본문/설명 번역 및 /api/translate
+// - summary: 목록용 3줄 요약
+// - brief: 상세 페이지용 인텔리전스 브리핑
+// - qa: 기사 질의응답 (상세 페이지 질문)
+// - briefing: 섹션별 일간/시간별 브리핑 (services/briefingService.js)
+//
+// 환경 변수:
+// - LLM_PROVIDER: 기본 공급자 (생략 시 OPENAI_API_KEY가 있으면 openai, 없으면 none = AI 비활성화)
+//   offline은 번역 결과가 원문 그대로라 명시적으로 지정했을 때만 사용 (키 없는 운영 환경에서 원문이 번역으로 저장되지 않게)
+// - LLM_PROVIDER_<TASK>, LLM_MODEL_<TASK>: 작업별 공급자/모델 (예: LLM_MODEL_TITLE=gpt-4.1-nano)
+// - LLM_TRANSLATE_BATCH_SIZE: 제목 일괄 번역 한 번에 보낼 제목 수 (기본 20, 0이면 제목마다 따로 호출)
+
+const env = process.env;
+
+const DEFAULT_PROVIDER = env.LLM_PROVIDER || (env.OPENAI_API_KEY ? 'openai' : 'none');
+
+const PROVIDERS = {
+  openai: {
+    type: 'openai-compatible',
+    apiKey: env.OPENAI_API_KEY,
+    baseURL: env.OPENAI_BASE_URL || undefined,
+  },
+  // 로컬 llama.cpp(`llama-server`) 또는 Ollama(`/v1`)의 OpenAI 호환 API
+  local: {
+    type: 'openai-compatible',
+    apiKey: env.LOCAL_LLM_API_KEY || 'local',
+    baseURL: env.LOCAL_LLM_BASE_URL || 'http://localhost:11434/v1',
+    defaultModel: env.LOCAL_LLM_MODEL || 'llama3.1:8b',
+  },
+  offline: {
+    type: 'offline',
+  },
+};
+
+// model을 지정하지 않으면 공급자의 defaultModel, 그것도 없으면 작업 기본 모델을 사용
+const task = (name, defaults) => ({
+  provider: env[`LLM_PROVIDER_${name.toUpperCase()}`] || DEFAULT_PROVIDER,
+  model: env[`LLM_MODEL_${name.toUpperCase()}`] || null,
+  defaultModel: defaults.model,
+  temperature: defaults.temperature,
+  maxTokens: defaults.maxTokens,
+  timeoutMs: defaults.timeoutMs,
+});
+
+const TASKS = {
+  title:     task('title',     { model: 'gpt-4.1-mini', temperature: 0.2, maxTokens: 200,  timeoutMs: 20_000 }),
+  translate: task('translate', { model: 'gpt-4.1-mini', temperature: 0.3, maxTokens: 2000, timeoutMs: 60_000 }),
+  summary:   task('summary',   { model: 'gpt-4.1-mini', temperature: 0.3, maxTokens: 1000, timeoutMs: 60_000 }),
+  brief:     task('brief',     { model: 'gpt-4.1-mini', temperature: 0.3, maxTokens: 2000, timeoutMs: 60_000 }),
+  qa:        task('qa',        { model: 'gpt-4.1-mini', temperature: 0.2, maxTokens: 800,  timeoutMs: 60_000 }),
+  briefing:  task('briefing',  { model: 'gpt-4.1-mini', temperature: 0.3, maxTokens: 1500, timeoutMs: 90_000 }),
+};
+
+// 제목 일괄 번역: 여러 제목을 id가 붙은 JSON 한 번으로 번역 (빠지거나 어긋난 항목은 개별 호출로 대체)
+const TRANSLATE_BATCH = {
+  SIZE: Number(env.LLM_TRANSLATE_BATCH_SIZE ?? 20),
+  MAX_TOKENS: 4000,
+  TIMEOUT_MS: 60_000,
+};
+
+// 모델별 단가 (USD / 1M 토큰). 목록에 없는 모델은 UNKNOWN 단가로 추정하고, offline/local 공급자는 비용 0
+const PRICING = {
+  'gpt-4.1':      { input: 2.00, output: 8.00 },
+  'gpt-4.1-mini': { input: 0.40, output: 1.60 },
+  'gpt-4.1-nano': { input: 0.10, output: 0.40 },
+  'gpt-4o':       { input: 2.50, output: 10.00 },
+  'gpt-4o-mini':  { input: 0.15, output: 0.60 },
+  UNKNOWN:        { input: 2.00, output: 8.00 },
+};
+const FREE_PROVIDERS = ['offline', 'local'];
+
+// 예산 (USD). 0이면 제한 없음. 사용률이 DEGRADE_AT 단계를 넘을 때마다 titles_only → cached_only → none 으로 강등
+const BUDGET = {
+  DAILY_USD: Number(env.AI_DAILY_BUDGET_USD || 0),
+  MONTHLY_USD: Number(env.AI_MONTHLY_BUDGET_USD || 0),
+  DEGRADE_AT: (env.AI_BUDGET_DEGRADE_AT || '0.8,0.95,1').split(',').map(Number),
+  TIMEZONE: env.AI_BUDGET_TZ || 'Asia/Seoul',
+};
+
+module.exports = { DEFAULT_PROVIDER, PROVIDERS, TASKS, TRANSLATE_BATCH, PRICING, FREE_PROVIDERS, BUDGET };
@@ -0,0 +1,189 @@
+// 뉴스 소스 레지스트리 기본값 - 수집(NewsService/크론)과 모니터링(RSSMonitor/FeedHealthChecker)이 모두 이 목록을 사용
+// 런타임 변경(관리자 API)은 services/sourceRegistry.js가 이 기본값 위에 덮어씁니다.
+//
+// 필드:
+// - id: 고유 식별자 (관리자 API 경로에 사용)
+// - type: rss | newsapi | gnews | google-news | naver | youtube
+// - sections: 소속 섹션 목록 (같은 피드를 여러 섹션에서 공유 가능)
+// - lang: 기사 언어 (ISO 639-1). 여러 언어 섹션을 받는 API 소스는 생략(섹션별로 fetcher가 결정)
+// - phase: 1 = 빠른 응답 1차 수집, 2 = 백그라운드 2차 수집, 3 = 전체 수집(_getFull)에서만 사용
+// - enabled: false면 수집/모니터링 대상에서 제외
+// - trust: 소스 신뢰도(1~5). 생략하면 DOMAIN_TRUST 값 사용
+// - options: 타입별 추가 설정 (newsapi/gnews의 endpoint, youtube의 regionCode 등)
+
+const SOURCE_TYPES = ['rss', 'newsapi', 'gnews', 'google-news', 'naver', 'youtube'];
+
+const SOURCES = [
+  // ---------- world ----------
+  { id: 'reuters-top', name: 'Reuters Top News', type: 'rss', url: 'https://feeds.reuters.com/reuters/topNews', sections: ['world', 'buzz'], lang: 'en', phase: 1 },
+  { id: 'reuters-world', name: 'Reuters World', type: 'rss', url: 'https://feeds.reuters.com/reuters/worldNews', sections: ['world'], lang: 'en', phase: 1 },
+  { id: 'bbc-world', name: 'BBC World', type: 'rss', url: 'https://feeds.bbci.co.uk/news/world/rss.xml', sections: ['world'], lang: 'en', phase: 1, domain: 'bbc.co.uk' },
+  { id: 'cnn-edition', name: 'CNN World', type: 'rss', url: 'http://rss.cnn.com/rss/edition.rss', sections: ['world', 'buzz'], lang: 'en', phase: 1 },
+  { id: 'guardian-world', name: 'The Guardian World', type: 'rss', url: 'https://www.theguardian.com/world/rss', sections: ['world'], lang: 'en', phase: 1 },
+  { id: 'nyt-world', name: 'New York Times World', type: 'rss', url: 'https://rss.nytimes.com/services/xml/rss/nyt/World.xml', sections: ['world'], lang: 'en', phase: 1 },
+  { id: 'dw-all', name: 'Deutsche Welle', type: 'rss', url: 'https://rss.dw.com/rdf/rss-en-all', sections: ['world'], lang: 'en', phase: 2 },
+  { id: 'wapo-world', name: 'Washington Post World', type: 'rss', url: 'https://feeds.washingtonpost.com/rss/world', sections: ['world'], lang: 'en', phase: 2 },
+  { id: 'aljazeera', name: 'Al Jazeera', type: 'rss', url: 'https://www.aljazeera.com/xml/rss/all.xml', sections: ['world'], lang: 'en', phase: 2 },
+  { id: 'skynews-world', name: 'Sky News World', type: 'rss', url: 'https://feeds.skynews.com/feeds/rss/world.xml', sections: ['world'], lang: 'en', phase: 2 },
+  { id: 'npr-world', name: 'NPR World', type: 'rss', url: 'https://feeds.npr.org/1004/rss.xml', sections: ['world'], lang: 'en', phase: 2, enabled: false },
+  { id: 'ap-top', name: 'Associated Press', type: 'rss', url: 'https://feeds.apnews.com/rss/apf-topnews', sections: ['world'], lang: 'en', phase: 2, enabled: false },
+  { id: 'politico-picks', name: 'Politico', type: 'rss', url: 'https://www.politico.com/rss/politicopicks', sections: ['world'], lang: 'en', phase: 2, enabled: false },
+
+  // ---------- tech ----------
+  { id: 'techcrunch', name: 'TechCrunch', type: 'rss', url: 'https://feeds.feedburner.com/TechCrunch', sections: ['tech'], lang: 'en', phase: 1, domain: 'techcrunch.com' },
+  { id: 'arstechnica', name: 'Ars Technica', type: 'rss', url: 'http://feeds.arstechnica.com/arstechnica/index', sections: ['tech'], lang: 'en', phase: 1 },
+  { id: 'engadget', name: 'Engadget', type: 'rss', url: 'https://www.engadget.com/rss.xml', sections: ['tech'], lang: 'en', phase: 1 },
+  { id: 'venturebeat', name: 'VentureBeat', type: 'rss', url: 'https://feeds.feedburner.com/venturebeat/SZYF', sections: ['tech'], lang: 'en', phase: 1, domain: 'venturebeat.com' },
+  { id: 'oreilly-radar', name: 'O\'Reilly Radar', type: 'rss', url: 'https://feeds.feedburner.com/oreilly/radar', sections: ['tech'], lang: 'en', phase: 1, domain: 'oreilly.com' },
+  { id: 'cnn-tech', name: 'CNN Tech', type: 'rss', url: 'https://rss.cnn.com/rss/edition_technology.rss', sections: ['tech'], lang: 'en', phase: 1 },
+  { id: 'reuters-tech', name: 'Reuters Tech', type: 'rss', url: 'https://feeds.reuters.com/reuters/technologyNews', sections: ['tech'], lang: 'en', phase: 2 },
+  { id: 'bbc-tech', name: 'BBC Technology', type: 'rss', url: 'https://feeds.bbci.co.uk/news/technology/rss.xml', sections: ['tech'], lang: 'en', phase: 2, domain: 'bbc.co.uk' },
+  { id: 'guardian-tech', name: 'The Guardian Tech', type: 'rss', url: 'https://www.theguardian.com/technology/rss', sections: ['tech'], lang: 'en', phase: 2 },
+  { id: 'nyt-tech', name: 'NYT Technology', type: 'rss', url: 'https://rss.nytimes.com/services/xml/rss/nyt/Technology.xml', sections: ['tech'], lang: 'en', phase: 2 },
+  { id: 'thehackernews', name: 'The Hacker News', type: 'rss', url: 'https://feeds.feedburner.com/TheHackernews', sections: ['tech'], lang: 'en', phase: 2, domain: 'thehackernews.com' },
+  { id: 'mashable', name: 'Mashable', type: 'rss', url: 'https://feeds.feedburner.com/Mashable', sections: ['tech'], lang: 'en', phase: 2, domain: 'mashable.com' },
+  { id: 'wired', name: 'Wired', type: 'rss', url: 'https://www.wired.com/feed/rss', sections: ['tech'], lang: 'en', phase: 2 },
+  { id: 'theverge', name: 'The Verge', type: 'rss', url: 'https://www.theverge.com/rss/index.xml', sections: ['tech'], lang: 'en', phase: 2, enabled: false },
+  { id: 'techradar', name: 'TechRadar', type: 'rss', url: 'https://www.techradar.com/rss', sections: ['tech'], lang: 'en', phase: 2, enabled: false },
+  { id: 'zdnet', name: 'ZDNet', type: 'rss', url: 'https://www.zdnet.com/news/rss.xml', sections: ['tech'], lang: 'en', phase: 2, enabled: false },
+  { id: 'gizmodo', name: 'Gizmodo', type: 'rss', url: 'https://gizmodo.com/rss', sections: ['tech'], lang: 'en', phase: 2, enabled: false },
+
+  // ---------- business ----------
+  { id: 'reuters-business', name: 'Reuters Business', type: 'rss', url: 'https://feeds.reuters.com/reuters/businessNews', sections: ['business'], lang: 'en', phase: 1 },
+  { id: 'bloomberg-markets', name: 'Bloomberg Markets', type: 'rss', url: 'https://feeds.bloomberg.com/markets/news.rss', sections: ['business'], lang: 'en', phase: 1 },
+  { id: 'cnn-business', name: 'CNN Business', type: 'rss', url: 'http://rss.cnn.com/rss/money_latest.rss', sections: ['business'], lang: 'en', phase: 1 },
+  { id: 'bbc-business', name: 'BBC Business', type: 'rss', url: 'https://feeds.bbci.co.uk/news/business/rss.xml', sections: ['business'], lang: 'en', phase: 1, domain: 'bbc.co.uk' },
+  { id: 'guardian-business', name: 'The Guardian Business', type: 'rss', url: 'https://www.theguardian.com/business/rss', sections: ['business'], lang: 'en', phase: 1 },
+  { id: 'nyt-business', name: 'NYT Business', type: 'rss', url: 'https://rss.nytimes.com/services/xml/rss/nyt/Business.xml', sections: ['business'], lang: 'en', phase: 1 },
+  { id: 'wapo-business', name: 'Washington Post Business', type: 'rss', url: 'https://feeds.washingtonpost.com/rss/business', sections: ['business'], lang: 'en', phase: 2 },
+  { id: 'marketwatch', name: 'MarketWatch', type: 'rss', url: 'https://feeds.marketwatch.com/marketwatch/topstories/', sections: ['business'], lang: 'en', phase: 2 },
+  { id: 'fortune', name: 'Fortune', type: 'rss', url: 'https://feeds.fortune.com/fortune/headlines', sections: ['business'], lang: 'en', phase: 2 },
+  { id: 'entrepreneur', name: 'Entrepreneur', type: 'rss', url: 'https://feeds.feedburner.com/entrepreneur/latest', sections: ['business'], lang: 'en', phase: 2, domain: 'entrepreneur.com' },
+  { id: 'ft-home', name: 'Financial Times', type: 'rss', url: 'https://www.ft.com/rss/home', sections: ['business'], lang: 'en', phase: 2, enabled: false },
+  { id: 'wsj-world', name: 'Wall Street Journal', type: 'rss', url: 'https://feeds.a.dj.com/rss/RSSWorldNews.xml', sections: ['business'], lang: 'en', phase: 2, enabled: false, domain: 'wsj.com' },
+  { id: 'forbes', name: 'Forbes', type: 'rss', url: 'https://www.forbes.com/real-time/feed2/', sections: ['business'], lang: 'en', phase: 2, enabled: false },
+  { id: 'yahoo-finance', name: 'Yahoo Finance', type: 'rss', url: 'https://feeds.finance.yahoo.com/rss/2.0/headline', sections: ['business'], lang: 'en', phase: 2, enabled: false },
+  { id: 'business-insider', name: 'Business Insider', type: 'rss', url: 'https://feeds.businessinsider.com/custom/all', sections: ['business'], lang: 'en', phase: 2, enabled: false },
+
+  // ---------- buzz ----------
+  { id: 'bbc-news', name: 'BBC News', type: 'rss', url: 'https://feeds.bbci.co.uk/news/rss.xml', sections: ['buzz'], lang: 'en', phase: 1, domain: 'bbc.co.uk' },
+  { id: 'guardian-uk', name: 'The Guardian UK', type: 'rss', url: 'https://www.theguardian.com/uk/rss', sections: ['buzz'], lang: 'en', phase: 1 },
+  { id: 'nyt-home', name: 'NYT Homepage', type: 'rss', url: 'https://rss.nytimes.com/services/xml/rss/nyt/HomePage.xml', sections: ['buzz'], lang: 'en', phase: 1 },
+  { id: 'people', name: 'People Magazine', type: 'rss', url: 'https://feeds.feedburner.com/people/headlines', sections: ['buzz'], lang: 'en', phase: 1, domain: 'people.com' },
+  { id: 'time', name: 'Time Magazine', type: 'rss', url: 'https://feeds.feedburner.com/time/topstories', sections: ['buzz'], lang: 'en', phase: 2, domain: 'time.com' },
+  { id: 'cnn-entertainment', name: 'CNN Entertainment', type: 'rss', url: 'https://rss.cnn.com/rss/edition_entertainment.rss', sections: ['buzz'], lang: 'en', phase: 2 },
+  { id: 'tmz', name: 'TMZ', type: 'rss', url: 'https://www.tmz.com/rss.xml', sections: ['buzz'], lang: 'en', phase: 2, enabled: false },
+  { id: 'variety', name: 'Variety', type: 'rss', url: 'https://variety.com/feed/', sections: ['buzz'], lang: 'en', phase: 2, enabled: false },
+  { id: 'buzzfeed', name: 'BuzzFeed', type: 'rss', url: 'https://www.buzzfeed.com/world.xml', sections: ['buzz'], lang: 'en', phase: 2, enabled: false },
+  { id: 'entertainment-weekly', name: 'Entertainment Weekly', type: 'rss', url: 'https://ew.com/feed/', sections: ['buzz'], lang: 'en', phase: 2, enabled: false },
+  { id: 'huffpost', name: 'Huffington Post', type: 'rss', url: 'https://www.huffpost.com/section/front-page/feed', sections: ['buzz'], lang: 'en', phase: 2, enabled: false },
+
+  // ---------- kr ----------
+  { id: 'yonhap', name: '연합뉴스', type: 'rss', url: 'https://www.yna.co.kr/rss/news.xml', sections: ['kr'], lang: 'ko', phase: 1 },
+  { id: 'joongang', name: '중앙일보', type: 'rss', url: 'https://rss.joins.com/joins_news_list.xml', sections: ['kr'], lang: 'ko', phase: 1 },
+  { id: 'mk', name: '매일경제', type: 'rss', url: 'https://www.mk.co.kr/rss/30000001/', sections: ['kr'], lang: 'ko', phase: 1 },
+  { id: 'sbs', name: 'SBS', type: 'rss', url: 'https://news.sbs.co.kr/news/SectionRssFeed.do?sectionId=01', sections: ['kr'], lang: 'ko', phase: 1 },
+  { id: 'kyunghyang', name: '경향신문', type: 'rss', url: 'http://www.khan.co.kr/rss/rssdata/total_news.xml', sections: ['kr'], lang: 'ko', phase: 2, enabled: false },
+  { id: 'hankyung', name: '한국경제', type: 'rss', url: 'https://rss.hankyung.com/news/economy.xml', sections: ['kr'], lang: 'ko', phase: 2, enabled: false },
+  { id: 'chosun', name: '조선일보', type: 'rss', url: 'https://www.chosun.com/arc/outboundfeeds/rss/?outputType=xml', sections: ['kr'], lang: 'ko', phase: 2, enabled: false },
+  { id: 'mbc', name: 'MBC', type: 'rss', url: 'https://imnews.imbc.com/rss/news/news_00.xml', sections: ['kr'], lang: 'ko', phase: 2, enabled: false, domain: 'mbc.co.kr' },
+  { id: 'naver-news', name: 'Naver News', type: 'naver', sections: ['kr'], lang: 'ko', phase: 1, options: { queries: ['속보', '긴급', '최신뉴스', '주요뉴스'] } },
+
+  // ---------- japan ----------
+  { id: 'nhk', name: 'NHK News', type: 'rss', url: 'https://www3.nhk.or.jp/rss/news/cat0.xml', sections: ['japan'], lang: 'ja', phase: 1 },
+  { id: 'asahi', name: 'Asahi Shimbun', type: 'rss', url: 'https://www.asahi.com/rss/asahi/newsheadlines.rdf', sections: ['japan'], lang: 'ja', phase: 1 },
+  { id: 'mainichi-en', name: 'Mainichi Shimbun', type: 'rss', url: 'https://mainichi.jp/rss/etc/english_latest.rss', sections: ['japan'], lang: 'en', phase: 1 },
+  { id: 'japan-news', name: 'Japan News', type: 'rss', url: 'https://japannews.yomiuri.co.jp/feed', sections: ['japan'], lang: 'en', phase: 1 },
+  { id: 'livedoor', name: 'Livedoor News', type: 'rss', url: 'https://news.livedoor.com/topics/rss/top.xml', sections: ['japan'], lang: 'ja', phase: 1 },
+  { id: 'japan-times', name: 'Japan Times', type: 'rss', url: 'https://www.japantimes.co.jp/feed/', sections: ['japan'], lang: 'en', phase: 2, enabled: false },
+  { id: 'kyodo', name: 'Kyodo News', type: 'rss', url: 'https://english.kyodonews.net/rss/all.xml', sections: ['japan'], lang: 'en', phase: 2, enabled: false },
+
+  // ---------- API 소스 (API 키가 없으면 빈 결과) ----------
+  { id: 'newsapi-top', name: 'NewsAPI Top Headlines', type: 'newsapi', sections: ['world', 'tech', 'business', 'buzz'], lang: 'en', phase: 1, options: { endpoint: 'top-headlines' } },
+  { id: 'newsapi-top-asia', name: 'NewsAPI Top Headlines (Asia)', type: 'newsapi', sections: ['kr', 'japan'], phase: 3, options: { endpoint: 'top-headlines' } },
+  { id: 'newsapi-everything', name: 'NewsAPI Everything', type: 'newsapi', sections: ['world', 'tech', 'business', 'buzz', 'kr', 'japan'], lang: 'en', phase: 3, options: { endpoint: 'everything' } },
+  { id: 'gnews-top', name: 'GNews Top Headlines', type: 'gnews', sections: ['world', 'tech', 'business', 'buzz'], lang: 'en', phase: 2, options: { endpoint: 'top-headlines' } },
+  { id: 'gnews-everything', name: 'GNews Search', type: 'gnews', sections: ['world', 'tech', 'business', 'buzz'], lang: 'en', phase: 2, options: { endpoint: 'search' } },
+  { id: 'gnews-asia', name: 'GNews (Asia)', type: 'gnews', sections: ['kr', 'japan'], phase: 3, options: { endpoint: 'top-headlines' } },
+  { id: 'gnews-everything-asia', name: 'GNews Search (Asia)', type: 'gnews', sections: ['kr', 'japan'], phase: 3, options: { endpoint: 'search' } },
+  { id: 'google-news', name: 'Google News', type: 'google-news', sections: ['world', 'tech', 'business', 'buzz', 'kr', 'japan'], lang: 'en', phase: 3, enabled: false },
+  { id: 'youtube-trending-us', name: 'YouTube Trending (US)', type: 'youtube', sections: ['buzz'], lang: 'en', phase: 3, enabled: false, options: { regionCode: 'US', maxResults: 30 } },
+  { id: 'youtube-trending-kr', name: 'YouTube Trending (KR)', type: 'youtube', sections: ['kr'], lang: 'ko', phase: 3, enabled: false, options: { regionCode: 'KR', maxResults: 30 } },
+];
+
+// 기사 도메인별 신뢰도 (1~5) - 소스 항목에 trust가 없을 때 사용
+const DOMAIN_TRUST = {
+  // 최고 신뢰도 소스 (5.0)
+  'reuters.com': 5.0,
+  'bbc.com': 5.0,
+  'bbc.co.uk': 5.0,
+  'ap.org': 5.0,
+  'apnews.com': 5.0,
+
+  // 높은 신뢰도 소스 (4.0-4.5)
+  'cnn.com': 4.5,
+  'edition.cnn.com': 4.5,
+  'dw.com': 4.0,
+  'bloomberg.com': 4.5,
+  'wsj.com': 4.5,
+  'ft.com': 4.5,
+  'theguardian.com': 4.0,
+  'washingtonpost.com': 4.0,
+  'nytimes.com': 4.5,
+  'aljazeera.com': 4.0,
+  'skynews.com': 3.5,
+
+  // 테크 전문 미디어 (3.0-4.0)
+  'techcrunch.com': 3.5,
+  'arstechnica.com': 4.0,
+  'engadget.com': 3.5,
+  'venturebeat.com': 3.0,
+  'wired.com': 4.0,
+  'thehackernews.com': 3.0,
+  'mashable.com': 3.0,
+
+  // 경제 전문 미디어 (3.5-4.5)
+  'marketwatch.com': 4.0,
+  'fortune.com': 4.0,
+  'entrepreneur.com': 3.5,
+
+  // 엔터테인먼트 & 라이프스타일 (2.5-3.5)
+  'people.com': 3.0,
+  'time.com': 4.0,
+
+  // 일반 신뢰도 소스 (3.0-3.5)
+  'politico.com': 3.5,
+
+  // 한국 소스 (4.0-5.0)
+  'joins.com': 4.5,
+  'hankyung.com': 4.0,
+  'yonhapnews.co.kr': 5.0,
+  'yna.co.kr': 5.0,
+  'chosun.com': 4.0,
+  'donga.com': 4.0,
+  'hani.co.kr': 4.5,
+  'khan.co.kr': 4.0,
+  'kmib.co.kr': 4.0,
+  'mk.co.kr': 4.0,
+  'sedaily.com': 3.5,
+  'kbs.co.kr': 4.5,
+  'mbc.co.kr': 4.5,
+  'sbs.co.kr': 4.5,
+  'ytn.co.kr': 4.0,
+
+  // 일본 소스 (4.0-5.0)
+  'nhk.or.jp': 5.0,
+  'asahi.com': 4.5,
+  'mainichi.jp': 4.5,
+  'yomiuri.co.jp': 4.5,
+  'japannews.yomiuri.co.jp': 4.5,
+  'livedoor.com': 3.0,
+
+  // 기타 소스 (2.0-3.0)
+  'tmz.com': 2.5,
+  'buzzfeed.com': 2.0,
+  'reddit.com': 2.5,
+  'youtube.com': 2.0
+};
+
+module.exports = { SOURCES, DOMAIN_TRUST, SOURCE_TYPES };
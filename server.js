@@ -15,7 +15,19 @@ const logger = require('./utils/logger');
 const NewsService = require('./services/newsService');
 const AIService = require('./services/aiService');
 const CacheScheduler = require('./services/cacheScheduler');
+const BriefingService = require('./services/briefingService');
 const RSSMonitor = require('./services/rssMonitor');
+const sourceRegistry = require('./services/sourceRegistry');
+const ratingService = require('./services/ratingService');
+const aiUsageTracker = require('./services/aiUsageTracker');
+const aiResultStore = require('./services/aiResultStore');
+const promptRegistry = require('./services/promptRegistry');
+const glossaryService = require('./services/glossaryService');
+const AdminAuth = require('./services/adminAuth');
+const AuditLog = require('./services/auditLog');
+const ReaderProfileService = require('./services/readerProfileService');
+const { briefToPoints } = require('./services/llm/briefSchema');
+const { SUPPORTED_LANGS, isSupportedLang } = require('./config/languages');
 
 const app = express();
 const server = createServer(app);
@@ -32,13 +44,40 @@ const PORT = process.env.PORT || 8080;
 app.set('trust proxy', true); // Railway 프록시 환경에서 X-Forwarded-For 헤더 신뢰
 
 // Initialize services
-const newsService = new NewsService();
+const newsService = new NewsService({ io }); // 상세 AI 보강 완료 시 'article-enriched' 이벤트 전송
 const aiService = new AIService();
-const cacheScheduler = new CacheScheduler(newsService, io); // WebSocket 전달
+const briefingService = new BriefingService({ newsService }); // 섹션 브리핑 (스케줄러가 매시간 생성)
+const cacheScheduler = new CacheScheduler(newsService, io, { briefings: briefingService }); // WebSocket 전달
 const rssMonitor = new RSSMonitor();
+const auditLog = new AuditLog();
+const adminAuth = new AdminAuth({ auditLog });
+const readerProfiles = new ReaderProfileService();
+
+// 관리자 인증: viewer는 조회, operator는 변경 작업 (ADMIN_TOKENS="token:role,...")
+const requireViewer = adminAuth.requireRole('viewer');
+const requireOperator = adminAuth.requireRole('operator');
+
+// 로그인 무차별 대입 방지
+const adminLoginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  limit: Number(process.env.ADMIN_LOGIN_LIMIT ?? 10),
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => req.ip,
+  message: { success: false, error: 'Too many login attempts, please try again later.' }
+});
+
+// Admin session endpoints (브라우저용 서명 쿠키 세션)
+app.post('/admin/login', adminLoginLimiter, express.json(), adminAuth.login());
+app.post('/admin/logout', adminAuth.logout());
+app.get('/admin/session', requireViewer, adminAuth.session());
+
+// 변경 작업은 POST만 허용 (예전 GET 호출은 405로 안내)
+['/admin/clear-cache', '/admin/invalidate-rating-cache', '/admin/refresh-ratings-only', '/admin/check-rss', '/admin/refresh-ratings/:section']
+  .forEach(route => app.get(route, AdminAuth.methodNotAllowed('POST')));
 
 // Admin endpoint for cache clearing
-app.get('/admin/clear-cache', async (req, res) => {
+app.post('/admin/clear-cache', requireOperator, adminAuth.audit('cache.clear'), async (req, res) => {
   // 브라우저가 이 응답을 캐시하지 않도록 헤더 설정
   res.set('Cache-Control', 'no-store');
   
@@ -51,13 +90,13 @@ app.get('/admin/clear-cache', async (req, res) => {
 });
 
 // Admin endpoint for rating cache invalidation
-app.get('/admin/invalidate-rating-cache', async (req, res) => {
+app.post('/admin/invalidate-rating-cache', requireOperator, adminAuth.audit('cache.invalidate-ratings'), async (req, res) => {
   // 브라우저가 이 응답을 캐시하지 않도록 헤더 설정
   res.set('Cache-Control', 'no-store');
   
   try {
     const sections = ['world', 'kr', 'japan', 'buzz', 'tech', 'business'];
-    const RATING_SERVICE_VERSION = "v2.1"; // newsService와 동일한 버전 사용
+    const { RATING_SERVICE_VERSION } = NewsService; // newsService와 동일한 버전 사용
     
     let clearedCount = 0;
     for (const section of sections) {
@@ -96,7 +135,7 @@ app.get('/admin/invalidate-rating-cache', async (req, res) => {
 });
 
 // Admin endpoint for ratings-only refresh (AI 번역 유지)
-app.get('/admin/refresh-ratings-only', async (req, res) => {
+app.post('/admin/refresh-ratings-only', requireOperator, adminAuth.audit('ratings.refresh-all'), async (req, res) => {
   // 브라우저가 이 응답을 캐시하지 않도록 헤더 설정
   res.set('Cache-Control', 'no-store');
   
@@ -121,7 +160,7 @@ app.get('/admin/refresh-ratings-only', async (req, res) => {
 });
 
 // Admin endpoint for RSS monitoring status
-app.get('/admin/rss-status', async (req, res) => {
+app.get('/admin/rss-status', requireViewer, async (req, res) => {
   try {
     const healthSummary = rssMonitor.getHealthSummary();
     const brokenFeeds = rssMonitor.getBrokenFeeds();
@@ -144,7 +183,7 @@ app.get('/admin/rss-status', async (req, res) => {
 });
 
 // Admin endpoint for manual RSS check
-app.get('/admin/check-rss', async (req, res) => {
+app.post('/admin/check-rss', requireOperator, adminAuth.audit('rss.check'), async (req, res) => {
   try {
     const results = await rssMonitor.checkAllFeeds();
     
@@ -164,7 +203,7 @@ app.get('/admin/check-rss', async (req, res) => {
 });
 
 // Admin endpoint for cache scheduler status
-app.get('/admin/scheduler-status', async (req, res) => {
+app.get('/admin/scheduler-status', requireViewer, async (req, res) => {
   try {
     const status = cacheScheduler.getStatus();
     
@@ -183,7 +222,7 @@ app.get('/admin/scheduler-status', async (req, res) => {
 });
 
 // Admin endpoint for single section ratings refresh
-app.get('/admin/refresh-ratings/:section', async (req, res) => {
+app.post('/admin/refresh-ratings/:section', requireOperator, adminAuth.audit('ratings.refresh-section'), async (req, res) => {
   try {
     const { section } = req.params;
     const validSections = ['world', 'kr', 'japan', 'buzz', 'tech', 'business'];
@@ -227,6 +266,359 @@ app.get('/admin/refresh-ratings/:section', async (req, res) => {
   }
 });
 
+// Admin endpoints for source registry (수집/모니터링 공통 소스 목록)
+app.get('/admin/sources', requireViewer, (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  
+  const { section, type } = req.query;
+  const enabled = req.query.enabled === undefined ? undefined : req.query.enabled === 'true';
+  const sources = sourceRegistry.list({ section, type, enabled });
+  
+  res.json({
+    success: true,
+    total: sources.length,
+    sources,
+    status: sourceRegistry.getStatus(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+app.get('/admin/sources/:id', requireViewer, (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  
+  const source = sourceRegistry.get(req.params.id);
+  if (!source) {
+    return res.status(404).json({ success: false, error: 'Source not found' });
+  }
+  res.json({ success: true, source });
+});
+
+const sendRegistryResult = (res, result, okStatus = 200) => {
+  if (!result.success) {
+    return res.status(result.notFound ? 404 : 400).json({ success: false, error: result.error });
+  }
+  res.status(okStatus).json(result);
+};
+
+app.post('/admin/sources', requireOperator, express.json(), adminAuth.audit('sources.add'), async (req, res) => {
+  try {
+    sendRegistryResult(res, await sourceRegistry.add(req.body || {}), 201);
+  } catch (error) {
+    logger.error('Source add failed:', error);
+    res.status(500).json({ success: false, error: 'Failed to add source' });
+  }
+});
+
+app.patch('/admin/sources/:id', requireOperator, express.json(), adminAuth.audit('sources.update'), async (req, res) => {
+  try {
+    sendRegistryResult(res, await sourceRegistry.update(req.params.id, req.body || {}));
+  } catch (error) {
+    logger.error(`Source update failed for ${req.params.id}:`, error);
+    res.status(500).json({ success: false, error: 'Failed to update source' });
+  }
+});
+
+app.delete('/admin/sources/:id', requireOperator, adminAuth.audit('sources.remove'), async (req, res) => {
+  try {
+    sendRegistryResult(res, await sourceRegistry.remove(req.params.id));
+  } catch (error) {
+    logger.error(`Source delete failed for ${req.params.id}:`, error);
+    res.status(500).json({ success: false, error: 'Failed to delete source' });
+  }
+});
+
+app.post('/admin/sources/:id/reset', requireOperator, adminAuth.audit('sources.reset'), async (req, res) => {
+  try {
+    sendRegistryResult(res, await sourceRegistry.reset(req.params.id));
+  } catch (error) {
+    logger.error(`Source reset failed for ${req.params.id}:`, error);
+    res.status(500).json({ success: false, error: 'Failed to reset source' });
+  }
+});
+
+// Admin translation glossary endpoints (preferred Korean renderings for people, organizations and places)
+app.get('/admin/glossary', requireViewer, (req, res) => {
+  res.set('Cache-Control', 'no-store');
+
+  const { type, q } = req.query;
+  const entries = glossaryService.list({ type, q });
+
+  res.json({
+    success: true,
+    total: entries.length,
+    entries,
+    status: glossaryService.getStatus(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+app.get('/admin/glossary/:id', requireViewer, (req, res) => {
+  res.set('Cache-Control', 'no-store');
+
+  const entry = glossaryService.get(req.params.id);
+  if (!entry) {
+    return res.status(404).json({ success: false, error: 'Glossary entry not found' });
+  }
+  res.json({ success: true, entry });
+});
+
+app.post('/admin/glossary', requireOperator, express.json(), adminAuth.audit('glossary.add'), async (req, res) => {
+  try {
+    sendRegistryResult(res, await glossaryService.add(req.body || {}), 201);
+  } catch (error) {
+    logger.error('Glossary add failed:', error);
+    res.status(500).json({ success: false, error: 'Failed to add glossary entry' });
+  }
+});
+
+app.patch('/admin/glossary/:id', requireOperator, express.json(), adminAuth.audit('glossary.update'), async (req, res) => {
+  try {
+    sendRegistryResult(res, await glossaryService.update(req.params.id, req.body || {}));
+  } catch (error) {
+    logger.error(`Glossary update failed for ${req.params.id}:`, error);
+    res.status(500).json({ success: false, error: 'Failed to update glossary entry' });
+  }
+});
+
+app.delete('/admin/glossary/:id', requireOperator, adminAuth.audit('glossary.remove'), async (req, res) => {
+  try {
+    sendRegistryResult(res, await glossaryService.remove(req.params.id));
+  } catch (error) {
+    logger.error(`Glossary delete failed for ${req.params.id}:`, error);
+    res.status(500).json({ success: false, error: 'Failed to delete glossary entry' });
+  }
+});
+
+app.post('/admin/glossary/:id/reset', requireOperator, adminAuth.audit('glossary.reset'), async (req, res) => {
+  try {
+    sendRegistryResult(res, await glossaryService.reset(req.params.id));
+  } catch (error) {
+    logger.error(`Glossary reset failed for ${req.params.id}:`, error);
+    res.status(500).json({ success: false, error: 'Failed to reset glossary entry' });
+  }
+});
+
+// 프롬프트 템플릿 관리 (조회는 viewer, 활성 버전 변경/파일 다시 읽기는 operator 권한)
+// 템플릿 파일은 PROMPTS_DIR/<name>/<version>.txt, 섹션별 활성 버전은 재시작 후에도 유지
+app.get('/admin/prompts', requireViewer, (req, res) => {
+  res.set('Cache-Control', 'no-store');
+
+  res.json({
+    success: true,
+    templates: promptRegistry.list(),
+    errors: promptRegistry.errors,
+    status: promptRegistry.getStatus(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+app.get('/admin/prompts/:name/:version', requireViewer, (req, res) => {
+  res.set('Cache-Control', 'no-store');
+
+  const template = promptRegistry.get(req.params.name, req.params.version);
+  if (!template) {
+    return res.status(404).json({ success: false, error: 'Prompt template version not found' });
+  }
+  res.json({ success: true, template });
+});
+
+// 본문: { version, section } (section을 생략하면 전체 기본 버전)
+app.put('/admin/prompts/:name/active', requireOperator, express.json(), adminAuth.audit('prompts.select'), async (req, res) => {
+  try {
+    sendRegistryResult(res, await promptRegistry.select(req.params.name, req.body || {}));
+  } catch (error) {
+    logger.error(`Prompt select failed for ${req.params.name}:`, error);
+    res.status(500).json({ success: false, error: 'Failed to select prompt version' });
+  }
+});
+
+// ?section=kr 이면 섹션 선택만, 없으면 전체 기본 버전 선택을 지움
+app.delete('/admin/prompts/:name/active', requireOperator, adminAuth.audit('prompts.reset'), async (req, res) => {
+  try {
+    sendRegistryResult(res, await promptRegistry.unselect(req.params.name, { section: req.query.section }));
+  } catch (error) {
+    logger.error(`Prompt reset failed for ${req.params.name}:`, error);
+    res.status(500).json({ success: false, error: 'Failed to reset prompt version' });
+  }
+});
+
+app.post('/admin/prompts/reload', requireOperator, adminAuth.audit('prompts.reload'), (req, res) => {
+  const { templates, errors } = promptRegistry.reload();
+  // 바뀌었거나 없어진 템플릿 버전의 결과는 백그라운드에서 정리
+  aiResultStore.sweep().catch(error => logger.error('AI result sweep after prompt reload failed:', error));
+  res.json({ success: true, loaded: templates, errors, templates: promptRegistry.list() });
+});
+
+// Admin audit log query endpoint
+app.get('/admin/audit', requireViewer, async (req, res) => {
+  try {
+    const { action, actor, outcome, limit = 100 } = req.query;
+    const since = req.query.since ? new Date(req.query.since) : undefined;
+    const until = req.query.until ? new Date(req.query.until) : undefined;
+    
+    if ((since && Number.isNaN(since.getTime())) || (until && Number.isNaN(until.getTime()))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid since/until. Use ISO 8601 dates.'
+      });
+    }
+    
+    const entries = await auditLog.query({ action, actor, outcome, since, until, limit });
+    res.json({
+      success: true,
+      total: entries.length,
+      entries,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Audit log query failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to query audit log'
+    });
+  }
+});
+
+// AI 사용량/비용 및 예산 강등 단계 조회 (viewer 권한)
+app.get('/admin/ai-usage', requireViewer, async (req, res) => {
+  try {
+    const { day, month } = req.query;
+    
+    if ((day && !/^\d{4}-\d{2}-\d{2}$/.test(day)) || (month && !/^\d{4}-\d{2}$/.test(month))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid day/month. Use YYYY-MM-DD and YYYY-MM.'
+      });
+    }
+    
+    const report = await aiUsageTracker.report({ day, month });
+    res.json({
+      success: true,
+      data: report,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('AI usage report failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load AI usage'
+    });
+  }
+});
+
+// AI 결과 저장소 통계 (작업별 프롬프트 버전, 적중/미적중, 저장 항목 수, 무효화된 이전 버전) (viewer 권한)
+app.get('/admin/ai-results', requireViewer, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await aiResultStore.report(),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('AI result store report failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load AI result store stats'
+    });
+  }
+});
+
+// 실패한 AI 보강 작업(dead-letter) 조회/재시도/삭제
+const DEAD_LETTER_FILTERS = ['status', 'section', 'task'];
+const pickDeadLetterFilters = (source = {}) =>
+  Object.fromEntries(DEAD_LETTER_FILTERS.filter(k => source[k]).map(k => [k, String(source[k])]));
+
+app.get('/admin/dead-letters', requireViewer, (req, res) => {
+  const entries = newsService.deadLetters.list({ ...pickDeadLetterFilters(req.query), limit: req.query.limit });
+  res.json({
+    success: true,
+    status: newsService.deadLetters.getStatus(),
+    total: entries.length,
+    entries,
+    timestamp: new Date().toISOString()
+  });
+});
+
+app.get('/admin/dead-letters/:id', requireViewer, (req, res) => {
+  const entry = newsService.deadLetters.get(req.params.id);
+  if (!entry) {
+    return res.status(404).json({ success: false, error: 'Dead-letter entry not found' });
+  }
+  res.json({ success: true, data: entry });
+});
+
+// body: { ids } 또는 { status, section, task } (생략 시 전체). exhausted 항목도 다시 시도
+app.post('/admin/dead-letters/retry', requireOperator, express.json(), adminAuth.audit('deadletter.retry'), async (req, res) => {
+  try {
+    const ids = Array.isArray(req.body?.ids) ? req.body.ids.map(String) : undefined;
+    const requeued = await newsService.deadLetters.requeue(ids, pickDeadLetterFilters(req.body));
+    const result = await newsService.redriveDeadLetters({ limit: Math.max(requeued.length, 1) });
+    res.json({ success: true, requeued: requeued.length, result });
+  } catch (error) {
+    logger.error('Dead-letter retry failed:', error);
+    res.status(500).json({ success: false, error: 'Failed to retry dead-letter entries' });
+  }
+});
+
+app.post('/admin/dead-letters/:id/retry', requireOperator, adminAuth.audit('deadletter.retry'), async (req, res) => {
+  try {
+    const [entry] = await newsService.deadLetters.requeue([req.params.id]);
+    if (!entry) {
+      return res.status(404).json({ success: false, error: 'Dead-letter entry not found' });
+    }
+    const result = await newsService.redriveDeadLetters({ limit: 1 });
+    res.json({ success: true, result, data: newsService.deadLetters.get(entry.id) });
+  } catch (error) {
+    logger.error(`Dead-letter retry failed for ${req.params.id}:`, error);
+    res.status(500).json({ success: false, error: 'Failed to retry dead-letter entry' });
+  }
+});
+
+// 필터(status, section, task) 없이 호출하면 전체 삭제
+app.delete('/admin/dead-letters', requireOperator, adminAuth.audit('deadletter.purge'), async (req, res) => {
+  try {
+    const purged = await newsService.deadLetters.purge(pickDeadLetterFilters(req.query));
+    res.json({ success: true, purged });
+  } catch (error) {
+    logger.error('Dead-letter purge failed:', error);
+    res.status(500).json({ success: false, error: 'Failed to purge dead-letter entries' });
+  }
+});
+
+app.delete('/admin/dead-letters/:id', requireOperator, adminAuth.audit('deadletter.purge'), async (req, res) => {
+  try {
+    const purged = await newsService.deadLetters.purge({ id: req.params.id });
+    if (!purged) {
+      return res.status(404).json({ success: false, error: 'Dead-letter entry not found' });
+    }
+    res.json({ success: true, purged });
+  } catch (error) {
+    logger.error(`Dead-letter purge failed for ${req.params.id}:`, error);
+    res.status(500).json({ success: false, error: 'Failed to purge dead-letter entry' });
+  }
+});
+
+// 섹션 브리핑을 바로 생성 (body: { section } 생략 시 전체, force: 상위 기사가 같아도 다시 생성)
+app.post('/admin/briefings/generate', requireOperator, express.json(), adminAuth.audit('briefings.generate'), async (req, res) => {
+  try {
+    const { section, force = false } = req.body || {};
+    if (section && !briefingService.sections.includes(section)) {
+      return res.status(400).json({ success: false, error: `Invalid section. Must be one of: ${briefingService.sections.join(', ')}` });
+    }
+    const result = section
+      ? await briefingService.generate(section, { force: Boolean(force) })
+      : await briefingService.generateAll({ force: Boolean(force) });
+    if (result.success === false) {
+      return res.status(result.degraded ? 503 : 500).json({ success: false, error: result.error, degraded: result.degraded || null });
+    }
+    const { success, ...data } = result;
+    res.json({ success: true, data });
+  } catch (error) {
+    logger.error('Briefing generation failed:', error);
+    res.status(500).json({ success: false, error: 'Failed to generate briefings' });
+  }
+});
+
 // 2) rate-limit: 표준 헤더만 사용하고, proxy 신뢰 기반 IP 추출
 const limiter = rateLimit({
   windowMs: Number(process.env.RATE_WINDOW_MS ?? 60_000),
@@ -273,8 +665,8 @@ app.use(cors({
     'http://localhost:3000'
   ],
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-CSRF-Token', 'X-Admin-Token'],
   optionsSuccessStatus: 200
 }));
 
@@ -296,6 +688,9 @@ app.use('/api', (req, res, next) => {
 
 app.use('/api/', limiter);
 
+// 익명 독자 프로필 식별 (emark_reader 쿠키 또는 X-Device-Id 헤더 → req.readerId)
+app.use('/api', readerProfiles.middleware());
+
 // Static files with proper caching
 app.use(express.static(path.join(__dirname, 'public'), {
   maxAge: '1y',
@@ -324,6 +719,61 @@ app.get('/health', (req, res) => {
   });
 });
 
+// ?lang= 번역 언어 선택: 잘못된 값이면 오류 메시지, 생략하면 null (기존 응답 그대로)
+function langError(lang) {
+  return lang && !isSupportedLang(lang) ? `Invalid lang. Must be one of: ${SUPPORTED_LANGS.join(', ')}` : null;
+}
+
+// 질의응답 질문 (모델 호출 비용이 드는 요청이라 길이와 요청 수를 제한)
+const QA_MAX_QUESTION_LENGTH = 500;
+function questionError(question) {
+  if (typeof question !== 'string' || !question.trim()) return 'Question is required';
+  return question.length > QA_MAX_QUESTION_LENGTH ? `Question must be at most ${QA_MAX_QUESTION_LENGTH} characters` : null;
+}
+
+const askLimiter = rateLimit({
+  windowMs: 60_000,
+  limit: Number(process.env.QA_RATE_LIMIT ?? 10),
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => req.ip,
+  message: { success: false, error: 'Too many questions, please try again later.' }
+});
+
+// 섹션 브리핑 (/api/:section, /api/:section/fast 보다 먼저 등록해야 'briefing'이 섹션으로 해석되지 않음)
+// ?date=YYYY-MM-DD (기본 오늘), ?hour=HH (그 시각까지의 마지막 판, 기본 그 날의 마지막 판)
+app.get('/api/briefing', async (req, res) => {
+  try {
+    const { date, hour } = req.query;
+    const result = await briefingService.getCombined({ date, hour });
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+    res.json(result);
+  } catch (error) {
+    logger.error('API Error - /api/briefing:', error);
+    res.status(500).json({ success: false, error: 'Failed to load briefing' });
+  }
+});
+
+app.get('/api/briefing/:section', async (req, res) => {
+  try {
+    const section = req.params.section === 'korea' ? 'kr' : req.params.section;
+    if (!briefingService.sections.includes(section)) {
+      return res.status(400).json({ success: false, error: `Invalid section. Must be one of: ${briefingService.sections.join(', ')}` });
+    }
+    const { date, hour } = req.query;
+    const result = await briefingService.get(section, { date, hour });
+    if (!result.success) {
+      return res.status(result.notFound ? 404 : 400).json(result);
+    }
+    res.json(result);
+  } catch (error) {
+    logger.error(`API Error - /api/briefing/${req.params.section}:`, error);
+    res.status(500).json({ success: false, error: 'Failed to load briefing' });
+  }
+});
+
 // Main news endpoint
 
 // New NewsService API Routes (빠른 로딩)
@@ -344,7 +794,7 @@ app.get('/api/:section/fast', async (req, res) => {
 
   try {
     const { section } = req.params;
-    const { read } = req.query; // 읽은 기사 ID 목록 (쉼표로 구분)
+    const { read, lang } = req.query; // (구버전 클라이언트 호환) 읽은 기사 ID 목록 - 프로필에 합쳐서 저장
     const validSections = ['world', 'kr', 'korea', 'japan', 'buzz', 'tech', 'business'];
     
     if (!validSections.includes(section)) {
@@ -354,15 +804,22 @@ app.get('/api/:section/fast', async (req, res) => {
         error: `Invalid section. Must be one of: ${validSections.join(', ')}`
       });
     }
+    if (langError(lang)) {
+      clearTimeout(timeout);
+      return res.status(400).json({ success: false, error: langError(lang) });
+    }
 
-    // 읽은 기사 목록 파싱
-    const readArticles = read ? read.split(',').map(id => id.trim()).filter(id => id) : [];
-    
-    const result = await newsService.getSectionFast(section, readArticles);
+    // 읽은 기사 목록은 캐시 키가 아니라 독자 프로필에 반영
+    const readArticles = read ? read.split(',').map(id => id.trim()).filter(id => id).slice(0, 100) : [];
+    const [result, profile, prefs] = await Promise.all([
+      newsService.getSectionFast(section),
+      readArticles.length ? readerProfiles.markRead(req.readerId, readArticles) : readerProfiles.get(req.readerId),
+      ratingService.getReaderPreferences(req.readerId)
+    ]);
     clearTimeout(timeout);
     
     if (!res.headersSent) {
-      res.json(result);
+      res.json(newsService.localizePayload(readerProfiles.personalizePayload(result, profile, { prefs }), lang));
     }
   } catch (error) {
     clearTimeout(timeout);
@@ -385,9 +842,17 @@ app.get('/api/:section/full', async (req, res) => {
   
   try {
     const { section } = req.params;
+    const { lang } = req.query;
+    if (langError(lang)) {
+      return res.status(400).json({ success: false, error: langError(lang) });
+    }
     // 이미 만들어둔 getSectionFull 함수를 그대로 사용합니다.
-    const data = await newsService.getSectionFull(section);
-    res.json(data);
+    const [data, profile, prefs] = await Promise.all([
+      newsService.getSectionFull(section),
+      readerProfiles.get(req.readerId),
+      ratingService.getReaderPreferences(req.readerId)
+    ]);
+    res.json(newsService.localizePayload(readerProfiles.personalizePayload(data, profile, { prefs }), lang));
   } catch (error) {
     // 에러 로깅을 추가하여 문제를 쉽게 파악할 수 있도록 합니다.
     logger.error(`API Error on /api/${req.params.section}/full:`, error);
@@ -425,7 +890,7 @@ app.post('/api/translate', async (req, res) => {
       });
     }
     
-    const result = await aiService.translate(text, targetLang);
+    const result = await aiService.translate(text, targetLang, { callSite: 'api.translate' });
     const translated = result.success ? result.data.translated : 'Translation failed';
     
     res.json({
@@ -460,7 +925,7 @@ app.post('/api/summarize', async (req, res) => {
       });
     }
     
-    const result = await aiService.summarize(text, { maxPoints, detailed });
+    const result = await aiService.summarize(text, { maxPoints, detailed, callSite: 'api.summarize' });
     const summary = result.success ? result.data.summary : 'Summarization failed';
     
     res.json({
@@ -469,7 +934,8 @@ app.post('/api/summarize', async (req, res) => {
         original: text,
         summary: summary,
         points: Array.isArray(summary) ? summary.length : 1,
-        detailed: detailed
+        detailed: detailed,
+        ...(detailed && result.success ? { brief: result.data.brief } : {})
       }
     });
   } catch (error) {
@@ -481,6 +947,212 @@ app.post('/api/summarize', async (req, res) => {
   }
 });
 
+// Reader profile endpoints (/api/:section 보다 먼저 등록)
+app.get('/api/profile', async (req, res) => {
+  try {
+    const profile = await readerProfiles.get(req.readerId);
+    res.json({ success: true, data: readerProfiles.summarize(profile) });
+  } catch (error) {
+    logger.error('API Error - /api/profile:', error);
+    res.status(500).json({ success: false, error: 'Failed to load profile' });
+  }
+});
+
+app.delete('/api/profile', async (req, res) => {
+  try {
+    await Promise.all([
+      readerProfiles.remove(req.readerId),
+      ratingService.resetReaderPreferences(req.readerId)
+    ]);
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('API Error - DELETE /api/profile:', error);
+    res.status(500).json({ success: false, error: 'Failed to delete profile' });
+  }
+});
+
+app.post('/api/profile/read', async (req, res) => {
+  try {
+    const { id, section } = req.body || {};
+    if (!id) {
+      return res.status(400).json({ success: false, error: 'Article id is required' });
+    }
+    
+    // 관심 토픽 학습에는 서버에 캐시된 기사 태그만 사용
+    const article = section ? await newsService.getArticleFast(section, id) : null;
+    const profile = await readerProfiles.markRead(req.readerId, [id], article?.tags || []);
+    res.json({ success: true, data: readerProfiles.summarize(profile) });
+  } catch (error) {
+    logger.error('API Error - /api/profile/read:', error);
+    res.status(500).json({ success: false, error: 'Failed to record read' });
+  }
+});
+
+app.post('/api/profile/bookmarks', async (req, res) => {
+  try {
+    const { id, section } = req.body || {};
+    if (!id || !section) {
+      return res.status(400).json({ success: false, error: 'Article id and section are required' });
+    }
+    
+    const article = await newsService.getArticleFast(section, id);
+    if (!article) {
+      return res.status(404).json({ success: false, error: 'Article not found' });
+    }
+    
+    const profile = await readerProfiles.addBookmark(req.readerId, {
+      id,
+      section,
+      title: article.titleKo || article.title,
+      link: article.link,
+      source: article.source
+    });
+    res.json({ success: true, data: readerProfiles.summarize(profile) });
+  } catch (error) {
+    logger.error('API Error - /api/profile/bookmarks:', error);
+    res.status(500).json({ success: false, error: 'Failed to add bookmark' });
+  }
+});
+
+app.delete('/api/profile/bookmarks/:id', async (req, res) => {
+  try {
+    const profile = await readerProfiles.removeBookmark(req.readerId, req.params.id);
+    res.json({ success: true, data: readerProfiles.summarize(profile) });
+  } catch (error) {
+    logger.error('API Error - DELETE /api/profile/bookmarks:', error);
+    res.status(500).json({ success: false, error: 'Failed to remove bookmark' });
+  }
+});
+
+app.put('/api/profile/topics', async (req, res) => {
+  try {
+    const result = await readerProfiles.setTopics(req.readerId, req.body?.topics);
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+    res.json({ success: true, data: readerProfiles.summarize(result.data) });
+  } catch (error) {
+    logger.error('API Error - /api/profile/topics:', error);
+    res.status(500).json({ success: false, error: 'Failed to update topics' });
+  }
+});
+
+// Reader feedback endpoints: like / dislike / hide_source / more_like_this (/api/:section 보다 먼저 등록)
+app.get('/api/feedback', async (req, res) => {
+  try {
+    const prefs = await ratingService.getReaderPreferences(req.readerId);
+    res.json({ success: true, data: prefs });
+  } catch (error) {
+    logger.error('API Error - /api/feedback:', error);
+    res.status(500).json({ success: false, error: 'Failed to load preferences' });
+  }
+});
+
+app.post('/api/feedback', async (req, res) => {
+  try {
+    const { id, section, action } = req.body || {};
+    if (!id || !section || !action) {
+      return res.status(400).json({ success: false, error: 'Article id, section and action are required' });
+    }
+    
+    // 선호도는 서버에 캐시된 기사 내용으로만 학습 (클라이언트가 보낸 제목/도메인은 신뢰하지 않음)
+    const article = await newsService.getArticleFast(section, id);
+    if (!article) {
+      return res.status(404).json({ success: false, error: 'Article not found' });
+    }
+    
+    const result = await ratingService.recordFeedback(req.readerId, action, article);
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+    res.json(result);
+  } catch (error) {
+    logger.error('API Error - /api/feedback:', error);
+    res.status(500).json({ success: false, error: 'Failed to record feedback' });
+  }
+});
+
+app.delete('/api/feedback', async (req, res) => {
+  try {
+    await ratingService.resetReaderPreferences(req.readerId);
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('API Error - DELETE /api/feedback:', error);
+    res.status(500).json({ success: false, error: 'Failed to reset preferences' });
+  }
+});
+
+app.delete('/api/feedback/hidden/:domain', async (req, res) => {
+  try {
+    const prefs = await ratingService.unhideSource(req.readerId, req.params.domain);
+    res.json({ success: true, data: prefs });
+  } catch (error) {
+    logger.error('API Error - DELETE /api/feedback/hidden:', error);
+    res.status(500).json({ success: false, error: 'Failed to unhide source' });
+  }
+});
+
+// 전체 뉴스 질의응답: body { question, section?, days? }. 캐시된 섹션과 최근 아카이브에서 찾은 기사만 근거로 답하고
+// 답변 문장별 근거 기사 ID(claims)와 참고 기사(sources)를 함께 반환 (/api/:section 보다 먼저 등록)
+app.post('/api/ask', askLimiter, async (req, res) => {
+  try {
+    const { question, section, days } = req.body || {};
+    if (questionError(question)) {
+      return res.status(400).json({ success: false, error: questionError(question) });
+    }
+    const validSections = ['world', 'kr', 'korea', 'japan', 'buzz', 'tech', 'business'];
+    if (section && !validSections.includes(section)) {
+      return res.status(400).json({ success: false, error: `Invalid section. Must be one of: ${validSections.join(', ')}` });
+    }
+
+    const result = await newsService.askNews(question.trim(), { section, days });
+    if (!result.success) {
+      return res.status(result.degraded ? 503 : 500).json({ success: false, error: result.error, degraded: result.degraded || null });
+    }
+    const { success, ...data } = result;
+    res.json({ success, question: question.trim(), data });
+  } catch (error) {
+    logger.error('API Error - /api/ask:', error);
+    res.status(500).json({ success: false, error: 'Failed to answer question' });
+  }
+});
+
+// Search endpoint (/api/:section 보다 먼저 등록해야 'search'가 섹션으로 해석되지 않음)
+// from/to는 발행 시각 범위로 양끝 포함. to=2026-10-19처럼 날짜만 주면 그 날 끝(UTC 23:59:59.999)까지 포함
+app.get('/api/search', async (req, res) => {
+  try {
+    const { q, section, source, lang, from, to, limit = 20 } = req.query;
+    
+    if (!q || q.trim() === '') {
+      return res.status(400).json({
+        success: false,
+        error: 'Search query is required'
+      });
+    }
+    
+    const results = await newsService.searchNews(
+      q.trim(),
+      section,
+      parseInt(limit),
+      { source, lang, from, to }
+    );
+    
+    res.json({
+      success: true,
+      query: q,
+      filters: { section, source, lang, from, to },
+      count: results.length,
+      data: results
+    });
+  } catch (error) {
+    logger.error('API Error - /api/search:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Search failed'
+    });
+  }
+});
+
 // New NewsService API Routes (완전체)
 app.get('/api/:section', async (req, res) => {
   // 브라우저가 이 응답을 캐시하지 않도록 헤더 설정
@@ -496,9 +1168,16 @@ app.get('/api/:section', async (req, res) => {
         error: `Invalid section. Must be one of: ${validSections.join(', ')}`
       });
     }
+    if (langError(req.query.lang)) {
+      return res.status(400).json({ success: false, error: langError(req.query.lang) });
+    }
 
-    const result = await newsService.getSectionFull(section);
-    res.json(result);
+    const [result, profile, prefs] = await Promise.all([
+      newsService.getSectionFull(section),
+      readerProfiles.get(req.readerId),
+      ratingService.getReaderPreferences(req.readerId)
+    ]);
+    res.json(newsService.localizePayload(readerProfiles.personalizePayload(result, profile, { prefs }), req.query.lang));
   } catch (error) {
     logger.error(`API Error - /api/${req.params.section}:`, error);
     res.status(500).json({
@@ -520,24 +1199,37 @@ app.get('/api/news/:section', async (req, res) => {
   
   try {
     const { section } = req.params;
-    const { page = 1, limit = 30, useCache = 'true' } = req.query;
+    const { page = 1, limit = 30, useCache = 'true', cursor, lang } = req.query;
     
-    const validSections = ['world', 'kr', 'japan', 'buzz', 'tech', 'business'];
+    const validSections = ['world', 'kr', 'korea', 'japan', 'buzz', 'tech', 'business'];
     if (!validSections.includes(section)) {
       return res.status(400).json({
         success: false,
         error: `Invalid section. Must be one of: ${validSections.join(', ')}`
       });
     }
+    if (langError(lang)) {
+      return res.status(400).json({ success: false, error: langError(lang) });
+    }
 
     const result = await newsService.getNews(
       section,
       useCache === 'true',
       parseInt(page),
-      parseInt(limit)
+      parseInt(limit),
+      { cursor }
     );
 
-    res.json(result);
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    // 커서 페이지네이션 순서가 흔들리지 않도록 재정렬 없이 읽음/북마크 표시만 추가
+    const [profile, prefs] = await Promise.all([
+      readerProfiles.get(req.readerId),
+      ratingService.getReaderPreferences(req.readerId)
+    ]);
+    res.json(newsService.localizePayload(readerProfiles.personalizePayload(result, profile, { reorder: false, prefs }), lang));
   } catch (error) {
     logger.error(`API Error - /api/news/${req.params.section}:`, error);
     res.status(500).json({
@@ -556,6 +1248,10 @@ app.get('/api/article/:section/:id/fast', async (req, res) => {
   const startTime = Date.now();
   try {
     const { section, id } = req.params;
+    const { lang } = req.query;
+    if (langError(lang)) {
+      return res.status(400).json({ success: false, error: langError(lang) });
+    }
     
     const article = await newsService.getArticleFast(section, id);
     
@@ -569,7 +1265,7 @@ app.get('/api/article/:section/:id/fast', async (req, res) => {
     
     res.json({ 
       success: true, 
-      data: article,
+      data: newsService.localizeArticle(article, lang),
       cached: true,
       loadTime: Date.now() - startTime
     });
@@ -582,6 +1278,100 @@ app.get('/api/article/:section/:id/fast', async (req, res) => {
   }
 });
 
+// 상세 브리핑 SSE 스트리밍: 생성 중인 브리핑을 partial { brief } 이벤트로 이어 보내고
+// 검증을 마친 done { brief, summaryPoints, cached }로 종료. 이미 만들어진 브리핑은 바로 done. 실패 시 error { error, degraded }
+app.get('/api/article/:section/:id/brief/stream', async (req, res) => {
+  const { section, id } = req.params;
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-store',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no', // Nginx 등 프록시 버퍼링 방지
+  });
+  // compression 미들웨어가 버퍼링하지 않도록 이벤트마다 flush
+  const send = (event, data) => {
+    if (res.writableEnded) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    res.flush?.();
+  };
+
+  const controller = new AbortController();
+  const heartbeat = setInterval(() => { res.write(': ping\n\n'); res.flush?.(); }, 15000);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    if (!res.writableEnded) controller.abort('client-closed');
+  });
+
+  try {
+    const result = await newsService.streamArticleBrief(section, id, {
+      signal: controller.signal,
+      onPartial: (brief) => send('partial', { brief }),
+    });
+    if (result.success) {
+      send('done', { brief: result.brief, summaryPoints: result.summaryPoints, grounding: result.grounding || null, cached: result.cached });
+    } else {
+      send('error', { error: result.error, notFound: result.notFound || false, degraded: result.degraded || null });
+    }
+  } catch (error) {
+    logger.error(`API Error - /api/article/${section}/${id}/brief/stream:`, error);
+    send('error', { error: 'Failed to stream brief' });
+  } finally {
+    clearInterval(heartbeat);
+    res.end();
+  }
+});
+
+// 기사 질의응답 SSE: body { question }. 답변 조각을 delta { text }로 이어 보내고
+// done { answer, refused, grounding, turns }로 종료. 실패 시 error { error, notFound, degraded }
+// 대화 기록은 독자(emark_reader 쿠키)와 기사별로 최근 몇 턴만 유지
+app.post('/api/article/:section/:id/ask', askLimiter, async (req, res) => {
+  const { section, id } = req.params;
+  const question = req.body?.question;
+  if (questionError(question)) {
+    return res.status(400).json({ success: false, error: questionError(question) });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-store',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  const send = (event, data) => {
+    if (res.writableEnded) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    res.flush?.();
+  };
+
+  const controller = new AbortController();
+  const heartbeat = setInterval(() => { res.write(': ping\n\n'); res.flush?.(); }, 15000);
+  // 요청 본문을 다 읽은 뒤라 req 'close'는 바로 발생하므로 응답 쪽 연결 종료로 판단
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    if (!res.writableEnded) controller.abort('client-closed');
+  });
+
+  try {
+    const result = await newsService.askArticle(section, id, question.trim(), {
+      sessionId: req.readerId,
+      signal: controller.signal,
+      onDelta: (text) => send('delta', { text }),
+    });
+    if (result.success) {
+      send('done', { answer: result.answer, refused: result.refused, grounding: result.grounding, turns: result.turns });
+    } else {
+      send('error', { error: result.error, notFound: result.notFound || false, degraded: result.degraded || null });
+    }
+  } catch (error) {
+    logger.error(`API Error - /api/article/${section}/${id}/ask:`, error);
+    send('error', { error: 'Failed to answer question' });
+  } finally {
+    clearInterval(heartbeat);
+    res.end();
+  }
+});
+
 // Get specific article
 app.get('/api/article/:section/:id', async (req, res) => {
   // 브라우저가 이 응답을 캐시하지 않도록 헤더 설정
@@ -589,6 +1379,10 @@ app.get('/api/article/:section/:id', async (req, res) => {
   
   try {
     const { section, id } = req.params;
+    const { lang } = req.query;
+    if (langError(lang)) {
+      return res.status(400).json({ success: false, error: langError(lang) });
+    }
     const result = await newsService.getArticleById(section, id);
     
     if (!result || !result.success) {
@@ -600,14 +1394,15 @@ app.get('/api/article/:section/:id', async (req, res) => {
     
     const article = result.data;
     
-    // 상세보기에서는 더 자세한 AI 요약 생성
-    if (article.description || article.content) {
+    // 상세보기에서는 구조화된 상세 브리핑 제공 (백그라운드 보강으로 이미 있으면 그대로 사용)
+    if (!article.brief && (article.description || article.content)) {
       try {
         const textToSummarize = article.content || article.description || article.title;
-        const detailedSummary = await aiService.generateSummaryPoints(textToSummarize, 8); // 더 많은 포인트
+        const briefResult = await aiService.generateBrief(textToSummarize, { callSite: 'api.article.detail', section });
         
-        if (detailedSummary && detailedSummary.length > 0) {
-          article.summaryPoints = detailedSummary;
+        if (briefResult.success) {
+          article.brief = briefResult.data.brief;
+          article.summaryPoints = briefToPoints(article.brief, 8);
         }
       } catch (aiError) {
         logger.warn(`AI detailed summary failed for article ${id}:`, aiError.message);
@@ -617,7 +1412,7 @@ app.get('/api/article/:section/:id', async (req, res) => {
     
     res.json({
       success: true,
-      data: article
+      data: newsService.localizeArticle(article, lang)
     });
   } catch (error) {
     logger.error(`API Error - /api/article/${req.params.section}/${req.params.id}:`, error);
@@ -676,35 +1471,82 @@ app.get('/api/detail', async (req, res) => {
   }
 });
 
-// Search endpoint
-app.get('/api/search', async (req, res) => {
+// Archive endpoint - 날짜별 지난 기사 목록
+app.get('/api/archive/:section/:date', async (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  
   try {
-    const { q, section, limit = 20 } = req.query;
+    const { section, date } = req.params;
+    const { page = 1, limit = 50 } = req.query;
+    const validSections = ['world', 'kr', 'korea', 'japan', 'buzz', 'tech', 'business'];
     
-    if (!q || q.trim() === '') {
+    if (!validSections.includes(section)) {
       return res.status(400).json({
         success: false,
-        error: 'Search query is required'
+        error: `Invalid section. Must be one of: ${validSections.join(', ')}`
       });
     }
     
-    const results = await newsService.searchNews(
-      q.trim(),
-      section,
-      parseInt(limit)
-    );
+    const result = await newsService.getArchive(section, date, parseInt(page), parseInt(limit));
     
-    res.json({
-      success: true,
-      query: q,
-      count: results.length,
-      data: results
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+    
+    res.json(result);
+  } catch (error) {
+    logger.error(`API Error - /api/archive/${req.params.section}/${req.params.date}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch archive'
     });
+  }
+});
+
+// Permanent article endpoint - 캐시 만료 후에도 유지되는 기사 링크
+app.get('/api/article/:id', async (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  
+  try {
+    const result = await newsService.getArticleByIdAnySection(req.params.id);
+    
+    if (!result.success) {
+      return res.status(404).json({
+        success: false,
+        error: 'Article not found'
+      });
+    }
+    
+    res.json(result);
   } catch (error) {
-    logger.error('API Error - /api/search:', error);
+    logger.error(`API Error - /api/article/${req.params.id}:`, error);
     res.status(500).json({
       success: false,
-      error: 'Search failed'
+      error: 'Failed to fetch article'
+    });
+  }
+});
+
+// Story endpoint - 같은 사건을 다룬 모든 매체의 기사 목록
+app.get('/api/story/:clusterId', async (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  
+  try {
+    const result = await newsService.getStory(req.params.clusterId);
+    
+    if (!result.success) {
+      return res.status(404).json({
+        success: false,
+        error: 'Story not found'
+      });
+    }
+    
+    res.json(result);
+  } catch (error) {
+    logger.error(`API Error - /api/story/${req.params.clusterId}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch story'
     });
   }
 });
@@ -723,14 +1565,15 @@ app.get('/api/stats', (req, res) => {
       services: {
         news: newsService.getStatus(),
         ai: aiService.getStatus(),
+        rating: ratingService.getStatus(),
         cache: newsService.getCacheStatus()
       }
     }
   });
 });
 
-// Clear cache endpoint (admin only - add auth in production)
-app.post('/api/cache/clear', async (req, res) => {
+// Clear cache endpoint (operator 권한 필요)
+app.post('/api/cache/clear', requireOperator, adminAuth.audit('cache.clear'), async (req, res) => {
   // 브라우저가 이 응답을 캐시하지 않도록 헤더 설정
   res.set('Cache-Control', 'no-store');
   
@@ -782,18 +1625,41 @@ io.on('connection', (socket) => {
 });
 
 // Start server
-server.listen(PORT, '0.0.0.0', () => {
+server.listen(PORT, '0.0.0.0', async () => {
   logger.info(`EmarkNews server running on port ${PORT}`, { service: 'emarknews' });
   logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`, { service: 'emarknews' });
   logger.info(`Health check: http://localhost:${PORT}/health`, { service: 'emarknews' });
   logger.info(`WebSocket server ready for real-time updates`, { service: 'emarknews' });
   
+  // 저장된 소스 변경분을 불러온 뒤 스케줄러 시작
+  // (불러오기에 실패해도 기본값으로 계속 진행해 스케줄러/모니터/재시도 루프는 항상 시작)
+  try {
+    await sourceRegistry.load();
+    await ratingService.load();
+    await aiUsageTracker.load();
+    await promptRegistry.load();
+    await aiResultStore.load();
+    await glossaryService.load();
+    await newsService.deadLetters.load();
+  } catch (error) {
+    logger.error('Failed to load stored settings at startup, continuing with defaults:', error);
+  }
+  
   // 자동 캐시 갱신 스케줄러 시작
   cacheScheduler.start();
   
   // RSS 피드 모니터링 시작
   rssMonitor.startAutoCheck();
   
+  // 실패한 AI 보강 작업 재시도 루프 시작
+  newsService.startDeadLetterRedrive();
+  
+  // 오래된 AI 결과 정리 (첫 실행에서 버전별 항목 수도 집계)
+  aiResultStore.startSweep();
+  
+  // /api/ask용 아카이브 색인을 백그라운드에서 미리 구성 (이후에는 아카이브 기록 뒤에 갱신)
+  newsService.refreshArchiveIndex();
+  
   logger.info('🚀 Cache scheduler and RSS monitor started', { service: 'emarknews' });
 });
 
@@ -0,0 +1,276 @@
+/**
+ * Emark - AdminAuth
+ *
+ * /admin/* 및 캐시 변경 라우트용 인증/권한 계층입니다.
+ * - API 토큰: ADMIN_TOKENS="token:role" 또는 "name:token:role" (쉼표로 구분), Authorization: Bearer 또는 X-Admin-Token 헤더
+ * - 서명 세션: POST /admin/login 으로 토큰을 HMAC 서명 쿠키로 교환 (브라우저용)
+ * - 역할: viewer(조회) < operator(변경)
+ * - CSRF: 쿠키 세션으로 보내는 변경 요청은 X-CSRF-Token 헤더가 세션 값과 일치해야 함
+ *   (토큰 헤더 인증은 브라우저가 자동으로 붙이지 않으므로 CSRF 대상 아님)
+ * - 모든 변경 요청은 AuditLog에 기록
+ */
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { parseCookies, appendCookie } = require('../utils/cookies');
+
+// -------------------- Configuration --------------------
+
+const CONFIG = {
+  COOKIE_NAME: 'emark_admin',
+  SESSION_TTL_SEC: Number(process.env.ADMIN_SESSION_TTL_SEC || 8 * 3600),
+  CSRF_HEADER: 'x-csrf-token',
+  TOKEN_HEADER: 'x-admin-token',
+};
+
+const ROLES = { viewer: 1, operator: 2 };
+const SAFE_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+// 감사 기록에 남기지 않을 요청 본문 필드
+const REDACTED_FIELDS = new Set(['token', 'password', 'secret', 'apiKey']);
+
+// -------------------- Utilities --------------------
+
+const sha256 = (s) => crypto.createHash('sha256').update(String(s)).digest();
+const b64url = (buf) => Buffer.from(buf).toString('base64url');
+
+function safeEqual(a, b) {
+  const ba = Buffer.from(String(a || ''));
+  const bb = Buffer.from(String(b || ''));
+  return ba.length === bb.length && crypto.timingSafeEqual(ba, bb);
+}
+
+/**
+ * ADMIN_TOKENS 환경 변수를 파싱합니다.
+ * @param {string} raw - "token:role,name:token:role"
+ * @returns {Array<{ name: string, digest: Buffer, role: string }>}
+ */
+function parseTokens(raw) {
+  return String(raw || '').split(',').map(s => s.trim()).filter(Boolean).map(spec => {
+    const parts = spec.split(':');
+    const role = parts.pop();
+    const token = parts.pop();
+    if (!token || !ROLES[role]) {
+      logger.warn(`[AdminAuth] Ignoring malformed ADMIN_TOKENS entry (expected token:role, role in ${Object.keys(ROLES).join('/')})`);
+      return null;
+    }
+    const digest = sha256(token);
+    return { name: parts[0] || `token-${digest.toString('hex').slice(0, 8)}`, digest, role };
+  }).filter(Boolean);
+}
+
+function redact(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) return undefined;
+  const out = {};
+  for (const [k, v] of Object.entries(body)) out[k] = REDACTED_FIELDS.has(k) ? '[redacted]' : v;
+  return Object.keys(out).length ? out : undefined;
+}
+
+// -------------------- Main Class --------------------
+
+class AdminAuth {
+  /**
+   * @param {object} opts
+   * @param {import('./auditLog')} opts.auditLog - 감사 로그
+   * @param {string} [opts.tokens] - 기본값 process.env.ADMIN_TOKENS
+   * @param {string} [opts.secret] - 기본값 process.env.ADMIN_SESSION_SECRET
+   */
+  constructor(opts = {}) {
+    this.auditLog = opts.auditLog;
+    this.tokens = parseTokens(opts.tokens ?? process.env.ADMIN_TOKENS);
+    this.secret = opts.secret || process.env.ADMIN_SESSION_SECRET;
+    this.secureCookie = process.env.NODE_ENV === 'production';
+
+    if (!this.secret) {
+      // 재시작하면 기존 세션은 무효화되지만 토큰 인증은 계속 동작
+      this.secret = crypto.randomBytes(32).toString('hex');
+      if (this.tokens.length) logger.warn('[AdminAuth] ADMIN_SESSION_SECRET not set, sessions will not survive restarts');
+    }
+    if (!this.tokens.length) {
+      logger.warn('[AdminAuth] ADMIN_TOKENS not configured, admin routes are disabled');
+    }
+  }
+
+  get configured() {
+    return this.tokens.length > 0;
+  }
+
+  _findToken(token) {
+    if (!token) return null;
+    const digest = sha256(token);
+    // 모든 항목과 비교해 일치 여부에 따른 시간 차이를 줄임
+    let found = null;
+    for (const entry of this.tokens) {
+      if (crypto.timingSafeEqual(entry.digest, digest)) found = entry;
+    }
+    return found;
+  }
+
+  _sign(payload) {
+    const body = b64url(JSON.stringify(payload));
+    const sig = b64url(crypto.createHmac('sha256', this.secret).update(body).digest());
+    return `${body}.${sig}`;
+  }
+
+  _verify(value) {
+    const [body, sig] = String(value || '').split('.');
+    if (!body || !sig) return null;
+    const expected = b64url(crypto.createHmac('sha256', this.secret).update(body).digest());
+    if (!safeEqual(sig, expected)) return null;
+    try {
+      const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+      if (!payload.e || payload.e < Date.now()) return null;
+      // 토큰이 회수되었거나 역할이 바뀌었으면 세션도 무효
+      const entry = this.tokens.find(t => t.name === payload.a);
+      if (!entry || entry.role !== payload.r) return null;
+      return payload;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * 요청의 관리자 신원을 확인합니다.
+   * @returns {{ actor: string, role: string, via: 'token'|'session', csrf?: string }|null}
+   */
+  authenticate(req) {
+    const header = req.headers.authorization || '';
+    const bearer = header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+    const token = bearer || req.headers[CONFIG.TOKEN_HEADER];
+    if (token) {
+      const entry = this._findToken(token);
+      return entry ? { actor: entry.name, role: entry.role, via: 'token' } : null;
+    }
+
+    const session = this._verify(parseCookies(req.headers.cookie)[CONFIG.COOKIE_NAME]);
+    return session ? { actor: session.a, role: session.r, via: 'session', csrf: session.c, expiresAt: session.e } : null;
+  }
+
+  /**
+   * 최소 역할을 요구하는 미들웨어. 인증 결과는 req.admin에 저장됩니다.
+   * @param {'viewer'|'operator'} role - 필요한 최소 역할
+   */
+  requireRole(role) {
+    return (req, res, next) => {
+      res.set('Cache-Control', 'no-store');
+      if (!this.configured) {
+        return res.status(503).json({ success: false, error: 'Admin access is not configured' });
+      }
+
+      const admin = this.authenticate(req);
+      if (!admin) {
+        return res.status(401).json({ success: false, error: 'Authentication required' });
+      }
+      if (ROLES[admin.role] < ROLES[role]) {
+        this._auditDenied(req, admin, 'insufficient_role');
+        return res.status(403).json({ success: false, error: `Requires ${role} role` });
+      }
+      if (admin.via === 'session' && !SAFE_METHODS.has(req.method) && !safeEqual(req.headers[CONFIG.CSRF_HEADER], admin.csrf)) {
+        this._auditDenied(req, admin, 'csrf_mismatch');
+        return res.status(403).json({ success: false, error: 'Invalid or missing CSRF token' });
+      }
+
+      req.admin = admin;
+      next();
+    };
+  }
+
+  /**
+   * 응답이 끝난 뒤 감사 로그에 기록하는 미들웨어. requireRole 다음에 둡니다.
+   * @param {string} action - 작업 이름 (예: 'cache.clear')
+   */
+  audit(action) {
+    return (req, res, next) => {
+      res.on('finish', () => {
+        this.auditLog?.record({
+          actor: req.admin?.actor,
+          role: req.admin?.role,
+          via: req.admin?.via,
+          action,
+          method: req.method,
+          path: req.originalUrl,
+          target: Object.keys(req.params || {}).length ? { ...req.params } : undefined,
+          details: redact(req.body),
+          status: res.statusCode,
+          ip: req.ip,
+        });
+      });
+      next();
+    };
+  }
+
+  _auditDenied(req, admin, reason) {
+    this.auditLog?.record({
+      actor: admin.actor, role: admin.role, via: admin.via,
+      action: 'auth.denied', method: req.method, path: req.originalUrl,
+      details: { reason }, status: 403, ip: req.ip,
+    });
+  }
+
+  // -------------------- 세션 핸들러 --------------------
+
+  /**
+   * POST /admin/login { token } → 서명 세션 쿠키 발급
+   */
+  login() {
+    return (req, res) => {
+      res.set('Cache-Control', 'no-store');
+      if (!this.configured) {
+        return res.status(503).json({ success: false, error: 'Admin access is not configured' });
+      }
+
+      const entry = this._findToken(req.body?.token);
+      if (!entry) {
+        this.auditLog?.record({ action: 'auth.login', method: req.method, path: req.originalUrl, status: 401, ip: req.ip });
+        return res.status(401).json({ success: false, error: 'Invalid token' });
+      }
+
+      const csrf = crypto.randomBytes(24).toString('base64url');
+      const expiresAt = Date.now() + CONFIG.SESSION_TTL_SEC * 1000;
+      appendCookie(res, CONFIG.COOKIE_NAME, this._sign({ a: entry.name, r: entry.role, c: csrf, e: expiresAt }), {
+        maxAge: CONFIG.SESSION_TTL_SEC,
+        httpOnly: true,
+        secure: this.secureCookie,
+        sameSite: 'Strict',
+      });
+      this.auditLog?.record({ actor: entry.name, role: entry.role, via: 'session', action: 'auth.login', method: req.method, path: req.originalUrl, status: 200, ip: req.ip });
+
+      res.json({ success: true, actor: entry.name, role: entry.role, csrfToken: csrf, expiresAt: new Date(expiresAt).toISOString() });
+    };
+  }
+
+  /**
+   * POST /admin/logout → 세션 쿠키 삭제
+   */
+  logout() {
+    return (req, res) => {
+      appendCookie(res, CONFIG.COOKIE_NAME, '', { maxAge: 0, httpOnly: true, secure: this.secureCookie, sameSite: 'Strict' });
+      res.json({ success: true });
+    };
+  }
+
+  /**
+   * GET /admin/session → 현재 세션 정보 (새로고침 후 CSRF 토큰 복구용)
+   */
+  session() {
+    return (req, res) => {
+      const { actor, role, via, csrf, expiresAt } = req.admin;
+      res.json({
+        success: true, actor, role, via,
+        csrfToken: csrf,
+        expiresAt: expiresAt ? new Date(expiresAt).toISOString() : undefined,
+      });
+    };
+  }
+
+  /**
+   * 예전 GET 변경 라우트용: 405와 함께 새 메서드를 안내합니다.
+   */
+  static methodNotAllowed(allowed = 'POST') {
+    return (req, res) => {
+      res.set('Allow', allowed);
+      res.status(405).json({ success: false, error: `Method not allowed. Use ${allowed} ${req.path}` });
+    };
+  }
+}
+
+module.exports = AdminAuth;
+module.exports.ROLES = ROLES;
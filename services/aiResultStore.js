@@ -0,0 +1,322 @@
+/**
+ * Emark - AIResultStore
+ *
+ * 번역/요약/상세 브리핑 결과를 입력 전체의 해시로 찾는 영구 저장소입니다.
+ * - 키: sha256(작업, 공급자, 모델, 프롬프트 템플릿 버전, 대상 언어 등 변형 값, 입력 전문)
+ *   (예전 캐시 키는 base64 앞 32자만 써서 "[속보] 윤석열…"처럼 앞부분이 같은 기사끼리 결과가 섞였음)
+ * - 경로: AI_RESULTS_DIR/<task>/<템플릿 버전>-<파일 해시>/<hash 앞 2자>/<hash>.json, 최근 항목은 메모리에도 보관
+ * - 템플릿 파일이 바뀌면 디렉터리가 바뀌어 이전 결과를 쓰지 않고, 시작 시 더 이상 없는 버전의 디렉터리를 정리
+ *   (버전은 services/promptRegistry.js가 관리하며, 저장된 결과에도 템플릿 버전 id를 기록)
+ * - AI_RESULT_MAX_AGE_DAYS보다 오래된 결과는 다시 생성
+ * - 주기적인 정리(sweep)가 오래된 결과, 불러온 템플릿에 없는 버전의 디렉터리, MAX_ENTRIES를 넘는 오래된 항목을 지움
+ *   (프롬프트를 다시 불러온 뒤에도 실행). 버전별 항목 수는 정리 때 센 값에 이후 저장분을 더한 근사치
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const promptRegistry = require('./promptRegistry');
+const { BRIEF_SCHEMA_VERSION } = require('./llm/briefSchema');
+
+// -------------------- Configuration --------------------
+
+const CONFIG = {
+  DIR: process.env.AI_RESULTS_DIR || path.join(__dirname, '..', 'data', 'ai-results'),
+  MAX_AGE_MS: Number(process.env.AI_RESULT_MAX_AGE_DAYS || 30) * 24 * 3600_000,
+  MEMORY_ENTRIES: 2000,
+  MAX_ENTRIES: Number(process.env.AI_RESULT_MAX_ENTRIES || 100_000), // 디스크 항목 수 상한 (0이면 제한 없음)
+  SWEEP_INTERVAL_MS: Number(process.env.AI_RESULT_SWEEP_HOURS || 6) * 3600_000,
+};
+
+// 저장하는 작업 (작업 이름 = 프롬프트 템플릿 이름). 브리핑은 JSON 스키마 버전도 디렉터리에 포함
+const TASKS = ['translate', 'summary', 'brief'];
+const SUFFIX = { brief: `-s${BRIEF_SCHEMA_VERSION}` };
+
+// -------------------- Utilities --------------------
+
+const sha256 = (s) => crypto.createHash('sha256').update(s).digest('hex');
+
+// 템플릿 버전별 저장 디렉터리 이름
+const versionDir = (task, template) => `${template.version}-${template.hash}${SUFFIX[task] || ''}`;
+
+async function readdirSafe(dir) {
+  try {
+    return await fs.promises.readdir(dir);
+  } catch (e) {
+    if (e.code === 'ENOENT') return [];
+    throw e;
+  }
+}
+
+// -------------------- Main Class --------------------
+
+class AIResultStore {
+  constructor(opts = {}) {
+    this.dir = opts.dir || CONFIG.DIR;
+    this.maxAgeMs = opts.maxAgeMs ?? CONFIG.MAX_AGE_MS;
+    this.prompts = opts.prompts || promptRegistry;
+    this.memory = new Map(); // hash -> entry (삽입 순서 = 최근 사용 순)
+    this.stats = Object.fromEntries(TASKS.map(task => [task, { hits: 0, misses: 0, writes: 0, expired: 0 }]));
+    this.invalidated = {}; // task -> 정리한 이전 프롬프트 버전 목록
+    this.counts = null;    // task -> { 버전 디렉터리: 디스크 항목 수 } (첫 정리 전에는 null)
+    this.maxEntries = opts.maxEntries ?? CONFIG.MAX_ENTRIES;
+    this.sweeping = null;
+    this.sweepTimer = null;
+    this.lastSweep = null;
+    this.loaded = false;
+  }
+
+  // 현재 템플릿 파일에 해당하는 버전 디렉터리 (활성 여부와 관계없이 읽어 둔 모든 버전)
+  _versionDirs(task) {
+    return this.prompts.list().find(t => t.name === task).versions.map(template => versionDir(task, template));
+  }
+
+  /**
+   * 바뀌었거나 없어진 템플릿 버전의 결과를 정리합니다. 서버 시작 시 한 번 호출합니다.
+   */
+  async load() {
+    for (const task of TASKS) {
+      let versions;
+      try {
+        versions = await fs.promises.readdir(path.join(this.dir, task));
+      } catch (e) {
+        if (e.code !== 'ENOENT') logger.warn(`[AIResults] Failed to read ${task} results:`, e.message);
+        continue;
+      }
+      const current = this._versionDirs(task);
+      const stale = [];
+      for (const version of versions.filter(v => !current.includes(v))) {
+        try {
+          await fs.promises.rm(path.join(this.dir, task, version), { recursive: true, force: true });
+          stale.push(version);
+        } catch (e) {
+          logger.warn(`[AIResults] Failed to drop old ${task} results ${version}:`, e.message);
+        }
+      }
+      if (stale.length) {
+        this.invalidated[task] = stale;
+        logger.info(`[AIResults] Prompt templates for ${task} changed, dropped results of ${stale.length} old version(s)`);
+      }
+    }
+    this.loaded = true;
+    return this;
+  }
+
+  /**
+   * 주기적인 정리를 시작합니다. 첫 정리(항목 수 집계 포함)는 바로 백그라운드에서 실행합니다.
+   */
+  startSweep(intervalMs = CONFIG.SWEEP_INTERVAL_MS) {
+    if (this.sweepTimer) return;
+    const run = () => this.sweep().catch(e => logger.error('[AIResults] Sweep failed:', e.message));
+    run();
+    this.sweepTimer = setInterval(run, intervalMs);
+    this.sweepTimer.unref?.();
+  }
+
+  stopSweep() {
+    clearInterval(this.sweepTimer);
+    this.sweepTimer = null;
+  }
+
+  /**
+   * 오래된 결과와 불러온 템플릿에 없는 버전의 결과를 지우고, 항목 수가 MAX_ENTRIES를 넘으면 오래된 것부터 지웁니다.
+   * 디렉터리를 한 번 훑으며 버전별 항목 수를 다시 셉니다. 이미 실행 중이면 그 결과를 기다립니다.
+   * @returns {Promise<object>} { expired, dropped: 지운 버전 디렉터리 수, evicted, entries, finishedAt }
+   */
+  sweep() {
+    if (this.sweeping) return this.sweeping;
+    this.sweeping = (async () => {
+      const now = Date.now();
+      const counts = {};
+      const files = []; // 상한 적용용 { file, mtimeMs, task, version }
+      const result = { expired: 0, dropped: 0, evicted: 0 };
+      const remove = async (file) => {
+        try {
+          await fs.promises.rm(file, { force: true });
+          return true;
+        } catch (e) {
+          logger.warn('[AIResults] Failed to remove result:', e.message);
+          return false;
+        }
+      };
+
+      for (const task of TASKS) {
+        counts[task] = {};
+        const current = this._versionDirs(task);
+        for (const version of await readdirSafe(path.join(this.dir, task))) {
+          const dir = path.join(this.dir, task, version);
+          if (!current.includes(version)) {
+            try {
+              await fs.promises.rm(dir, { recursive: true, force: true });
+              this.invalidated[task] = [...new Set([...(this.invalidated[task] || []), version])];
+              result.dropped++;
+            } catch (e) {
+              logger.warn(`[AIResults] Failed to drop old ${task} results ${version}:`, e.message);
+            }
+            continue;
+          }
+          let count = 0;
+          for (const bucket of await readdirSafe(dir)) {
+            for (const name of await readdirSafe(path.join(dir, bucket))) {
+              if (!name.endsWith('.json')) continue;
+              const file = path.join(dir, bucket, name);
+              let mtimeMs;
+              try {
+                ({ mtimeMs } = await fs.promises.stat(file));
+              } catch {
+                continue;
+              }
+              if (now - mtimeMs > this.maxAgeMs) {
+                if (await remove(file)) result.expired++;
+                continue;
+              }
+              count++;
+              if (this.maxEntries) files.push({ file, mtimeMs, task, version });
+            }
+          }
+          counts[task][version] = count;
+        }
+      }
+
+      if (this.maxEntries && files.length > this.maxEntries) {
+        files.sort((a, b) => a.mtimeMs - b.mtimeMs);
+        for (const { file, task, version } of files.slice(0, files.length - this.maxEntries)) {
+          if (await remove(file)) {
+            counts[task][version]--;
+            result.evicted++;
+          }
+        }
+      }
+
+      this.counts = counts;
+      result.entries = Object.values(counts).flatMap(Object.values).reduce((sum, n) => sum + n, 0);
+      result.finishedAt = new Date().toISOString();
+      this.lastSweep = result;
+      if (result.expired || result.dropped || result.evicted) {
+        logger.info(`[AIResults] Sweep removed ${result.expired} expired, ${result.evicted} over-limit results and ${result.dropped} old version(s); ${result.entries} left`);
+      }
+      return result;
+    })().finally(() => { this.sweeping = null; });
+    return this.sweeping;
+  }
+
+  _count(key, delta) {
+    const counts = this.counts?.[key.task];
+    if (counts) counts[key.version] = Math.max(0, (counts[key.version] || 0) + delta);
+  }
+
+  /**
+   * 결과 키를 만듭니다.
+   * @param {string} task - 'translate' | 'summary' | 'brief'
+   * @param {object} parts - { prompt: promptRegistry.resolve() 결과, provider, model, text, variant: 대상 언어/용어집 지문 등 결과를 바꾸는 값 }
+   * @returns {{ task: string, version: string, prompt: string, hash: string }}
+   */
+  key(task, { prompt, provider, model, text, variant = {} }) {
+    if (!TASKS.includes(task)) throw new Error(`Unknown AI result task: ${task}`);
+    const version = versionDir(task, prompt);
+    const hash = sha256(JSON.stringify([task, provider, model, version, variant, String(text ?? '')]));
+    return { task, version, prompt: prompt.id, hash };
+  }
+
+  _file({ task, version, hash }) {
+    return path.join(this.dir, task, version, hash.slice(0, 2), `${hash}.json`);
+  }
+
+  _remember(hash, entry) {
+    this.memory.delete(hash);
+    this.memory.set(hash, entry);
+    if (this.memory.size > CONFIG.MEMORY_ENTRIES) this.memory.delete(this.memory.keys().next().value);
+  }
+
+  /**
+   * 저장된 결과를 찾습니다.
+   * @param {object} key - key()의 반환값
+   * @returns {Promise<*|null>} 저장된 값 (없거나 오래됐으면 null)
+   */
+  async get(key) {
+    const stats = this.stats[key.task];
+    let entry = this.memory.get(key.hash);
+    if (!entry) {
+      try {
+        entry = JSON.parse(await fs.promises.readFile(this._file(key), 'utf8'));
+      } catch (e) {
+        if (e.code !== 'ENOENT') logger.warn('[AIResults] Failed to read result:', e.message);
+        entry = null;
+      }
+    }
+    if (entry && Date.now() - new Date(entry.createdAt).getTime() > this.maxAgeMs) {
+      stats.expired++;
+      this.memory.delete(key.hash);
+      fs.promises.rm(this._file(key), { force: true }).then(() => this._count(key, -1)).catch(() => {});
+      entry = null;
+    }
+    if (!entry) {
+      stats.misses++;
+      return null;
+    }
+    stats.hits++;
+    this._remember(key.hash, entry);
+    return entry.value;
+  }
+
+  /**
+   * 결과를 저장합니다. 저장 실패는 기록만 하고 호출 측 흐름을 막지 않습니다.
+   */
+  async set(key, value, meta = {}) {
+    const entry = { task: key.task, prompt: key.prompt, version: key.version, provider: meta.provider, model: meta.model, createdAt: new Date().toISOString(), value };
+    this._remember(key.hash, entry);
+    this.stats[key.task].writes++;
+    try {
+      const file = this._file(key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      try {
+        await fs.promises.writeFile(file, JSON.stringify(entry), { encoding: 'utf8', flag: 'wx' });
+        this._count(key, 1);
+      } catch (e) {
+        if (e.code !== 'EEXIST') throw e;
+        await fs.promises.writeFile(file, JSON.stringify(entry), 'utf8'); // 만료 후 다시 만든 결과
+      }
+    } catch (e) {
+      logger.error('[AIResults] Failed to write result:', e.message);
+    }
+  }
+
+  getStatus() {
+    return {
+      loaded: this.loaded,
+      memoryEntries: this.memory.size,
+      byTask: Object.fromEntries(TASKS.map(task => [task, { ...this.stats[task] }])),
+    };
+  }
+
+  /**
+   * 관리자 통계 (템플릿 버전별 디스크 항목 수 포함, 첫 정리 전에는 entries: null)
+   * 디렉터리를 훑지 않고 정리 때 센 값과 이후 저장/만료로 갱신한 카운터를 씀
+   */
+  async report() {
+    let entries = null;
+    if (this.counts) {
+      entries = {};
+      for (const task of TASKS) {
+        entries[task] = {};
+        for (const template of this.prompts.list().find(t => t.name === task).versions) {
+          entries[task][template.id] = this.counts[task]?.[versionDir(task, template)] || 0;
+        }
+      }
+    }
+    return {
+      ...this.getStatus(),
+      dir: this.dir,
+      maxAgeDays: this.maxAgeMs / (24 * 3600_000),
+      maxEntries: this.maxEntries,
+      entries,
+      invalidated: { ...this.invalidated },
+      lastSweep: this.lastSweep,
+      sweeping: Boolean(this.sweeping),
+    };
+  }
+}
+
+module.exports = new AIResultStore();
+module.exports.AIResultStore = AIResultStore;
+module.exports.TASKS = TASKS;
@@ -1,24 +1,45 @@
-const { OpenAI } = require('openai');
 const logger = require('../utils/logger');
-const CacheService = require('./cacheService');
+const LLMRouter = require('./llm');
+const prompts = require('./llm/prompts');
+const briefSchema = require('./llm/briefSchema');
+const briefingSchema = require('./llm/briefingSchema');
+const aiUsageTracker = require('./aiUsageTracker');
+const deadLetterStore = require('./deadLetterStore');
+const languageDetector = require('./languageDetector');
+const glossaryService = require('./glossaryService');
+const aiResultStore = require('./aiResultStore');
+const promptRegistry = require('./promptRegistry');
+const groundednessChecker = require('./groundednessChecker');
+const { DEFAULT_LANG } = require('../config/languages');
+const { TRANSLATE_BATCH } = require('../config/llm');
 
 class AIService {
-  constructor() {
-    this.client = null;
-    this.cache = new CacheService();
+  /**
+   * @param {object} [opts] - { llm: LLMRouter (기본값: config/llm.js 설정), usage: AIUsageTracker, glossary: GlossaryService, results: AIResultStore, prompts: PromptRegistry, grounding: GroundednessChecker (기본값: 공유 싱글톤) }
+   */
+  constructor(opts = {}) {
+    this.llm = opts.llm || new LLMRouter();
+    this.usage = opts.usage || aiUsageTracker;
+    this.results = opts.results || aiResultStore; // 입력 전체 해시로 찾는 AI 결과 저장소
+    this.prompts = opts.prompts || promptRegistry; // 섹션별 활성 버전을 고르는 프롬프트 템플릿
+    this.grounding = opts.grounding || groundednessChecker; // 결과의 숫자/이름/인용문이 원문에 있는지 확인
     this.queue = [];
     this.processing = false;
     this.concurrency = 3; // 동시성 제어
+    this.priorityQueue = []; // 사용자가 기다리는 질의응답 호출 (1초 주기를 기다리지 않고 바로 실행)
+    this.interactiveConcurrency = 2; // 우선 작업의 동시 실행 수 (백그라운드 큐와 별도)
+    this.activeInteractive = 0;
     this.remainingRequests = 50; // 초기 추정값
     this.remainingTokens = 4000; // 초기 추정값
-    this.deadLetterQueue = []; // 실패한 작업들
+    this.deadLetters = opts.deadLetters || deadLetterStore; // 실패한 보강 작업 (NewsService가 기록/재시도)
+    this.glossary = opts.glossary || glossaryService; // 인물/기관/지명 한국어 표기 용어집
+    this.briefStats = { generated: 0, repaired: 0, invalid: 0 }; // 상세 브리핑 JSON 검증 결과
+    this.batchStats = { batches: 0, items: 0, fallbacks: 0 }; // 제목 일괄 번역 (fallbacks: 개별 호출로 다시 번역한 항목)
     
-    if (process.env.OPENAI_API_KEY) {
-      this.client = new OpenAI({
-        apiKey: process.env.OPENAI_API_KEY
-      });
-    } else {
-      logger.warn('OpenAI API key not configured');
+    if (!this.isAvailable()) {
+      logger.warn(process.env.OPENAI_API_KEY || process.env.LLM_PROVIDER
+        ? 'LLM provider disabled or unavailable, AI features are off'
+        : 'OpenAI API key not configured, AI features are off (set LLM_PROVIDER=offline for rule-based output in development)');
     }
 
     // Start queue processor
@@ -68,91 +89,68 @@ class AIService {
     return { signal: controller.signal, cleanup };
   }
 
-  /** -------- 프롬프트(요약 정책 고정) -------- */
-  getSystemMessage() {
-    return `
-당신은 세계 최고 수준의 전략 컨설팅 펌(McKinsey, BCG, Bain 급)의 시니어 파트너이자 글로벌 미디어 인텔리전스 전문가입니다. 
-
-당신의 임무는 복잡한 뉴스 기사를 분석하여 C-레벨 경영진, 정책 결정자, 투자자들이 전략적 의사결정에 활용할 수 있는 '프리미엄 인텔리전스 브리핑'을 작성하는 것입니다.
-
-당신의 분석은 다음 특징을 가져야 합니다:
-
-🎯 전략적 관점: 단순한 사실 나열이 아닌, 비즈니스와 사회에 미치는 전략적 함의 분석
-🔍 깊이 있는 통찰: 표면적 정보 너머의 숨겨진 패턴과 트렌드 발견
-⚡ 실행 가능성: 독자가 즉시 활용할 수 있는 구체적이고 실용적인 인사이트
-🌐 글로벌 맥락: 지역적 사건도 글로벌 트렌드와 연결하여 해석
-📊 데이터 기반: 정량적 근거와 정성적 분석의 균형
-
-핵심 원칙:
-- Executive Summary 스타일: 바쁜 의사결정자를 위한 핵심 우선 구조
-- 명료한 논리: 원인→결과→영향→전망의 명확한 인과관계
-- 객관적 분석: 감정적 표현 배제, 팩트 기반 냉철한 판단
-- 전문적 언어: 비즈니스 용어 활용하되 과도한 전문용어는 쉽게 설명
-- 말줄임표(...) 절대 사용 금지
-- 모든 문장은 완결된 형태로 작성
-`;
-  }
-
-  buildUserMessage(article, detailed = false) {
-    if (detailed) {
-      return `
-아래 뉴스 기사를 분석하여 프리미엄 인텔리전스 브리핑을 작성해주세요.
-
-출력 형식:
-
-🎯 EXECUTIVE SUMMARY
-[전략적 제목]: 기사의 핵심을 꿰뚫는 비즈니스 관점의 새로운 제목
-[한 줄 임팩트]: 이 뉴스가 시장/사회/정치에 미치는 핵심 영향을 한 문장으로 압축
-
-📊 KEY FINDINGS (핵심 발견사항)
-• 1차 임팩트: 직접적으로 발생하는 가장 중요한 변화나 사건
-• 2차 파급효과: 1차 임팩트로 인해 연쇄적으로 발생할 수 있는 변화
-• 숨겨진 시그널: 표면적으로 드러나지 않지만 주목해야 할 중요한 신호
-
-🔍 STRATEGIC ANALYSIS (전략적 분석)
-시장 맥락: 이 사건이 발생한 산업/시장/정치적 배경과 기존 트렌드와의 연관성
-경쟁 구도 변화: 주요 플레이어들의 포지션 변화와 새로운 기회/위협 요소
-리스크 & 기회: 단기(3-6개월), 중기(1-2년) 관점에서의 위험요소와 기회요소
-
-🚀 FORWARD LOOKING (미래 전망)
-시나리오 분석: 가능성 높은 2-3가지 시나리오와 각각의 확률적 평가
-주목 포인트: 향후 6개월 내 모니터링해야 할 핵심 지표나 이벤트
-전략적 시사점: 기업/투자자/정책결정자가 고려해야 할 구체적 액션 아이템
-
-💡 INTELLIGENCE NOTES (인텔리전스 노트)
-[핵심 용어/개념]: 비전문가도 이해할 수 있는 명확한 설명
-[관련 트렌드]: 이 사건과 연결되는 글로벌 메가트렌드나 패턴
-[데이터 포인트]: 주목할 만한 수치나 통계가 있다면 그 의미 해석
-
-작성 지침:
-- 영어 기사는 자연스러운 한국어로 번역하여 작성
-- 일본어 기사는 자연스러운 한국어로 번역하여 작성
-- 한국어 기사는 한국어로 작성
-- 컨설팅 리포트 스타일의 전문적이고 간결한 문체 사용
-- 모든 항목을 빠짐없이 작성하되, 해당 없는 경우 "해당 없음" 표기
-- 말줄임표(...) 절대 사용 금지
-- 추측성 표현보다는 팩트 기반 분석 우선
-
-[뉴스 기사 원문]
-${article}
-`;
-    } else {
-      return `
-다음 뉴스 기사를 3개의 핵심 포인트로 요약해줘:
-- 전략적 관점에서 간결하고 명확하게
-- 비즈니스 임팩트 중심으로
-- 말줄임표(...) 사용 금지
-- 영어면 한국어로 번역해서 요약
-- 일본어면 한국어로 번역해서 요약
-
-[기사 원문]
-${article}
-`;
+  /** -------- 프롬프트(prompts/ 템플릿, 섹션별 활성 버전은 services/promptRegistry.js) -------- */
+  getSystemMessage(section, detailed = false) {
+    return prompts.summarySystemMessage(this.prompts.resolve(detailed ? 'brief' : 'summary', section));
+  }
+
+  buildUserMessage(article, detailed = false, section) {
+    return prompts.summaryUserMessage(article, detailed, [], this.prompts.resolve(detailed ? 'brief' : 'summary', section));
+  }
+
+  /** -------- 용어집 -------- */
+  // 한국어 결과를 만드는 요청에만 적용 (용어집은 한국어 표기만 관리)
+  _glossaryFor(text, targetLang = DEFAULT_LANG) {
+    return targetLang === DEFAULT_LANG ? this.glossary.match(text) : [];
+  }
+
+  _applyGlossary(output, glossary) {
+    return glossary.length ? this.glossary.enforce(output, glossary).text : output;
+  }
+
+  /** -------- 원문 근거 확인 -------- */
+  // 저장된 결과에도 매번 적용 (규칙 기반이라 빠르고, 기준을 바꾸면 바로 반영됨)
+  _ground(source, output) {
+    return this.grounding.check(source, output, { glossary: this.glossary.list() });
+  }
+
+  // 짧은 요약은 근거 없는 숫자/이름이 든 포인트를 지우고 반환
+  _groundedSummary(text, summary, prompt) {
+    const grounding = this._ground(text, summary);
+    const { text: checked, stripped } = this.grounding.strip(summary, grounding);
+    return { summary: checked, prompt: prompt.id, grounding: { ...grounding, stripped } };
+  }
+
+  /** -------- 공급자 선택 -------- */
+  isAvailable(task = 'summary') {
+    return this.llm.isAvailable(task);
+  }
+
+  _route(task) {
+    const route = this.llm.resolve(task);
+    if (!route) {
+      throw new Error('LLM provider not configured');
     }
+    return route;
+  }
+
+  /**
+   * 예산 강등 단계에 따라 요청을 막습니다.
+   * @param {string} task - 작업
+   * @param {object} meta - { callSite, section }
+   * @param {boolean} [cached] - 캐시 조회 단계인지 여부 (cached_only 단계에서도 허용)
+   * @returns {object|null} 막혔으면 실패 응답, 통과면 null
+   */
+  _budgetGate(task, meta, cached = false) {
+    const mode = this.usage.mode();
+    const allowed = cached ? mode !== 'none' : this.usage.allowsCall(task);
+    if (allowed) return null;
+    this.usage.recordSkipped(meta);
+    return { success: false, error: `AI budget limit reached (mode: ${mode})`, degraded: mode };
   }
 
   startQueueProcessor() {
-    setInterval(() => {
+    this.queueTimer = setInterval(() => {
       if (!this.processing && this.queue.length > 0) {
         this.processQueue();
       }
@@ -183,41 +181,68 @@ ${article}
     }
   }
 
-  async queueTask(fn) {
+  /**
+   * 작업을 큐에 넣습니다. priority 작업은 백그라운드 보강/일괄 번역 뒤에서 기다리지 않고
+   * interactiveConcurrency 한도 안에서 바로 실행합니다. (예산 확인과 사용량 기록은 호출하는 쪽에서 그대로 거침)
+   * @param {Function} fn - 실행할 작업
+   * @param {object} [options] - { priority: 사용자 요청에 바로 응답해야 하는 작업 }
+   */
+  async queueTask(fn, { priority = false } = {}) {
     return new Promise((resolve, reject) => {
-      this.queue.push({ fn, resolve, reject });
+      if (!priority) {
+        this.queue.push({ fn, resolve, reject });
+        return;
+      }
+      this.priorityQueue.push({ fn, resolve, reject });
+      this._drainPriorityQueue();
     });
   }
 
+  _drainPriorityQueue() {
+    while (this.activeInteractive < this.interactiveConcurrency && this.priorityQueue.length > 0) {
+      const task = this.priorityQueue.shift();
+      this.activeInteractive++;
+      this.executeTask(task).finally(() => {
+        this.activeInteractive--;
+        this._drainPriorityQueue();
+      });
+    }
+  }
+
   /** -------- 향상된 Chat Completions API 요약 -------- */
   async summarizeArticleStreaming(article, {
-    model = "gpt-4.1-mini",
-    timeoutMs = 60_000,
+    model,
+    timeoutMs,
     retries = 4,
-    detailed = false
+    detailed = false,
+    glossary = [],
+    prompt,
+    callSite,
+    section
   } = {}) {
-    if (!this.client) {
-      throw new Error('OpenAI client not initialized');
-    }
+    const route = this._route(detailed ? 'brief' : 'summary');
+    model = model || route.model;
+    timeoutMs = timeoutMs ?? route.timeoutMs;
 
     const startedAt = Date.now();
     const reqId = `req_${startedAt}_${Math.random().toString(36).slice(2, 8)}`;
 
-    logger.info(`summarize start - reqId: ${reqId}, model: ${model}, timeout: ${timeoutMs}ms`);
+    logger.info(`summarize start - reqId: ${reqId}, provider: ${route.provider.name}, model: ${model}, prompt: ${prompt?.id || 'default'}, timeout: ${timeoutMs}ms`);
 
     const { signal, cleanup } = this.withTimeout(undefined, timeoutMs);
 
     try {
       const response = await this.retryWithBackoff(async () => {
-        return await this.client.chat.completions.create({
+        return await route.provider.summarize({
+          text: article,
+          detailed,
+          glossary,
+          prompt,
           model,
-          messages: [
-            { role: "system", content: this.getSystemMessage() },
-            { role: "user", content: this.buildUserMessage(article, detailed) }
-          ],
-          temperature: 0.3,
-          max_tokens: detailed ? 2000 : 1000,
-        }, { signal });
+          temperature: route.temperature,
+          maxTokens: route.maxTokens,
+          signal
+        });
       }, {
         retries,
         onRetry: ({ attempt, delay, status, err }) => {
@@ -226,11 +251,12 @@ ${article}
       });
 
       this.updateRateLimits(response.headers || {});
+      this.usage.record({ callSite, section, provider: route.provider.name, model, usage: response.usage });
 
-      const finalText = response.choices[0]?.message?.content?.trim();
+      const finalText = response.text;
       
       if (!finalText) {
-        throw new Error('Empty response from OpenAI');
+        throw new Error(`Empty response from ${route.provider.name}`);
       }
 
       logger.info(`summarize done - reqId: ${reqId}, elapsed: ${Date.now() - startedAt}ms, response_id: ${response?.id}, textLength: ${finalText?.length || 0}`);
@@ -242,26 +268,50 @@ ${article}
   }
 
   // 기존 API 호환성을 위한 래퍼 메서드들
+  /**
+   * @param {string} text - 요약할 텍스트
+   * @param {object} [options] - { detailed, callSite: 사용량 집계용 호출 위치, section }
+   */
   async summarize(text, options = {}) {
     const isDetailed = options.detailed || false;
-    const cacheKey = `summary:${isDetailed ? 'detailed:' : 'simple:'}${Buffer.from(text).toString('base64').substring(0, 32)}`;
+    const task = isDetailed ? 'brief' : 'summary';
+    const meta = { callSite: options.callSite, section: options.section };
+
+    // 상세 요약은 구조화된 브리핑으로 만들고, 텍스트가 필요한 기존 호출자를 위해 템플릿 텍스트로도 반환
+    if (isDetailed) {
+      const result = await this.generateBrief(text, meta);
+      if (!result.success) return result;
+      return { success: true, data: { summary: briefSchema.briefToText(result.data.brief), ...result.data } };
+    }
     
     try {
-      const cached = await this.cache.get(cacheKey);
+      const blocked = this._budgetGate(task, meta, true);
+      if (blocked) return blocked;
+
+      const route = this._route(task);
+      const prompt = this.prompts.resolve('summary', meta.section);
+      const glossary = this._glossaryFor(text);
+      const resultKey = this._resultKey('summary', route, prompt, text, { glossary: this.glossary.fingerprint(glossary) });
+      
+      const cached = await this.results.get(resultKey);
       if (cached) {
-        return { success: true, data: { summary: cached } };
+        this.usage.recordCacheHit({ ...meta, model: route.model });
+        return { success: true, data: this._groundedSummary(text, cached, prompt) };
       }
 
-      const summary = await this.queueTask(() => 
-        this.summarizeArticleStreaming(text, { detailed: isDetailed })
+      const blockedCall = this._budgetGate(task, meta);
+      if (blockedCall) return blockedCall;
+
+      const output = await this.queueTask(() => 
+        this.summarizeArticleStreaming(text, { detailed: isDetailed, glossary, prompt, ...meta })
       );
+      const summary = this._applyGlossary(output, glossary);
 
-      // 캐시 저장 (1시간)
-      await this.cache.set(cacheKey, summary, 3600);
+      await this.results.set(resultKey, summary, { provider: route.provider.name, model: route.model });
 
       return {
         success: true,
-        data: { summary }
+        data: this._groundedSummary(text, summary, prompt)
       };
     } catch (error) {
       logger.error('Summarization failed:', error);
@@ -272,51 +322,362 @@ ${article}
     }
   }
 
-  async translate(text, targetLang = 'ko') {
-    const cacheKey = `translate:${targetLang}:${Buffer.from(text).toString('base64').substring(0, 32)}`;
-    
+  /**
+   * AI 결과 저장소 키. 공급자/모델/프롬프트 템플릿 버전이 바뀌면(예: offline → openai) 이전 결과를 재사용하지 않음
+   * @param {string} kind - 'translate' | 'summary' | 'brief'
+   * @param {object} prompt - this.prompts.resolve() 결과
+   * @param {object} variant - 대상 언어, 용어집 지문 등 같은 입력이라도 결과를 바꾸는 값
+   */
+  _resultKey(kind, route, prompt, text, variant = {}) {
+    return this.results.key(kind, { prompt, provider: route.provider.name, model: route.model, text, variant });
+  }
+
+  /**
+   * 모델이 만든 브리핑 텍스트를 검증합니다. 형식이 틀리면 오류 목록을 알려 주고 한 번 고쳐 쓰게 합니다.
+   * 용어집 표기 교정은 검증 전에 JSON 텍스트 전체에 적용합니다.
+   * @returns {Promise<object>} 정규화된 브리핑
+   * @throws 고쳐 쓴 결과도 스키마에 맞지 않으면
+   */
+  async _validateBrief(route, text, output, meta, signal, glossary = [], prompt = this.prompts.resolve('brief', meta.section)) {
+    const first = briefSchema.validateBrief(briefSchema.parseBriefText(this._applyGlossary(String(output || ''), glossary)));
+    if (first.valid) {
+      this.briefStats.generated++;
+      return first.brief;
+    }
+
+    logger.warn(`[AI] Brief failed validation, requesting repair: ${first.errors.join('; ')}`);
+    const { signal: repairSignal, cleanup } = this.withTimeout(signal, route.timeoutMs);
+    let response;
     try {
-      const cached = await this.cache.get(cacheKey);
+      response = await this.retryWithBackoff(() => route.provider.chat({
+        model: route.model,
+        temperature: 0,
+        maxTokens: route.maxTokens,
+        jsonMode: true,
+        signal: repairSignal,
+        messages: [
+          { role: 'system', content: prompts.summarySystemMessage(prompt) },
+          { role: 'user', content: prompts.briefUserMessage(text, glossary, prompt) },
+          { role: 'assistant', content: String(output || '') },
+          { role: 'user', content: prompts.briefRepairMessage(first.errors, prompt) },
+        ],
+      }));
+    } finally {
+      cleanup?.();
+    }
+    this.usage.record({ ...meta, provider: route.provider.name, model: route.model, usage: response.usage });
+
+    const repaired = briefSchema.validateBrief(briefSchema.parseBriefText(this._applyGlossary(String(response.text || ''), glossary)));
+    if (!repaired.valid) {
+      this.briefStats.invalid++;
+      throw new Error(`Invalid brief JSON: ${repaired.errors.join('; ')}`);
+    }
+    this.briefStats.repaired++;
+    return repaired.brief;
+  }
+
+  /**
+   * 상세 브리핑을 스키마 검증된 객체로 생성합니다. (services/llm/briefSchema.js)
+   * @param {string} text - 기사 텍스트
+   * @param {object} [options] - { callSite, section }
+   * @returns {Promise<object>} { success, data: { brief }, cached } 또는 { success: false, error, degraded }
+   */
+  async generateBrief(text, { callSite, section } = {}) {
+    const task = 'brief';
+    const meta = { callSite, section };
+    try {
+      const blocked = this._budgetGate(task, meta, true);
+      if (blocked) return blocked;
+
+      const route = this._route(task);
+      const prompt = this.prompts.resolve('brief', section);
+      const glossary = this._glossaryFor(text);
+      const resultKey = this._resultKey('brief', route, prompt, text, { glossary: this.glossary.fingerprint(glossary) });
+      const cached = await this.results.get(resultKey);
       if (cached) {
-        return { success: true, data: { translated: cached } };
+        this.usage.recordCacheHit({ ...meta, model: route.model });
+        return { success: true, data: { brief: cached, prompt: prompt.id, grounding: this._ground(text, briefSchema.briefStatements(cached)) }, cached: true };
       }
 
-      if (!this.client) {
-        throw new Error('OpenAI client not initialized');
+      const blockedCall = this._budgetGate(task, meta);
+      if (blockedCall) return blockedCall;
+
+      const brief = await this.queueTask(async () => {
+        const output = await this.summarizeArticleStreaming(text, { detailed: true, glossary, prompt, ...meta });
+        return this._validateBrief(route, text, output, meta, undefined, glossary, prompt);
+      });
+
+      await this.results.set(resultKey, brief, { provider: route.provider.name, model: route.model });
+      return { success: true, data: { brief, prompt: prompt.id, grounding: this._ground(text, briefSchema.briefStatements(brief)) }, cached: false };
+    } catch (error) {
+      logger.error('Brief generation failed:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * 상세 브리핑을 생성하면서 지금까지 받은 부분을 객체로 만들어 onPartial로 바로 전달합니다.
+   * generateBrief()와 캐시를 공유하므로 이미 만들어진 브리핑은 호출 없이 cached: true로 반환합니다.
+   * 사용자가 기다리는 요청이라 큐를 거치지 않으며, 이미 보낸 조각은 되돌릴 수 없으므로 재시도하지 않습니다.
+   * @param {string} text - 기사 텍스트
+   * @param {object} [options] - { onPartial: (partialBrief) => void, signal: 클라이언트 연결 종료 시 중단, callSite, section }
+   * @returns {Promise<object>} { success, data: { brief }, cached } 또는 { success: false, error, degraded }
+   */
+  async streamBrief(text, { onPartial, signal, callSite, section } = {}) {
+    const task = 'brief';
+    const meta = { callSite, section };
+    try {
+      const blocked = this._budgetGate(task, meta, true);
+      if (blocked) return blocked;
+
+      const route = this._route(task);
+      const prompt = this.prompts.resolve('brief', section);
+      const glossary = this._glossaryFor(text);
+      const resultKey = this._resultKey('brief', route, prompt, text, { glossary: this.glossary.fingerprint(glossary) });
+      const cached = await this.results.get(resultKey);
+      if (cached) {
+        this.usage.recordCacheHit({ ...meta, model: route.model });
+        return { success: true, data: { brief: cached, prompt: prompt.id, grounding: this._ground(text, briefSchema.briefStatements(cached)) }, cached: true };
       }
 
-      const response = await this.retryWithBackoff(async () => {
-        return await this.client.chat.completions.create({
-          model: 'gpt-4.1-mini',
-          messages: [
-            {
-              role: 'system',
-              content: `You are a professional translator. Translate the following text to ${targetLang === 'ko' ? 'Korean' : targetLang}. Maintain the original meaning and tone. Do not add explanations.`
-            },
-            {
-              role: 'user',
-              content: text
-            }
-          ],
-          temperature: 0.3,
-          max_tokens: 2000
+      const blockedCall = this._budgetGate(task, meta);
+      if (blockedCall) return blockedCall;
+
+      let output = '';
+      let lastPartial = '';
+      const onDelta = (delta) => {
+        output += delta;
+        const partial = briefSchema.parsePartialBrief(output);
+        const serialized = partial && JSON.stringify(partial);
+        if (serialized && serialized !== lastPartial) {
+          lastPartial = serialized;
+          onPartial?.(partial);
+        }
+      };
+
+      const { signal: requestSignal, cleanup } = this.withTimeout(signal, route.timeoutMs);
+      let brief;
+      try {
+        const response = await route.provider.summarizeStream({
+          text,
+          detailed: true,
+          glossary,
+          prompt,
+          model: route.model,
+          temperature: route.temperature,
+          maxTokens: route.maxTokens,
+          signal: requestSignal,
+          onDelta
         });
+        this.updateRateLimits(response.headers || {});
+        this.usage.record({ ...meta, provider: route.provider.name, model: route.model, usage: response.usage });
+        brief = await this._validateBrief(route, text, response.text, meta, requestSignal, glossary, prompt);
+      } finally {
+        cleanup?.();
+      }
+
+      await this.results.set(resultKey, brief, { provider: route.provider.name, model: route.model });
+      return { success: true, data: { brief, prompt: prompt.id, grounding: this._ground(text, briefSchema.briefStatements(brief)) }, cached: false };
+    } catch (error) {
+      logger.error('Brief streaming failed:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * 번호가 붙은 자료만 근거로 질문에 답하며, 생성되는 답변을 onDelta로 바로 전달합니다.
+   * 사용자가 기다리는 호출이므로 우선 작업으로 큐에 넣고(queueTask priority), 예산 확인과 재시도를 거치되
+   * 이미 조각을 보낸 뒤의 오류는 되돌릴 수 없으므로 재시도하지 않습니다.
+   * 질문마다 자료와 대화가 달라 결과 저장소에는 저장하지 않습니다.
+   * @param {string} question - 사용자 질문
+   * @param {string} context - '[1] …' 형식의 자료 (용어집 항목은 이 자료에서 찾음)
+   * @param {object} [options] - { history: 이전 [{ question, answer }], onDelta: (text) => void, signal: 클라이언트 연결 종료 시 중단, callSite, section }
+   * @returns {Promise<object>} { success, data: { answer, refused, prompt, grounding } } 또는 { success: false, error, degraded }
+   */
+  async answerQuestion(question, context, { history = [], onDelta, signal, callSite, section } = {}) {
+    const task = 'qa';
+    const meta = { callSite, section };
+    try {
+      const blocked = this._budgetGate(task, meta);
+      if (blocked) return blocked;
+
+      const route = this._route(task);
+      const prompt = this.prompts.resolve('qa', section);
+      const glossary = this._glossaryFor(context);
+      let sent = false;
+
+      const response = await this.queueTask(async () => {
+        const { signal: requestSignal, cleanup } = this.withTimeout(signal, route.timeoutMs);
+        try {
+          return await this.retryWithBackoff(() => route.provider.answerStream({
+            question,
+            context,
+            history,
+            glossary,
+            prompt,
+            model: route.model,
+            temperature: route.temperature,
+            maxTokens: route.maxTokens,
+            signal: requestSignal,
+            onDelta: (delta) => {
+              sent = true;
+              onDelta?.(delta);
+            }
+          }), {
+            onRetry: ({ attempt, delay, status, err }) => {
+              if (sent || signal?.aborted) throw err;
+              logger.warn(`[AI] Retrying question answer - attempt: ${attempt}, delay: ${delay}ms, status: ${status}`);
+            }
+          });
+        } finally {
+          cleanup?.();
+        }
+      }, { priority: true });
+      this.updateRateLimits(response.headers || {});
+      this.usage.record({ ...meta, provider: route.provider.name, model: route.model, usage: response.usage });
+
+      const answer = this._applyGlossary(String(response.text || '').trim(), glossary);
+      if (!answer) throw new Error(`Empty response from ${route.provider.name}`);
+      const refused = answer.startsWith(prompts.QA_REFUSAL);
+      // 출처 표시 [n]은 숫자 확인에서 제외
+      return {
+        success: true,
+        data: { answer, refused, prompt: prompt.id, grounding: refused ? null : this._ground(context, answer.replace(/\[\d+\]/g, '')) }
+      };
+    } catch (error) {
+      logger.error('Question answering failed:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * 섹션 상위 기사 목록으로 브리핑을 생성합니다. (services/llm/briefingSchema.js, 저장은 BriefingService가 담당)
+   * 형식이 틀린 응답은 재시도하지 않고 실패로 돌려 다음 정기 실행에서 다시 만듭니다.
+   * @param {Array<object>} items - [{ ref, title, source, points, moreSources }] (ref는 1부터)
+   * @param {object} [options] - { section, sectionName: 프롬프트에 쓰는 섹션 이름, date: YYYY-MM-DD, callSite }
+   * @returns {Promise<object>} { success, data: { briefing, prompt, grounding } } 또는 { success: false, error, degraded }
+   */
+  async generateBriefing(items, { section, sectionName = section, date, callSite } = {}) {
+    const task = 'briefing';
+    const meta = { callSite, section };
+    try {
+      const blocked = this._budgetGate(task, meta);
+      if (blocked) return blocked;
+
+      const route = this._route(task);
+      const prompt = this.prompts.resolve('briefing', section);
+      const sourceText = items.map(item => [item.title, ...(item.points || [])].join('\n')).join('\n');
+      const glossary = this._glossaryFor(sourceText);
+
+      const response = await this.queueTask(async () => {
+        const { signal, cleanup } = this.withTimeout(undefined, route.timeoutMs);
+        try {
+          return await this.retryWithBackoff(() => route.provider.briefing({
+            section: sectionName,
+            date,
+            items,
+            glossary,
+            prompt,
+            model: route.model,
+            temperature: route.temperature,
+            maxTokens: route.maxTokens,
+            signal
+          }), {
+            onRetry: ({ attempt, delay, status }) => {
+              logger.warn(`[AI] Retrying ${section} briefing - attempt: ${attempt}, delay: ${delay}ms, status: ${status}`);
+            }
+          });
+        } finally {
+          cleanup?.();
+        }
       });
+      this.updateRateLimits(response.headers || {});
+      this.usage.record({ ...meta, provider: route.provider.name, model: route.model, usage: response.usage });
+
+      const parsed = briefingSchema.parseBriefingText(this._applyGlossary(String(response.text || ''), glossary));
+      const { valid, errors, briefing } = briefingSchema.validateBriefing(parsed, items.length);
+      if (!valid) throw new Error(`Invalid briefing JSON: ${errors.join('; ')}`);
+
+      return {
+        success: true,
+        data: { briefing, prompt: prompt.id, grounding: this._ground(sourceText, briefingSchema.briefingStatements(briefing)) }
+      };
+    } catch (error) {
+      logger.error(`Briefing generation failed for ${section}:`, error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * @param {string} text - 번역할 텍스트
+   * @param {string} [targetLang] - 대상 언어
+   * @param {object} [options] - { task: 'title'이면 제목 번역용 모델 사용 (기본 'translate'), callSite, section }
+   */
+  async translate(text, targetLang = 'ko', { task = 'translate', callSite, section } = {}) {
+    const meta = { callSite, section };
+    try {
+      const blocked = this._budgetGate(task, meta, true);
+      if (blocked) return blocked;
+
+      const route = this._route(task);
+      const prompt = this.prompts.resolve('translate', section);
+      const glossary = this._glossaryFor(text, targetLang);
+      const resultKey = this._translateKey(route, prompt, text, targetLang, glossary);
+
+      const cached = await this.results.get(resultKey);
+      if (cached) {
+        this.usage.recordCacheHit({ ...meta, model: route.model });
+        return { success: true, data: { translated: cached, prompt: prompt.id, grounding: this._ground(text, cached) } };
+      }
+
+      const blockedCall = this._budgetGate(task, meta);
+      if (blockedCall) return blockedCall;
+
+      const { signal, cleanup } = this.withTimeout(undefined, route.timeoutMs);
+      let response;
+      try {
+        response = await this.retryWithBackoff(async () => {
+          return await route.provider.translate({
+            text,
+            targetLang,
+            glossary,
+            prompt,
+            model: route.model,
+            temperature: route.temperature,
+            maxTokens: route.maxTokens,
+            signal
+          });
+        });
+      } finally {
+        cleanup?.();
+      }
 
       this.updateRateLimits(response.headers || {});
+      this.usage.record({ ...meta, provider: route.provider.name, model: route.model, usage: response.usage });
 
-      const translated = response.choices[0]?.message?.content?.trim();
-      
-      if (!translated) {
+      if (!response.text) {
         throw new Error('Empty translation response');
       }
+      // 용어집 표기 일관성 검사 (피해야 할 표기/번역되지 않은 원문 표기를 지정 표기로 교체)
+      const translated = this._applyGlossary(response.text, glossary);
 
-      // 캐시 저장 (1시간)
-      await this.cache.set(cacheKey, translated, 3600);
+      await this.results.set(resultKey, translated, { provider: route.provider.name, model: route.model });
 
       return {
         success: true,
-        data: { translated }
+        data: { translated, prompt: prompt.id, grounding: this._ground(text, translated) }
       };
     } catch (error) {
       logger.error('Translation failed:', error);
@@ -327,28 +688,162 @@ ${article}
     }
   }
 
-  async generateSummaryPoints(text, maxPoints = 5) {
+  _translateKey(route, prompt, text, targetLang, glossary) {
+    return this._resultKey('translate', route, prompt, text, { targetLang, glossary: this.glossary.fingerprint(glossary) });
+  }
+
+  /**
+   * 여러 텍스트(주로 기사 제목)를 id가 붙은 구조화된 요청 한 번으로 번역합니다.
+   * - 결과는 translate()와 같은 결과 저장소 키에 저장하므로 이후 개별 호출도 저장된 결과를 사용
+   * - 응답에서 빠졌거나 id가 어긋난 항목, 실패한 묶음은 작업 큐를 거쳐 translate()로 하나씩 다시 번역
+   * - 묶음이 429로 실패하면 나머지 항목은 호출하지 않고 실패({ rateLimited: true })로 반환
+   * @param {Array<{id: string, text: string}>} items - 번역할 항목
+   * @param {string} [targetLang] - 대상 언어
+   * @param {object} [options] - { task (기본 'title'), callSite, section }
+   * @returns {Promise<Map<string, object>>} id -> translate()와 같은 형식의 결과
+   */
+  async translateBatch(items, targetLang = DEFAULT_LANG, { task = 'title', callSite, section } = {}) {
+    const meta = { callSite, section };
+    const results = new Map();
+    if (!items?.length) return results;
+
+    const blocked = this._budgetGate(task, meta, true);
+    if (blocked) {
+      items.forEach(item => results.set(item.id, blocked));
+      return results;
+    }
+
+    let route;
+    let prompt;
     try {
-      const result = await this.summarize(text, { detailed: true });
-      if (!result.success) {
-        return [];
-      }
+      route = this._route(task);
+      prompt = this.prompts.resolve('translate', section);
+    } catch (error) {
+      items.forEach(item => results.set(item.id, { success: false, error: error.message }));
+      return results;
+    }
 
-      // 응답에서 블릿포인트 추출
-      const summary = result.data.summary;
-      const lines = summary.split('\n').filter(line => line.trim());
-      const points = [];
+    const pending = [];
+    for (const item of items) {
+      const glossary = this._glossaryFor(item.text, targetLang);
+      const resultKey = this._translateKey(route, prompt, item.text, targetLang, glossary);
+      const cached = await this.results.get(resultKey);
+      if (cached) {
+        this.usage.recordCacheHit({ ...meta, model: route.model });
+        results.set(item.id, { success: true, data: { translated: cached, prompt: prompt.id, grounding: this._ground(item.text, cached) } });
+      } else {
+        pending.push({ ...item, glossary, resultKey });
+      }
+    }
 
-      for (const line of lines) {
-        if (line.includes('•') || line.includes('-') || line.includes('*')) {
-          const point = line.replace(/^[•\-*]\s*/, '').trim();
-          if (point && points.length < maxPoints) {
-            points.push(point);
+    const fallback = [];
+    const size = TRANSLATE_BATCH.SIZE;
+    let rateLimited = null; // 429로 실패한 묶음의 오류 (이후 묶음과 개별 호출을 보내지 않음)
+    if (size > 1 && pending.length > 1) {
+      for (let i = 0; i < pending.length; i += size) {
+        const chunk = pending.slice(i, i + size);
+        if (rateLimited) {
+          chunk.forEach(item => results.set(item.id, { success: false, error: rateLimited.message, rateLimited: true }));
+          continue;
+        }
+        const blockedCall = this._budgetGate(task, meta);
+        if (blockedCall) {
+          chunk.forEach(item => results.set(item.id, blockedCall));
+          continue;
+        }
+        try {
+          const translated = await this.queueTask(() => this._translateChunk(route, prompt, chunk, targetLang, meta));
+          this.batchStats.batches++;
+          this.batchStats.items += translated.size;
+          for (const item of chunk) {
+            if (!translated.has(item.id)) {
+              fallback.push(item);
+              continue;
+            }
+            const text = this._applyGlossary(translated.get(item.id), item.glossary);
+            await this.results.set(item.resultKey, text, { provider: route.provider.name, model: route.model });
+            results.set(item.id, { success: true, data: { translated: text, prompt: prompt.id, grounding: this._ground(item.text, text) } });
           }
+        } catch (error) {
+          // 재시도 후에도 429면 개별 호출로 나눠 보내 봐야 같은 한도에 걸리므로 다음 주기로 미룸
+          if ((error.status ?? error.code) === 429) {
+            logger.warn(`[AI] Batch translation of ${chunk.length} items rate limited, skipping the remaining ${pending.length - i} items: ${error.message}`);
+            rateLimited = error;
+            chunk.forEach(item => results.set(item.id, { success: false, error: error.message, rateLimited: true }));
+            continue;
+          }
+          logger.warn(`[AI] Batch translation of ${chunk.length} items failed, falling back to single calls: ${error.message}`);
+          fallback.push(...chunk);
         }
       }
+    } else {
+      fallback.push(...pending);
+    }
+
+    if (fallback.length && pending.length > 1) {
+      this.batchStats.fallbacks += fallback.length;
+      logger.info(`[AI] Translating ${fallback.length} items one by one after batch translation`);
+    }
+    // 개별 호출도 작업 큐를 거쳐 동시 요청 수를 concurrency로 제한 (실패한 큰 묶음이 한꺼번에 쏟아지지 않게)
+    await Promise.all(fallback.map(async (item) => {
+      results.set(item.id, await this.queueTask(() => this.translate(item.text, targetLang, { task, callSite, section })));
+    }));
+    return results;
+  }
+
+  /**
+   * 한 묶음을 번역하고 응답을 요청 id에 맞춰 봅니다. 요청에는 짧은 순번 id를 씁니다.
+   * @returns {Promise<Map<string, string>>} 원래 항목 id -> 번역 (빠지거나 중복된 id는 제외)
+   */
+  async _translateChunk(route, prompt, chunk, targetLang, meta) {
+    const payload = chunk.map((item, i) => ({ id: String(i + 1), text: item.text }));
+    const glossary = [...new Map(chunk.flatMap(item => item.glossary).map(e => [e.id, e])).values()];
+
+    const { signal, cleanup } = this.withTimeout(undefined, TRANSLATE_BATCH.TIMEOUT_MS);
+    let response;
+    try {
+      response = await this.retryWithBackoff(() => route.provider.translateBatch({
+        items: payload,
+        targetLang,
+        glossary,
+        prompt,
+        model: route.model,
+        temperature: route.temperature,
+        maxTokens: TRANSLATE_BATCH.MAX_TOKENS,
+        signal
+      }));
+    } finally {
+      cleanup?.();
+    }
+    this.updateRateLimits(response.headers || {});
+    this.usage.record({ ...meta, provider: route.provider.name, model: route.model, usage: response.usage });
+
+    // JSON 객체 추출은 브리핑과 같은 방식 (코드 블록/앞뒤 설명 허용)
+    const parsed = briefSchema.parseBriefText(response.text);
+    const outputs = Array.isArray(parsed?.items) ? parsed.items : [];
+    const seen = outputs.reduce((acc, o) => acc.set(String(o?.id), (acc.get(String(o?.id)) || 0) + 1), new Map());
+
+    const translated = new Map();
+    for (const output of outputs) {
+      const id = String(output?.id);
+      const item = /^\d+$/.test(id) ? chunk[Number(id) - 1] : null;
+      if (!item || seen.get(id) !== 1) continue;
+      if (typeof output.translation !== 'string' || !output.translation.trim()) continue;
+      translated.set(item.id, output.translation.trim());
+    }
+    return translated;
+  }
 
-      return points.length > 0 ? points : [summary.substring(0, 200) + '...'];
+  /**
+   * 상세 브리핑에서 요약 포인트(한 줄 임팩트 + 핵심 발견사항)를 뽑습니다.
+   */
+  async generateSummaryPoints(text, maxPoints = 5, options = {}) {
+    try {
+      const result = await this.generateBrief(text, options);
+      if (!result.success) {
+        return [];
+      }
+      return briefSchema.briefToPoints(result.data.brief, maxPoints);
     } catch (error) {
       logger.error('Summary points generation failed:', error);
       return ['요약 정보를 생성할 수 없습니다.'];
@@ -377,22 +872,30 @@ ${article}
 
   isKorean(text) {
     if (!text) return false;
-    const koreanRegex = /[\uac00-\ud7a3]/g;
-    const textLength = text.replace(/\s+/g, '').length;
-    if (textLength === 0) return false;
-    const koreanMatches = (text.match(koreanRegex) || []).length;
-    return (koreanMatches / textLength) > 0.3; // 30% 이상이 한글이면 한국어로 간주
+    const { lang, confidence } = languageDetector.detect(text);
+    return lang === 'ko' && confidence >= languageDetector.MIN_CONFIDENCE;
   }
 
   getStatus() {
     return {
-      initialized: !!this.client,
+      initialized: this.isAvailable(),
+      llm: this.llm.getStatus(),
+      usage: this.usage.getStatus(),
       queueLength: this.queue.length,
       processing: this.processing,
       concurrency: this.concurrency,
+      priorityQueueLength: this.priorityQueue.length,
+      activeInteractive: this.activeInteractive,
+      interactiveConcurrency: this.interactiveConcurrency,
       remainingRequests: this.remainingRequests,
       remainingTokens: this.remainingTokens,
-      deadLetterQueueSize: this.deadLetterQueue.length
+      deadLetterQueueSize: this.deadLetters.size,
+      briefs: { ...this.briefStats },
+      translateBatch: { ...this.batchStats },
+      results: this.results.getStatus(),
+      prompts: this.prompts.getStatus().active,
+      grounding: this.grounding.getStatus(),
+      glossary: this.glossary.getStatus().consistency
     };
   }
 }
@@ -0,0 +1,239 @@
+/**
+ * Emark - AIUsageTracker
+ *
+ * LLM 호출의 토큰 사용량/비용을 호출 위치(callSite)·섹션·모델별로 집계하고 예산에 따라 AI 기능을 단계적으로 줄입니다.
+ * - 집계: 일(AI_BUDGET_TZ 기준 YYYY-MM-DD)/월(YYYY-MM) 단위, CacheService에 저장해 재시작 후에도 유지
+ * - 강등 단계: full → titles_only(제목 번역만 새로 호출) → cached_only(캐시된 결과만) → none(AI 사용 안 함)
+ * - 서버와 NewsService의 AIService 인스턴스가 같은 예산을 쓰도록 싱글톤으로 공유
+ */
+const CacheService = require('./cacheService');
+const logger = require('../utils/logger');
+const { PRICING, FREE_PROVIDERS, BUDGET } = require('../config/llm');
+
+// -------------------- Configuration --------------------
+
+const CONFIG = {
+  DAY_TTL_SEC: 40 * 24 * 3600,
+  MONTH_TTL_SEC: 400 * 24 * 3600,
+  PERSIST_DELAY_MS: 10_000,
+};
+
+const MODES = ['full', 'titles_only', 'cached_only', 'none'];
+
+const usageKey = (period, id) => `ai-usage:${period}:${id}`;
+
+// -------------------- Utilities --------------------
+
+const dayFormatter = new Intl.DateTimeFormat('en-CA', {
+  timeZone: BUDGET.TIMEZONE, year: 'numeric', month: '2-digit', day: '2-digit',
+});
+const today = () => dayFormatter.format(new Date());
+
+const emptyTotals = () => ({ calls: 0, cacheHits: 0, skipped: 0, promptTokens: 0, completionTokens: 0, costUsd: 0 });
+const emptyBucket = (id) => ({ id, totals: emptyTotals(), byCallSite: {}, bySection: {}, byModel: {}, updatedAt: null });
+
+function addTo(totals, delta) {
+  for (const [k, v] of Object.entries(delta)) totals[k] = (totals[k] || 0) + v;
+}
+
+function withRates(totals) {
+  const requests = totals.calls + totals.cacheHits;
+  return {
+    ...totals,
+    costUsd: Number(totals.costUsd.toFixed(6)),
+    cacheHitRate: requests ? Number((totals.cacheHits / requests).toFixed(3)) : 0,
+  };
+}
+
+/**
+ * 모델 단가로 비용(USD)을 추정합니다.
+ */
+function estimateCost({ provider, model, promptTokens, completionTokens }) {
+  if (FREE_PROVIDERS.includes(provider)) return 0;
+  const price = PRICING[model] || PRICING[String(model).replace(/-\d{4}-\d{2}-\d{2}$/, '')] || PRICING.UNKNOWN;
+  return (promptTokens * price.input + completionTokens * price.output) / 1_000_000;
+}
+
+// -------------------- Main Class --------------------
+
+class AIUsageTracker {
+  constructor(opts = {}) {
+    this.cache = opts.cache || null;
+    this.budget = { ...BUDGET, ...(opts.budget || {}) };
+    this.day = emptyBucket(today());
+    this.month = emptyBucket(this.day.id.slice(0, 7));
+    this.persistTimer = null;
+    this.lastMode = 'full';
+  }
+
+  _cache() {
+    if (!this.cache) this.cache = new CacheService();
+    return this.cache;
+  }
+
+  /**
+   * 오늘/이번 달 집계를 불러옵니다. 서버 시작 시 한 번 호출합니다.
+   */
+  async load() {
+    try {
+      const [day, month] = await Promise.all([
+        this._cache().get(usageKey('day', this.day.id)),
+        this._cache().get(usageKey('month', this.month.id)),
+      ]);
+      if (day) this.day = { ...emptyBucket(this.day.id), ...day };
+      if (month) this.month = { ...emptyBucket(this.month.id), ...month };
+      logger.info(`[AIUsage] Loaded usage: today $${this.day.totals.costUsd.toFixed(4)}, month $${this.month.totals.costUsd.toFixed(4)}`);
+    } catch (e) {
+      logger.warn('[AIUsage] Failed to load usage:', e.message);
+    }
+    return this;
+  }
+
+  _rollover() {
+    const day = today();
+    if (day === this.day.id) return;
+    // 날짜가 바뀌기 전 집계를 먼저 저장
+    this.flush().catch(e => logger.error('[AIUsage] Failed to persist usage:', e.message));
+    this.day = emptyBucket(day);
+    if (day.slice(0, 7) !== this.month.id) this.month = emptyBucket(day.slice(0, 7));
+  }
+
+  _add(entry, delta) {
+    this._rollover();
+    const now = new Date().toISOString();
+    for (const bucket of [this.day, this.month]) {
+      addTo(bucket.totals, delta);
+      addTo(bucket.byCallSite[entry.callSite || 'unknown'] ||= emptyTotals(), delta);
+      addTo(bucket.bySection[entry.section || 'none'] ||= emptyTotals(), delta);
+      if (entry.model) addTo(bucket.byModel[entry.model] ||= emptyTotals(), delta);
+      bucket.updatedAt = now;
+    }
+    this._schedulePersist();
+  }
+
+  /**
+   * 실제 LLM 호출 한 건을 기록합니다.
+   * @param {object} entry - { callSite, section, provider, model, usage: { prompt_tokens, completion_tokens } }
+   */
+  record(entry) {
+    const promptTokens = entry.usage?.prompt_tokens || 0;
+    const completionTokens = entry.usage?.completion_tokens || 0;
+    const costUsd = estimateCost({ provider: entry.provider, model: entry.model, promptTokens, completionTokens });
+    this._add(entry, { calls: 1, promptTokens, completionTokens, costUsd });
+  }
+
+  recordCacheHit(entry) {
+    this._add(entry, { cacheHits: 1 });
+  }
+
+  // 예산 강등으로 호출하지 않은 요청
+  recordSkipped(entry) {
+    this._add(entry, { skipped: 1 });
+  }
+
+  // -------------------- 예산 --------------------
+
+  _ratio() {
+    const ratios = [];
+    if (this.budget.DAILY_USD > 0) ratios.push(this.day.totals.costUsd / this.budget.DAILY_USD);
+    if (this.budget.MONTHLY_USD > 0) ratios.push(this.month.totals.costUsd / this.budget.MONTHLY_USD);
+    return ratios.length ? Math.max(...ratios) : 0;
+  }
+
+  /**
+   * 현재 예산 사용률에 따른 강등 단계
+   * @returns {'full'|'titles_only'|'cached_only'|'none'}
+   */
+  mode() {
+    this._rollover();
+    const ratio = this._ratio();
+    const level = this.budget.DEGRADE_AT.filter(threshold => ratio >= threshold).length;
+    const mode = MODES[Math.min(level, MODES.length - 1)];
+    if (mode !== this.lastMode) {
+      logger.warn(`[AIUsage] Budget mode changed: ${this.lastMode} -> ${mode} (${(ratio * 100).toFixed(1)}% of budget used)`);
+      this.lastMode = mode;
+    }
+    return mode;
+  }
+
+  /**
+   * 새 LLM 호출을 해도 되는지 확인합니다. (캐시 조회는 none 단계에서만 막음)
+   * @param {string} task - 'title' | 'translate' | 'summary' | 'brief'
+   */
+  allowsCall(task) {
+    const mode = this.mode();
+    return mode === 'full' || (mode === 'titles_only' && task === 'title');
+  }
+
+  // -------------------- 저장/조회 --------------------
+
+  _schedulePersist() {
+    if (this.persistTimer) return;
+    this.persistTimer = setTimeout(() => {
+      this.persistTimer = null;
+      this.flush().catch(e => logger.error('[AIUsage] Failed to persist usage:', e.message));
+    }, CONFIG.PERSIST_DELAY_MS);
+    this.persistTimer.unref?.();
+  }
+
+  async flush() {
+    await Promise.all([
+      this._cache().set(usageKey('day', this.day.id), this.day, CONFIG.DAY_TTL_SEC),
+      this._cache().set(usageKey('month', this.month.id), this.month, CONFIG.MONTH_TTL_SEC),
+    ]);
+  }
+
+  _format(bucket) {
+    const map = (group) => Object.fromEntries(
+      Object.entries(group).sort((a, b) => b[1].costUsd - a[1].costUsd || b[1].calls - a[1].calls).map(([k, v]) => [k, withRates(v)])
+    );
+    return {
+      id: bucket.id,
+      totals: withRates(bucket.totals),
+      byCallSite: map(bucket.byCallSite),
+      bySection: map(bucket.bySection),
+      byModel: map(bucket.byModel),
+      updatedAt: bucket.updatedAt,
+    };
+  }
+
+  /**
+   * 사용량 리포트
+   * @param {object} [opts] - { day: 'YYYY-MM-DD', month: 'YYYY-MM' } 지난 기간 조회
+   */
+  async report(opts = {}) {
+    this._rollover();
+    const load = async (period, id, current) => {
+      if (!id || id === current.id) return current;
+      return (await this._cache().get(usageKey(period, id))) || emptyBucket(id);
+    };
+    const [day, month] = await Promise.all([
+      load('day', opts.day, this.day),
+      load('month', opts.month, this.month),
+    ]);
+    return {
+      mode: this.mode(),
+      budget: {
+        dailyUsd: this.budget.DAILY_USD || null,
+        monthlyUsd: this.budget.MONTHLY_USD || null,
+        degradeAt: Object.fromEntries(MODES.slice(1).map((m, i) => [m, this.budget.DEGRADE_AT[i]])),
+        usedRatio: Number(this._ratio().toFixed(4)),
+        timezone: this.budget.TIMEZONE,
+      },
+      day: this._format(day),
+      month: this._format(month),
+    };
+  }
+
+  getStatus() {
+    return {
+      mode: this.mode(),
+      todayCostUsd: Number(this.day.totals.costUsd.toFixed(4)),
+      monthCostUsd: Number(this.month.totals.costUsd.toFixed(4)),
+    };
+  }
+}
+
+module.exports = new AIUsageTracker();
+module.exports.AIUsageTracker = AIUsageTracker;
+module.exports.MODES = MODES;
@@ -0,0 +1,243 @@
+/**
+ * Emark - ArticleArchive
+ *
+ * 캐시 TTL(10~30분)이 지나도 기사가 사라지지 않도록 JSON-lines 파일에 영구 보관합니다.
+ * - 경로: ARCHIVE_DIR/<section>/<YYYY-MM-DD>.jsonl (발행일 기준, ARCHIVE_TZ 시간대)
+ * - 같은 기사를 다시 기록하면 뒤에 한 줄이 추가되고, 읽을 때 마지막 기록이 우선합니다.
+ * - ids.jsonl 색인으로 ID만으로도 기사를 찾을 수 있습니다. (메모리에는 최근 ID_INDEX_DAYS일 발행분만 유지)
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+// -------------------- Configuration --------------------
+
+const CONFIG = {
+  DIR: process.env.ARCHIVE_DIR || path.join(__dirname, '..', 'data', 'archive'),
+  TIMEZONE: process.env.ARCHIVE_TZ || 'Asia/Seoul',
+  // AI 결과까지 포함해 바뀐 부분이 있을 때만 새 줄을 기록
+  FINGERPRINT_FIELDS: ['title', 'titleKo', 'description', 'descriptionKo', 'translations', 'summaryPoints', 'rating', 'cluster'],
+  MAX_FINGERPRINTS: 20000,  // 변경 확인용 해시 수 (오래 기록되지 않은 기사부터 버림, 버려진 기사는 다음에 한 번 더 기록됨)
+  ID_INDEX_DAYS: Number(process.env.ARCHIVE_ID_INDEX_DAYS || 90), // ID 조회 색인에 남기는 발행일 범위
+};
+
+const DATE_RX = /^\d{4}-\d{2}-\d{2}$/;
+const SECTION_RX = /^[a-z]+$/;
+
+// -------------------- Utilities --------------------
+
+const dateFormatter = new Intl.DateTimeFormat('en-CA', {
+  timeZone: CONFIG.TIMEZONE, year: 'numeric', month: '2-digit', day: '2-digit',
+});
+
+function archiveDate(value) {
+  const date = new Date(value || Date.now());
+  return dateFormatter.format(Number.isNaN(date.getTime()) ? new Date() : date);
+}
+
+// ID 조회 색인에 남길 가장 오래된 발행일 (YYYY-MM-DD)
+const indexCutoff = () => archiveDate(Date.now() - CONFIG.ID_INDEX_DAYS * 24 * 60 * 60 * 1000);
+
+function fingerprint(article) {
+  const picked = CONFIG.FINGERPRINT_FIELDS.map(f => article[f] ?? null);
+  return crypto.createHash('sha1').update(JSON.stringify(picked)).digest('hex');
+}
+
+async function readLines(file) {
+  try {
+    const raw = await fs.promises.readFile(file, 'utf8');
+    return raw.split('\n').filter(Boolean).map(line => {
+      try { return JSON.parse(line); } catch { return null; }
+    }).filter(Boolean);
+  } catch (e) {
+    if (e.code === 'ENOENT') return [];
+    throw e;
+  }
+}
+
+// -------------------- Main Class --------------------
+
+class ArticleArchive {
+  constructor(opts = {}) {
+    this.dir = opts.dir || CONFIG.DIR;
+    this.fingerprints = new Map(); // `${section}:${id}` -> 마지막으로 기록한 내용의 해시 (최근 기록순, MAX_FINGERPRINTS개)
+    this.idIndex = null;           // id -> { section, date } (지연 로드)
+    this.indexLoading = null;      // 진행 중인 색인 로드 (동시에 부른 쪽이 빈 색인을 보지 않게 공유)
+    this.indexCutoff = null;       // 색인을 마지막으로 정리한 기준 날짜
+    this.writeChain = Promise.resolve();
+  }
+
+  static isValidDate(date) {
+    return DATE_RX.test(date || '') && !Number.isNaN(new Date(`${date}T00:00:00Z`).getTime());
+  }
+
+  _file(section, date) {
+    return path.join(this.dir, section, `${date}.jsonl`);
+  }
+
+  async _loadIndex() {
+    if (this.idIndex) {
+      this._pruneIndex();
+      return this.idIndex;
+    }
+    if (!this.indexLoading) {
+      this.indexLoading = (async () => {
+        const cutoff = indexCutoff();
+        const index = new Map();
+        for (const entry of await readLines(path.join(this.dir, 'ids.jsonl'))) {
+          if (entry.date >= cutoff) index.set(entry.id, { section: entry.section, date: entry.date });
+          else index.delete(entry.id); // 같은 ID의 마지막 위치가 기준 날짜 이전이면 제외
+        }
+        this.idIndex = index;
+        this.indexCutoff = cutoff;
+        return index;
+      })().finally(() => { this.indexLoading = null; });
+    }
+    return this.indexLoading;
+  }
+
+  // 날짜가 바뀌면 ID_INDEX_DAYS일보다 오래된 발행분을 메모리 색인에서 뺌 (ids.jsonl은 그대로)
+  _pruneIndex() {
+    const cutoff = indexCutoff();
+    if (cutoff === this.indexCutoff) return;
+    for (const [id, location] of this.idIndex) {
+      if (location.date < cutoff) this.idIndex.delete(id);
+    }
+    this.indexCutoff = cutoff;
+  }
+
+  _rememberFingerprint(key, fp) {
+    this.fingerprints.delete(key);
+    this.fingerprints.set(key, fp);
+    if (this.fingerprints.size > CONFIG.MAX_FINGERPRINTS) {
+      this.fingerprints.delete(this.fingerprints.keys().next().value);
+    }
+  }
+
+  // 여러 파이프라인이 동시에 기록해도 줄이 섞이지 않도록 쓰기를 직렬화
+  // 반환한 Promise는 fn의 결과/오류를 그대로 전달하고(오류 기록은 호출한 쪽에서), 실패해도 다음 쓰기는 이어서 실행됨
+  _enqueue(fn) {
+    const run = this.writeChain.then(fn);
+    this.writeChain = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * 랭킹/AI 처리된 기사를 아카이브에 기록합니다. 내용이 바뀌지 않은 기사는 건너뜁니다.
+   * 변경 확인 해시와 ID 색인은 파일에 쓴 뒤에 갱신하므로, 쓰기에 실패한 기사는 다음 호출에서 다시 기록됩니다.
+   * @param {Array<object>} articles - 기사 배열
+   * @param {string} section - 기사 섹션
+   * @returns {Promise<number>} 새로 기록된 기사 수 (쓰기에 실패하면 reject)
+   */
+  async record(articles, section) {
+    if (!Array.isArray(articles) || !SECTION_RX.test(section || '')) return 0;
+
+    // 비교와 쓰기를 같은 순서 안에서 해야 겹친 호출이 같은 기사를 두 번 쓰지 않음
+    return this._enqueue(async () => {
+      const byFile = new Map();
+      const indexLines = [];
+      const written = [];
+      const index = await this._loadIndex();
+      const archivedAt = new Date().toISOString();
+      const cutoff = indexCutoff();
+
+      for (const article of articles) {
+        if (!article || !article.id) continue;
+        const fp = fingerprint(article);
+        const fpKey = `${section}:${article.id}`;
+        if (this.fingerprints.get(fpKey) === fp) continue;
+
+        const date = archiveDate(article.publishedAt);
+        const file = this._file(section, date);
+        if (!byFile.has(file)) byFile.set(file, []);
+        byFile.get(file).push(JSON.stringify({ id: article.id, section, archivedAt, article }));
+        written.push({ id: article.id, fpKey, fp, date });
+
+        const known = index.get(article.id);
+        if (!known || known.section !== section || known.date !== date) {
+          indexLines.push(JSON.stringify({ id: article.id, section, date }));
+        }
+      }
+
+      if (written.length === 0) return 0;
+
+      for (const [file, lines] of byFile) {
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        await fs.promises.appendFile(file, lines.join('\n') + '\n', 'utf8');
+      }
+      if (indexLines.length) {
+        await fs.promises.mkdir(this.dir, { recursive: true });
+        await fs.promises.appendFile(path.join(this.dir, 'ids.jsonl'), indexLines.join('\n') + '\n', 'utf8');
+      }
+
+      for (const { id, fpKey, fp, date } of written) {
+        this._rememberFingerprint(fpKey, fp);
+        if (date >= cutoff) index.set(id, { section, date });
+        else index.delete(id);
+      }
+      logger.info(`[Archive] Recorded ${written.length} articles for section: ${section}`);
+      return written.length;
+    });
+  }
+
+  /**
+   * 특정 섹션·날짜에 발행된 기사 목록을 반환합니다. (rating 내림차순)
+   * @param {string} section - 기사 섹션
+   * @param {string} date - YYYY-MM-DD
+   * @returns {Promise<Array<object>>} 기사 배열
+   */
+  async getByDate(section, date) {
+    if (!SECTION_RX.test(section || '') || !ArticleArchive.isValidDate(date)) return [];
+    const latest = new Map();
+    for (const entry of await readLines(this._file(section, date))) {
+      latest.set(entry.id, { ...entry.article, archivedAt: entry.archivedAt });
+    }
+    return [...latest.values()].sort((a, b) =>
+      (parseFloat(b.rating) || 0) - (parseFloat(a.rating) || 0) ||
+      new Date(b.publishedAt).getTime() - new Date(a.publishedAt).getTime()
+    );
+  }
+
+  /**
+   * ID로 보관된 기사를 찾습니다. 발행일이 ID_INDEX_DAYS일보다 오래된 기사는 날짜별 조회로만 찾을 수 있습니다.
+   * @param {string} id - 기사 ID
+   * @returns {Promise<object|null>} 기사 객체 (section, archivedAt 포함) 또는 null
+   */
+  async getById(id) {
+    const location = (await this._loadIndex()).get(id);
+    if (!location) return null;
+    let found = null;
+    for (const entry of await readLines(this._file(location.section, location.date))) {
+      if (entry.id === id) found = { ...entry.article, section: location.section, archivedAt: entry.archivedAt };
+    }
+    return found;
+  }
+
+  /**
+   * 섹션별로 보관된 날짜 목록을 반환합니다. (최신순)
+   */
+  async listDates(section) {
+    if (!SECTION_RX.test(section || '')) return [];
+    try {
+      const files = await fs.promises.readdir(path.join(this.dir, section));
+      return files.filter(f => f.endsWith('.jsonl')).map(f => f.replace(/\.jsonl$/, '')).sort().reverse();
+    } catch (e) {
+      if (e.code === 'ENOENT') return [];
+      throw e;
+    }
+  }
+
+  getStatus() {
+    return {
+      dir: this.dir,
+      indexedArticles: this.idIndex ? this.idIndex.size : null,
+      idIndexDays: CONFIG.ID_INDEX_DAYS,
+      fingerprints: this.fingerprints.size,
+      timezone: CONFIG.TIMEZONE,
+    };
+  }
+}
+
+module.exports = ArticleArchive;
+module.exports.archiveDate = archiveDate;
@@ -0,0 +1,110 @@
+/**
+ * Emark - AuditLog
+ *
+ * 관리자 변경 작업(캐시 삭제, 평점 갱신, 소스 수정 등)을 JSON-lines 파일에 기록하고 조회합니다.
+ * - 경로: AUDIT_LOG_DIR/audit-<YYYY-MM>.jsonl (월별 파일)
+ * - 조회는 최신순, action/actor/기간/결과로 필터링
+ */
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+// -------------------- Configuration --------------------
+
+const CONFIG = {
+  DIR: process.env.AUDIT_LOG_DIR || path.join(__dirname, '..', 'data', 'audit'),
+  MAX_QUERY_LIMIT: 500,
+  // 조회 시 거슬러 올라갈 최대 월 수
+  MAX_MONTHS: 12,
+};
+
+// -------------------- Utilities --------------------
+
+const monthOf = (date) => date.toISOString().slice(0, 7);
+
+function previousMonth(month) {
+  const [y, m] = month.split('-').map(Number);
+  return m === 1 ? `${y - 1}-12` : `${y}-${String(m - 1).padStart(2, '0')}`;
+}
+
+// -------------------- Main Class --------------------
+
+class AuditLog {
+  constructor(opts = {}) {
+    this.dir = opts.dir || CONFIG.DIR;
+    this.writeChain = Promise.resolve();
+  }
+
+  _file(month) {
+    return path.join(this.dir, `audit-${month}.jsonl`);
+  }
+
+  /**
+   * 감사 기록 한 건을 추가합니다. 기록 실패는 요청 처리를 막지 않습니다.
+   * @param {object} entry - { actor, role, action, method, path, target, status, ip, details }
+   * @returns {Promise<object>} 저장된 항목 (at 포함)
+   */
+  record(entry) {
+    const now = new Date();
+    const item = { at: now.toISOString(), ...entry };
+    const file = this._file(monthOf(now));
+
+    this.writeChain = this.writeChain
+      .then(async () => {
+        await fs.promises.mkdir(this.dir, { recursive: true });
+        await fs.promises.appendFile(file, JSON.stringify(item) + '\n', 'utf8');
+      })
+      .catch(e => logger.error('[Audit] Write failed:', e.message));
+    logger.info(`[Audit] ${item.actor || 'unknown'} (${item.role || '-'}) ${item.action} -> ${item.status}`);
+    return this.writeChain.then(() => item);
+  }
+
+  /**
+   * 감사 기록을 최신순으로 조회합니다.
+   * @param {object} [filters] - { action, actor, since: Date, until: Date, outcome: 'success'|'failure', limit }
+   * @returns {Promise<Array<object>>} 감사 기록 배열
+   */
+  async query(filters = {}) {
+    await this.writeChain;
+    const limit = Math.min(Math.max(parseInt(filters.limit) || 100, 1), CONFIG.MAX_QUERY_LIMIT);
+    const until = filters.until || new Date();
+    const sinceMonth = filters.since ? monthOf(filters.since) : null;
+
+    const results = [];
+    let month = monthOf(until);
+    for (let i = 0; i < CONFIG.MAX_MONTHS && results.length < limit; i++) {
+      if (sinceMonth && month < sinceMonth) break;
+      const entries = await this._readMonth(month);
+      for (let j = entries.length - 1; j >= 0 && results.length < limit; j--) {
+        if (this._matches(entries[j], filters, until)) results.push(entries[j]);
+      }
+      month = previousMonth(month);
+    }
+    return results;
+  }
+
+  _matches(entry, filters, until) {
+    const at = new Date(entry.at);
+    if (at > until) return false;
+    if (filters.since && at < filters.since) return false;
+    if (filters.action && entry.action !== filters.action) return false;
+    if (filters.actor && entry.actor !== filters.actor) return false;
+    if (filters.outcome === 'success' && !(entry.status < 400)) return false;
+    if (filters.outcome === 'failure' && entry.status < 400) return false;
+    return true;
+  }
+
+  async _readMonth(month) {
+    try {
+      const raw = await fs.promises.readFile(this._file(month), 'utf8');
+      return raw.split('\n').filter(Boolean).map(line => {
+        try { return JSON.parse(line); } catch { return null; }
+      }).filter(Boolean);
+    } catch (e) {
+      if (e.code === 'ENOENT') return [];
+      throw e;
+    }
+  }
+}
+
+module.exports = AuditLog;
@@ -0,0 +1,243 @@
+/**
+ * Emark - BriefingService
+ *
+ * 섹션 캐시의 상위 기사(스토리 클러스터 대표)로 "오늘의 세계/테크/…" 브리핑을 만들어 날짜별로 보관합니다.
+ * - CacheScheduler가 매시간 실행하며, 같은 날 같은 시각의 브리핑은 덮어씀 (하루 최대 24개 판)
+ * - 상위 기사 구성이 직전 판과 같으면 모델을 호출하지 않고 건너뜀
+ * - 경로: BRIEFING_DIR/<section>/<YYYY-MM-DD>.json (날짜/시각은 아카이브와 같은 ARCHIVE_TZ 기준)
+ * - 항목마다 근거 기사 ID(articleIds)를 달고, 참조한 기사의 제목/링크를 articles에 함께 저장
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const groundednessChecker = require('./groundednessChecker');
+const ArticleArchive = require('./articleArchive');
+
+// -------------------- Configuration --------------------
+
+const CONFIG = {
+  DIR: process.env.BRIEFING_DIR || path.join(__dirname, '..', 'data', 'briefings'),
+  TIMEZONE: process.env.ARCHIVE_TZ || 'Asia/Seoul',
+  SECTIONS: String(process.env.BRIEFING_SECTIONS || 'world,tech,business,kr,japan').split(',').map(s => s.trim()).filter(Boolean),
+  TOP_N: Number(process.env.BRIEFING_TOP_N || 20),
+  POINTS_PER_ARTICLE: 2,
+};
+
+// 프롬프트와 통합판에 쓰는 섹션 이름 (index.html 탭 이름과 같게)
+const SECTION_NAMES = { world: '세계', kr: '한국', japan: '일본', buzz: 'Buzz', tech: '테크', business: '비즈니스' };
+
+const HOUR_RX = /^([01]\d|2[0-3])$/;
+
+// -------------------- Utilities --------------------
+
+const clockFormatter = new Intl.DateTimeFormat('en-CA', {
+  timeZone: CONFIG.TIMEZONE, year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', hourCycle: 'h23',
+});
+
+// 브리핑 판의 날짜와 시각 ('2026-10-19', '08')
+function editionClock(now = new Date()) {
+  const parts = Object.fromEntries(clockFormatter.formatToParts(now).map(p => [p.type, p.value]));
+  return { date: `${parts.year}-${parts.month}-${parts.day}`, hour: parts.hour };
+}
+
+// 상위 기사 구성 지문 (순서/제목/요약이 같으면 같은 브리핑이 나옴)
+const inputKey = (items) => crypto.createHash('sha1').update(JSON.stringify(items)).digest('hex').slice(0, 16);
+
+// -------------------- Main Class --------------------
+
+class BriefingService {
+  /**
+   * @param {object} opts - { newsService: 섹션 캐시와 AIService를 가진 NewsService, dir, sections }
+   */
+  constructor(opts = {}) {
+    this.newsService = opts.newsService;
+    this.dir = opts.dir || CONFIG.DIR;
+    this.sections = opts.sections || CONFIG.SECTIONS;
+    this.running = null; // 진행 중인 generateAll() (정기 실행과 수동 실행이 겹치지 않게)
+    this.lastRun = null;
+  }
+
+  static isValidHour(hour) {
+    return HOUR_RX.test(hour || '');
+  }
+
+  _file(section, date) {
+    return path.join(this.dir, section, `${date}.json`);
+  }
+
+  async _read(section, date) {
+    try {
+      return JSON.parse(await fs.promises.readFile(this._file(section, date), 'utf8'));
+    } catch (e) {
+      if (e.code !== 'ENOENT') logger.warn(`[Briefing] Failed to read ${section} ${date}:`, e.message);
+      return null;
+    }
+  }
+
+  // 임시 파일에 쓰고 이름을 바꿔 읽는 쪽이 반쯤 쓴 파일을 보지 않게 함
+  async _write(section, date, doc) {
+    const file = this._file(section, date);
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmp, JSON.stringify(doc, null, 2), 'utf8');
+    await fs.promises.rename(tmp, file);
+  }
+
+  /**
+   * 섹션 하나의 현재 시각 브리핑을 만들어 저장합니다.
+   * @param {string} section - 기사 섹션
+   * @param {object} [opts] - { force: 상위 기사가 직전 판과 같아도 다시 생성 }
+   * @returns {Promise<object>} { success, status: 'generated'|'unchanged'|'empty', edition } 또는 { success: false, error, degraded }
+   */
+  async generate(section, { force = false } = {}) {
+    const { date, hour } = editionClock();
+    const articles = await this.newsService.getCachedTopArticles(section, CONFIG.TOP_N);
+    if (articles.length === 0) return { success: true, status: 'empty', edition: null };
+
+    const items = articles.map((article, i) => ({
+      ref: i + 1,
+      title: article.titleKo || article.title,
+      source: article.source,
+      points: (article.summaryPoints || []).slice(0, CONFIG.POINTS_PER_ARTICLE),
+      moreSources: article.cluster?.moreSources || 0,
+    }));
+    const key = inputKey(items);
+    const doc = await this._read(section, date) || { section, date, editions: [] };
+    const latest = doc.editions[doc.editions.length - 1];
+    if (!force && latest?.inputKey === key) return { success: true, status: 'unchanged', edition: latest };
+
+    const result = await this.newsService.aiService.generateBriefing(items, {
+      section, sectionName: SECTION_NAMES[section] || section, date, callSite: 'briefing.scheduled',
+    });
+    if (!result.success) return result;
+
+    const { briefing, prompt, grounding } = result.data;
+    const referenced = new Set(briefing.bullets.flatMap(b => b.refs));
+    const edition = {
+      section,
+      date,
+      hour,
+      generatedAt: new Date().toISOString(),
+      prompt,
+      inputKey: key,
+      headline: briefing.headline,
+      bullets: briefing.bullets.map(b => ({ text: b.text, articleIds: b.refs.map(ref => articles[ref - 1].id) })),
+      outlook: briefing.outlook,
+      articles: articles.filter((_, i) => referenced.has(i + 1)).map(article => ({
+        id: article.id,
+        title: article.titleKo || article.title,
+        source: article.source,
+        link: article.link || article.url,
+        publishedAt: article.publishedAt,
+        rating: article.rating,
+        moreSources: article.cluster?.moreSources || 0,
+      })),
+      grounding: groundednessChecker.combine(null, { briefing: grounding }),
+    };
+    doc.editions = [...doc.editions.filter(e => e.hour !== hour), edition].sort((a, b) => a.hour.localeCompare(b.hour));
+    await this._write(section, date, doc);
+    logger.info(`[Briefing] ${section} ${date} ${hour}:00 edition generated (${edition.bullets.length} bullets from ${articles.length} articles)`);
+    return { success: true, status: 'generated', edition };
+  }
+
+  /**
+   * 모든 브리핑 섹션을 차례로 생성합니다. 이미 실행 중이면 그 결과를 기다립니다.
+   * @param {object} [opts] - generate() 옵션
+   * @returns {Promise<object>} { date, hour, generated, unchanged, empty, failed: [{ section, error }] }
+   */
+  async generateAll(opts = {}) {
+    if (this.running) return this.running;
+    this.running = (async () => {
+      const summary = { ...editionClock(), generated: [], unchanged: [], empty: [], failed: [] };
+      for (const section of this.sections) {
+        try {
+          const result = await this.generate(section, opts);
+          if (result.success) summary[result.status].push(section);
+          else summary.failed.push({ section, error: result.error });
+        } catch (e) {
+          logger.error(`[Briefing] ${section} failed:`, e);
+          summary.failed.push({ section, error: e.message });
+        }
+      }
+      this.lastRun = { ...summary, finishedAt: new Date().toISOString() };
+      return summary;
+    })().finally(() => { this.running = null; });
+    return this.running;
+  }
+
+  /**
+   * 저장된 브리핑 한 판을 조회합니다.
+   * @param {string} section - 기사 섹션
+   * @param {object} [opts] - { date: YYYY-MM-DD (기본 오늘), hour: 'HH' (기본 그 날의 마지막 판, 지정하면 그 시각 이전의 마지막 판) }
+   * @returns {Promise<object>} { success, data: edition, section, date, hours, availableDates } 또는 { success: false, error, notFound }
+   */
+  async get(section, { date, hour } = {}) {
+    const sec = section === 'korea' ? 'kr' : section;
+    const day = date || editionClock().date;
+    if (!ArticleArchive.isValidDate(day)) return { success: false, error: 'Invalid date. Use YYYY-MM-DD format.' };
+    if (hour !== undefined && !BriefingService.isValidHour(hour)) return { success: false, error: 'Invalid hour. Use 00-23.' };
+
+    const doc = await this._read(sec, day);
+    const editions = doc?.editions || [];
+    const edition = [...editions].reverse().find(e => hour === undefined || e.hour <= hour) || null;
+    if (!edition) return { success: false, notFound: true, error: 'Briefing not found', availableDates: (await this.listDates(sec)).slice(0, 30) };
+    return {
+      success: true,
+      section: sec,
+      date: day,
+      data: { ...edition, name: SECTION_NAMES[sec] || sec },
+      hours: editions.map(e => e.hour),
+      availableDates: (await this.listDates(sec)).slice(0, 30),
+    };
+  }
+
+  /**
+   * 모든 브리핑 섹션을 한 번에 모은 통합판
+   * @param {object} [opts] - { date, hour } (get()과 같음)
+   * @returns {Promise<object>} { success, date, hour, sections: [edition], missing: [section] }
+   */
+  async getCombined({ date, hour } = {}) {
+    const day = date || editionClock().date;
+    if (!ArticleArchive.isValidDate(day)) return { success: false, error: 'Invalid date. Use YYYY-MM-DD format.' };
+    if (hour !== undefined && !BriefingService.isValidHour(hour)) return { success: false, error: 'Invalid hour. Use 00-23.' };
+
+    const sections = [];
+    const missing = [];
+    for (const section of this.sections) {
+      const result = await this.get(section, { date: day, hour });
+      if (result.success) sections.push(result.data);
+      else missing.push(section);
+    }
+    return { success: true, date: day, hour: hour ?? null, sections, missing };
+  }
+
+  /**
+   * 섹션별로 브리핑이 있는 날짜 목록 (최신순)
+   */
+  async listDates(section) {
+    if (!this.sections.includes(section)) return [];
+    try {
+      const files = await fs.promises.readdir(path.join(this.dir, section));
+      return files.filter(f => f.endsWith('.json')).map(f => f.replace(/\.json$/, '')).sort().reverse();
+    } catch (e) {
+      if (e.code === 'ENOENT') return [];
+      throw e;
+    }
+  }
+
+  getStatus() {
+    return {
+      dir: this.dir,
+      sections: this.sections,
+      topN: CONFIG.TOP_N,
+      timezone: CONFIG.TIMEZONE,
+      running: Boolean(this.running),
+      lastRun: this.lastRun,
+    };
+  }
+}
+
+module.exports = BriefingService;
+module.exports.editionClock = editionClock;
+module.exports.SECTION_NAMES = SECTION_NAMES;
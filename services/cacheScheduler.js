@@ -2,11 +2,20 @@
 const cron = require('node-cron');
 const NewsServiceCronOnly = require('./newsService_cron_only');
 
+// 섹션 브리핑 생성 주기 (기본: 매시 10분, korea/japan 정각 갱신 이후)
+const BRIEFING_CRON = process.env.BRIEFING_CRON || '10 * * * *';
+
 class CacheScheduler {
-  constructor(newsService, io = null) {
+  /**
+   * @param {object} newsService - NewsService
+   * @param {object} [io] - Socket.io 서버
+   * @param {object} [opts] - { briefings: BriefingService (없으면 브리핑 작업을 만들지 않음) }
+   */
+  constructor(newsService, io = null, opts = {}) {
     this.newsService = newsService;
     this.cronService = new NewsServiceCronOnly(newsService); // 크론 전용 서비스
     this.io = io; // WebSocket for real-time updates
+    this.briefings = opts.briefings || null;
     this.isRunning = false;
     this.logger = newsService.logger;
   }
@@ -171,6 +180,32 @@ class CacheScheduler {
         this.dailyClearJob.start();  // 명시적 시작
         console.log('✅ Daily clear job started');
 
+        // 매시간 섹션별 브리핑 생성 (상위 기사가 바뀐 섹션만 새 판을 만듦)
+        if (this.briefings) {
+            this.briefingJob = cron.schedule(BRIEFING_CRON, async () => {
+                try {
+                    console.log('📰 Generating section briefings...');
+                    const summary = await this.briefings.generateAll();
+                    console.log(`✅ Briefings: ${summary.generated.length} generated, ${summary.unchanged.length} unchanged, ${summary.failed.length} failed`);
+
+                    if (this.io && summary.generated.length) {
+                        this.io.emit('briefing-updated', {
+                            sections: summary.generated,
+                            date: summary.date,
+                            hour: summary.hour,
+                            timestamp: new Date().toISOString()
+                        });
+                    }
+                } catch (error) {
+                    console.error('❌ Failed to generate briefings:', error.message);
+                }
+            }, {
+                scheduled: false  // 자동 시작 비활성화
+            });
+            this.briefingJob.start();  // 명시적 시작
+            console.log('✅ Briefing job started');
+        }
+
         console.log('✅ Cache scheduler started successfully');
         console.log('📅 Schedule:');
         console.log('  - World: Every 3 minutes');
@@ -179,6 +214,7 @@ class CacheScheduler {
         console.log('  - Buzz: Every 15 minutes');
         console.log('  - Korea/Japan: Every hour');
         console.log('  - Full clear: Daily at midnight');
+        if (this.briefingJob) console.log(`  - Section briefings: ${BRIEFING_CRON}`);
     }
 
     stop() {
@@ -195,6 +231,7 @@ class CacheScheduler {
         if (this.buzzRefreshJob) this.buzzRefreshJob.stop();
         if (this.asiaRefreshJob) this.asiaRefreshJob.stop();
         if (this.dailyClearJob) this.dailyClearJob.stop();
+        if (this.briefingJob) this.briefingJob.stop();
 
         this.isRunning = false;
         console.log('✅ Cache scheduler stopped');
@@ -209,8 +246,10 @@ class CacheScheduler {
                 business: this.businessRefreshJob ? this.businessRefreshJob.getStatus() : 'not created',
                 buzz: this.buzzRefreshJob ? this.buzzRefreshJob.getStatus() : 'not created',
                 asia: this.asiaRefreshJob ? this.asiaRefreshJob.getStatus() : 'not created',
-                dailyClear: this.dailyClearJob ? this.dailyClearJob.getStatus() : 'not created'
-            }
+                dailyClear: this.dailyClearJob ? this.dailyClearJob.getStatus() : 'not created',
+                briefing: this.briefingJob ? this.briefingJob.getStatus() : 'not created'
+            },
+            briefings: this.briefings ? this.briefings.getStatus() : null
         };
     }
 }
@@ -67,20 +67,23 @@ class CacheService {
     }
   }
 
+  // ttl이 0이면 만료 없이 저장 (소스 레지스트리 등 영구 설정용)
   async set(key, value, ttl = 600) {
     try {
       if (!this.useMemory && this.redis) {
-        await this.redis.set(key, JSON.stringify(value), 'EX', ttl);
+        if (ttl > 0) await this.redis.set(key, JSON.stringify(value), 'EX', ttl);
+        else await this.redis.set(key, JSON.stringify(value));
       } else {
         this.memoryCache.set(key, {
           value,
-          expiry: Date.now() + (ttl * 1000)
+          expiry: ttl > 0 ? Date.now() + (ttl * 1000) : null
         });
         
-        // Limit memory cache size
+        // Limit memory cache size (만료 없는 항목은 제외)
         if (this.memoryCache.size > 1000) {
-          const firstKey = this.memoryCache.keys().next().value;
-          this.memoryCache.delete(firstKey);
+          for (const [candidate, item] of this.memoryCache) {
+            if (item.expiry) { this.memoryCache.delete(candidate); break; }
+          }
         }
       }
       return true;
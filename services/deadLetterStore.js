@@ -0,0 +1,242 @@
+/**
+ * Emark - DeadLetterStore
+ *
+ * 실패한 AI 보강 작업(제목 번역, 요약, 상세 브리핑, 설명 번역)을 보관하고 재시도 일정을 관리합니다.
+ * - 경로: DEAD_LETTER_FILE (기본 data/dead-letters.json), 변경 시마다 임시 파일에 쓴 뒤 교체
+ * - 같은 기사/섹션/작업(번역은 대상 언어까지)은 한 항목으로 합쳐지고 실패할 때마다 attempts 증가
+ * - 재시도 간격은 지수 백오프, MAX_ATTEMPTS를 넘으면 exhausted 상태로 남아 수동 재시도/삭제 대상
+ * - 실제 재시도는 NewsService.redriveDeadLetters()가 수행 (결과를 기사 캐시에 반영해야 하므로)
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { DEFAULT_LANG } = require('../config/languages');
+
+// -------------------- Configuration --------------------
+
+const CONFIG = {
+  FILE: process.env.DEAD_LETTER_FILE || path.join(__dirname, '..', 'data', 'dead-letters.json'),
+  MAX_ATTEMPTS: Number(process.env.DEAD_LETTER_MAX_ATTEMPTS || 6),
+  BACKOFF_BASE_MS: 60_000,
+  BACKOFF_MAX_MS: 6 * 3600_000,
+  MAX_ENTRIES: 2000,
+  MAX_QUERY_LIMIT: 500,
+};
+
+const TASKS = ['title', 'summary', 'brief', 'translate'];
+const STATUSES = ['pending', 'exhausted'];
+
+// -------------------- Utilities --------------------
+
+// 기본 언어 외의 번역은 언어별로 따로 보관 (기본 언어 항목의 ID는 언어 추가 전과 같음)
+const entryId = (task, section, articleId, lang) =>
+  crypto.createHash('sha1')
+    .update(`${task}|${section}|${articleId}${lang && lang !== DEFAULT_LANG ? `|${lang}` : ''}`)
+    .digest('hex')
+    .slice(0, 16);
+
+function backoffMs(attempts) {
+  const base = CONFIG.BACKOFF_BASE_MS * Math.pow(2, Math.max(0, attempts - 1));
+  // 같은 시각에 몰리지 않도록 ±10% 지터
+  return Math.min(CONFIG.BACKOFF_MAX_MS, Math.round(base * (0.9 + Math.random() * 0.2)));
+}
+
+const errorMessage = (error) => String(error?.message || error || 'unknown error').slice(0, 500);
+
+// -------------------- Main Class --------------------
+
+class DeadLetterStore {
+  constructor(opts = {}) {
+    this.file = opts.file || CONFIG.FILE;
+    this.entries = new Map(); // id -> entry
+    this.loaded = false;
+    this.writeChain = Promise.resolve();
+  }
+
+  /**
+   * 저장된 항목을 불러옵니다. 서버 시작 시 한 번 호출합니다.
+   */
+  async load() {
+    try {
+      const raw = await fs.promises.readFile(this.file, 'utf8');
+      const items = JSON.parse(raw);
+      this.entries = new Map((Array.isArray(items) ? items : []).map(e => [e.id, e]));
+      logger.info(`[DeadLetter] Loaded ${this.entries.size} entries`);
+    } catch (e) {
+      if (e.code !== 'ENOENT') logger.warn('[DeadLetter] Failed to load store, starting empty:', e.message);
+    }
+    this.loaded = true;
+    return this;
+  }
+
+  _persist() {
+    const snapshot = JSON.stringify([...this.entries.values()]);
+    this.writeChain = this.writeChain
+      .then(async () => {
+        await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+        const tmp = `${this.file}.tmp`;
+        await fs.promises.writeFile(tmp, snapshot, 'utf8');
+        await fs.promises.rename(tmp, this.file);
+      })
+      .catch(e => logger.error('[DeadLetter] Write failed:', e.message));
+    return this.writeChain;
+  }
+
+  /**
+   * 실패한 작업을 추가합니다. 이미 있으면 시도 횟수를 늘리고 다음 재시도를 미룹니다.
+   * @param {object} item - { articleId, section, task, input: { text, targetLang }, callSite, error }
+   * @returns {Promise<object>} 저장된 항목
+   */
+  async add({ articleId, section, task, input, callSite, error }) {
+    if (!TASKS.includes(task)) throw new Error(`Invalid dead-letter task: ${task}`);
+    const id = entryId(task, section, articleId, input?.targetLang);
+    const existing = this.entries.get(id);
+    const now = new Date();
+    const entry = {
+      attempts: 0,
+      firstFailedAt: now.toISOString(),
+      ...existing,
+      id,
+      articleId,
+      section,
+      task,
+      input,
+      callSite,
+    };
+    this.entries.set(id, this._fail(entry, error, now));
+
+    if (this.entries.size > CONFIG.MAX_ENTRIES) {
+      // 가장 오래전에 실패한 항목부터 정리
+      const oldest = [...this.entries.values()].sort((a, b) => a.lastFailedAt.localeCompare(b.lastFailedAt))[0];
+      this.entries.delete(oldest.id);
+    }
+    await this._persist();
+    return this.entries.get(id);
+  }
+
+  _fail(entry, error, now = new Date()) {
+    const attempts = entry.attempts + 1;
+    const exhausted = attempts >= CONFIG.MAX_ATTEMPTS;
+    return {
+      ...entry,
+      attempts,
+      error: errorMessage(error),
+      lastFailedAt: now.toISOString(),
+      status: exhausted ? 'exhausted' : 'pending',
+      nextAttemptAt: exhausted ? null : new Date(now.getTime() + backoffMs(attempts)).toISOString(),
+    };
+  }
+
+  /**
+   * 재시도가 또 실패했을 때 호출합니다.
+   */
+  async markFailed(id, error) {
+    const entry = this.entries.get(id);
+    if (!entry) return null;
+    const updated = this._fail(entry, error);
+    this.entries.set(id, updated);
+    await this._persist();
+    if (updated.status === 'exhausted') {
+      logger.warn(`[DeadLetter] ${entry.task} for ${entry.section}/${entry.articleId} exhausted after ${updated.attempts} attempts`);
+    }
+    return updated;
+  }
+
+  /**
+   * 재시도에 성공한 항목을 제거합니다.
+   */
+  async resolve(id) {
+    if (!this.entries.delete(id)) return false;
+    await this._persist();
+    return true;
+  }
+
+  /**
+   * 정규 보강 주기에서 같은 작업이 성공했을 때 남아 있는 항목을 제거합니다.
+   */
+  async clear(task, section, articleId, lang) {
+    const id = entryId(task, section, articleId, lang);
+    return this.entries.has(id) ? this.resolve(id) : false;
+  }
+
+  /**
+   * 재시도할 때가 된 항목 (오래 기다린 순)
+   */
+  due(limit = 20, now = Date.now()) {
+    return [...this.entries.values()]
+      .filter(e => e.status === 'pending' && new Date(e.nextAttemptAt).getTime() <= now)
+      .sort((a, b) => a.nextAttemptAt.localeCompare(b.nextAttemptAt))
+      .slice(0, limit);
+  }
+
+  get(id) {
+    return this.entries.get(id) || null;
+  }
+
+  _filter(filters = {}) {
+    return [...this.entries.values()]
+      .filter(e => !filters.status || e.status === filters.status)
+      .filter(e => !filters.section || e.section === filters.section)
+      .filter(e => !filters.task || e.task === filters.task);
+  }
+
+  /**
+   * 항목을 최근 실패 순으로 조회합니다.
+   * @param {object} [filters] - { status, section, task, limit }
+   */
+  list(filters = {}) {
+    const limit = Math.min(Math.max(parseInt(filters.limit) || 100, 1), CONFIG.MAX_QUERY_LIMIT);
+    return this._filter(filters)
+      .sort((a, b) => b.lastFailedAt.localeCompare(a.lastFailedAt))
+      .slice(0, limit);
+  }
+
+  /**
+   * 항목을 즉시 재시도 대상으로 만듭니다. exhausted 항목도 다시 pending이 됩니다. (시도 횟수는 유지)
+   * @param {Array<string>} [ids] - 생략하면 필터에 맞는 전체
+   * @param {object} [filters] - { status, section, task }
+   * @returns {Promise<Array<object>>} 재시도 대상 항목
+   */
+  async requeue(ids, filters = {}) {
+    const targets = ids ? ids.map(id => this.entries.get(id)).filter(Boolean) : this._filter(filters);
+    const now = new Date().toISOString();
+    for (const entry of targets) {
+      this.entries.set(entry.id, { ...entry, status: 'pending', nextAttemptAt: now });
+    }
+    if (targets.length) await this._persist();
+    return targets.map(e => this.entries.get(e.id));
+  }
+
+  /**
+   * 항목을 삭제합니다.
+   * @param {object} [filters] - { id } 또는 { status, section, task }
+   * @returns {Promise<number>} 삭제된 항목 수
+   */
+  async purge(filters = {}) {
+    const targets = filters.id ? [this.entries.get(filters.id)].filter(Boolean) : this._filter(filters);
+    targets.forEach(e => this.entries.delete(e.id));
+    if (targets.length) await this._persist();
+    return targets.length;
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  getStatus() {
+    const all = [...this.entries.values()];
+    return {
+      loaded: this.loaded,
+      total: all.length,
+      pending: all.filter(e => e.status === 'pending').length,
+      exhausted: all.filter(e => e.status === 'exhausted').length,
+      byTask: all.reduce((acc, e) => ({ ...acc, [e.task]: (acc[e.task] || 0) + 1 }), {}),
+    };
+  }
+}
+
+module.exports = new DeadLetterStore();
+module.exports.DeadLetterStore = DeadLetterStore;
+module.exports.TASKS = TASKS;
+module.exports.STATUSES = STATUSES;
@@ -1,6 +1,7 @@
 // 피드 헬스 체커 - RSS 피드 상태 모니터링 및 자동 관리
 const { fetchWithRetry, logAxiosError } = require('./rss/httpClient');
 const logger = require('../utils/logger');
+const sourceRegistry = require('./sourceRegistry');
 
 class FeedHealthChecker {
   constructor() {
@@ -44,10 +45,10 @@ class FeedHealthChecker {
   }
 
   /**
-   * 모든 피드 상태 체크
+   * 모든 피드 상태 체크 (소스 레지스트리의 활성 소스)
    */
   async checkAllFeeds() {
-    const { rssSources } = require('../config/rssSources');
+    const sources = sourceRegistry.bySection();
     const results = {
       total: 0,
       healthy: 0,
@@ -58,9 +59,9 @@ class FeedHealthChecker {
 
     logger.info('Starting feed health check...');
 
-    for (const [section, feeds] of Object.entries(rssSources)) {
+    for (const [section, feeds] of Object.entries(sources)) {
       results.details[section] = {
-        total: feeds.length,
+        total: 0,
         healthy: 0,
         unhealthy: 0,
         disabled: 0,
@@ -112,8 +113,8 @@ class FeedHealthChecker {
       lastError: null
     };
 
-    // NewsAPI 프로토콜은 별도 처리
-    if (feed.url.startsWith('newsapi://') || feed.url.startsWith('google-news://')) {
+    // API 소스(newsapi, gnews, naver 등)는 URL이 없으므로 점검하지 않음
+    if (feed.type && feed.type !== 'rss') {
       currentHealth.healthy = true;
       currentHealth.status = 'API endpoint (not checked)';
       currentHealth.responseTime = 0;
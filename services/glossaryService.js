@@ -0,0 +1,295 @@
+/**
+ * Emark - GlossaryService
+ *
+ * 인물/기관/지명의 한국어 표기를 관리하는 번역 용어집입니다.
+ * - 기본값: config/keywords.js의 지역 키워드 중 config/glossary.js에 표기가 있는 고유명사
+ * - 런타임 변경(추가/수정/삭제)은 CacheService에 덮어쓰기(override)로 영구 저장 (SourceRegistry와 같은 방식)
+ * - AIService는 원문에 나온 항목만 골라 번역/요약 프롬프트에 넣고, 결과에서 피해야 할 표기를 바로잡음
+ */
+const crypto = require('crypto');
+const { ENTRY_TYPES, RENDERINGS } = require('../config/glossary');
+const { KOREA_KEYWORDS, JAPAN_KEYWORDS } = require('../config/keywords');
+const CacheService = require('./cacheService');
+const logger = require('../utils/logger');
+
+// -------------------- Configuration --------------------
+
+const CONFIG = {
+  OVERRIDES_KEY: 'glossary:overrides:v1',
+  EDITABLE_FIELDS: ['term', 'ko', 'type', 'aliases', 'variants'],
+  MAX_FORMS: 10,
+  MAX_FORM_LENGTH: 80,
+};
+
+const ID_RX = /^[a-z0-9][a-z0-9-]{1,63}$/;
+
+// -------------------- Utilities --------------------
+
+const slugify = (term) => String(term).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+const escapeRx = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const isLatin = (s) => /^[\x20-\x7e]+$/.test(s);
+
+// 라틴 표기는 단어 경계로(Japan ≠ Japanese), 한글/가나/한자 표기는 부분 문자열로 찾음
+function formPattern(form) {
+  const body = escapeRx(form).replace(/\s+/g, '\\s+');
+  return isLatin(form) ? new RegExp(`(?<![A-Za-z0-9])${body}(?![A-Za-z0-9])`, 'gi') : new RegExp(body, 'g');
+}
+
+function buildDefaults() {
+  const defaults = new Map();
+  for (const keyword of [...KOREA_KEYWORDS, ...JAPAN_KEYWORDS]) {
+    const rendering = RENDERINGS[keyword];
+    if (!rendering) continue; // 일반 명사(Kimchi, Earthquake 등)는 제외
+    const id = slugify(keyword);
+    defaults.set(id, { id, term: keyword, ...rendering });
+  }
+  return defaults;
+}
+
+// -------------------- Main Class --------------------
+
+class GlossaryService {
+  constructor() {
+    this.defaults = buildDefaults();
+    this.overrides = {}; // id -> 부분 덮어쓰기 | null(삭제)
+    this.cache = null;
+    this.loaded = false;
+    this.stats = { checked: 0, corrected: 0, missing: 0 };
+    this._rebuild();
+  }
+
+  _cache() {
+    if (!this.cache) this.cache = new CacheService();
+    return this.cache;
+  }
+
+  /**
+   * 저장된 덮어쓰기를 불러옵니다. 서버 시작 시 한 번 호출합니다.
+   */
+  async load() {
+    try {
+      const stored = await this._cache().get(CONFIG.OVERRIDES_KEY);
+      if (stored && typeof stored === 'object') this.overrides = stored;
+      this.loaded = true;
+      this._rebuild();
+      logger.info(`[Glossary] Loaded ${this.entries.size} entries (${Object.keys(this.overrides).length} overrides)`);
+    } catch (e) {
+      logger.warn('[Glossary] Failed to load overrides, using defaults:', e.message);
+    }
+    return this;
+  }
+
+  async _persist() {
+    await this._cache().set(CONFIG.OVERRIDES_KEY, this.overrides, 0);
+  }
+
+  _rebuild() {
+    const merged = new Map();
+    for (const [id, base] of this.defaults) {
+      if (this.overrides[id] === null) continue;
+      merged.set(id, this._normalize({ ...base, ...(this.overrides[id] || {}), id }));
+    }
+    for (const [id, entry] of Object.entries(this.overrides)) {
+      if (entry && !this.defaults.has(id)) merged.set(id, this._normalize({ ...entry, id }));
+    }
+    this.entries = merged;
+
+    // 긴 표기부터 찾아야 North Korea 안의 Korea가 따로 잡히지 않음
+    this.forms = [...merged.values()]
+      .flatMap(entry => [entry.term, ...entry.aliases].map(form => ({ form, entry, pattern: formPattern(form) })))
+      .sort((a, b) => b.form.length - a.form.length);
+  }
+
+  _normalize(entry) {
+    return {
+      ...entry,
+      aliases: entry.aliases || [],
+      variants: (entry.variants || []).filter(v => !entry.ko.includes(v)),
+    };
+  }
+
+  /**
+   * 용어집 항목을 검증합니다.
+   * @returns {string|null} 오류 메시지 또는 null
+   */
+  validate(entry) {
+    if (!ID_RX.test(entry.id || '')) return 'id must be lowercase letters, digits and dashes';
+    if (!entry.term || typeof entry.term !== 'string') return 'term is required';
+    if (!entry.ko || typeof entry.ko !== 'string') return 'ko is required';
+    if (!ENTRY_TYPES.includes(entry.type)) return `type must be one of: ${ENTRY_TYPES.join(', ')}`;
+    for (const field of ['aliases', 'variants']) {
+      const list = entry[field];
+      if (list == null) continue;
+      if (!Array.isArray(list) || list.length > CONFIG.MAX_FORMS) return `${field} must be an array of at most ${CONFIG.MAX_FORMS} strings`;
+      if (list.some(v => typeof v !== 'string' || !v.trim() || v.length > CONFIG.MAX_FORM_LENGTH)) return `${field} must contain non-empty strings`;
+    }
+    if ((entry.variants || []).some(v => entry.ko.includes(v))) return 'variants must not be part of the ko rendering';
+    return null;
+  }
+
+  _pick(body) {
+    const patch = {};
+    for (const field of CONFIG.EDITABLE_FIELDS) {
+      if (body[field] !== undefined) patch[field] = typeof body[field] === 'string' ? body[field].trim() : body[field];
+    }
+    return patch;
+  }
+
+  // -------------------- 조회 --------------------
+
+  /**
+   * 용어집 항목 목록
+   * @param {object} [filters] - { type, q: term/ko/aliases 부분 일치 }
+   */
+  list(filters = {}) {
+    const q = filters.q ? String(filters.q).toLowerCase() : null;
+    return [...this.entries.values()]
+      .filter(e => !filters.type || e.type === filters.type)
+      .filter(e => !q || [e.term, e.ko, ...e.aliases].some(v => v.toLowerCase().includes(q)))
+      .sort((a, b) => a.term.localeCompare(b.term))
+      .map(e => ({ ...e, customized: this.overrides[e.id] !== undefined }));
+  }
+
+  get(id) {
+    const e = this.entries.get(id);
+    return e ? { ...e, customized: this.overrides[e.id] !== undefined } : null;
+  }
+
+  /**
+   * 원문에 나오는 용어집 항목을 찾습니다.
+   * @param {string} text - 번역/요약할 원문
+   * @returns {Array<object>} 항목 목록 (각 항목 한 번씩)
+   */
+  match(text) {
+    let rest = String(text || '');
+    if (!rest || this.entries.size === 0) return [];
+    const found = new Map();
+    for (const { entry, pattern } of this.forms) {
+      pattern.lastIndex = 0;
+      if (!pattern.test(rest)) continue;
+      found.set(entry.id, entry);
+      // 찾은 표기는 지워서 더 짧은 표기와 겹쳐 잡히지 않게 함
+      rest = rest.replace(pattern, ' ');
+    }
+    return [...found.values()];
+  }
+
+  /**
+   * 프롬프트/결과 캐시 키에 넣을 항목 지문 (용어집을 고치면 이전 번역을 재사용하지 않음)
+   */
+  fingerprint(entries) {
+    if (!entries?.length) return 'none';
+    const body = entries.map(e => `${e.id}=${e.ko}`).sort().join('|');
+    return crypto.createHash('sha1').update(body).digest('hex').slice(0, 10);
+  }
+
+  /**
+   * 번역/요약 결과가 용어집 표기를 따르는지 확인하고 바로잡습니다.
+   * - 피해야 할 표기(variants)는 지정 표기로 교체
+   * - 번역되지 않고 남은 원문 표기(라틴 문자)도 지정 표기로 교체
+   * - 그래도 지정 표기가 없는 항목은 missing으로 보고 (의역/생략일 수 있어 실패로 보지 않음)
+   * @param {string} output - 모델이 만든 한국어 텍스트
+   * @param {Array<object>} entries - match()로 찾은 항목
+   * @returns {{ text: string, corrected: Array<string>, missing: Array<string> }}
+   */
+  enforce(output, entries) {
+    let text = String(output || '');
+    const corrected = [];
+    const missing = [];
+    for (const entry of entries || []) {
+      const wrongForms = [...entry.variants, entry.term, ...entry.aliases]
+        .filter(form => form !== entry.ko && (entry.variants.includes(form) || isLatin(form)))
+        .sort((a, b) => b.length - a.length);
+      for (const form of wrongForms) {
+        const pattern = formPattern(form);
+        if (!pattern.test(text)) continue;
+        text = text.replace(formPattern(form), entry.ko);
+        corrected.push(`${form}→${entry.ko}`);
+      }
+      if (!text.includes(entry.ko)) missing.push(entry.id);
+    }
+    this.stats.checked++;
+    if (corrected.length) {
+      this.stats.corrected++;
+      logger.debug(`[Glossary] Corrected renderings: ${corrected.join(', ')}`);
+    }
+    if (missing.length) this.stats.missing++;
+    return { text, corrected, missing };
+  }
+
+  // -------------------- 변경 --------------------
+
+  /**
+   * 새 항목을 추가합니다. id를 생략하면 term으로 만듭니다.
+   * @returns {Promise<object>} { success, data } 또는 { success: false, error }
+   */
+  async add(body) {
+    const entry = { ...this._pick(body), id: body.id || slugify(body.term || '') };
+    if (this.entries.has(entry.id)) return { success: false, error: `Glossary entry already exists: ${entry.id}` };
+    const error = this.validate(entry);
+    if (error) return { success: false, error };
+
+    this.overrides[entry.id] = entry;
+    this._rebuild();
+    await this._persist();
+    logger.info(`[Glossary] Added entry: ${entry.id} (${entry.term} → ${entry.ko})`);
+    return { success: true, data: this.get(entry.id) };
+  }
+
+  /**
+   * 기존 항목을 부분 수정합니다.
+   */
+  async update(id, body) {
+    const current = this.entries.get(id);
+    if (!current) return { success: false, error: 'Glossary entry not found', notFound: true };
+    const patch = this._pick(body);
+    const error = this.validate({ ...current, ...patch, id });
+    if (error) return { success: false, error };
+
+    this.overrides[id] = { ...(this.overrides[id] || {}), ...patch };
+    this._rebuild();
+    await this._persist();
+    logger.info(`[Glossary] Updated entry: ${id} (${Object.keys(patch).join(', ')})`);
+    return { success: true, data: this.get(id) };
+  }
+
+  /**
+   * 항목을 삭제합니다. 기본 항목은 삭제 표시만 남기므로 reset으로 되돌릴 수 있습니다.
+   */
+  async remove(id) {
+    if (!this.entries.has(id)) return { success: false, error: 'Glossary entry not found', notFound: true };
+    if (this.defaults.has(id)) this.overrides[id] = null;
+    else delete this.overrides[id];
+    this._rebuild();
+    await this._persist();
+    logger.info(`[Glossary] Removed entry: ${id}`);
+    return { success: true, id };
+  }
+
+  /**
+   * 기본 항목에 대한 덮어쓰기를 제거해 config/glossary.js 값으로 되돌립니다.
+   */
+  async reset(id) {
+    if (!this.defaults.has(id)) return { success: false, error: 'Only built-in entries can be reset', notFound: !this.entries.has(id) };
+    delete this.overrides[id];
+    this._rebuild();
+    await this._persist();
+    logger.info(`[Glossary] Reset entry to default: ${id}`);
+    return { success: true, data: this.get(id) };
+  }
+
+  getStatus() {
+    const all = [...this.entries.values()];
+    return {
+      loaded: this.loaded,
+      total: all.length,
+      overrides: Object.keys(this.overrides).length,
+      byType: all.reduce((acc, e) => ({ ...acc, [e.type]: (acc[e.type] || 0) + 1 }), {}),
+      consistency: { ...this.stats },
+    };
+  }
+}
+
+module.exports = new GlossaryService();
+module.exports.GlossaryService = GlossaryService;
+module.exports.ENTRY_TYPES = ENTRY_TYPES;
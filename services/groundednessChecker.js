@@ -0,0 +1,226 @@
+/**
+ * Emark - GroundednessChecker
+ *
+ * AI 요약/번역/브리핑 결과에 나온 숫자, 이름, 인용문이 원문에 있는지 외부 서비스 없이 확인합니다.
+ * - 숫자: 단위(%, million, 억, 조 등)를 값으로 환산해 비교 ("5억 달러" = "$500 million")
+ *   결과에 쓴 자릿수까지 반올림한 값은 같은 값으로 봄 ("약 3%" = 3.2%, "12억" = 1.23 billion)
+ *   단위 없는 12 이하의 정수(개수, 월, 1차/2차 등)는 확인하지 않음
+ * - 이름: 한국어/일본어 결과 속 라틴 문자 표기(OpenAI, GPT-5 등)와 용어집에 있는 인물/기관의 한국어 표기
+ *   원문에 원문 표기/별칭/한국어 표기 중 하나라도 있으면 근거가 있는 것으로 봄
+ *   (현대, 기아처럼 두 글자 표기는 일반 명사와 겹쳐 세 글자 이상만 확인)
+ * - 인용문: 결과와 원문의 언어가 같을 때만 원문에 그대로 있는지 확인 (번역된 인용은 확인 불가)
+ * - 점수 = 근거가 있는 항목 / 확인한 항목 (확인할 항목이 없으면 1). MIN_SCORE 미만이면 unverified
+ */
+const languageDetector = require('./languageDetector');
+const logger = require('../utils/logger');
+
+// -------------------- Configuration --------------------
+
+const CONFIG = {
+  MIN_SCORE: Number(process.env.GROUNDEDNESS_MIN_SCORE || 0.7),
+  STRIP: process.env.GROUNDEDNESS_STRIP !== 'false', // 요약에서 근거 없는 항목이 든 줄을 지울지
+  SMALL_INTEGER: 12,
+  MIN_QUOTE_LENGTH: 8,
+  MIN_KOREAN_NAME_LENGTH: 3,
+  MAX_UNSUPPORTED: 10,      // 기사에 저장하는 근거 없는 항목 수
+};
+
+const SCALES = {
+  '%': 1, '퍼센트': 1, percent: 1,
+  '천': 1e3, k: 1e3, thousand: 1e3,
+  '만': 1e4,
+  m: 1e6, mn: 1e6, million: 1e6,
+  '억': 1e8,
+  b: 1e9, bn: 1e9, billion: 1e9,
+  '조': 1e12, t: 1e12, tn: 1e12, trillion: 1e12,
+};
+const KOREAN_SCALES = ['조', '억', '만', '천'];
+
+// 출처 없이도 쓰이는 일반 약어는 이름으로 보지 않음
+const COMMON_TERMS = new Set([
+  'ai', 'ceo', 'cfo', 'cto', 'gdp', 'it', 'ev', 'ipo', 'esg', 'r&d', 'm&a', 'etf', 'api', 'ui', 'ux',
+  'vs', 'ok', 'tv', 'pc', 'sns', 'b2b', 'b2c', 'ict', 'kpi', 'roi', 'usd', 'krw', 'jpy', 'eur',
+]);
+
+const NUMBER_RX = /([$€£¥₩]\s?)?(\d[\d,]*(?:\.\d+)?)\s*(%|퍼센트|percent\b|thousand\b|million\b|billion\b|trillion\b|bn\b|mn\b|tn\b|[kmbt]\b|천|만|억|조)?/gi;
+const LATIN_NAME_RX = /[A-Za-z][A-Za-z0-9&.'-]*[A-Za-z0-9]|[A-Z]/g;
+const QUOTE_RX = /[“"「『‘]([^”"」』’\n]+)[”"」』’]/g;
+
+// -------------------- Utilities --------------------
+
+const normalize = (s) => String(s || '').normalize('NFKC').toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * 텍스트의 숫자를 값으로 환산해 추출합니다. "1조 2000억"처럼 이어진 한국어 단위는 합칩니다.
+ * @returns {Array<{ text: string, value: number, step: number, index: number, significant: boolean }>}
+ */
+function extractNumbers(text) {
+  const tokens = [];
+  for (const m of String(text || '').matchAll(NUMBER_RX)) {
+    const [raw, currency, digits, unit] = m;
+    const scaleKey = unit ? unit.toLowerCase() : '';
+    const base = parseFloat(digits.replace(/,/g, ''));
+    if (!Number.isFinite(base)) continue;
+    const scale = scaleKey && scaleKey !== '%' && scaleKey !== '퍼센트' && scaleKey !== 'percent' ? SCALES[scaleKey] : 1;
+    const value = base * scale;
+    const step = Math.pow(10, -((digits.split('.')[1] || '').length)) * scale; // 결과에 쓴 마지막 자릿수
+    const prev = tokens[tokens.length - 1];
+    const between = prev ? text.slice(prev.index + prev.text.length, m.index) : null;
+    if (prev && KOREAN_SCALES.includes(prev.unit) && KOREAN_SCALES.includes(unit)
+      && KOREAN_SCALES.indexOf(unit) > KOREAN_SCALES.indexOf(prev.unit) && /^\s*$/.test(between)) {
+      prev.value += value;
+      prev.step = step;
+      prev.text = text.slice(prev.index, m.index + raw.trimEnd().length);
+      prev.unit = unit;
+      continue;
+    }
+    tokens.push({
+      text: raw.trimEnd(),
+      value,
+      step,
+      unit,
+      index: m.index,
+      // 단위 없는 작은 정수와 연도 앞뒤의 "1차" 같은 서수는 확인 대상에서 제외
+      significant: Boolean(currency || unit) || !Number.isInteger(base) || base > CONFIG.SMALL_INTEGER,
+    });
+  }
+  return tokens;
+}
+
+// 원문 값을 결과의 자릿수로 반올림하면 같은지
+const numberSupported = ({ value, step }, sourceValues) =>
+  sourceValues.some(s => Math.abs(value - s) <= step / 2 + 1e-9 * Math.max(1, Math.abs(s)));
+
+// -------------------- Main Class --------------------
+
+class GroundednessChecker {
+  constructor() {
+    this.minScore = CONFIG.MIN_SCORE;
+    this.stats = { checked: 0, unverified: 0, stripped: 0 };
+  }
+
+  /**
+   * 원문에 근거가 있는 이름 표기 (원문 그대로 + 원문에 나온 용어집 항목의 모든 표기)
+   */
+  _sourceForms(source, glossary) {
+    const text = normalize(source);
+    const forms = new Set();
+    for (const entry of glossary) {
+      const all = [entry.term, entry.ko, ...(entry.aliases || [])];
+      if (all.some(form => text.includes(normalize(form)))) all.forEach(form => forms.add(normalize(form)));
+    }
+    return { text, forms };
+  }
+
+  _nameSupported(name, { text, forms }) {
+    const n = normalize(name);
+    return text.includes(n) || [...forms].some(form => form.includes(n));
+  }
+
+  /**
+   * 결과가 원문에 근거하는지 확인합니다.
+   * @param {string} source - 모델에 준 원문
+   * @param {string} output - 모델이 만든 결과
+   * @param {object} [opts] - { glossary: 용어집 전체 항목 (한국어 표기로 나온 인물/기관 확인용) }
+   * @returns {{ score: number, claims: number, unsupported: Array<{ type: string, text: string, index: number }> }}
+   */
+  check(source, output, { glossary = [] } = {}) {
+    const out = String(output || '');
+    const sourceText = String(source || '');
+    const claims = [];
+
+    // 숫자
+    const sourceValues = extractNumbers(sourceText).map(n => n.value);
+    for (const n of extractNumbers(out)) {
+      if (n.significant) claims.push({ type: 'number', text: n.text, index: n.index, supported: numberSupported(n, sourceValues) });
+    }
+
+    // 이름
+    const sourceForms = this._sourceForms(sourceText, glossary);
+    const outputLang = languageDetector.detect(out).lang;
+    const latinOutput = !['ko', 'ja', 'zh'].includes(outputLang);
+    for (const m of out.matchAll(LATIN_NAME_RX)) {
+      const name = m[0];
+      // 라틴 문자 결과(영어 번역 등)에서는 약어/모델명처럼 대문자가 둘 이상이거나 숫자가 섞인 표기만 이름으로 봄
+      if (latinOutput && !/[A-Z].*[A-Z0-9]|\d/.test(name)) continue;
+      if (!latinOutput && name.length < 2) continue;
+      if (COMMON_TERMS.has(name.toLowerCase())) continue;
+      claims.push({ type: 'name', text: name, index: m.index, supported: this._nameSupported(name, sourceForms) });
+    }
+    for (const entry of glossary) {
+      // 지명은 "Japanese" → "일본"처럼 원문 표기 없이도 자연스럽게 나와 제외
+      if (entry.type === 'place' || !entry.ko || entry.ko.length < CONFIG.MIN_KOREAN_NAME_LENGTH || /^[\x20-\x7e]+$/.test(entry.ko)) continue;
+      const index = out.indexOf(entry.ko);
+      if (index < 0) continue;
+      claims.push({ type: 'name', text: entry.ko, index, supported: sourceForms.forms.has(normalize(entry.ko)) });
+    }
+
+    // 인용문
+    if (outputLang && outputLang === languageDetector.detect(sourceText).lang) {
+      const sourceNormalized = normalize(sourceText);
+      for (const m of out.matchAll(QUOTE_RX)) {
+        if (m[1].trim().length < CONFIG.MIN_QUOTE_LENGTH) continue;
+        claims.push({ type: 'quote', text: m[1].trim(), index: m.index, supported: sourceNormalized.includes(normalize(m[1].trim())) });
+      }
+    }
+
+    const unsupported = claims.filter(c => !c.supported).map(({ type, text, index }) => ({ type, text, index }));
+    const score = claims.length ? Number(((claims.length - unsupported.length) / claims.length).toFixed(3)) : 1;
+    this.stats.checked++;
+    if (score < this.minScore) this.stats.unverified++;
+    return { score, claims: claims.length, unsupported };
+  }
+
+  /**
+   * 근거 없는 항목이 든 줄(요약 포인트)을 지웁니다. 모든 줄에 있으면 지우지 않고 그대로 둡니다.
+   * @param {string} output - check()에 넣은 결과
+   * @param {object} result - check() 결과
+   * @returns {{ text: string, stripped: number }}
+   */
+  strip(output, result) {
+    const text = String(output || '');
+    if (!CONFIG.STRIP || !result?.unsupported?.length) return { text, stripped: 0 };
+    let offset = 0;
+    const lines = text.split('\n').map(line => {
+      const start = offset;
+      offset += line.length + 1;
+      return { line, bad: result.unsupported.some(u => u.index >= start && u.index < start + line.length) };
+    });
+    const kept = lines.filter(l => !l.bad && l.line.trim());
+    const stripped = lines.filter(l => l.bad).length;
+    if (!stripped || kept.length === 0) return { text, stripped: 0 };
+    this.stats.stripped += stripped;
+    logger.debug(`[Grounding] Stripped ${stripped} unsupported line(s): ${result.unsupported.map(u => u.text).join(', ')}`);
+    return { text: kept.map(l => l.line).join('\n'), stripped };
+  }
+
+  /**
+   * 작업별 결과를 기사에 저장할 형태로 합칩니다. 기사 점수는 작업 점수 중 가장 낮은 값입니다.
+   * @param {object|null} current - 기사의 기존 grounding
+   * @param {object} tasks - { summary: check() 결과, brief: ..., title: ... }
+   * @returns {object} { score, unverified, tasks: { [task]: { score, claims, unsupported } }, checkedAt }
+   */
+  combine(current, tasks) {
+    const merged = { ...(current?.tasks || {}) };
+    for (const [task, result] of Object.entries(tasks || {})) {
+      if (!result) continue;
+      merged[task] = {
+        score: result.score,
+        claims: result.claims,
+        unsupported: result.unsupported.slice(0, CONFIG.MAX_UNSUPPORTED).map(({ type, text }) => ({ type, text })),
+        ...(result.stripped ? { stripped: result.stripped } : {}),
+      };
+    }
+    const scores = Object.values(merged).map(t => t.score);
+    const score = scores.length ? Math.min(...scores) : 1;
+    return { score, unverified: score < this.minScore, tasks: merged, checkedAt: new Date().toISOString() };
+  }
+
+  getStatus() {
+    return { minScore: this.minScore, strip: CONFIG.STRIP, ...this.stats };
+  }
+}
+
+module.exports = new GroundednessChecker();
+module.exports.GroundednessChecker = GroundednessChecker;
+module.exports.extractNumbers = extractNumbers;
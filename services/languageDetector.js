@@ -0,0 +1,187 @@
+/**
+ * Emark - LanguageDetector
+ *
+ * 외부 서비스 없이 문자 n-gram으로 기사 언어를 판별합니다. (ko, ja, zh, en, fr, de, es)
+ * - 1단계: 문자 체계 비율 (한글 → ko, 가나 → ja, 한자 → ja/zh, 라틴 → en/fr/de/es)
+ * - 2단계: 한자만 있는 글은 일본 신자체/중국어 간체·번체 문자 프로필로, 라틴 문자는 트라이그램 프로필로 구분
+ * - 결과는 { lang, confidence } (confidence 0-1: 해당 언어 문자 비율 × 프로필 판별 확신도 × 길이 보정)
+ * - 확신도가 낮으면 소스 레지스트리 등에서 온 힌트 언어를 대신 사용
+ */
+
+// -------------------- Configuration --------------------
+
+const CONFIG = {
+  MIN_CONFIDENCE: 0.5,      // 이보다 낮으면 힌트 언어 우선
+  HINT_CONFIDENCE: 0.5,     // 힌트 언어를 채택했을 때의 확신도
+  FULL_LENGTH: 24,          // 이 길이(가중 문자 수) 이상이면 길이 보정 없음
+  CJK_CHAR_WEIGHT: 3,       // 한글/가나/한자 한 글자는 라틴 문자 3개 정도의 정보량
+  MAX_TEXT_LENGTH: 1000,
+  LATIN_PRIOR: { en: 0.15 }, // 프로필에 걸리는 n-gram이 없을 때 영어 쪽으로 약간 기울임
+  LATIN_SHARPNESS: 2,        // 라틴 언어 점수 차이를 키우는 지수 (공통 트라이그램이 많아 점수가 비슷하게 나옴)
+};
+
+// 자주 쓰이는 순서대로 (앞쪽일수록 가중치가 큼). 공백은 단어 경계
+const LATIN_PROFILES = {
+  en: [
+    ' th', 'the', 'he ', ' an', 'and', 'nd ', ' to', 'ing', 'ng ', ' of', 'of ', ' in', 'ed ', 'er ', 'ion',
+    'tio', ' a ', 'is ', 'for', ' fo', 'or ', 'ent', ' co', ' wi', 'wit', 'ith', 'th ', 'hat', 'tha', ' be',
+    'es ', ' on', 'on ', 'ers', 'ter', 'at ', 'as ', ' is', ' re', 'ate', 'ver', 'ill', 'ts ', ' ha', 'ays',
+    ' sa', 'ove', 'new', ' ne', 'ew ', ' up', 'up ', 'ly ', 'ch ', 'al ', 'ry ', 'how', ' wh',
+    'ght', 'igh', 'ck ',
+  ],
+  fr: [
+    ' de', 'de ', 'es ', ' le', 'le ', 'ent', 'nt ', ' la', 'la ', 'les', ' et', 'et ', ' qu', 'que', 'ue ',
+    ' du', 'du ', 'des', ' un', 'une', 'ne ', ' po', 'pou', 'our', ' pa', 'par', 'ion', 'ait', 'ans', ' da',
+    'dan', ' ce', 'est', ' au', 'aux', 'ux ', ' se', ' fr', 'eur', 'é', 'è', 'à', 'ç', 'ê', 'ô', 'û', 'î',
+    ' l\'', ' d\'', 'qu\'', 'ée ', 'és ', ' ét', 'tre', ' ré', 'lle', 'eme', 'men',
+  ],
+  de: [
+    'en ', 'er ', 'der', ' de', 'ie ', 'die', ' di', 'ich', 'ch ', 'ein', ' ei', 'und', ' un', 'nd ', 'ung',
+    'ng ', 'sch', ' da', 'cht', 'den', ' ge', 'gen', 'ten', ' zu', 'zu ', 'ber', ' be', 'das', 'nde', 'ine',
+    'auf', ' au', 'eit', 'ver', ' ve', 'ist', ' is', 'mit', ' mi', 'ä', 'ö', 'ü', 'ß', 'ür ', ' fü', 'für',
+    'hen', 'ach', 'bei', ' ne', 'neu', 'tz ', 'tzt', 'ieg', 'eue', 'kei', 'wer',
+  ],
+  es: [
+    ' de', 'de ', 'os ', 'es ', ' la', 'la ', 'el ', ' el', 'en ', ' en', 'as ', 'ent', ' co', 'que', ' qu',
+    'ue ', ' lo', 'los', 'del', ' y ', 'ado', 'ón ', 'ión', ' pa', 'par', 'ara', 'con', 'nte', 'est', ' se',
+    'ien', 'res', 'por', ' po', 'aci', 'ció', 'ñ', 'á', 'í', 'ó', 'ú', '¿', '¡', ' un', 'una', 'na ',
+    ' al', 'al ', 'ero', 'ños', 'año', ' añ', 'mue', 'gob', 'obi', 'ier', 'ndo', 'nda',
+  ],
+};
+
+// 한자만으로 된 글 구분용: 일본 신자체/국자 vs 중국어 간체·번체에만 쓰이는 자주 나오는 글자
+const HAN_PROFILES = {
+  ja: '日本首相円県都駅発経済対関気図応労権変伝帰転戦鉄売広歩団説読話語総込働畑枠峠匂様党氏庁省衆参議院選挙株価警察逮捕岸田東京大阪',
+  zh: '的是了在这们说为对时会与经济将进从称亿据报道还没吗吧呢么让给过关于业产机实现动长门马车东电华问题这們說國發對時會與經濟將進從稱億據報導還沒嗎讓給過關於業產機實現動長門馬車東電華問題记者新华',
+};
+
+const SCRIPTS = {
+  hangul: /[가-힯ᄀ-ᇿ㄰-㆏]/,
+  kana: /[぀-ヿ]/,
+  han: /[㐀-䶿一-鿿]/,
+  latin: /[a-zÀ-ɏ]/,
+};
+
+// -------------------- Utilities --------------------
+
+const clamp01 = (n) => Math.max(0, Math.min(1, n));
+const round = (n) => Number(n.toFixed(3));
+
+function rankWeights(list) {
+  const map = new Map();
+  list.forEach((gram, i) => { if (!map.has(gram)) map.set(gram, 1 + (list.length - i) / list.length); });
+  return map;
+}
+
+const LATIN_WEIGHTS = Object.fromEntries(Object.entries(LATIN_PROFILES).map(([lang, list]) => [lang, rankWeights(list)]));
+const HAN_SETS = Object.fromEntries(Object.entries(HAN_PROFILES).map(([lang, chars]) => [lang, new Set(chars)]));
+
+function clean(text) {
+  return String(text || '')
+    .slice(0, CONFIG.MAX_TEXT_LENGTH)
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/https?:\/\/\S+/g, ' ')
+    .replace(/<[^>]*>/g, ' ');
+}
+
+function countScripts(text) {
+  const counts = { hangul: 0, kana: 0, han: 0, latin: 0 };
+  for (const ch of text) {
+    for (const [script, re] of Object.entries(SCRIPTS)) {
+      if (re.test(ch)) { counts[script]++; break; }
+    }
+  }
+  return counts;
+}
+
+// 라틴 문자열의 n-gram (트라이그램 + 악센트 문자 단일 그램)
+function latinGrams(text) {
+  const grams = [];
+  for (const word of text.match(/[a-zÀ-ɏ'¿¡]+/g) || []) {
+    const padded = ` ${word} `;
+    for (let i = 0; i < padded.length - 2; i++) grams.push(padded.slice(i, i + 3));
+    for (const ch of word) if (ch > '\u007f') grams.push(ch);
+  }
+  return grams;
+}
+
+// 라틴 언어별 점유율 (합 1)
+function latinShares(text) {
+  const grams = latinGrams(text);
+  const scores = {};
+  for (const [lang, weights] of Object.entries(LATIN_WEIGHTS)) {
+    let score = 0;
+    for (const gram of grams) score += weights.get(gram) || 0;
+    scores[lang] = (score / Math.max(1, grams.length) + (CONFIG.LATIN_PRIOR[lang] || 0)) ** CONFIG.LATIN_SHARPNESS;
+  }
+  const total = Object.values(scores).reduce((a, b) => a + b, 0) || 1;
+  return Object.fromEntries(Object.entries(scores).map(([lang, s]) => [lang, s / total]));
+}
+
+// 한자를 일본어로 볼 비율 (가나가 섞여 있으면 일본어)
+function japaneseHanShare(text, counts) {
+  if (counts.kana > 0) return 1;
+  let ja = 0;
+  let zh = 0;
+  for (const ch of text) {
+    if (HAN_SETS.ja.has(ch)) ja++;
+    if (HAN_SETS.zh.has(ch)) zh++;
+  }
+  return (ja + 0.5) / (ja + zh + 1);
+}
+
+// -------------------- Main Class --------------------
+
+class LanguageDetector {
+  /**
+   * 텍스트의 언어를 판별합니다.
+   * @param {string} text - 판별할 텍스트 (제목 + 설명 등)
+   * @param {object} [opts] - { hint: 확신도가 낮을 때 쓸 언어 (예: 소스 레지스트리의 피드 언어) }
+   * @returns {{ lang: string|null, confidence: number }} lang은 판별 불가 시 힌트 또는 null
+   */
+  detect(text, opts = {}) {
+    const hint = opts.hint && opts.hint !== 'und' ? opts.hint : null;
+    const normalized = clean(text);
+    const counts = countScripts(normalized);
+    // 한국어 기사 속 영문 브랜드명처럼 섞인 글은 문자 수 대신 정보량(가중 문자 수)으로 비교
+    const cjk = (counts.hangul + counts.kana + counts.han) * CONFIG.CJK_CHAR_WEIGHT;
+    const letters = cjk + counts.latin;
+    if (letters === 0) return { lang: hint, confidence: hint ? CONFIG.HINT_CONFIDENCE : 0 };
+
+    const jaHan = counts.han ? japaneseHanShare(normalized, counts) : 0;
+    const amounts = {
+      ko: counts.hangul * CONFIG.CJK_CHAR_WEIGHT,
+      ja: (counts.kana + counts.han * jaHan) * CONFIG.CJK_CHAR_WEIGHT,
+      zh: counts.han * (1 - jaHan) * CONFIG.CJK_CHAR_WEIGHT,
+    };
+    if (counts.latin) {
+      for (const [lang, share] of Object.entries(latinShares(normalized))) amounts[lang] = counts.latin * share;
+    }
+
+    const [lang, amount] = Object.entries(amounts).sort((a, b) => b[1] - a[1])[0];
+    const lengthFactor = clamp01(letters / CONFIG.FULL_LENGTH);
+    const confidence = round(clamp01(amount / letters) * lengthFactor);
+
+    if (confidence < CONFIG.MIN_CONFIDENCE && hint && hint !== lang) {
+      return { lang: hint, confidence: CONFIG.HINT_CONFIDENCE };
+    }
+    return { lang, confidence };
+  }
+
+  /**
+   * 기사 정규화 시 붙일 언어 필드
+   * @param {object} article - { title, description }
+   * @param {string} [hint] - 피드/API가 알려 준 언어
+   * @returns {{ lang: string|null, langConfidence: number }}
+   */
+  articleLanguage(article, hint) {
+    const { lang, confidence } = this.detect(`${article?.title || ''}\n${article?.description || ''}`, { hint });
+    return { lang, langConfidence: confidence };
+  }
+}
+
+module.exports = new LanguageDetector();
+module.exports.LanguageDetector = LanguageDetector;
+module.exports.MIN_CONFIDENCE = CONFIG.MIN_CONFIDENCE;
+module.exports.DETECTABLE_LANGS = ['ko', 'ja', 'zh', ...Object.keys(LATIN_PROFILES)];
@@ -0,0 +1,248 @@
+// services/llm/briefSchema.js - 상세 브리핑(프리미엄 인텔리전스 브리핑) JSON 스키마 검증/정규화
+// 모델 출력은 JSON 객체 하나로 받고, 여기서 검증한 정규화된 객체만 캐시/기사에 저장합니다.
+//
+// {
+//   title: string,                                  전략적 제목
+//   impact: string,                                 한 줄 임팩트
+//   findings: [{ label, text }] (1-5),              핵심 발견사항
+//   analysis: { context, competition, risks },      전략적 분석 (선택)
+//   scenarios: [{ name, description, probability }] (0-3, probability 0-1, 합계 1 이하)
+//   watchPoints: [string] (0-5),                    주목 포인트
+//   glossary: [{ term, definition }] (0-5)          핵심 용어
+// }
+
+const BRIEF_SCHEMA_VERSION = 1;
+
+const LIMITS = {
+  TITLE: 200,
+  TEXT: 600,
+  FINDINGS: 5,
+  SCENARIOS: 3,
+  WATCH_POINTS: 5,
+  GLOSSARY: 5,
+  PROBABILITY_SUM_TOLERANCE: 0.05,
+};
+
+const FINDING_LABELS = ['1차 임팩트', '2차 파급효과', '숨겨진 시그널'];
+
+// -------------------- Utilities --------------------
+
+const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+function str(value, max = LIMITS.TEXT) {
+  if (typeof value !== 'string' && typeof value !== 'number') return '';
+  return String(value).replace(/\s+/g, ' ').trim().slice(0, max);
+}
+
+// "60%", 60, 0.6 모두 0.6으로
+function probability(value) {
+  let n = typeof value === 'string' ? parseFloat(value.replace('%', '')) : value;
+  if (typeof n !== 'number' || !Number.isFinite(n)) return null;
+  if ((typeof value === 'string' && value.includes('%')) || (n > 1 && n <= 100)) n /= 100;
+  return n >= 0 && n <= 1 ? Number(n.toFixed(3)) : null;
+}
+
+/**
+ * 모델 출력에서 JSON 객체를 꺼냅니다. 코드 블록 표시나 앞뒤 설명이 붙어 있어도 처리합니다.
+ * @param {string} text - 모델 출력
+ * @returns {object|null} 파싱된 객체 (실패 시 null)
+ */
+function parseBriefText(text) {
+  if (isObject(text)) return text;
+  const raw = String(text || '');
+  const start = raw.indexOf('{');
+  const end = raw.lastIndexOf('}');
+  if (start < 0 || end <= start) return null;
+  const body = raw.slice(start, end + 1);
+  for (const candidate of [body, body.replace(/,\s*([}\]])/g, '$1')]) {
+    try {
+      const parsed = JSON.parse(candidate);
+      if (isObject(parsed)) return parsed;
+    } catch { /* 다음 후보 */ }
+  }
+  return null;
+}
+
+/**
+ * 스트리밍 중인 불완전한 JSON을 닫아서 지금까지 받은 부분을 객체로 만듭니다.
+ * 열린 문자열/괄호를 닫아 보고, 안 되면 마지막 쉼표 앞까지 잘라 다시 시도합니다.
+ * @param {string} text - 지금까지 받은 모델 출력
+ * @returns {object|null}
+ */
+function parsePartialBrief(text) {
+  const raw = String(text || '');
+  const start = raw.indexOf('{');
+  if (start < 0) return null;
+  const body = raw.slice(start);
+
+  const stack = [];
+  const cuts = []; // 구조상 쉼표 위치와 그 시점의 닫는 괄호
+  let inString = false;
+  let escaped = false;
+  for (let i = 0; i < body.length; i++) {
+    const ch = body[i];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (ch === '\\') escaped = true;
+      else if (ch === '"') inString = false;
+      continue;
+    }
+    if (ch === '"') inString = true;
+    else if (ch === '{') stack.push('}');
+    else if (ch === '[') stack.push(']');
+    else if (ch === '}' || ch === ']') stack.pop();
+    else if (ch === ',') cuts.push({ at: i, closers: stack.slice().reverse().join('') });
+    if (stack.length === 0) return parseBriefText(body.slice(0, i + 1));
+  }
+
+  const tail = inString ? `${escaped ? body.slice(0, -1) : body}"` : body;
+  const candidates = [tail + stack.slice().reverse().join('')];
+  for (const cut of cuts.slice(-3).reverse()) candidates.push(body.slice(0, cut.at) + cut.closers);
+  for (const candidate of candidates) {
+    try {
+      const parsed = JSON.parse(candidate);
+      if (isObject(parsed)) return parsed;
+    } catch { /* 다음 후보 */ }
+  }
+  return null;
+}
+
+// -------------------- 검증 --------------------
+
+/**
+ * 브리핑 객체를 검증하고 정규화합니다. (문자열 공백 정리, 확률 표기 통일, 개수 제한)
+ * @param {object} value - 파싱된 모델 출력
+ * @returns {{ valid: boolean, errors: Array<string>, brief: object|null }}
+ */
+function validateBrief(value) {
+  const errors = [];
+  if (!isObject(value)) return { valid: false, errors: ['brief must be a JSON object'], brief: null };
+
+  const title = str(value.title, LIMITS.TITLE);
+  const impact = str(value.impact);
+  if (!title) errors.push('title: non-empty string is required');
+  if (!impact) errors.push('impact: non-empty string is required');
+
+  let findings = [];
+  if (!Array.isArray(value.findings)) {
+    errors.push('findings: array is required');
+  } else {
+    findings = value.findings
+      .map((item, i) => (isObject(item)
+        ? { label: str(item.label, 40) || FINDING_LABELS[i] || '', text: str(item.text) }
+        : { label: FINDING_LABELS[i] || '', text: str(item) }))
+      .filter(item => item.text)
+      .slice(0, LIMITS.FINDINGS);
+    if (findings.length === 0) errors.push('findings: at least one item with text is required');
+  }
+
+  const analysis = isObject(value.analysis)
+    ? { context: str(value.analysis.context), competition: str(value.analysis.competition), risks: str(value.analysis.risks) }
+    : null;
+
+  let scenarios = [];
+  if (value.scenarios !== undefined && !Array.isArray(value.scenarios)) {
+    errors.push('scenarios: must be an array');
+  } else {
+    (value.scenarios || []).slice(0, LIMITS.SCENARIOS).forEach((item, i) => {
+      if (!isObject(item) || !str(item.name)) {
+        errors.push(`scenarios[${i}]: object with name is required`);
+        return;
+      }
+      const p = probability(item.probability);
+      if (p === null) errors.push(`scenarios[${i}].probability: number between 0 and 1 is required`);
+      scenarios.push({ name: str(item.name, LIMITS.TITLE), description: str(item.description), probability: p });
+    });
+    const total = scenarios.reduce((sum, s) => sum + (s.probability || 0), 0);
+    if (total > 1 + LIMITS.PROBABILITY_SUM_TOLERANCE) {
+      errors.push(`scenarios: probabilities sum to ${total.toFixed(2)}, must not exceed 1`);
+    }
+  }
+
+  const watchPoints = (Array.isArray(value.watchPoints) ? value.watchPoints : [])
+    .map(item => str(item))
+    .filter(Boolean)
+    .slice(0, LIMITS.WATCH_POINTS);
+
+  const glossary = (Array.isArray(value.glossary) ? value.glossary : [])
+    .filter(isObject)
+    .map(item => ({ term: str(item.term, 80), definition: str(item.definition) }))
+    .filter(item => item.term && item.definition)
+    .slice(0, LIMITS.GLOSSARY);
+
+  if (errors.length) return { valid: false, errors, brief: null };
+  return {
+    valid: true,
+    errors: [],
+    brief: { version: BRIEF_SCHEMA_VERSION, title, impact, findings, analysis, scenarios, watchPoints, glossary },
+  };
+}
+
+// -------------------- 변환 --------------------
+
+/**
+ * 목록/카드용 요약 포인트 (한 줄 임팩트 + 핵심 발견사항)
+ */
+function briefToPoints(brief, max = 5) {
+  if (!brief) return [];
+  return [brief.impact, ...brief.findings.map(f => (f.label ? `${f.label}: ${f.text}` : f.text))]
+    .filter(Boolean)
+    .slice(0, max);
+}
+
+/**
+ * 모델이 작성한 문장을 한 줄씩 (원문 근거 확인용, 라벨/확률/용어 설명은 제외)
+ */
+function briefStatements(brief) {
+  if (!brief) return '';
+  return [
+    brief.title,
+    brief.impact,
+    ...brief.findings.map(f => f.text),
+    ...Object.values(brief.analysis || {}),
+    ...brief.scenarios.map(s => `${s.name}: ${s.description}`),
+    ...brief.watchPoints,
+  ].filter(Boolean).join('\n');
+}
+
+/**
+ * 자유 형식 텍스트가 필요한 호출자(/api/summarize 등)를 위한 기존 템플릿 형태의 텍스트
+ */
+function briefToText(brief) {
+  if (!brief) return '';
+  const lines = [
+    '🎯 EXECUTIVE SUMMARY',
+    `[전략적 제목]: ${brief.title}`,
+    `[한 줄 임팩트]: ${brief.impact}`,
+    '',
+    '📊 KEY FINDINGS (핵심 발견사항)',
+    ...brief.findings.map(f => `• ${f.label ? `${f.label}: ` : ''}${f.text}`),
+  ];
+  if (brief.analysis && Object.values(brief.analysis).some(Boolean)) {
+    lines.push('', '🔍 STRATEGIC ANALYSIS (전략적 분석)');
+    if (brief.analysis.context) lines.push(`시장 맥락: ${brief.analysis.context}`);
+    if (brief.analysis.competition) lines.push(`경쟁 구도 변화: ${brief.analysis.competition}`);
+    if (brief.analysis.risks) lines.push(`리스크 & 기회: ${brief.analysis.risks}`);
+  }
+  if (brief.scenarios.length || brief.watchPoints.length) {
+    lines.push('', '🚀 FORWARD LOOKING (미래 전망)');
+    brief.scenarios.forEach(s => lines.push(`• ${s.name} (${Math.round(s.probability * 100)}%): ${s.description}`));
+    brief.watchPoints.forEach(w => lines.push(`• 주목 포인트: ${w}`));
+  }
+  if (brief.glossary.length) {
+    lines.push('', '💡 INTELLIGENCE NOTES (인텔리전스 노트)');
+    brief.glossary.forEach(g => lines.push(`• ${g.term}: ${g.definition}`));
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  BRIEF_SCHEMA_VERSION,
+  FINDING_LABELS,
+  parseBriefText,
+  parsePartialBrief,
+  validateBrief,
+  briefToPoints,
+  briefToText,
+  briefStatements,
+};
@@ -0,0 +1,90 @@
+// services/llm/briefingSchema.js - 섹션 브리핑("오늘의 세계/테크/…") JSON 스키마 검증/정규화
+// 모델에는 번호를 붙인 기사 목록을 주고, 각 항목이 근거 기사 번호(refs)를 달도록 합니다.
+// 번호는 여기서 검증만 하고, 기사 ID로 바꾸는 일은 BriefingService가 합니다.
+//
+// {
+//   headline: string,                      브리핑 제목 (오늘 섹션의 흐름을 한 문장으로)
+//   bullets: [{ text, refs: [number] }] (1-7),  헤드라인 항목과 근거 기사 번호 (1부터)
+//   outlook: string                        주목할 흐름 (선택)
+// }
+
+const { parseBriefText } = require('./briefSchema');
+
+const BRIEFING_SCHEMA_VERSION = 1;
+
+const LIMITS = {
+  HEADLINE: 200,
+  TEXT: 400,
+  BULLETS: 7,
+  REFS: 5,
+};
+
+// -------------------- Utilities --------------------
+
+const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+function str(value, max = LIMITS.TEXT) {
+  if (typeof value !== 'string' && typeof value !== 'number') return '';
+  return String(value).replace(/\s+/g, ' ').trim().slice(0, max);
+}
+
+// [1], "2", 3 모두 숫자로
+function refNumber(value) {
+  const n = parseInt(String(value).replace(/[[\]]/g, ''), 10);
+  return Number.isInteger(n) ? n : null;
+}
+
+// -------------------- 검증 --------------------
+
+/**
+ * 브리핑 객체를 검증하고 정규화합니다. 범위를 벗어난 기사 번호는 버리고, 근거가 하나도 없는 항목은 뺍니다.
+ * @param {object} value - 파싱된 모델 출력
+ * @param {number} itemCount - 모델에 준 기사 수 (refs 허용 범위 1..itemCount)
+ * @returns {{ valid: boolean, errors: Array<string>, briefing: object|null }}
+ */
+function validateBriefing(value, itemCount) {
+  const errors = [];
+  if (!isObject(value)) return { valid: false, errors: ['briefing must be a JSON object'], briefing: null };
+
+  const headline = str(value.headline, LIMITS.HEADLINE);
+  if (!headline) errors.push('headline: non-empty string is required');
+
+  let bullets = [];
+  if (!Array.isArray(value.bullets)) {
+    errors.push('bullets: array is required');
+  } else {
+    bullets = value.bullets
+      .filter(isObject)
+      .map(item => ({
+        text: str(item.text),
+        refs: [...new Set((Array.isArray(item.refs) ? item.refs : [item.refs])
+          .map(refNumber)
+          .filter(n => n !== null && n >= 1 && n <= itemCount))].slice(0, LIMITS.REFS),
+      }))
+      .filter(item => item.text && item.refs.length)
+      .slice(0, LIMITS.BULLETS);
+    if (bullets.length === 0) errors.push(`bullets: at least one item with text and refs between 1 and ${itemCount} is required`);
+  }
+
+  if (errors.length) return { valid: false, errors, briefing: null };
+  return {
+    valid: true,
+    errors: [],
+    briefing: { version: BRIEFING_SCHEMA_VERSION, headline, bullets, outlook: str(value.outlook) || null },
+  };
+}
+
+/**
+ * 모델이 작성한 문장을 한 줄씩 (원문 근거 확인용)
+ */
+function briefingStatements(briefing) {
+  if (!briefing) return '';
+  return [briefing.headline, ...briefing.bullets.map(b => b.text), briefing.outlook].filter(Boolean).join('\n');
+}
+
+module.exports = {
+  BRIEFING_SCHEMA_VERSION,
+  parseBriefingText: parseBriefText,
+  validateBriefing,
+  briefingStatements,
+};
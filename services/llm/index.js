@@ -0,0 +1,84 @@
+/**
+ * Emark - LLM 라우터
+ *
+ * config/llm.js 설정에 따라 작업(title/translate/summary/brief/qa/briefing)별로 공급자와 모델을 선택합니다.
+ * - 공급자 인스턴스는 처음 쓰일 때 생성하고 재사용
+ * - 공급자 생성에 실패하면(API 키 없음 등) 오류를 남기고 그 공급자를 쓰는 작업의 AI를 비활성화
+ *   (offline 공급자로 대체하면 원문이 번역/요약으로 저장되므로 대체하지 않음)
+ * - LLM_PROVIDER=none 이면 AI 기능 비활성화 (resolve()가 null 반환)
+ */
+const { PROVIDERS, TASKS } = require('../../config/llm');
+const OpenAICompatibleProvider = require('./openaiCompatibleProvider');
+const OfflineProvider = require('./offlineProvider');
+const logger = require('../../utils/logger');
+
+const PROVIDER_TYPES = {
+  [OpenAICompatibleProvider.type]: OpenAICompatibleProvider,
+  [OfflineProvider.type]: OfflineProvider,
+};
+
+class LLMRouter {
+  /**
+   * @param {object} [opts] - { providers, tasks } (기본값 config/llm.js)
+   */
+  constructor(opts = {}) {
+    this.providerConfigs = opts.providers || PROVIDERS;
+    this.tasks = opts.tasks || TASKS;
+    this.instances = new Map(); // name -> LLMProvider | null
+  }
+
+  _provider(name) {
+    if (this.instances.has(name)) return this.instances.get(name);
+
+    let instance = null;
+    if (name !== 'none') {
+      const config = this.providerConfigs[name];
+      const Provider = config && PROVIDER_TYPES[config.type];
+      try {
+        if (!Provider) throw new Error(`Unknown LLM provider: ${name}`);
+        instance = new Provider(name, config);
+        logger.info(`[LLM] Provider ready: ${name} (${config.type}${config.baseURL ? `, ${config.baseURL}` : ''})`);
+      } catch (e) {
+        logger.error(`[LLM] ${e.message}, AI disabled for tasks using provider '${name}'`);
+        instance = null;
+      }
+    }
+    this.instances.set(name, instance);
+    return instance;
+  }
+
+  /**
+   * 작업에 사용할 공급자와 호출 옵션을 반환합니다.
+   * @param {string} task - 'title' | 'translate' | 'summary' | 'brief' | 'qa' | 'briefing'
+   * @returns {{ provider: import('./provider'), model: string, temperature: number, maxTokens: number, timeoutMs: number }|null}
+   */
+  resolve(task) {
+    const config = this.tasks[task];
+    if (!config) throw new Error(`Unknown LLM task: ${task}`);
+    const provider = this._provider(config.provider);
+    if (!provider) return null;
+
+    const model = (provider.name === config.provider && config.model)
+      || provider.options.defaultModel
+      || (provider instanceof OfflineProvider ? 'offline-rules' : config.defaultModel);
+    return { provider, model, temperature: config.temperature, maxTokens: config.maxTokens, timeoutMs: config.timeoutMs };
+  }
+
+  isAvailable(task = 'summary') {
+    return this.resolve(task) !== null;
+  }
+
+  getStatus() {
+    const tasks = {};
+    for (const task of Object.keys(this.tasks)) {
+      const route = this.resolve(task);
+      tasks[task] = route ? { provider: route.provider.name, model: route.model } : null;
+    }
+    return { tasks };
+  }
+}
+
+module.exports = LLMRouter;
+module.exports.LLMProvider = require('./provider');
+module.exports.OpenAICompatibleProvider = OpenAICompatibleProvider;
+module.exports.OfflineProvider = OfflineProvider;
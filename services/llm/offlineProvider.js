@@ -0,0 +1,137 @@
+// services/llm/offlineProvider.js - 네트워크 없이 동작하는 규칙 기반 공급자 (개발/테스트용)
+// 같은 입력에는 항상 같은 출력을 반환하며, 요약은 원문 문장을 발췌하고 번역은 원문을 그대로 돌려줍니다.
+const LLMProvider = require('./provider');
+const { FINDING_LABELS } = require('./briefSchema');
+const { QA_REFUSAL } = require('./prompts');
+
+const MAX_POINT_LENGTH = 160;
+const MAX_ANSWER_SENTENCES = 2;
+
+// -------------------- Utilities --------------------
+
+const estimateTokens = (text) => Math.ceil(String(text || '').length / 4);
+
+function splitSentences(text) {
+  return String(text || '')
+    .replace(/<[^>]+>/g, ' ')
+    .split(/(?<=[.!?。！？])\s+|\n+/)
+    .map(s => s.replace(/\s+/g, ' ').trim())
+    .filter(s => s.length > 5);
+}
+
+// 말줄임표 없이 단어 경계에서 자름
+function clip(sentence, max = MAX_POINT_LENGTH) {
+  if (sentence.length <= max) return sentence;
+  const cut = sentence.slice(0, max);
+  const space = cut.lastIndexOf(' ');
+  return (space > max * 0.6 ? cut.slice(0, space) : cut).replace(/[,;:\s]+$/, '');
+}
+
+// 질문과 자료 문장의 겹치는 단어 수 (한글은 두 글자씩 잘라 조사가 붙어도 맞춤)
+function keywords(text) {
+  const words = new Set();
+  for (const word of String(text || '').toLowerCase().match(/[a-z0-9]{3,}|[가-힣]{2,}/g) || []) {
+    if (/^[가-힣]+$/.test(word)) {
+      for (let i = 0; i < word.length - 1; i++) words.add(word.slice(i, i + 2));
+    } else {
+      words.add(word);
+    }
+  }
+  return words;
+}
+
+// -------------------- Main Class --------------------
+
+class OfflineProvider extends LLMProvider {
+  static type = 'offline';
+
+  _result(text, input, model) {
+    return {
+      text,
+      model: model || 'offline-rules',
+      provider: this.name,
+      usage: { prompt_tokens: estimateTokens(input), completion_tokens: estimateTokens(text), total_tokens: estimateTokens(input) + estimateTokens(text) },
+      id: null,
+      headers: {},
+    };
+  }
+
+  async chat({ messages = [], model }) {
+    const lastUser = [...messages].reverse().find(m => m.role === 'user');
+    const input = lastUser?.content || '';
+    const points = splitSentences(input).slice(0, 3).map(s => `• ${clip(s)}`);
+    return this._result(points.join('\n') || input.trim(), input, model);
+  }
+
+  async summarize({ text, detailed = false, model }) {
+    const sentences = splitSentences(text);
+    if (sentences.length === 0 && !detailed) return this._result(String(text || '').trim(), text, model);
+
+    if (!detailed) {
+      return this._result(sentences.slice(0, 3).map(s => `• ${clip(s)}`).join('\n'), text, model);
+    }
+
+    // 상세 브리핑 JSON (전망/시나리오는 원문 발췌로 만들 수 없으므로 비워 둠)
+    const [headline, ...rest] = sentences.length ? sentences : [String(text || '').trim()];
+    const [impact = headline, ...details] = rest;
+    const findings = (details.length ? details : [impact]).slice(0, FINDING_LABELS.length)
+      .map((s, i) => ({ label: FINDING_LABELS[i], text: clip(s) }));
+    const brief = {
+      title: clip(headline),
+      impact: clip(impact),
+      findings,
+      analysis: null,
+      scenarios: [],
+      watchPoints: [],
+      glossary: [{ term: '참고', definition: '오프라인 규칙 기반 공급자가 원문 문장을 발췌해 만든 요약입니다.' }],
+    };
+    return this._result(JSON.stringify(brief, null, 2), text, model);
+  }
+
+  // 줄 단위로 나눠 전달해 스트리밍 화면을 네트워크 없이 확인할 수 있게 함
+  async summarizeStream({ onDelta, ...request }) {
+    const result = await this.summarize(request);
+    const lines = result.text.split('\n');
+    lines.forEach((line, i) => onDelta?.(i < lines.length - 1 ? `${line}\n` : line));
+    return result;
+  }
+
+  // 질문과 단어가 가장 많이 겹치는 자료 문장을 출처 번호와 함께 발췌하고, 겹치는 문장이 없으면 거절
+  async answerStream({ question, context, onDelta, model }) {
+    const asked = keywords(question);
+    const scored = [];
+    for (const [, source, body] of String(context || '').matchAll(/^\[(\d+)\]\s*([\s\S]*?)(?=^\[\d+\]|(?![\s\S]))/gm)) {
+      for (const sentence of splitSentences(body)) {
+        const score = [...keywords(sentence)].filter(word => asked.has(word)).length;
+        if (score > 0) scored.push({ sentence: `${clip(sentence)} [${source}]`, score });
+      }
+    }
+    const answer = scored.sort((a, b) => b.score - a.score).slice(0, MAX_ANSWER_SENTENCES)
+      .map(s => s.sentence).join('\n') || QA_REFUSAL;
+    const lines = answer.split('\n');
+    lines.forEach((line, i) => onDelta?.(i < lines.length - 1 ? `${line}\n` : line));
+    return this._result(answer, `${question}\n${context}`, model);
+  }
+
+  // 상위 기사 제목을 순서대로 항목으로 만든 브리핑 JSON (기사를 묶거나 전망을 쓰지는 않음)
+  async briefing({ section, items = [], model }) {
+    const briefing = {
+      headline: `${section} 주요 뉴스 ${items.length}건`,
+      bullets: items.slice(0, 5).map(item => ({ text: clip(item.points?.[0] || item.title), refs: [item.ref] })),
+      outlook: '',
+    };
+    return this._result(JSON.stringify(briefing, null, 2), items.map(i => i.title).join('\n'), model);
+  }
+
+  async translate({ text, model }) {
+    return this._result(String(text || '').trim(), text, model);
+  }
+
+  async translateBatch({ items = [], model }) {
+    const output = { items: items.map(({ id, text }) => ({ id, translation: String(text || '').trim() })) };
+    return this._result(JSON.stringify(output), items.map(i => i.text).join('\n'), model);
+  }
+}
+
+module.exports = OfflineProvider;
+module.exports.splitSentences = splitSentences;
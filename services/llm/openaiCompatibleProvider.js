@@ -0,0 +1,87 @@
+// services/llm/openaiCompatibleProvider.js - OpenAI Chat Completions 호환 엔드포인트 어댑터
+// OpenAI 외에도 baseURL만 바꾸면 llama.cpp server, Ollama(/v1), vLLM 등 로컬 서버를 그대로 사용
+const { OpenAI } = require('openai');
+const LLMProvider = require('./provider');
+
+class OpenAICompatibleProvider extends LLMProvider {
+  static type = 'openai-compatible';
+
+  /**
+   * @param {string} name - 공급자 이름
+   * @param {object} options - { apiKey, baseURL, defaultModel }
+   */
+  constructor(name, options = {}) {
+    super(name, options);
+    if (!options.apiKey) {
+      throw new Error(`LLM provider '${name}' requires an API key`);
+    }
+    this.client = new OpenAI({
+      apiKey: options.apiKey,
+      baseURL: options.baseURL,
+      // 재시도는 AIService.retryWithBackoff가 담당
+      maxRetries: 0,
+    });
+  }
+
+  async chat({ model, messages, temperature = 0.3, maxTokens = 1000, signal, jsonMode = false }) {
+    const { data: response, response: raw } = await this.client.chat.completions.create({
+      model,
+      messages,
+      temperature,
+      max_tokens: maxTokens,
+      ...(jsonMode ? { response_format: { type: 'json_object' } } : {}),
+    }, { signal }).withResponse();
+
+    return {
+      text: response.choices[0]?.message?.content?.trim() || '',
+      model: response.model || model,
+      provider: this.name,
+      usage: response.usage || null,
+      id: response.id,
+      headers: Object.fromEntries(raw.headers.entries()),
+    };
+  }
+
+  async chatStream({ model, messages, temperature = 0.3, maxTokens = 1000, signal, jsonMode = false, onDelta }) {
+    const { data: stream, response: raw } = await this.client.chat.completions.create({
+      model,
+      messages,
+      temperature,
+      max_tokens: maxTokens,
+      ...(jsonMode ? { response_format: { type: 'json_object' } } : {}),
+      stream: true,
+      stream_options: { include_usage: true },
+    }, { signal }).withResponse();
+
+    let text = '';
+    let last = null;
+    for await (const chunk of stream) {
+      last = chunk;
+      const delta = chunk.choices[0]?.delta?.content;
+      if (delta) {
+        text += delta;
+        onDelta?.(delta);
+      }
+    }
+
+    return {
+      text: text.trim(),
+      model: last?.model || model,
+      provider: this.name,
+      // include_usage를 지원하지 않는 호환 서버는 usage가 없음
+      usage: last?.usage || null,
+      id: last?.id || null,
+      headers: Object.fromEntries(raw.headers.entries()),
+    };
+  }
+
+  get capabilities() {
+    return [...super.capabilities, 'stream'];
+  }
+
+  getStatus() {
+    return { ...super.getStatus(), baseURL: this.options.baseURL || 'https://api.openai.com/v1' };
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
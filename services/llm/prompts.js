@@ -0,0 +1,110 @@
+// services/llm/prompts.js - 요약/번역/질의응답/섹션 브리핑 프롬프트 (모든 OpenAI 호환 공급자가 공유)
+// 문구는 prompts/<name>/<version>.txt 템플릿에 있고, 여기서는 변수만 채워 렌더링합니다. (services/promptRegistry.js)
+// template 인자를 생략하면 전체 기본 활성 버전을 씁니다. 섹션별 버전은 AIService가 골라 넘깁니다.
+const { LANGUAGES } = require('../../config/languages');
+const promptRegistry = require('../promptRegistry');
+
+const render = (template, part, vars) => promptRegistry.render(template, part, vars);
+const resolve = (name) => promptRegistry.resolve(name);
+
+/**
+ * 원문에 나온 용어집 항목의 표기 지시 목록 (services/glossaryService.js)
+ * @param {Array<object>} [glossary] - { term, ko, aliases } 목록
+ */
+function glossaryLines(glossary = []) {
+  return glossary.map(e => `- ${[e.term, ...e.aliases].join(' / ')} → ${e.ko}`).join('\n');
+}
+
+const languageName = (targetLang) => LANGUAGES[targetLang]?.name || targetLang;
+
+/** -------- 요약/상세 브리핑 -------- */
+function summarySystemMessage(template = resolve('summary')) {
+  return render(template, 'system');
+}
+
+// 상세 브리핑: services/llm/briefSchema.js 스키마의 JSON 객체 하나로 응답하도록 요청
+function briefUserMessage(article, glossary = [], template = resolve('brief')) {
+  return render(template, 'user', { text: article, glossary: glossaryLines(glossary) });
+}
+
+/**
+ * 검증에 실패한 브리핑을 고쳐 달라는 후속 메시지
+ * @param {Array<string>} errors - briefSchema.validateBrief() 오류 목록
+ */
+function briefRepairMessage(errors = [], template = resolve('brief')) {
+  return render(template, 'repair', { errors: errors.map(e => `- ${e}`).join('\n') });
+}
+
+function summaryUserMessage(article, detailed = false, glossary = [], template) {
+  if (detailed) {
+    return briefUserMessage(article, glossary, template);
+  }
+  return render(template || resolve('summary'), 'user', { text: article, glossary: glossaryLines(glossary) });
+}
+
+/** -------- 번역 -------- */
+function translationSystemMessage(targetLang = 'ko', glossary = [], template = resolve('translate')) {
+  return render(template, 'system', { language: languageName(targetLang), glossary: glossaryLines(glossary) });
+}
+
+function translationUserMessage(text, template = resolve('translate')) {
+  return render(template, 'user', { text });
+}
+
+// 일괄 번역: id별 번역을 같은 id로 돌려받아 순서가 바뀌거나 빠져도 맞춰 볼 수 있게 함
+function batchTranslationSystemMessage(targetLang = 'ko', glossary = [], template = resolve('translate')) {
+  return render(template, 'batchSystem', { language: languageName(targetLang), glossary: glossaryLines(glossary) });
+}
+
+function batchTranslationUserMessage(items = []) {
+  return JSON.stringify({ items: items.map(({ id, text }) => ({ id, text })) });
+}
+
+/** -------- 질의응답 -------- */
+// 자료에 답이 없을 때 모델이 그대로 쓰는 거절 문장 (AIService가 이 문장으로 시작하는 답을 거절로 판단)
+const QA_REFUSAL = '제공된 기사 자료에서는 확인할 수 없는 내용입니다.';
+
+function qaSystemMessage(glossary = [], template = resolve('qa')) {
+  return render(template, 'system', { glossary: glossaryLines(glossary), refusal: QA_REFUSAL });
+}
+
+/**
+ * @param {string} question - 사용자 질문
+ * @param {string} context - 번호를 붙인 자료 발췌 ([1] …)
+ */
+function qaUserMessage(question, context, template = resolve('qa')) {
+  return render(template, 'user', { question, context });
+}
+
+/** -------- 섹션 브리핑 -------- */
+function briefingSystemMessage(glossary = [], template = resolve('briefing')) {
+  return render(template, 'system', { glossary: glossaryLines(glossary) });
+}
+
+/**
+ * @param {object} input - { section: 섹션 이름, date: YYYY-MM-DD, items: [{ ref, title, source, points, moreSources }] }
+ */
+function briefingUserMessage({ section, date, items = [] }, template = resolve('briefing')) {
+  const lines = items.map(item => [
+    `[${item.ref}] ${item.title} (${item.source || '출처 없음'}${item.moreSources ? `, 외 ${item.moreSources}개 매체` : ''})`,
+    ...(item.points || []).map(point => `  - ${point}`),
+  ].join('\n'));
+  return render(template, 'user', { section, date, items: lines.join('\n') });
+}
+
+module.exports = {
+  summarySystemMessage,
+  summaryUserMessage,
+  briefUserMessage,
+  briefRepairMessage,
+  glossaryLines,
+  translationSystemMessage,
+  translationUserMessage,
+  batchTranslationSystemMessage,
+  batchTranslationUserMessage,
+  qaSystemMessage,
+  qaUserMessage,
+  QA_REFUSAL,
+  briefingSystemMessage,
+  briefingUserMessage,
+};
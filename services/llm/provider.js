@@ -0,0 +1,135 @@
+// services/llm/provider.js - LLM 공급자 공통 인터페이스
+const prompts = require('./prompts');
+const promptRegistry = require('../promptRegistry');
+
+/**
+ * 모든 공급자가 구현하는 인터페이스입니다.
+ * - chat(): 필수. Chat Completions 형식의 메시지를 받아 텍스트를 반환
+ * - summarize()/translate()/translateBatch()/answerStream()/briefing(): 기본 구현은 공용 프롬프트로 chat()/chatStream()을 호출하며, 규칙 기반 공급자는 직접 구현
+ * - chatStream()/summarizeStream()/answerStream(): 생성되는 텍스트를 onDelta로 조각조각 전달. 기본 구현은 완성된 텍스트를 한 번에 전달
+ *
+ * 프롬프트 템플릿(prompt)은 services/promptRegistry.js의 resolve() 결과이며, 생략하면 전체 기본 활성 버전을 씁니다.
+ *
+ * 모든 메서드는 { text, model, provider, usage, id, headers }를 반환합니다.
+ */
+class LLMProvider {
+  /**
+   * @param {string} name - 설정상의 공급자 이름 (config/llm.js PROVIDERS 키)
+   * @param {object} [options] - 공급자 설정
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.options = options;
+  }
+
+  get capabilities() {
+    return ['chat', 'summarize', 'translate', 'translateBatch', 'answer', 'briefing'];
+  }
+
+  /**
+   * @param {object} request - { model, messages, temperature, maxTokens, signal, jsonMode: JSON 객체 응답 강제 }
+   * @returns {Promise<object>} { text, model, provider, usage, id, headers }
+   */
+  async chat() {
+    throw new Error(`${this.constructor.name}.chat() is not implemented`);
+  }
+
+  /**
+   * @param {object} request - { model, messages, temperature, maxTokens, signal, onDelta: (text) => void }
+   * @returns {Promise<object>} 스트림이 끝난 뒤의 전체 결과 (chat()과 같은 형식)
+   */
+  async chatStream({ onDelta, ...request }) {
+    const result = await this.chat(request);
+    if (result.text) onDelta?.(result.text);
+    return result;
+  }
+
+  _summaryMessages(text, detailed, glossary, prompt = promptRegistry.resolve(detailed ? 'brief' : 'summary')) {
+    return [
+      { role: 'system', content: prompts.summarySystemMessage(prompt) },
+      { role: 'user', content: prompts.summaryUserMessage(text, detailed, glossary, prompt) },
+    ];
+  }
+
+  /**
+   * detailed면 상세 브리핑 JSON(services/llm/briefSchema.js)을 요청합니다.
+   * @param {object} request - { text, detailed, glossary: 표기를 지정할 용어집 항목, prompt: 'summary'/'brief' 템플릿, model, temperature, maxTokens, signal }
+   */
+  async summarize({ text, detailed = false, glossary = [], prompt, ...rest }) {
+    return this.chat({ ...rest, jsonMode: detailed, messages: this._summaryMessages(text, detailed, glossary, prompt) });
+  }
+
+  /**
+   * @param {object} request - { text, detailed, glossary, prompt, model, temperature, maxTokens, signal, onDelta }
+   */
+  async summarizeStream({ text, detailed = false, glossary = [], prompt, ...rest }) {
+    return this.chatStream({ ...rest, jsonMode: detailed, messages: this._summaryMessages(text, detailed, glossary, prompt) });
+  }
+
+  /**
+   * @param {object} request - { text, targetLang, glossary, prompt: 'translate' 템플릿, model, temperature, maxTokens, signal }
+   */
+  async translate({ text, targetLang = 'ko', glossary = [], prompt = promptRegistry.resolve('translate'), ...rest }) {
+    return this.chat({
+      ...rest,
+      messages: [
+        { role: 'system', content: prompts.translationSystemMessage(targetLang, glossary, prompt) },
+        { role: 'user', content: prompts.translationUserMessage(text, prompt) },
+      ],
+    });
+  }
+
+  /**
+   * 여러 텍스트를 한 번에 번역합니다. text는 {"items":[{"id","translation"}]} JSON (검증은 호출 측에서)
+   * @param {object} request - { items: [{ id, text }], targetLang, glossary, prompt: 'translate' 템플릿, model, temperature, maxTokens, signal }
+   */
+  async translateBatch({ items = [], targetLang = 'ko', glossary = [], prompt = promptRegistry.resolve('translate'), ...rest }) {
+    return this.chat({
+      ...rest,
+      jsonMode: true,
+      messages: [
+        { role: 'system', content: prompts.batchTranslationSystemMessage(targetLang, glossary, prompt) },
+        { role: 'user', content: prompts.batchTranslationUserMessage(items) },
+      ],
+    });
+  }
+
+  /**
+   * 번호가 붙은 자료만 근거로 질문에 답합니다. 이전 대화(history)는 자료 없이 질문/답변만 이어 붙입니다.
+   * @param {object} request - { question, context: '[1] …' 형식의 자료, history: [{ question, answer }], glossary, prompt: 'qa' 템플릿, model, temperature, maxTokens, signal, onDelta }
+   */
+  async answerStream({ question, context, history = [], glossary = [], prompt = promptRegistry.resolve('qa'), ...rest }) {
+    return this.chatStream({
+      ...rest,
+      messages: [
+        { role: 'system', content: prompts.qaSystemMessage(glossary, prompt) },
+        ...history.flatMap(turn => [
+          { role: 'user', content: turn.question },
+          { role: 'assistant', content: turn.answer },
+        ]),
+        { role: 'user', content: prompts.qaUserMessage(question, context, prompt) },
+      ],
+    });
+  }
+
+  /**
+   * 섹션 상위 기사 목록으로 브리핑 JSON(services/llm/briefingSchema.js)을 요청합니다.
+   * @param {object} request - { section, date, items: [{ ref, title, source, points, moreSources }], glossary, prompt: 'briefing' 템플릿, model, temperature, maxTokens, signal }
+   */
+  async briefing({ section, date, items = [], glossary = [], prompt = promptRegistry.resolve('briefing'), ...rest }) {
+    return this.chat({
+      ...rest,
+      jsonMode: true,
+      messages: [
+        { role: 'system', content: prompts.briefingSystemMessage(glossary, prompt) },
+        { role: 'user', content: prompts.briefingUserMessage({ section, date, items }, prompt) },
+      ],
+    });
+  }
+
+  getStatus() {
+    return { name: this.name, type: this.constructor.type, capabilities: this.capabilities };
+  }
+}
+
+module.exports = LLMProvider;
@@ -0,0 +1,191 @@
+/**
+ * Emark - NearDuplicateDetector
+ *
+ * 통신사 기사 재배포(신디케이션), 추적 파라미터가 붙은 URL, AMP/모바일 URL,
+ * 살짝 수정된 헤드라인을 같은 기사로 판정합니다.
+ * - URL 정규화: utm_* 등 추적 파라미터, AMP 경로, 모바일 서브도메인 제거
+ * - SimHash(64bit): 정규화된 제목(가중치 2)과 설명(가중치 1)의 지문 비교
+ * - 충돌 시 신뢰도(SOURCE_WEIGHTS)가 높은 소스의 기사를 남김
+ */
+const crypto = require('crypto');
+const { tokenize } = require('./searchIndex');
+
+// -------------------- Configuration --------------------
+
+const CONFIG = {
+  MAX_HAMMING: Number(process.env.NEAR_DUP_MAX_HAMMING || 3),
+  BANDS: 4, // 64bit를 16bit씩 4개 밴드로 나눔 (해밍 거리 3 이하면 최소 1개 밴드가 일치)
+  TITLE_WEIGHT: 2,
+  DESCRIPTION_WEIGHT: 1,
+};
+
+const TRACKING_PARAMS = new Set([
+  'fbclid', 'gclid', 'dclid', 'msclkid', 'igshid', 'mc_cid', 'mc_eid',
+  'ocid', 'cmpid', 'smid', 'smtyp', 'ns_mchannel', 'ns_source', 'ns_campaign',
+  'ref', 'ref_src', 'referrer', 'rss', 'feed', 'outputtype', 'amp',
+]);
+const MOBILE_SUBDOMAINS = /^(www|m|mobile|amp|mobi)\./;
+
+// -------------------- URL Canonicalization --------------------
+
+/**
+ * 비교용 정규 URL을 만듭니다. 파싱할 수 없는 값은 소문자 문자열 그대로 반환합니다.
+ * @param {string} url - 원본 URL
+ * @returns {string} 정규화된 URL (프로토콜 제외)
+ */
+function canonicalizeUrl(url) {
+  if (!url) return '';
+  let parsed;
+  try { parsed = new URL(String(url).trim()); } catch { return String(url).trim().toLowerCase(); }
+
+  let host = parsed.hostname.toLowerCase();
+  while (MOBILE_SUBDOMAINS.test(host)) host = host.replace(MOBILE_SUBDOMAINS, '');
+
+  const path = parsed.pathname
+    .replace(/\/amp(\/|$)/gi, '/')        // /amp/ 경로 세그먼트
+    .replace(/\.amp(\.html?)?$/i, '$1')  // article.amp.html, article.amp
+    .replace(/\/{2,}/g, '/')
+    .replace(/\/$/, '');
+
+  const params = [...parsed.searchParams.entries()]
+    .filter(([k]) => !k.toLowerCase().startsWith('utm_') && !TRACKING_PARAMS.has(k.toLowerCase()))
+    .sort(([a], [b]) => a.localeCompare(b));
+  const query = params.length ? `?${new URLSearchParams(params).toString()}` : '';
+
+  return `${host}${path}${query}`;
+}
+
+// -------------------- SimHash --------------------
+
+// "제목 - 매체명", "제목 | 매체명" 같은 꼬리표와 [속보] 류 머리표 제거
+function normalizeHeadline(title) {
+  return String(title || '')
+    .replace(/\s+[-|–—]\s+[^-|–—]{2,40}$/, '')
+    .replace(/^\s*[\[(【][^\])】]{1,10}[\])】]\s*/, '')
+    .replace(/^(breaking|update|updated|exclusive|live)\s*[:\-]\s*/i, '')
+    .trim();
+}
+
+function hash64(token) {
+  return BigInt.asUintN(64, BigInt(`0x${crypto.createHash('md5').update(token).digest('hex').slice(0, 16)}`));
+}
+
+/**
+ * 기사 제목/설명의 64bit SimHash 지문을 계산합니다.
+ * @param {object} item - { title, description }
+ * @returns {bigint} SimHash 값 (토큰이 없으면 0n)
+ */
+function simhash(item) {
+  const weights = new Map();
+  const add = (text, w) => tokenize(text).forEach(t => weights.set(t, (weights.get(t) || 0) + w));
+  add(normalizeHeadline(item.title), CONFIG.TITLE_WEIGHT);
+  if (item.description && item.description !== item.title) add(item.description, CONFIG.DESCRIPTION_WEIGHT);
+  if (weights.size === 0) return 0n;
+
+  const v = new Array(64).fill(0);
+  for (const [token, w] of weights) {
+    const h = hash64(token);
+    for (let i = 0; i < 64; i++) v[i] += (h >> BigInt(i)) & 1n ? w : -w;
+  }
+  let out = 0n;
+  for (let i = 0; i < 64; i++) if (v[i] > 0) out |= 1n << BigInt(i);
+  return out;
+}
+
+function hammingDistance(a, b) {
+  let x = a ^ b;
+  let count = 0;
+  while (x) { x &= x - 1n; count++; }
+  return count;
+}
+
+// -------------------- Main Class --------------------
+
+class NearDuplicateDetector {
+  /**
+   * @param {object} [opts]
+   * @param {(item: object) => number} [opts.trustOf] - 충돌 시 우선순위를 정할 소스 신뢰도 함수
+   */
+  constructor(opts = {}) {
+    this.trustOf = opts.trustOf || (() => 1);
+    this.stats = { lastInput: 0, lastOutput: 0, urlDuplicates: 0, nearDuplicates: 0 };
+  }
+
+  _prefer(a, b) {
+    const ta = this.trustOf(a), tb = this.trustOf(b);
+    if (ta !== tb) return ta > tb ? a : b;
+    // 신뢰도가 같으면 설명이 더 충실한 쪽, 그다음 먼저 발행된 쪽(원 출처일 가능성)
+    const la = (a.description || '').length, lb = (b.description || '').length;
+    if (la !== lb) return la > lb ? a : b;
+    return new Date(a.publishedAt) <= new Date(b.publishedAt) ? a : b;
+  }
+
+  /**
+   * 중복/유사 중복 기사를 제거합니다. 남은 기사의 상대 순서는 입력 순서를 따릅니다.
+   * @param {Array<object>} items - 정규화된 기사 배열
+   * @returns {Array<object>} 중복이 제거된 기사 배열
+   */
+  deduplicate(items) {
+    if (!Array.isArray(items) || items.length === 0) return [];
+    const kept = [];           // { item, fp, order }
+    const byUrl = new Map();   // canonicalUrl -> kept entry
+    const bands = new Map();   // `${band}:${value}` -> Set<entry>
+    let urlDuplicates = 0, nearDuplicates = 0;
+
+    const bandKeys = (fp) => Array.from({ length: CONFIG.BANDS }, (_, b) =>
+      `${b}:${(fp >> BigInt(b * 16)) & 0xffffn}`);
+
+    const replace = (entry, item, fp) => {
+      const winner = this._prefer(entry.item, item);
+      if (winner === item) { entry.item = item; }
+      entry.fp = entry.fp || fp;
+    };
+
+    items.forEach((item, order) => {
+      const url = canonicalizeUrl(item.link || item.url);
+      if (url && byUrl.has(url)) {
+        replace(byUrl.get(url), item, null);
+        urlDuplicates++;
+        return;
+      }
+
+      const fp = simhash(item);
+      let match = null;
+      if (fp !== 0n) {
+        for (const key of bandKeys(fp)) {
+          for (const entry of bands.get(key) || []) {
+            if (entry.fp && hammingDistance(entry.fp, fp) <= CONFIG.MAX_HAMMING) { match = entry; break; }
+          }
+          if (match) break;
+        }
+      }
+
+      if (match) {
+        replace(match, item, fp);
+        if (url) byUrl.set(url, match);
+        nearDuplicates++;
+        return;
+      }
+
+      const entry = { item, fp: fp || null, order };
+      kept.push(entry);
+      if (url) byUrl.set(url, entry);
+      if (fp) bandKeys(fp).forEach(key => {
+        if (!bands.has(key)) bands.set(key, new Set());
+        bands.get(key).add(entry);
+      });
+    });
+
+    this.stats = { lastInput: items.length, lastOutput: kept.length, urlDuplicates, nearDuplicates };
+    return kept.sort((a, b) => a.order - b.order).map(e => e.item);
+  }
+
+  getStatus() {
+    return { ...this.stats, maxHamming: CONFIG.MAX_HAMMING };
+  }
+}
+
+module.exports = NearDuplicateDetector;
+module.exports.canonicalizeUrl = canonicalizeUrl;
+module.exports.simhash = simhash;
+module.exports.hammingDistance = hammingDistance;
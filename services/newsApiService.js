@@ -1,6 +1,9 @@
 // NewsAPI 통합 서비스
 const NewsAPI = require('newsapi');
 const googleNews = require('google-news-scraper');
+const crypto = require('crypto');
+const { canonicalizeUrl } = require('./nearDuplicateDetector');
+const { KOREA_KEYWORDS, JAPAN_KEYWORDS } = require('../config/keywords');
 
 class NewsApiService {
     constructor() {
@@ -11,19 +14,9 @@ class NewsApiService {
         // GNews API 키 설정
         this.gnewsApiKey = process.env.GNEWS_API_KEY || '419c98f65957bb2389c3912af1aece04';
         
-        // 한국 관련 키워드
-        this.koreaKeywords = [
-            'Korea', 'Korean', 'Seoul', 'Busan', 'K-pop', 'Samsung', 'LG', 'Hyundai', 'Kia',
-            'Moon Jae-in', 'Yoon Suk-yeol', 'North Korea', 'South Korea', 'DMZ', 'Gangnam',
-            'Chaebol', 'Kimchi', 'BTS', 'Blackpink', 'SK Hynix', 'POSCO', 'Lotte'
-        ];
-        
-        // 일본 관련 키워드
-        this.japanKeywords = [
-            'Japan', 'Japanese', 'Tokyo', 'Osaka', 'Kyoto', 'Sony', 'Nintendo', 'Toyota', 'Honda',
-            'Kishida', 'Yen', 'Nikkei', 'Anime', 'Manga', 'Sushi', 'Mount Fuji', 'Earthquake',
-            'Tsunami', 'Fukushima', 'Mitsubishi', 'Panasonic', 'SoftBank', 'Rakuten'
-        ];
+        // 지역 분류 키워드 (번역 용어집 기본 항목과 공유)
+        this.koreaKeywords = [...KOREA_KEYWORDS];
+        this.japanKeywords = [...JAPAN_KEYWORDS];
     }
 
     async getWorldNews() {
@@ -529,7 +522,8 @@ class NewsApiService {
     }
 
     generateId(url) {
-        return Buffer.from(url).toString('base64').substring(0, 16);
+        // NewsService.generateArticleId와 같은 규칙(정규 URL의 sha1)을 사용해야 동일 기사가 같은 ID를 가짐
+        return crypto.createHash('sha1').update(canonicalizeUrl(url) || String(url)).digest('hex').substring(0, 16);
     }
 
     extractDomain(url) {
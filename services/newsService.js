@@ -10,6 +10,20 @@ const crypto = require('crypto');
 const AIService = require('./aiService');
 const NewsApiService = require('./newsApiService'); // AI 서비스 import
 const ratingService = require('./ratingService'); // Rating 서비스 싱글톤 import
+const SearchIndex = require('./searchIndex');
+const StoryClusterer = require('./storyClusterer');
+const NearDuplicateDetector = require('./nearDuplicateDetector');
+const ArticleArchive = require('./articleArchive');
+const sourceRegistry = require('./sourceRegistry'); // 소스 레지스트리 싱글톤
+const deadLetterStore = require('./deadLetterStore'); // 실패한 AI 보강 작업 저장소 싱글톤
+const languageDetector = require('./languageDetector'); // n-gram 언어 판별기 싱글톤
+const groundednessChecker = require('./groundednessChecker'); // AI 결과의 원문 근거 확인
+const qaHistory = require('./qaHistory'); // 질의응답 최근 대화 (독자/기사별)
+const { briefToPoints, briefToText } = require('./llm/briefSchema');
+const { QA_REFUSAL } = require('./llm/prompts');
+const { DEFAULT_LANG, sectionLanguages } = require('../config/languages');
+const { canonicalizeUrl } = NearDuplicateDetector;
+const { archiveDate } = ArticleArchive;
 
 // 🔧 캐시 버전 관리: ratingService 변경 시 이 버전을 업데이트하면 자동으로 새 캐시 사용
 const RATING_SERVICE_VERSION = "v3.0"; // 고급 RatingService 적용으로 메이저 버전 업데이트
@@ -31,6 +45,16 @@ try {
 // 메모리 캐시 폴백
 const memoryCache = new Map();
 
+// clearCache()가 지우는 Redis 키 (섹션/개별 기사/스토리/페이지 스냅샷, 이전 평점 버전 포함)
+// 같은 Redis에 있는 소스/용어집/프롬프트 설정, 독자 피드백, AI 사용량 같은 영구 데이터는 지우지 않음
+const SECTION_CACHE_SECTIONS = ['world', 'kr', 'japan', 'buzz', 'tech', 'business'];
+const CLEARABLE_KEY_PATTERNS = [
+  ...SECTION_CACHE_SECTIONS.flatMap(section => [`${section}_fast_*`, `${section}_full_*`]),
+  'article:*',
+  'story:*',
+  'snapshot:*',
+];
+
 // -------------------------------
 // 공통 유틸
 // -------------------------------
@@ -48,9 +72,51 @@ const FAST = {
   TTL_FULL: Number(process.env.FULL_REDIS_TTL_SEC || 1800), // 300초 → 30분 (크론: 15분)
 };
 
+// 실패한 AI 보강 작업 재시도 루프
+const DEAD_LETTER = {
+  INTERVAL_MS: Number(process.env.DEAD_LETTER_REDRIVE_INTERVAL_MS || 60_000),
+  BATCH: Number(process.env.DEAD_LETTER_REDRIVE_BATCH || 10),
+};
+
+// 커서 페이지네이션: 스크롤 도중 크론이 캐시를 갱신해도 목록이 밀리지 않도록 스냅샷 유지
+const PAGING = {
+  DEFAULT_LIMIT: 30,
+  MAX_LIMIT: 100,
+  SNAPSHOT_TTL: Number(process.env.PAGING_SNAPSHOT_TTL_SEC || 1800),
+};
+
+// AI 보강 결과를 캐시된 기사에 반영: 섹션마다 잠시 모아 섹션 캐시를 한 번만 읽고 씀
+const CACHE_PATCH = {
+  FLUSH_DELAY_MS: 50,
+  MAX_RETRIES: 5, // 읽은 뒤 다른 쓰기가 끼어들어 compare-and-set이 실패했을 때 다시 읽는 횟수
+};
+
+// 읽은 값(SHA-1)이 그대로일 때만 남은 TTL을 유지한 채 교체 (1: 교체, 0: 키 없음, -1: 그 사이 바뀜)
+const CAS_SCRIPT = `
+local current = redis.call('GET', KEYS[1])
+if not current then return 0 end
+if redis.sha1hex(current) ~= ARGV[2] then return -1 end
+redis.call('SET', KEYS[1], ARGV[1], 'KEEPTTL')
+return 1
+`;
+
+// 질의응답 자료의 용어집 항목 종류 표기
+const GLOSSARY_TYPE_LABELS = { person: '인물', organization: '기관/단체', place: '지명' };
+
+// 전체 뉴스 질의응답(/api/ask): 섹션 캐시 색인과 최근 아카이브 색인에서 찾은 기사로 답변
+const ASK = {
+  MAX_ARTICLES: Number(process.env.ASK_MAX_ARTICLES || 6),
+  DEFAULT_DAYS: 7,
+  MAX_DAYS: Number(process.env.ASK_ARCHIVE_DAYS || 30), // 아카이브 색인에 올리는 최근 일수
+  ARCHIVE_REFRESH_MS: 10 * 60_000, // 아카이브 기록 후 색인이 이보다 오래됐으면 백그라운드에서 다시 만듦
+  MAX_EXCERPT_CHARS: 800,
+};
+
 const RANK_TAU_MIN = Number(process.env.RANK_TAU_MIN || 90);
 const freshness = (ageMin) => Math.exp(-ageMin / RANK_TAU_MIN);
-const deduplicate = (items) => { const seen=new Set(); const out=[]; for(const it of items){ const k=sha1((it.title||'')+(it.url||'')); if(seen.has(k)) continue; seen.add(k); out.push(it);} return out; };
+// 정규 URL + SimHash 기반 유사 중복 제거 (충돌 시 신뢰도가 높은 소스 우선)
+const nearDuplicateDetector = new NearDuplicateDetector({ trustOf: (it) => sourceRegistry.trustForDomain(it.domain || domainFromUrl(it.link)) });
+const deduplicate = (items) => nearDuplicateDetector.deduplicate(items);
 const filterRecent = (items,h=336)=> items.filter(it=>minutesSince(it.publishedAt)<=h*60); // 14일 = 336시간
 
 // -------------------------------
@@ -86,166 +152,9 @@ const SECTION_WEIGHTS = {
 // -------------------------------
 // 섹션별 소스/키워드/화이트리스트
 // -------------------------------
+// 수집 소스는 SourceRegistry(config/sources.js + 관리자 변경분)에서 관리
 const TW_QUERIES = { /* ... 기존 내용과 동일 ... */ };
 const REDDIT_EP = { /* ... 기존 내용과 동일 ... */ };
-const YT_REGIONS = { /* ... 기존 내용과 동일 ... */ };
-const RSS_FEEDS = {
-  world: [
-    // 최고 신뢰도 소스
-    { url: 'https://feeds.reuters.com/reuters/topNews', name: 'Reuters Top News' },
-    { url: 'https://feeds.reuters.com/reuters/worldNews', name: 'Reuters World' },
-    { url: 'https://feeds.bbci.co.uk/news/world/rss.xml', name: 'BBC World' },
-    { url: 'http://rss.cnn.com/rss/edition.rss', name: 'CNN World' },
-    
-    // 추가 국제 소스
-    { url: 'https://www.theguardian.com/world/rss', name: 'The Guardian World' },
-    { url: 'https://rss.nytimes.com/services/xml/rss/nyt/World.xml', name: 'New York Times World' },
-    { url: 'https://rss.dw.com/rdf/rss-en-all', name: 'Deutsche Welle' },
-    { url: 'https://feeds.washingtonpost.com/rss/world', name: 'Washington Post World' },
-    { url: 'https://www.aljazeera.com/xml/rss/all.xml', name: 'Al Jazeera' },
-    { url: 'https://feeds.skynews.com/feeds/rss/world.xml', name: 'Sky News World' }
-  ],
-  tech: [
-    // 테크 전문 미디어
-    { url: 'https://feeds.feedburner.com/TechCrunch', name: 'TechCrunch' },
-    { url: 'http://feeds.arstechnica.com/arstechnica/index', name: 'Ars Technica' },
-    { url: 'https://www.engadget.com/rss.xml', name: 'Engadget' },
-    { url: 'https://feeds.feedburner.com/venturebeat/SZYF', name: 'VentureBeat' },
-    { url: 'https://feeds.feedburner.com/oreilly/radar', name: 'O\'Reilly Radar' },
-    
-    // 주요 언론사 테크 섹션
-    { url: 'https://rss.cnn.com/rss/edition_technology.rss', name: 'CNN Tech' },
-    { url: 'https://feeds.reuters.com/reuters/technologyNews', name: 'Reuters Tech' },
-    { url: 'https://feeds.bbci.co.uk/news/technology/rss.xml', name: 'BBC Technology' },
-    { url: 'https://www.theguardian.com/technology/rss', name: 'The Guardian Tech' },
-    { url: 'https://rss.nytimes.com/services/xml/rss/nyt/Technology.xml', name: 'NYT Technology' },
-    
-    // 전문 테크 사이트
-    { url: 'https://feeds.feedburner.com/TheHackernews', name: 'The Hacker News' },
-    { url: 'https://feeds.feedburner.com/Mashable', name: 'Mashable' },
-    { url: 'https://www.wired.com/feed/rss', name: 'Wired' }
-  ],
-  business: [
-    // 경제 전문 미디어
-    { url: 'https://feeds.reuters.com/reuters/businessNews', name: 'Reuters Business' },
-    { url: 'https://feeds.bloomberg.com/markets/news.rss', name: 'Bloomberg Markets' },
-    { url: 'http://rss.cnn.com/rss/money_latest.rss', name: 'CNN Business' },
-    { url: 'https://feeds.bbci.co.uk/news/business/rss.xml', name: 'BBC Business' },
-    
-    // 추가 경제 소스
-    { url: 'https://www.theguardian.com/business/rss', name: 'The Guardian Business' },
-    { url: 'https://rss.nytimes.com/services/xml/rss/nyt/Business.xml', name: 'NYT Business' },
-    { url: 'https://feeds.washingtonpost.com/rss/business', name: 'Washington Post Business' },
-    { url: 'https://feeds.marketwatch.com/marketwatch/topstories/', name: 'MarketWatch' },
-    { url: 'https://feeds.fortune.com/fortune/headlines', name: 'Fortune' },
-    { url: 'https://feeds.feedburner.com/entrepreneur/latest', name: 'Entrepreneur' }
-  ],
-  buzz: [
-    // 종합 뉴스 (인기/트렌딩)
-    { url: 'https://feeds.reuters.com/reuters/topNews', name: 'Reuters Top' },
-    { url: 'http://rss.cnn.com/rss/edition.rss', name: 'CNN Top' },
-    { url: 'https://feeds.bbci.co.uk/news/rss.xml', name: 'BBC News' },
-    { url: 'https://www.theguardian.com/uk/rss', name: 'The Guardian UK' },
-    { url: 'https://rss.nytimes.com/services/xml/rss/nyt/HomePage.xml', name: 'NYT Homepage' },
-    
-    // 엔터테인먼트 & 라이프스타일
-    { url: 'https://feeds.feedburner.com/people/headlines', name: 'People Magazine' },
-    { url: 'https://feeds.feedburner.com/time/topstories', name: 'Time Magazine' },
-    { url: 'https://rss.cnn.com/rss/edition_entertainment.rss', name: 'CNN Entertainment' }
-  ],
-  kr: [
-    // 연합뉴스 (최고 신뢰도)
-    { url: 'https://www.yna.co.kr/rss/news.xml', name: '연합뉴스' },
-    
-    // 종합일간지 (HTTPS 우선)
-    { url: 'https://rss.joins.com/joins_news_list.xml', name: '중앙일보' },
-    
-    // 경제지 (안정적인 HTTPS)
-    { url: 'https://www.mk.co.kr/rss/30000001/', name: '매일경제' },
-    
-    // 방송사 (테스트 후 추가)
-    { url: 'https://news.sbs.co.kr/news/SectionRssFeed.do?sectionId=01', name: 'SBS' }
-  ],
-  japan: [
-    { url: 'https://www3.nhk.or.jp/rss/news/cat0.xml', name: 'NHK News' },
-    { url: 'https://www.asahi.com/rss/asahi/newsheadlines.rdf', name: 'Asahi Shimbun' },
-    { url: 'https://mainichi.jp/rss/etc/english_latest.rss', name: 'Mainichi Shimbun' },
-    { url: 'https://japannews.yomiuri.co.jp/feed', name: 'Japan News' },
-    { url: 'https://news.livedoor.com/topics/rss/top.xml', name: 'Livedoor News' }
-  ]
-};
-const SOURCE_WEIGHTS = {
-  // 최고 신뢰도 소스 (5.0)
-  'reuters.com': 5.0,
-  'bbc.com': 5.0,
-  'bbc.co.uk': 5.0,
-  'ap.org': 5.0,
-  'apnews.com': 5.0,
-  
-  // 높은 신뢰도 소스 (4.0-4.5)
-  'cnn.com': 4.5,
-  'edition.cnn.com': 4.5,
-  'dw.com': 4.0,
-  'bloomberg.com': 4.5,
-  'wsj.com': 4.5,
-  'ft.com': 4.5,
-  'theguardian.com': 4.0,
-  'washingtonpost.com': 4.0,
-  'nytimes.com': 4.5,
-  'aljazeera.com': 4.0,
-  'skynews.com': 3.5,
-  
-  // 테크 전문 미디어 (3.0-4.0)
-  'techcrunch.com': 3.5,
-  'arstechnica.com': 4.0,
-  'engadget.com': 3.5,
-  'venturebeat.com': 3.0,
-  'wired.com': 4.0,
-  'thehackernews.com': 3.0,
-  'mashable.com': 3.0,
-  
-  // 경제 전문 미디어 (3.5-4.5)
-  'marketwatch.com': 4.0,
-  'fortune.com': 4.0,
-  'entrepreneur.com': 3.5,
-  
-  // 엔터테인먼트 & 라이프스타일 (2.5-3.5)
-  'people.com': 3.0,
-  'time.com': 4.0,
-  
-  // 일반 신뢰도 소스 (3.0-3.5)
-  'politico.com': 3.5,
-  
-  // 한국 소스 (4.0-5.0)
-  'joins.com': 4.5,
-  'hankyung.com': 4.0,
-  'yonhapnews.co.kr': 5.0,
-  'chosun.com': 4.0,
-  'donga.com': 4.0,
-  'hani.co.kr': 4.5,
-  'khan.co.kr': 4.0,
-  'kmib.co.kr': 4.0,
-  'mk.co.kr': 4.0,
-  'sedaily.com': 3.5,
-  'kbs.co.kr': 4.5,
-  'mbc.co.kr': 4.5,
-  'sbs.co.kr': 4.5,
-  'ytn.co.kr': 4.0,
-  
-  // 일본 소스 (4.0-5.0)
-  'nhk.or.jp': 5.0,
-  'asahi.com': 4.5,
-  'mainichi.jp': 4.5,
-  'yomiuri.co.jp': 4.5,
-  'japannews.yomiuri.co.jp': 4.5,
-  'livedoor.com': 3.0,
-  
-  // 기타 소스 (2.0-3.0)
-  'tmz.com': 2.5,
-  'buzzfeed.com': 2.0,
-  'reddit.com': 2.5,
-  'youtube.com': 2.0
-};
 
 // -------------------------------
 // NewsService
@@ -256,6 +165,19 @@ class NewsService {
     this.API_TIMEOUT = 5000;
     this.aiService = new AIService();
     this.newsApiService = new NewsApiService(); // NewsAPI 서비스 초기화
+    this.searchIndex = new SearchIndex(); // 캐시된 기사 전문 검색 색인
+    this.searchIndexSeeded = false;
+    this.storyClusterer = new StoryClusterer(); // 동일 사건 기사 묶음
+    this.archive = new ArticleArchive(); // 캐시 만료 후에도 기사를 보관하는 영구 아카이브
+    this.archiveIndex = new SearchIndex(); // 질의응답용 최근 아카이브 색인 (캐시 색인과 분리해 /api/search 결과는 그대로)
+    this.archiveIndexBuiltAt = 0;
+    this.archiveIndexBuilding = null; // 진행 중인 아카이브 색인 재구성
+    this.pendingPatches = new Map(); // section -> [{ articleId, patch, resolve, reject }] (다음 반영 대기)
+    this.patchFlushes = new Map();   // section -> 진행 중이거나 예약된 반영 (섹션마다 차례로 실행)
+    this.deadLetters = opts.deadLetters || deadLetterStore; // 실패한 AI 보강 작업 (재시도 대기)
+    this.redriveTimer = null;
+    this.redriving = null;
+    this.io = opts.io || null; // 상세 보강 결과를 열린 페이지에 알리는 Socket.io 서버
     // ratingService는 싱글톤으로 직접 사용
 
     // [LOG] 서비스 시작 시 환경 변수 로드 상태를 명확히 확인합니다.
@@ -293,88 +215,186 @@ class NewsService {
   }
 
   // ====== 공개 API ======
-  async getSectionFast(section='buzz', readArticles=[]){ return this._getFast(section, readArticles); }
-  async getSectionFull(section='buzz', readArticles=[]){ return this._getFull(section, readArticles); }
+  // 독자별 개인화(읽은 기사 등)는 ReaderProfileService가 이 공유 결과 위에서 재정렬로 처리
+  async getSectionFast(section='buzz'){ return this._getFast(section); }
+  async getSectionFull(section='buzz'){ return this._getFull(section); }
+  
+  /**
+   * 섹션 목록을 페이지 단위로 반환합니다.
+   * - page/limit: 현재 캐시된 랭킹 목록을 잘라서 반환 (오프셋 방식)
+   * - cursor: 첫 요청 시점의 스냅샷을 기준으로 이어서 반환하므로 캐시가 갱신되어도 순서가 유지됨
+   * @param {string} section - 기사 섹션
+   * @param {boolean} [useCache=true] - false면 캐시된 목록 대신 수집 파이프라인(_getFast)을 거침
+   * @param {number} [page=1] - 1부터 시작하는 페이지 번호 (cursor가 있으면 무시)
+   * @param {number} [limit=30] - 페이지 크기 (최대 100)
+   * @param {object} [options] - { cursor } 이전 응답의 pagination.nextCursor
+   * @returns {Promise<object>} { success, data, section, pagination, timestamp }
+   */
+  async getNews(section, useCache = true, page = 1, limit = PAGING.DEFAULT_LIMIT, options = {}) {
+    const sec = section === 'korea' ? 'kr' : section;
+    const size = Math.min(Math.max(parseInt(limit) || PAGING.DEFAULT_LIMIT, 1), PAGING.MAX_LIMIT);
+
+    let snapshot = null;
+    let offset = (Math.max(parseInt(page) || 1, 1) - 1) * size;
+
+    if (options.cursor) {
+      const decoded = this._decodeCursor(options.cursor);
+      if (!decoded || decoded.section !== sec) {
+        return { success: false, error: 'Invalid cursor', section: sec };
+      }
+      snapshot = await this._readCache(this._snapshotKey(sec, decoded.snapshotId));
+      offset = decoded.offset;
+      if (!snapshot) {
+        this.logger.info(`[Paging] Snapshot ${decoded.snapshotId} expired for ${sec}, continuing on current listing`);
+      }
+    }
+
+    if (!snapshot) {
+      const payload = await this._getListingPayload(sec, useCache);
+      snapshot = await this._saveSnapshot(sec, payload);
+    }
+
+    const items = snapshot.data || [];
+    const total = items.length;
+    const pages = Math.max(1, Math.ceil(total / size));
+    const data = items.slice(offset, offset + size);
+    const hasNext = offset + size < total;
+
+    return {
+      success: true,
+      data,
+      section: sec,
+      timestamp: snapshot.timestamp,
+      pagination: {
+        page: Math.floor(offset / size) + 1,
+        limit: size,
+        total,
+        pages,
+        hasNext,
+        hasPrev: offset > 0,
+        snapshotId: snapshot.snapshotId,
+        nextCursor: hasNext ? this._encodeCursor(sec, snapshot.snapshotId, offset + size) : null
+      }
+    };
+  }
+
+  async _getListingPayload(section, useCache) {
+    if (useCache) {
+      for (const key of [`${section}_full_${RATING_SERVICE_VERSION}`, `${section}_fast_${RATING_SERVICE_VERSION}`]) {
+        const payload = await this._readCache(key);
+        if (payload && Array.isArray(payload.data) && payload.data.length > 0) return payload;
+      }
+    }
+    return this._getFast(section);
+  }
+
+  _snapshotKey(section, snapshotId) {
+    return `snapshot:${section}:${snapshotId}:${RATING_SERVICE_VERSION}`;
+  }
+
+  /**
+   * 동일한 캐시 세대(timestamp)는 같은 스냅샷 ID를 공유하므로 독자마다 사본을 만들지 않습니다.
+   */
+  async _saveSnapshot(section, payload) {
+    const timestamp = payload?.timestamp || new Date().toISOString();
+    const snapshotId = sha1(`${section}_${timestamp}_${(payload?.data || []).length}`).slice(0, 12);
+    const key = this._snapshotKey(section, snapshotId);
+    const snapshot = { snapshotId, section, timestamp, data: payload?.data || [] };
+
+    try {
+      if (redis) {
+        await redis.set(key, JSON.stringify(snapshot), { EX: PAGING.SNAPSHOT_TTL, NX: true });
+      } else if (!memoryCache.has(key)) {
+        memoryCache.set(key, snapshot);
+        setTimeout(() => memoryCache.delete(key), PAGING.SNAPSHOT_TTL * 1000);
+      }
+    } catch (e) {
+      this.logger.warn(`[Paging] Snapshot save failed for ${section}:`, e.message);
+    }
+    return snapshot;
+  }
+
+  _encodeCursor(section, snapshotId, offset) {
+    return Buffer.from(JSON.stringify({ s: section, i: snapshotId, o: offset })).toString('base64url');
+  }
+
+  _decodeCursor(cursor) {
+    try {
+      const { s, i, o } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+      if (!s || !i || !Number.isInteger(o) || o < 0) return null;
+      return { section: s, snapshotId: i, offset: o };
+    } catch {
+      return null;
+    }
+  }
   
   // ====== AI 연동 메서드 ======
   async _enrichArticlesWithAI(articles, section = 'world') {
-    if (!this.aiService.client) {
-      this.logger.warn('AI Service is not initialized. Skipping enrichment.');
+    if (!this.aiService.isAvailable('title')) {
+      this.logger.warn('AI Service is disabled (LLM_PROVIDER=none). Skipping enrichment.');
+      return articles;
+    }
+    // 예산 소진(none 단계)이면 캐시 조회도 하지 않음. titles_only/cached_only는 AIService가 호출별로 제한
+    const budgetMode = this.aiService.usage.mode();
+    if (budgetMode === 'none') {
+      this.logger.warn('[AI] Budget exhausted. Skipping enrichment.');
       return articles;
     }
 
     const enrichedArticles = [];
     const BATCH_SIZE = 5; // 배치 크기 증가로 속도 향상
+    const langs = sectionLanguages(section);
 
     this.logger.info(`[AI] Starting enrichment for ${articles.length} articles in batches of ${BATCH_SIZE}...`);
 
+    // 제목은 언어별로 묶어서 번역 (개별 호출 대신 몇 번의 일괄 요청)
+    const titleResults = await this._translateTitles(articles, langs, section);
+
     for (let i = 0; i < articles.length; i += BATCH_SIZE) {
       const batch = articles.slice(i, i + BATCH_SIZE);
       this.logger.info(`[AI] Processing batch ${i / BATCH_SIZE + 1}...`);
       
       const enrichmentPromises = batch.map(async (article) => {
         try {
-          // 제목 언어 감지 및 번역 처리
-          let translationPromise;
-          const hasJapanese = /[\u3040-\u309f\u30a0-\u30ff\u4e00-\u9fff]/.test(article.title);
-          const hasKorean = /[\uac00-\ud7af]/.test(article.title);
-          const isEnglish = /^[a-zA-Z0-9\s\-\.,!?:;'"()]+$/.test(article.title);
+          const summaryResult = await this.aiService.summarize(article.description || article.title, { detailed: false, maxPoints: 3, callSite: 'enrich.summary', section });
           
-          // 섹션별 번역 정책
-          if (section === 'japan' || section === 'kr' || section === 'korea') {
-            // 일본/한국 섹션: 한국어가 아닌 모든 언어를 번역
-            if (!hasKorean) {
-              translationPromise = this.aiService.translate(article.title, 'ko');
-            } else {
-              translationPromise = Promise.resolve({ success: true, data: { translated: article.title } });
-            }
-          } else {
-            // 다른 섹션: 기존 로직 (일본어이거나 한국어가 아닌 경우 번역)
-            if (hasJapanese || (!hasKorean && article.title)) {
-              translationPromise = this.aiService.translate(article.title, 'ko');
-            } else {
-              translationPromise = Promise.resolve({ success: true, data: { translated: article.title } });
+          // 언어별 번역 (실패한 언어는 비워 두고 응답 시 원문으로 대체, 설명은 상세 처리에서 번역)
+          // 원문과 같은 언어는 번역하지 않았으므로 원문 제목을 그대로 사용
+          // 결과를 만든 프롬프트 템플릿 버전 (services/promptRegistry.js)과 작업별 원문 근거 확인 결과
+          const translations = {};
+          const aiPrompts = {};
+          const grounding = {};
+          langs.forEach((lang) => {
+            const result = titleResults.get(lang).get(article.id) || { success: true, data: { translated: article.title } };
+            if (result.success && result.data.translated) {
+              translations[lang] = { title: result.data.translated };
+              if (result.data.prompt) aiPrompts.title = result.data.prompt;
+              if (result.data.grounding) grounding[this._groundingTask('title', lang)] = result.data.grounding;
             }
-          }
-          
-          const [translationResult, summaryResult] = await Promise.all([
-            translationPromise,
-            this.aiService.summarize(article.description || article.title, { detailed: false, maxPoints: 3 })
-          ]);
-          
-          // 제목 번역 처리
-          const titleKo = (translationResult.success && translationResult.data.translated) 
-            ? translationResult.data.translated 
-            : article.title;
+            // 실패한 호출은 재시도 대기열로 (예산 강등으로 건너뛴 호출은 제외)
+            this._deadLetter(article, section, 'title', article.title, 'enrich.title', result, lang);
+          });
 
-          // 기본 요약 처리 (메인페이지용)
-          let summaryPoints = [];
-          if (summaryResult.success && summaryResult.data.summary) {
-            const summary = summaryResult.data.summary;
-            if (typeof summary === 'string') {
-              summaryPoints = summary
-                .split('\n')
-                .map(line => line.replace(/^[•\-*\d\.\)]\s*/, '').trim())
-                .filter(point => point && point.length > 5)
-                .slice(0, 3); // 메인페이지용 3개 포인트
-            } else if (Array.isArray(summary)) {
-              summaryPoints = summary.filter(point => point && point.length > 5).slice(0, 3);
-            }
-          }
-          
-          // 기본 요약이 없으면 description 사용
-          if (summaryPoints.length === 0) {
-            summaryPoints = article.description 
-              ? [article.description]
-              : [article.title];
+          // 기본 요약 처리 (메인페이지용 3개 포인트)
+          const summaryPoints = summaryResult.success
+            ? this._parseSummaryPoints(summaryResult.data.summary, 5, 3)
+            : [];
+          if (summaryPoints.length > 0) {
+            aiPrompts.summary = summaryResult.data.prompt;
+            grounding.summary = summaryResult.data.grounding;
           }
 
-          // 메인페이지용 기본 번역된 기사 반환
+          this._deadLetter(article, section, 'summary', article.description || article.title, 'enrich.summary', summaryResult);
+          
+          // 메인페이지용 기본 번역된 기사 반환 (기본 요약이 없으면 description 사용)
           return {
             ...article,
-            titleKo,
-            summaryPoints,
+            translations,
+            titleKo: translations[DEFAULT_LANG]?.title || article.title,
+            summaryPoints: summaryPoints.length > 0 ? summaryPoints : [article.description || article.title],
             descriptionKo: article.description || '', // 일단 원문 그대로
+            aiPrompts,
+            grounding: groundednessChecker.combine(null, grounding),
             tags: article.tags || []
           };
         } catch (error) {
@@ -400,55 +420,74 @@ class NewsService {
     
     this.logger.info(`[AI] Basic enrichment completed for all ${enrichedArticles.length} articles.`);
     
-    // 상세 처리는 백그라운드에서 비동기로 진행
-    this.processDetailedEnrichment(enrichedArticles).catch(error => {
+    // 상세 처리는 호출 측이 섹션 캐시를 저장한 뒤 scheduleDetailedEnrichment()로 시작
+    return enrichedArticles;
+  }
+
+  /**
+   * 섹션의 번역 대상 언어마다 제목을 일괄 번역합니다. 원문이 이미 그 언어인 기사는 제외합니다.
+   * @returns {Promise<Map<string, Map<string, object>>>} lang -> (article.id -> translate() 결과)
+   */
+  async _translateTitles(articles, langs, section) {
+    const results = new Map();
+    for (const lang of langs) {
+      const items = articles
+        .filter(article => article.title && this._sourceLanguage(article) !== lang)
+        .map(article => ({ id: article.id, text: article.title }));
+      results.set(lang, await this.aiService.translateBatch(items, lang, { task: 'title', callSite: 'enrich.title', section }));
+    }
+    return results;
+  }
+
+  /**
+   * 캐시에 저장된 기사들의 상세 AI 처리를 백그라운드에서 시작합니다.
+   * 결과를 이미 저장된 섹션/개별 기사 캐시에 덮어쓰므로 캐시를 쓴 다음에 호출해야 합니다.
+   * @param {Array<object>} articles - 캐시에 저장된 기사
+   * @param {string} section - 기사 섹션
+   */
+  scheduleDetailedEnrichment(articles, section) {
+    if (!Array.isArray(articles) || articles.length === 0 || !this.aiService.isAvailable('brief')) return;
+    this.processDetailedEnrichment(articles, section).catch(error => {
       this.logger.error('[AI] Background detailed enrichment failed:', error);
     });
-    
-    return enrichedArticles;
   }
 
-  // 상세 AI 처리를 백그라운드에서 진행
-  async processDetailedEnrichment(articles) {
+  // 상세 AI 처리를 백그라운드에서 진행하고 기사마다 결과를 캐시에 반영
+  async processDetailedEnrichment(articles, section) {
+    if (!this.aiService.usage.allowsCall('brief')) {
+      // 강등 단계에서는 캐시에 없는 상세 요약을 만들 수 없으므로 백그라운드 루프를 돌지 않음
+      this.logger.info(`[AI] Skipping detailed enrichment (budget mode: ${this.aiService.usage.mode()})`);
+      return;
+    }
     this.logger.info(`[AI] Starting detailed background enrichment for ${articles.length} articles...`);
+    const langs = sectionLanguages(section);
     
     for (const article of articles) {
       try {
-        const fullText = `${article.title}\n\n${article.description || ''}`.trim();
+        const fullText = this._briefInput(article);
         
         // 상세 요약과 내용 번역을 병렬 처리
-        const [summaryResult, contentTransResult] = await Promise.all([
-          this.aiService.summarize(fullText, { detailed: true, maxPoints: 5 }),
-          article.description ? this.aiService.translate(article.description, 'ko') : Promise.resolve({ success: false })
+        // 설명은 섹션의 번역 대상 언어마다 번역 (원문과 같은 언어는 건너뜀)
+        const sourceLang = this._sourceLanguage(article);
+        const descriptionLangs = article.description ? langs.filter(lang => lang !== sourceLang) : [];
+        const [briefResult, ...descriptionResults] = await Promise.all([
+          this.aiService.generateBrief(fullText, { callSite: 'enrich.detail.brief', section }),
+          ...descriptionLangs.map(lang => this.aiService.translate(article.description, lang, { callSite: 'enrich.detail.translate', section }))
         ]);
-        
-        // 상세 요약 처리
-        let detailedSummaryPoints = [];
-        if (summaryResult.success && summaryResult.data.summary) {
-          const summary = summaryResult.data.summary;
-          if (typeof summary === 'string') {
-            detailedSummaryPoints = summary
-              .split('\n')
-              .map(line => line.replace(/^[•\-*\d\.\)]\s*/, '').trim())
-              .filter(point => point && point.length > 10)
-              .slice(0, 5);
-          } else if (Array.isArray(summary)) {
-            detailedSummaryPoints = summary.filter(point => point && point.length > 10).slice(0, 5);
-          }
-        }
 
-        // 내용 번역 처리
-        const descriptionKo = (contentTransResult.success && contentTransResult.data.translated)
-          ? contentTransResult.data.translated
-          : article.description || '';
+        this._deadLetter(article, section, 'brief', fullText, 'enrich.detail.brief', briefResult);
 
-        // 상세 처리 완료된 기사 정보 업데이트 (캐시에 반영)
-        if (detailedSummaryPoints.length > 0) {
-          article.summaryPoints = detailedSummaryPoints;
-        }
-        if (descriptionKo) {
-          article.descriptionKo = descriptionKo;
-        }
+        // 상세 처리 완료된 기사 정보 업데이트 (캐시에 반영하고 클라이언트에 알림)
+        const patch = briefResult.success ? this._briefPatch(briefResult.data) : {};
+        descriptionLangs.forEach((lang, index) => {
+          const result = descriptionResults[index];
+          this._deadLetter(article, section, 'translate', article.description, 'enrich.detail.translate', result, lang);
+          if (result.success && result.data.translated) {
+            Object.assign(patch, this._mergeArticle(patch, this._translationPatch(lang, 'description', result.data)));
+          }
+        });
+        Object.assign(article, this._mergeArticle(article, patch));
+        await this._applyEnrichment(section, article.id, patch);
         
         this.logger.info(`[AI] Detailed enrichment completed for article: ${article.id}`);
         
@@ -463,6 +502,374 @@ class NewsService {
     this.logger.info(`[AI] All detailed background enrichment completed.`);
   }
 
+  // 상세 브리핑 입력 (백그라운드 보강과 상세 페이지 스트리밍이 같은 캐시를 쓰도록 공유)
+  _briefInput(article) {
+    return `${article.title}\n\n${article.description || ''}`.trim();
+  }
+
+  /**
+   * 상세 페이지용 프리미엄 인텔리전스 브리핑을 생성하며 지금까지 받은 부분을 onPartial로 전달합니다.
+   * 이미 만들어진 브리핑은 호출 없이 바로 반환하고, 새로 만든 결과는 캐시된 기사에 반영합니다.
+   * @param {string} section - 기사 섹션
+   * @param {string} articleId - 기사 ID
+   * @param {object} [opts] - { onPartial: (partialBrief) => void, signal: 클라이언트 연결 종료 시 중단 }
+   * @returns {Promise<object>} { success, brief, summaryPoints, grounding, cached } 또는 { success: false, error, notFound, degraded }
+   */
+  async streamArticleBrief(section, articleId, { onPartial, signal } = {}) {
+    const found = await this.getArticleById(section, articleId);
+    if (!found?.success) return { success: false, notFound: true, error: 'Article not found' };
+
+    const article = found.data;
+    const fullText = this._briefInput(article);
+    const result = await this.aiService.streamBrief(fullText, { onPartial, signal, callSite: 'api.article.brief', section });
+    if (!signal?.aborted) this._deadLetter(article, section, 'brief', fullText, 'api.article.brief', result);
+    if (!result.success) return result;
+
+    const patch = this._briefPatch(result.data);
+    if (!result.cached || !article.brief) {
+      await this._applyEnrichment(section, article.id, patch);
+    }
+    // 기사 전체 점수(요약/제목 등 다른 작업 포함)로 돌려줌
+    const grounding = patch.grounding && groundednessChecker.combine(article.grounding, patch.grounding.tasks);
+    return { success: true, ...patch, ...(grounding && { grounding }), cached: result.cached };
+  }
+
+  /**
+   * 캐시된 기사 하나만 근거로 독자 질문에 답하며 생성되는 답변을 onDelta로 전달합니다.
+   * 자료: [1] 기사 원문, [2] 이미 만들어진 상세 브리핑, [3] 기사에 나온 용어집 항목 (새로 생성하지 않음)
+   * 같은 독자의 같은 기사에 대한 최근 대화를 함께 보내 후속 질문을 이해하게 합니다.
+   * @param {string} section - 기사 섹션
+   * @param {string} articleId - 기사 ID
+   * @param {string} question - 질문
+   * @param {object} [opts] - { sessionId: 독자 ID, onDelta: (text) => void, signal: 클라이언트 연결 종료 시 중단 }
+   * @returns {Promise<object>} { success, answer, refused, grounding, turns } 또는 { success: false, error, notFound, degraded }
+   */
+  async askArticle(section, articleId, question, { sessionId, onDelta, signal } = {}) {
+    const found = await this.getArticleById(section, articleId);
+    if (!found?.success) return { success: false, notFound: true, error: 'Article not found' };
+
+    const article = found.data;
+    const scope = `article:${section}:${article.id}`;
+    const history = await qaHistory.get(sessionId, scope);
+    const result = await this.aiService.answerQuestion(question, this._articleQAContext(article), {
+      history, onDelta, signal, callSite: 'api.article.ask', section,
+    });
+    if (!result.success) return result;
+
+    const { answer, refused, grounding } = result.data;
+    const turns = signal?.aborted ? history : await qaHistory.append(sessionId, scope, question, answer);
+    return { success: true, answer, refused, grounding, turns: turns.length };
+  }
+
+  // 질의응답 자료: 번호를 붙인 발췌 (답변의 [n] 출처 표시와 맞춤)
+  _articleQAContext(article) {
+    const text = this._briefInput(article);
+    const meta = [article.source, article.publishedAt && `발행 ${article.publishedAt}`].filter(Boolean).join(', ');
+    const glossary = this.aiService.glossary.match(text)
+      .map(e => `- ${[e.term, ...e.aliases].join(' / ')} → ${e.ko} (${GLOSSARY_TYPE_LABELS[e.type] || e.type})`);
+    return [
+      `기사 원문${meta ? ` (${meta})` : ''}\n${text}`,
+      article.brief && `상세 브리핑\n${briefToText(article.brief)}`,
+      glossary.length && `용어집 (기사에 나온 인물/기관/지명의 한국어 표기)\n${glossary.join('\n')}`,
+    ].filter(Boolean).map((excerpt, i) => `[${i + 1}] ${excerpt}`).join('\n\n');
+  }
+
+  /**
+   * 구조화된 브리핑과, 목록/카드에서 쓰는 요약 포인트
+   * @param {object} data - generateBrief()/streamBrief() 결과의 data ({ brief, prompt: 템플릿 버전, grounding })
+   */
+  _briefPatch({ brief, prompt, grounding }) {
+    return {
+      brief,
+      summaryPoints: briefToPoints(brief, 5),
+      ...(prompt && { aiPrompts: { brief: prompt } }),
+      ...(grounding && { grounding: groundednessChecker.combine(null, { brief: grounding }) }),
+    };
+  }
+
+  // 기사 grounding.tasks의 작업 이름 (기본 언어 외 번역은 언어별로)
+  _groundingTask(field, lang) {
+    return lang === DEFAULT_LANG ? field : `${field}.${lang}`;
+  }
+
+  /**
+   * AI 요약 응답(문자열 또는 배열)을 포인트 배열로 변환합니다.
+   * @param {string|Array<string>} summary - AI 요약
+   * @param {number} minLength - 이보다 짧은 줄은 제외
+   * @param {number} max - 최대 포인트 수
+   */
+  _parseSummaryPoints(summary, minLength, max) {
+    const lines = typeof summary === 'string'
+      ? summary.split('\n').map(line => line.replace(/^[•\-*\d\.\)]\s*/, '').trim())
+      : (Array.isArray(summary) ? summary : []);
+    return lines.filter(point => point && point.length > minLength).slice(0, max);
+  }
+
+  // ====== 실패한 AI 보강 작업 재시도 (dead-letter) ======
+
+  /**
+   * AI 호출 결과가 실패면 dead-letter 저장소에 기록하고, 성공이면 남아 있던 항목을 지웁니다.
+   * 예산 강등으로 건너뛴 호출은 실패로 보지 않습니다.
+   */
+  _deadLetter(article, section, task, text, callSite, result, lang = DEFAULT_LANG) {
+    if (!result || result.degraded || !article?.id || !text) return;
+    const targetLang = task === 'title' || task === 'translate' ? lang : undefined;
+    if (result.success) {
+      this.deadLetters.clear(task, section, article.id, targetLang).catch(() => {});
+      return;
+    }
+    this.deadLetters.add({
+      articleId: article.id,
+      section,
+      task,
+      input: { text, targetLang },
+      callSite,
+      error: result.error,
+    }).catch(e => this.logger.warn(`[DeadLetter] Failed to record ${task} for ${article.id}:`, e.message));
+  }
+
+  /**
+   * 재시도 루프를 시작합니다. 서버 시작 시 한 번 호출합니다.
+   */
+  startDeadLetterRedrive(intervalMs = DEAD_LETTER.INTERVAL_MS) {
+    if (this.redriveTimer) return;
+    this.redriveTimer = setInterval(() => {
+      this.redriveDeadLetters().catch(e => this.logger.error('[DeadLetter] Redrive failed:', e.message));
+    }, intervalMs);
+    this.redriveTimer.unref?.();
+    this.logger.info(`[DeadLetter] Redrive loop started (every ${Math.round(intervalMs / 1000)}s)`);
+  }
+
+  stopDeadLetterRedrive() {
+    clearInterval(this.redriveTimer);
+    this.redriveTimer = null;
+  }
+
+  /**
+   * 재시도 시각이 된 항목을 다시 실행하고 성공하면 결과를 기사 캐시에 반영합니다.
+   * 이미 실행 중이면 진행 중인 실행 결과를 함께 기다립니다.
+   * @returns {Promise<object>} { attempted, succeeded, failed, deferred }
+   */
+  async redriveDeadLetters({ limit = DEAD_LETTER.BATCH } = {}) {
+    if (this.redriving) return this.redriving;
+    this.redriving = (async () => {
+      const summary = { attempted: 0, succeeded: 0, failed: 0, deferred: 0 };
+      if (this.aiService.usage.mode() === 'none') return summary;
+
+      for (const entry of this.deadLetters.due(limit)) {
+        summary.attempted++;
+        const outcome = await this._redriveEntry(entry).catch(async (e) => {
+          await this.deadLetters.markFailed(entry.id, e);
+          return 'failed';
+        });
+        summary[outcome]++;
+      }
+      if (summary.attempted) {
+        this.logger.info(`[DeadLetter] Redrive: ${summary.succeeded} succeeded, ${summary.failed} failed, ${summary.deferred} deferred`);
+      }
+      return summary;
+    })().finally(() => { this.redriving = null; });
+    return this.redriving;
+  }
+
+  async _redriveEntry(entry) {
+    const { task, input, section } = entry;
+    const options = { callSite: 'deadletter.redrive', section };
+    let result;
+    let patch = null;
+
+    if (task === 'title' || task === 'translate') {
+      const lang = input.targetLang || DEFAULT_LANG;
+      result = await this.aiService.translate(input.text, lang, { ...options, task });
+      if (result.success && result.data.translated) {
+        patch = this._translationPatch(lang, task === 'title' ? 'title' : 'description', result.data);
+      }
+    } else if (task === 'brief') {
+      result = await this.aiService.generateBrief(input.text, options);
+      if (result.success) patch = this._briefPatch(result.data);
+    } else {
+      result = await this.aiService.summarize(input.text, options);
+      const points = result.success ? this._parseSummaryPoints(result.data.summary, 5, 3) : [];
+      if (points.length) {
+        patch = {
+          summaryPoints: points,
+          aiPrompts: { summary: result.data.prompt },
+          grounding: groundednessChecker.combine(null, { summary: result.data.grounding }),
+        };
+      }
+    }
+
+    // 예산 강등 중이면 시도 횟수를 늘리지 않고 다음 실행으로 미룸
+    if (result.degraded) return 'deferred';
+    if (!patch) {
+      await this.deadLetters.markFailed(entry.id, result.error || 'Empty AI result');
+      return 'failed';
+    }
+
+    await this._applyEnrichment(section, entry.articleId, patch);
+    await this.deadLetters.resolve(entry.id);
+    return 'succeeded';
+  }
+
+  /**
+   * AI 보강 결과를 캐시에 반영하고 'article-enriched' 이벤트로 열린 페이지에 알립니다.
+   * @param {string} section - 기사 섹션
+   * @param {string} articleId - 기사 ID
+   * @param {object} patch - 보강된 필드 (summaryPoints, brief, translations, titleKo, descriptionKo, grounding)
+   * @returns {Promise<object|null>} 갱신된 기사 (캐시에 없으면 null)
+   */
+  async _applyEnrichment(section, articleId, patch) {
+    if (!articleId || Object.keys(patch).length === 0) return null;
+    const updated = await this._patchCachedArticle(section, articleId, patch)
+      .catch(e => { this.logger.warn(`[AI] Failed to write enrichment for ${articleId} to cache:`, e.message); return null; });
+    if (this.io) {
+      // grounding은 이번 작업만이 아니라 기사 전체 점수로 알림
+      const grounding = patch.grounding && updated?.grounding ? { grounding: updated.grounding } : {};
+      this.io.emit('article-enriched', { section, id: articleId, ...patch, ...grounding, timestamp: new Date().toISOString() });
+    }
+    return updated;
+  }
+
+  /**
+   * 섹션 캐시와 개별 기사 캐시에 있는 기사 한 건을 부분 갱신합니다. (남은 TTL 유지)
+   * 같은 섹션의 패치는 FLUSH_DELAY_MS 동안 모아 섹션 캐시마다 한 번의 읽기-수정-쓰기로 반영합니다.
+   * @param {string} section - 기사 섹션
+   * @param {string} articleId - 기사 ID
+   * @param {object} patch - 덮어쓸 필드
+   * @returns {Promise<object|null>} 갱신된 기사 (캐시에 없으면 null)
+   */
+  _patchCachedArticle(section, articleId, patch) {
+    return new Promise((resolve, reject) => {
+      let pending = this.pendingPatches.get(section);
+      if (!pending) {
+        pending = [];
+        this.pendingPatches.set(section, pending);
+        // 진행 중인 반영이 끝난 뒤 실행 (같은 섹션 캐시를 동시에 읽고 쓰지 않게)
+        const previous = this.patchFlushes.get(section) || Promise.resolve();
+        const run = previous
+          .then(() => new Promise(r => setTimeout(r, CACHE_PATCH.FLUSH_DELAY_MS)))
+          .then(() => this._flushPatches(section));
+        this.patchFlushes.set(section, run);
+        run.finally(() => { if (this.patchFlushes.get(section) === run) this.patchFlushes.delete(section); });
+      }
+      pending.push({ articleId, patch, resolve, reject });
+    });
+  }
+
+  // 모인 패치를 섹션 캐시(_full_/_fast_)와 개별 기사 캐시에 반영하고 각 요청에 갱신된 기사를 돌려줌
+  async _flushPatches(section) {
+    const entries = this.pendingPatches.get(section) || [];
+    this.pendingPatches.delete(section); // 반영 중에 들어온 패치는 다음 차례로
+    const byArticle = new Map();
+    for (const entry of entries) {
+      if (!byArticle.has(entry.articleId)) byArticle.set(entry.articleId, []);
+      byArticle.get(entry.articleId).push(entry.patch);
+    }
+    const applyAll = (article) => byArticle.get(article.id).reduce((merged, patch) => this._mergeArticle(merged, patch), article);
+
+    try {
+      const updated = new Map();
+      for (const key of [`${section}_full_${RATING_SERVICE_VERSION}`, `${section}_fast_${RATING_SERVICE_VERSION}`]) {
+        const written = await this._updateCache(key, (payload) => {
+          if (!Array.isArray(payload?.data)) return false;
+          let changed = false;
+          payload.data = payload.data.map(item => {
+            if (!item || !byArticle.has(item.id)) return item;
+            changed = true;
+            return applyAll(item);
+          });
+          return changed;
+        });
+        written?.data?.forEach(item => { if (item && byArticle.has(item.id)) updated.set(item.id, item); });
+      }
+
+      if (redis) {
+        for (const articleId of byArticle.keys()) {
+          const articleKey = `article:${section}:${articleId}:${RATING_SERVICE_VERSION}`;
+          const single = await this._updateCache(articleKey, article => (article ? Object.assign(article, applyAll(article)) : false));
+          if (single) updated.set(articleId, single);
+        }
+      }
+
+      if (updated.size) {
+        const articles = [...updated.values()];
+        this.searchIndex.indexArticles(articles, section);
+        this.archive.record(articles, section).catch(e => this.logger.warn(`[${section}] Archive record failed:`, e.message));
+      }
+      entries.forEach(entry => entry.resolve(updated.get(entry.articleId) || null));
+    } catch (e) {
+      entries.forEach(entry => entry.reject(e));
+    }
+  }
+
+  // ====== 다국어 번역 ======
+
+  /**
+   * 기사 원문 언어. 정규화 때 판별한 lang을 쓰고, 그 전에 캐시된 기사는 여기서 판별합니다.
+   * 확신도가 낮으면 null (번역 대상에서 빼지 않음)
+   * @param {object} article
+   * @returns {string|null}
+   */
+  _sourceLanguage(article) {
+    const detected = article.langConfidence === undefined ? languageDetector.articleLanguage(article, article.lang) : article;
+    return detected.langConfidence >= languageDetector.MIN_CONFIDENCE ? detected.lang : null;
+  }
+
+  /**
+   * 한 언어의 번역 필드 갱신 (기본 언어는 titleKo/descriptionKo에도 반영)
+   * @param {object} data - translate() 결과의 data ({ translated, prompt, grounding })
+   */
+  _translationPatch(lang, field, { translated, prompt, grounding }) {
+    const patch = { translations: { [lang]: { [field]: translated } } };
+    if (lang === DEFAULT_LANG) patch[field === 'title' ? 'titleKo' : 'descriptionKo'] = translated;
+    if (prompt) patch.aiPrompts = { [field]: prompt };
+    if (grounding) patch.grounding = groundednessChecker.combine(null, { [this._groundingTask(field, lang)]: grounding });
+    return patch;
+  }
+
+  // translations는 언어별로 합쳐서 다른 언어의 번역을 덮어쓰지 않음 (aiPrompts, grounding도 작업별로 합침)
+  _mergeArticle(article, patch) {
+    const merged = { ...article, ...patch };
+    if (patch.aiPrompts) merged.aiPrompts = { ...article.aiPrompts, ...patch.aiPrompts };
+    if (patch.grounding) merged.grounding = groundednessChecker.combine(article.grounding, patch.grounding.tasks);
+    if (patch.translations) {
+      merged.translations = { ...(article.translations || {}) };
+      for (const [lang, fields] of Object.entries(patch.translations)) {
+        merged.translations[lang] = { ...merged.translations[lang], ...fields };
+      }
+    }
+    return merged;
+  }
+
+  /**
+   * 요청한 언어의 번역을 translation 필드로 붙입니다. 번역이 없으면 원문을 쓰고 fallback: true
+   * @param {object} article - 기사
+   * @param {string} lang - 'ko' | 'en' | 'ja'
+   */
+  localizeArticle(article, lang) {
+    if (!article || !lang) return article;
+    const stored = article.translations?.[lang] || (lang === DEFAULT_LANG
+      ? { title: article.titleKo, description: article.descriptionKo }
+      : {});
+    return {
+      ...article,
+      translation: {
+        lang,
+        title: stored.title || article.title,
+        description: stored.description || article.description || '',
+        fallback: !stored.title && this._sourceLanguage(article) !== lang,
+      },
+    };
+  }
+
+  /**
+   * 섹션/검색 응답의 기사 목록에 요청 언어의 번역을 붙입니다. lang이 없으면 그대로 반환
+   */
+  localizePayload(payload, lang) {
+    if (!lang || !payload || !Array.isArray(payload.data)) return payload;
+    return { ...payload, lang, data: payload.data.map(article => this.localizeArticle(article, lang)) };
+  }
+
   async _enrichArticlesWithAI_OLD(articles) {
     if (!articles || articles.length === 0) {
       this.logger.warn('[AI] No articles to enrich');
@@ -548,10 +955,8 @@ class NewsService {
   }
 
   // ====== 내부: 빠른 길 ======
-  async _getFast(section, readArticles = []){
-    // 읽은 기사가 있으면 캐시 키에 포함하여 개인화
-    const readKey = readArticles.length > 0 ? `_read_${readArticles.slice(0, 10).join('_')}` : '';
-    const key=`${section}_fast_${RATING_SERVICE_VERSION}${readKey}`;
+  async _getFast(section){
+    const key=`${section}_fast_${RATING_SERVICE_VERSION}`;
     let cached = null;
     if (redis) { try { cached = await redis.get(key); } catch (e) { this.logger.warn('Redis get failed:', e.message); } }
     else { cached = memoryCache.get(key); }
@@ -579,28 +984,8 @@ class NewsService {
 
     this.logger.info(`[${section}] Starting _getFast fetch process...`);
 
-    const rd = REDDIT_EP[section] || [];
-    const rs = RSS_FEEDS[section] || [];
-    let phase1 = [];
-    
-    // API 키가 없을 때는 RSS 우선으로 처리 - 더 많은 소스 사용
-    if (section === 'kr') { 
-      phase1 = [ this.fetchFromNaver(section), ...(rs.slice(0,4).map(r=>this.fetchFromRSS(r.url))) ]; // 2→4개로 증가
-    }
-    else if (section === 'japan') { 
-      phase1 = [ ...(rs.slice(0,5).map(r=>this.fetchFromRSS(r.url))) ]; // 3→5개로 증가
-    }
-    else { 
-      // API 키가 있을 때만 NewsAPI 사용, 없으면 RSS만 사용
-      if (process.env.NEWS_API_KEY && process.env.NEWS_API_KEY !== 'your_newsapi_key_here') {
-        phase1 = [ this.fetchFromNewsAPI(section), ...(rs.slice(0,6).map(r=>this.fetchFromRSS(r.url))) ]; // 3→6개로 증가
-      } else {
-        phase1 = [ ...(rs.slice(0,8).map(r=>this.fetchFromRSS(r.url))) ]; // 4→8개로 증가
-      }
-    }
-    
-    const settledPromises = await Promise.allSettled(phase1);
-    const first = settledPromises.filter(x=>x.status==='fulfilled').flatMap(x=>x.value||[]);
+    // 1차 수집: 레지스트리에서 phase 1로 지정된 소스만 (API 키가 없는 소스는 빈 결과)
+    const first = await this.fetchFromSources(section, [1]);
     this.logger.info(`[${section}] Step 1: Fetched ${first.length} raw articles from phase 1 sources.`);
     
     const filtered = filterRecent(first,336);
@@ -609,7 +994,9 @@ class NewsService {
     const unique = deduplicate(filtered);
     this.logger.info(`[${section}] Step 3: After deduplication, ${unique.length} unique articles remain.`);
     
-    const rankedAll = await this.rankAndSort(section, unique, readArticles);
+    const clustered = this.storyClusterer.cluster(unique);
+    const rankedAll = await this._collapseStories(section, await this.rankAndSort(section, clustered));
+    this.logger.info(`[${section}] Step 3.5: After story clustering, ${rankedAll.length} stories remain.`);
     const ranked = rankedAll.slice(0,FAST.FIRST_BATCH);
     this.logger.info(`[${section}] Step 4: After ranking, top ${ranked.length} articles selected.`);
     const initial = { success: true, data: ranked, section, total:ranked.length, partial:true, timestamp:new Date().toISOString() };
@@ -626,7 +1013,8 @@ class NewsService {
     // Phase1 데이터로 즉시 AI 처리 시작
     this.logger.info(`[${section}] Starting immediate AI processing with ${ranked.length} articles from Phase1`);
     this._enrichArticlesWithAI(ranked, section).then(async enriched => {
-      const aiProcessedAll = await this.rankAndSort(section, enriched);
+      // 번역된 titleKo로 언어가 다른 기사끼리도 다시 묶음
+      const aiProcessedAll = await this._collapseStories(section, await this.rankAndSort(section, this.storyClusterer.cluster(enriched)));
       const aiProcessed = aiProcessedAll.slice(0,FAST.FIRST_BATCH);
       const aiPayload = { success: true, data: aiProcessed, section, total:aiProcessed.length, partial:false, timestamp:new Date().toISOString() };
       
@@ -642,8 +1030,9 @@ class NewsService {
         redis.set(key, JSON.stringify(aiPayload), 'EX', FAST.TTL_FAST).then(() => {
           this.logger.info(`[${section}] AI data successfully saved to Redis cache key: ${key}`);
           
-          // AI 처리된 개별 기사들도 캐싱
-          this.cacheIndividualArticles(aiPayload.data, section);
+          // AI 처리된 개별 기사들도 캐싱한 뒤 상세 처리 시작
+          this.cacheIndividualArticles(aiPayload.data, section)
+            .then(() => this.scheduleDetailedEnrichment(aiPayload.data, section));
           
         }).catch(e => {
           this.logger.error(`[${section}] AI cache save failed:`, e.message);
@@ -651,6 +1040,8 @@ class NewsService {
       } else { 
         memoryCache.set(key, aiPayload); 
         setTimeout(() => memoryCache.delete(key), FAST.TTL_FAST * 1000); 
+        this.cacheIndividualArticles(aiPayload.data, section)
+          .then(() => this.scheduleDetailedEnrichment(aiPayload.data, section));
         this.logger.info(`[${section}] AI data successfully saved to memory cache key: ${key}`);
       }
       this.logger.info(`[${section}] Phase1 AI enrichment completed: ${aiProcessed.length} articles processed`);
@@ -660,30 +1051,8 @@ class NewsService {
 
     (async()=>{
       try {
-        const yt = YT_REGIONS[section] || [];
-        let phase2 = [];
-        if (section === 'kr') { 
-          phase2 = [ ...rs.slice(2).map(r=>this.fetchFromRSS(r.url)) ]; 
-        }
-        else if (section === 'japan') { 
-          phase2 = [ ...rs.slice(3).map(r=>this.fetchFromRSS(r.url)) ]; 
-        }
-        else { 
-          // API 키가 있을 때만 YouTube/GNews 사용
-          if (process.env.GNEWS_API_KEY && process.env.GNEWS_API_KEY !== 'your_gnews_api_key_here') {
-            phase2 = [ 
-              ...rs.slice(4).map(r=>this.fetchFromRSS(r.url)), 
-              this.fetchFromGNews(section),
-              this.fetchFromGNewsEverything(section) // GNews Everything 추가
-            ];
-          } else {
-            phase2 = [ ...rs.slice(4).map(r=>this.fetchFromRSS(r.url)) ];
-          }
-        }
-        
-        this.logger.info(`[${section}] Starting Phase2 with ${phase2.length} additional sources`);
-        const settledPromises2 = await Promise.allSettled(phase2);
-        const extra = settledPromises2.filter(x=>x.status==='fulfilled').flatMap(x=>x.value||[]);
+        this.logger.info(`[${section}] Starting Phase2 with ${sourceRegistry.forSection(section, [2]).length} additional sources`);
+        const extra = await this.fetchFromSources(section, [2]);
         this.logger.info(`[${section}] Phase2 collected ${extra.length} additional articles`);
         
         const merged = deduplicate(filterRecent([...ranked,...extra],336));
@@ -693,22 +1062,24 @@ class NewsService {
         if (merged.length > ranked.length) {
           this.logger.info(`[${section}] Starting Phase2 AI processing with ${merged.length} total articles`);
           this._enrichArticlesWithAI(merged, section).then(async enriched => {
-            const fullAll = await this.rankAndSort(section, enriched);
+            const fullAll = await this._collapseStories(section, await this.rankAndSort(section, this.storyClusterer.cluster(enriched)));
             const full = fullAll.slice(0,FAST.FULL_MAX);
             const payload = { success: true, data: full, section, total:full.length, partial:false, timestamp:new Date().toISOString() };
             
             if (redis) { 
-              redis.set(key, JSON.stringify(payload), 'EX', FAST.TTL_FULL).catch(e => 
+              await redis.set(key, JSON.stringify(payload), 'EX', FAST.TTL_FULL).catch(e => 
                 this.logger.warn('Phase2 cache save failed:', e.message)
               ); 
               
               // Phase2 완료된 개별 기사들도 캐싱
-              this.cacheIndividualArticles(payload.data, section);
+              await this.cacheIndividualArticles(payload.data, section);
               
             } else { 
               memoryCache.set(key, payload); 
               setTimeout(() => memoryCache.delete(key), FAST.TTL_FULL * 1000); 
+              await this.cacheIndividualArticles(payload.data, section);
             }
+            this.scheduleDetailedEnrichment(payload.data, section);
             this.logger.info(`[${section}] Phase2 AI enrichment completed: ${full.length} articles processed`);
           }).catch(e => {
             this.logger.error(`[${section}] Phase2 AI enrichment failed:`, e.message, e.stack);
@@ -732,7 +1103,7 @@ class NewsService {
   }
 
   // ====== 내부: 완전체 ======
-  async _getFull(section, readArticles=[]){
+  async _getFull(section){
     const key=`${section}_full_${RATING_SERVICE_VERSION}`;
     let cached = null;
     if (redis) { try { cached = await redis.get(key); } catch (e) { this.logger.warn('Redis get failed:', e.message); } }
@@ -740,25 +1111,17 @@ class NewsService {
     if (cached) return JSON.parse(cached);
 
     const rd = REDDIT_EP[section] || [];
-    const yt = YT_REGIONS[section] || [];
-    const rs = RSS_FEEDS[section] || [];
-    const tasks = [ 
-      this.fetchFromNewsAPI(section), 
-      this.fetchFromNewsAPIEverything(section), // NewsAPI everything 엔드포인트
-      this.fetchFromGNews(section), 
-      this.fetchFromGNewsEverything(section), // GNews everything 엔드포인트 추가
-      ...rd.map(r=>this.fetchFromRedditAPI(r)), 
-      ...yt.map(y=>this.fetchFromYouTubeTrending(y)), 
-      ...rs.map(r=>this.fetchFromRSS(r.url)) 
-    ];
-    if (section === 'kr') tasks.push(this.fetchFromNaver(section));
-
-    const settled = await Promise.allSettled(tasks);
-    const raw = settled.filter(s=>s.status==='fulfilled').flatMap(s=>s.value||[]);
+    const [fromSources, ...fromReddit] = await Promise.all([
+      this.fetchFromSources(section), // 전체 수집은 모든 phase의 활성 소스 사용
+      ...rd.map(r=>this.fetchFromRedditAPI(r).catch(() => [])),
+    ]);
+    const raw = [...fromSources, ...fromReddit.flat()];
     const uniqueRaw = deduplicate(filterRecent(raw, 336));
     
-    const enriched = await this._enrichArticlesWithAI(uniqueRaw, section);
-    const fullAll = await this.rankAndSort(section, enriched);
+    // 클러스터 대표 기사만 AI 처리하여 같은 사건을 여러 번 번역/요약하지 않음
+    const leads = await this._collapseStories(section, await this.rankAndSort(section, this.storyClusterer.cluster(uniqueRaw)));
+    const enriched = await this._enrichArticlesWithAI(leads, section);
+    const fullAll = await this._collapseStories(section, await this.rankAndSort(section, this.storyClusterer.cluster(enriched)));
     const full = fullAll.slice(0,FAST.FULL_MAX);
     const payload = { success: true, data: full, section, total:full.length, partial:false, timestamp:new Date().toISOString() };
     
@@ -771,12 +1134,58 @@ class NewsService {
       
     } catch (e) { this.logger.warn('Cache save failed:', e.message); }
     
+    this.scheduleDetailedEnrichment(payload.data, section);
     return payload;
   }
 
   // -----------------------------
   // Fetchers
   // -----------------------------
+
+  /**
+   * 레지스트리에 등록된 섹션의 활성 소스에서 기사를 수집합니다. 실패한 소스는 빈 결과로 처리합니다.
+   * @param {string} section - 기사 섹션
+   * @param {Array<number>} [phases] - 수집할 phase (생략 시 전체)
+   * @returns {Promise<Array<object>>} 정규화된 기사 배열 (필터링/중복 제거 전)
+   */
+  async fetchFromSources(section, phases) {
+    const sources = sourceRegistry.forSection(section, phases);
+    const settled = await Promise.allSettled(sources.map(source => this.fetchFromSource(source, section)));
+    return settled.filter(x=>x.status==='fulfilled').flatMap(x=>x.value||[]);
+  }
+
+  /**
+   * 소스 수집 후 기간 필터와 중복 제거까지 적용합니다. (크론 수집용)
+   */
+  async collectFromSources(section, phases) {
+    const raw = await this.fetchFromSources(section, phases);
+    return deduplicate(filterRecent(raw, 336));
+  }
+
+  async fetchFromSource(source, section) {
+    const opts = source.options || {};
+    switch (source.type) {
+      case 'rss': {
+        const items = await this.fetchFromRSS(source.url);
+        // 본문으로 판별한 언어가 불확실하면 레지스트리의 피드 언어를 사용
+        return source.lang ? items.map(it => ({ ...it, ...languageDetector.articleLanguage(it, source.lang) })) : items;
+      }
+      case 'newsapi':
+        return opts.endpoint === 'everything' ? this.fetchFromNewsAPIEverything(section) : this.fetchFromNewsAPI(section);
+      case 'gnews':
+        return opts.endpoint === 'search' ? this.fetchFromGNewsEverything(section) : this.fetchFromGNews(section);
+      case 'google-news':
+        return this.fetchFromGoogleNewsProtocol(`google-news://${section}`);
+      case 'naver':
+        return this.fetchFromNaver(section, opts.queries);
+      case 'youtube':
+        return this.fetchFromYouTubeTrending(opts);
+      default:
+        this.logger.warn(`[Fetcher] Unknown source type: ${source.type} (${source.id})`);
+        return [];
+    }
+  }
+
   async fetchFromNewsAPI(section) {
     if (!process.env.NEWS_API_KEY) return [];
     try {
@@ -1063,10 +1472,9 @@ class NewsService {
     }
   }
   
-  async fetchFromNaver(section) {
+  async fetchFromNaver(section, queries = ['속보', '긴급', '최신뉴스', '주요뉴스']) {
     if (!process.env.NAVER_CLIENT_ID || !process.env.NAVER_CLIENT_SECRET) return [];
     try {
-      const queries = ['속보', '긴급', '최신뉴스', '주요뉴스'];
       const promises = queries.map(query =>
         this.naverClient.get('news.json', {
           params: {
@@ -1180,7 +1588,6 @@ class NewsService {
           title: it.title || '',
           url: it.link || '',
           source: feed.title || domainFromUrl(url),
-          lang: 'en',
           publishedAt: this.validateAndParseDate(it.pubDate || it.isoDate),
           reactions: 0,
           followers: 0,
@@ -1332,12 +1739,16 @@ class NewsService {
   normalizeItem(raw){
     const ageMin = minutesSince(raw.publishedAt);
     const domain = raw.domain || domainFromUrl(raw.url);
-    return { id: this.generateArticleId(raw.url, raw.source), title: raw.title || '', link: raw.url || '', source: raw.source || 'Unknown', description: raw.description || raw.title || '', publishedAt: raw.publishedAt, domain, reactions: raw.reactions || 0, followers: raw.followers || 0, ageMinutes: ageMin, _srcType: raw._srcType || 'unknown' };
+    // 원문 언어와 확신도 (raw.lang은 API가 알려 준 언어로, 판별이 불확실할 때만 사용)
+    const { lang, langConfidence } = languageDetector.articleLanguage(raw, raw.lang);
+    return { id: this.generateArticleId(raw.url, raw.source), title: raw.title || '', link: raw.url || '', source: raw.source || 'Unknown', description: raw.description || raw.title || '', publishedAt: raw.publishedAt, domain, lang, langConfidence, reactions: raw.reactions || 0, followers: raw.followers || 0, ageMinutes: ageMin, _srcType: raw._srcType || 'unknown' };
   }
 
   generateArticleId(url, source) {
-    const combined = `${source}_${url}`;
-    return Buffer.from(combined).toString('base64').replace(/[/+=]/g, '').substring(0, 16);
+    // 추적 파라미터/AMP 경로만 다른 URL은 같은 ID가 되도록 정규 URL 기준으로 해시
+    // (기존 base64 접두어 방식은 같은 소스의 기사들이 모두 같은 ID로 충돌했음)
+    const canonical = canonicalizeUrl(url);
+    return sha1(canonical || `${source}_${url}`).substring(0, 16);
   }
 
   generateTags(item, section) {
@@ -1366,7 +1777,7 @@ class NewsService {
       const v_score = Math.min(1, (it.reactions || 0) / (ageHours + 1) / 1000);
       
       const e_score = Math.min(1, Math.log10((it.reactions || 0) + 1) / 4);
-      const s_score = (SOURCE_WEIGHTS[domain] || 1) / 5;
+      const s_score = sourceRegistry.trustForDomain(domain) / 5;
       const score = (w.f * f_score) + (w.v * v_score) + (w.e * e_score) + (w.s * s_score);
       
       // ratingService를 사용한 고급 평점 계산
@@ -1402,7 +1813,12 @@ class NewsService {
     return {
       initialized: true,
       sections: Object.keys(DEFAULT_WEIGHTS),
-      cache: redis ? 'redis' : 'memory'
+      cache: redis ? 'redis' : 'memory',
+      search: this.searchIndex.getStatus(),
+      dedup: nearDuplicateDetector.getStatus(),
+      sources: sourceRegistry.getStatus(),
+      archive: this.archive.getStatus(),
+      deadLetters: this.deadLetters.getStatus()
     };
   }
 
@@ -1415,11 +1831,20 @@ class NewsService {
   }
 
   // [복원된 필수 함수]
+  /**
+   * 섹션/기사/스토리 캐시만 지웁니다. (CLEARABLE_KEY_PATTERNS, 영구 데이터는 유지)
+   */
   async clearCache() {
     if (redis) {
       try {
-        await redis.flushAll();
-        this.logger.info('Redis cache cleared.');
+        let deleted = 0;
+        for (const pattern of CLEARABLE_KEY_PATTERNS) {
+          for await (const batch of redis.scanIterator({ MATCH: pattern, COUNT: 500 })) {
+            const keys = Array.isArray(batch) ? batch : [batch]; // redis v5는 키 배열, v4는 키 하나씩
+            if (keys.length) deleted += await redis.del(keys);
+          }
+        }
+        this.logger.info(`Redis cache cleared (${deleted} section/article/story keys).`);
       } catch (e) {
         this.logger.warn('Redis clear failed:', e.message);
       }
@@ -1435,14 +1860,20 @@ class NewsService {
   async cacheIndividualArticles(articles, section) {
     if (!articles || !Array.isArray(articles)) return;
     
+    // 검색 색인과 아카이브는 Redis 여부와 관계없이 항상 갱신
+    this.searchIndex.indexArticles(articles, section);
+    this.archive.record(articles, section)
+      .then(() => this._scheduleArchiveIndexRefresh())
+      .catch(e => this.logger.warn(`[${section}] Archive record failed:`, e.message));
+    
     try {
       if (redis) {
-        const pipeline = redis.pipeline();
+        const pipeline = redis.multi();
         
         articles.forEach(article => {
           if (article && article.id) {
             const key = `article:${section}:${article.id}:${RATING_SERVICE_VERSION}`;
-            pipeline.setex(key, FAST.TTL_FULL, JSON.stringify(article));
+            pipeline.set(key, JSON.stringify(article), { EX: FAST.TTL_FULL });
           }
         });
         
@@ -1527,10 +1958,390 @@ class NewsService {
       }
     }
 
+    // 캐시가 만료된 기사는 아카이브에서 조회
+    try {
+      const archived = await this.archive.getById(articleId);
+      if (archived) {
+        this.logger.info(`[Detail] Found article in archive: ${articleId}`);
+        return { success: true, data: archived, archived: true };
+      }
+    } catch (e) {
+      this.logger.warn(`[Detail] Archive lookup failed for ${articleId}:`, e.message);
+    }
+
     this.logger.warn(`[Detail] Article not found in any cache for section: ${section}, id: ${articleId}`);
     return { success: false, message: 'Article not found or cache expired.' };
   }
 
+  /**
+   * 아카이브에서 섹션·날짜별 기사 목록을 조회합니다.
+   * @param {string} section - 기사 섹션
+   * @param {string} date - YYYY-MM-DD (ARCHIVE_TZ 기준 발행일)
+   * @param {number} [page=1] - 페이지 번호
+   * @param {number} [limit=50] - 페이지 크기 (최대 200)
+   * @returns {Promise<object>} { success, data, section, date, pagination, availableDates }
+   */
+  async getArchive(section, date, page = 1, limit = 50) {
+    const sec = section === 'korea' ? 'kr' : section;
+    if (!ArticleArchive.isValidDate(date)) {
+      return { success: false, error: 'Invalid date. Use YYYY-MM-DD format.' };
+    }
+
+    const articles = await this.archive.getByDate(sec, date);
+    const size = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+    const current = Math.max(parseInt(page) || 1, 1);
+    const total = articles.length;
+
+    return {
+      success: true,
+      section: sec,
+      date,
+      data: articles.slice((current - 1) * size, current * size),
+      pagination: { page: current, limit: size, total, pages: Math.max(1, Math.ceil(total / size)), hasNext: current * size < total },
+      availableDates: (await this.archive.listDates(sec)).slice(0, 30)
+    };
+  }
+
+  /**
+   * 섹션을 모르는 경우(예: 공유 링크) ID만으로 기사를 찾습니다. 캐시를 먼저 확인하고 아카이브로 넘어갑니다.
+   */
+  async getArticleByIdAnySection(articleId) {
+    const archived = await this.archive.getById(articleId);
+    if (archived) {
+      // 아직 캐시에 살아 있으면 최신 AI 결과를 우선 반환
+      const cached = await this._findInSectionCache(archived.section, articleId);
+      return { success: true, data: cached ? { ...cached, section: archived.section } : archived, archived: !cached };
+    }
+    for (const section of sourceRegistry.sections()) {
+      const cached = await this._findInSectionCache(section, articleId);
+      if (cached) return { success: true, data: { ...cached, section } };
+    }
+    return { success: false, message: 'Article not found.' };
+  }
+
+  /**
+   * 섹션 캐시의 랭킹 순 기사(스토리 클러스터 대표)를 반환합니다. 새로 수집하지 않으며, AI 보강이 끝난 full 캐시를 우선합니다.
+   * @param {string} section - 기사 섹션
+   * @param {number} [limit=20] - 최대 기사 수
+   * @returns {Promise<Array<object>>} 캐시가 비어 있으면 빈 배열
+   */
+  async getCachedTopArticles(section, limit = 20) {
+    const sec = section === 'korea' ? 'kr' : section;
+    for (const key of [`${sec}_full_${RATING_SERVICE_VERSION}`, `${sec}_fast_${RATING_SERVICE_VERSION}`]) {
+      const payload = await this._readCache(key);
+      if (Array.isArray(payload?.data) && payload.data.length) return payload.data.slice(0, limit);
+    }
+    return [];
+  }
+
+  async _findInSectionCache(section, articleId) {
+    for (const key of [`${section}_full_${RATING_SERVICE_VERSION}`, `${section}_fast_${RATING_SERVICE_VERSION}`]) {
+      const payload = await this._readCache(key);
+      const article = payload?.data?.find?.(item => item.id === articleId);
+      if (article) return article;
+    }
+    return null;
+  }
+
+  /**
+   * 랭킹된 기사 목록을 클러스터 대표 기사만 남기도록 접고, 클러스터 멤버를 스토리 캐시에 저장합니다.
+   * @param {string} section - 기사 섹션
+   * @param {Array<object>} rankedItems - storyClusterer.cluster() 후 rankAndSort()를 거친 기사 배열
+   * @returns {Promise<Array<object>>} 대표 기사 배열 (랭킹 순서 유지)
+   */
+  async _collapseStories(section, rankedItems) {
+    const { leads, stories } = this.storyClusterer.collapse(rankedItems);
+    const clusterIds = new Set(leads.map(l => l.cluster?.id).filter(Boolean));
+    const multi = [...stories.entries()].filter(([id]) => clusterIds.has(id));
+    await Promise.all(multi.map(([clusterId, members]) => this._saveStory(section, clusterId, members)));
+    return leads;
+  }
+
+  _storyKey(clusterId) {
+    return `story:${clusterId}:${RATING_SERVICE_VERSION}`;
+  }
+
+  async _saveStory(section, clusterId, members) {
+    const key = this._storyKey(clusterId);
+    try {
+      // 이전 갱신 주기에서 모인 멤버는 유지하고, 이번에 다시 수집된 기사는 최신 데이터로 교체
+      const existing = await this._readCache(key);
+      const byId = new Map((existing?.members || []).map(m => [m.id, m]));
+      members.forEach(m => byId.set(m.id, m));
+      const story = { clusterId, section, members: [...byId.values()], updatedAt: new Date().toISOString() };
+
+      if (redis) {
+        await redis.set(key, JSON.stringify(story), { EX: FAST.TTL_FULL });
+      } else {
+        memoryCache.set(key, story);
+        setTimeout(() => memoryCache.delete(key), FAST.TTL_FULL * 1000);
+      }
+    } catch (e) {
+      this.logger.warn(`[Story] Failed to save story ${clusterId}:`, e.message);
+    }
+  }
+
+  /**
+   * 클러스터(스토리)에 속한 모든 기사를 반환합니다.
+   * @param {string} clusterId - 기사 객체의 cluster.id / clusterId
+   * @returns {Promise<object>} { success, data: { clusterId, section, lead, members, size } }
+   */
+  async getStory(clusterId) {
+    const story = await this._readCache(this._storyKey(clusterId));
+    if (!story || !Array.isArray(story.members) || story.members.length === 0) {
+      return { success: false, message: 'Story not found or cache expired.' };
+    }
+
+    const members = [...story.members].sort((a, b) =>
+      (parseFloat(b.rating) || 0) - (parseFloat(a.rating) || 0) ||
+      new Date(a.publishedAt).getTime() - new Date(b.publishedAt).getTime()
+    );
+    return {
+      success: true,
+      data: {
+        clusterId,
+        section: story.section,
+        lead: members[0],
+        members,
+        size: members.length,
+        sources: [...new Set(members.map(m => m.source).filter(Boolean))],
+        updatedAt: story.updatedAt
+      }
+    };
+  }
+
+  /**
+   * 캐시 키에서 섹션 페이로드를 읽어 파싱합니다. (Redis/메모리 공통)
+   * @param {string} key - 캐시 키
+   * @returns {Promise<object|null>} 파싱된 페이로드 또는 null
+   */
+  async _readCache(key) {
+    try {
+      const cached = redis ? await redis.get(key) : memoryCache.get(key);
+      if (!cached) return null;
+      return typeof cached === 'string' ? JSON.parse(cached) : cached;
+    } catch (e) {
+      this.logger.warn(`[Cache] Failed to read or parse cache for key ${key}:`, e.message);
+      return null;
+    }
+  }
+
+  async _writeCache(key, payload, ttl) {
+    if (redis) {
+      await redis.set(key, JSON.stringify(payload), { EX: ttl });
+    } else {
+      memoryCache.set(key, payload);
+      setTimeout(() => memoryCache.delete(key), ttl * 1000);
+    }
+  }
+
+  /**
+   * 기존 키를 읽어 mutate로 바꾼 뒤 남은 TTL을 유지한 채 씁니다. (그 사이 만료된 키는 되살리지 않음)
+   * Redis에서는 읽은 값이 그대로일 때만 쓰고, 크론 갱신 등이 먼저 썼으면 새 값을 다시 읽어 재시도하므로
+   * 새로 쓴 섹션 목록을 오래된 목록으로 덮어쓰지 않습니다.
+   * @param {string} key - 캐시 키
+   * @param {function(object): boolean} mutate - 값을 직접 고치고, 바꾼 것이 없으면 false
+   * @returns {Promise<object|null>} 쓴 값 (키가 없거나 바꾼 것이 없으면 null)
+   */
+  async _updateCache(key, mutate) {
+    if (!redis) {
+      // 메모리 캐시는 읽기와 쓰기 사이에 다른 작업이 끼어들 수 없음
+      const cached = memoryCache.get(key);
+      if (!cached) return null;
+      const payload = typeof cached === 'string' ? JSON.parse(cached) : cached;
+      if (!mutate(payload)) return null;
+      memoryCache.set(key, payload);
+      return payload;
+    }
+
+    for (let attempt = 0; attempt < CACHE_PATCH.MAX_RETRIES; attempt++) {
+      const raw = await redis.get(key);
+      if (!raw) return null;
+      const payload = JSON.parse(raw);
+      if (!mutate(payload)) return null;
+      const result = Number(await redis.eval(CAS_SCRIPT, { keys: [key], arguments: [JSON.stringify(payload), sha1(raw)] }));
+      if (result === 1) return payload;
+      if (result === 0) return null;
+    }
+    this.logger.warn(`[Cache] Gave up patching ${key} after ${CACHE_PATCH.MAX_RETRIES} concurrent updates`);
+    return null;
+  }
+
+  /**
+   * 서버 재시작 직후처럼 색인이 비어 있으면 현재 섹션 캐시로 색인을 채웁니다.
+   */
+  async _ensureSearchIndexSeeded() {
+    if (this.searchIndexSeeded) return;
+    this.searchIndexSeeded = true;
+
+    for (const section of sourceRegistry.sections()) {
+      for (const key of [`${section}_full_${RATING_SERVICE_VERSION}`, `${section}_fast_${RATING_SERVICE_VERSION}`]) {
+        const payload = await this._readCache(key);
+        if (payload && Array.isArray(payload.data)) {
+          this.searchIndex.indexArticles(payload.data, section);
+        }
+      }
+    }
+    this.logger.info(`[Search] Index seeded from section caches: ${this.searchIndex.getStatus().documents} documents`);
+  }
+
+  /**
+   * 캐시된 기사 전체를 대상으로 전문 검색을 수행합니다.
+   * @param {string} query - 검색어
+   * @param {string} [section] - 섹션 필터
+   * @param {number} [limit=20] - 최대 결과 수
+   * @param {object} [filters] - { source, lang, from, to } 추가 필터 (from/to는 ISO 날짜 문자열, 둘 다 포함.
+   *   시간 없이 날짜만 준 to는 그 날의 끝(UTC 23:59:59.999)으로 봄)
+   * @returns {Promise<Array<object>>} 관련도와 rating을 블렌딩한 순서의 기사 배열
+   */
+  async searchNews(query, section, limit = 20, filters = {}) {
+    await this._ensureSearchIndexSeeded();
+
+    const toDate = (value, endOfDay = false) => {
+      if (!value) return null;
+      const date = new Date(value);
+      if (Number.isNaN(date.getTime())) return null;
+      // 'YYYY-MM-DD'는 그 날 0시(UTC)로 해석되므로 to에서는 그 날 전체가 포함되게 끝으로 옮김
+      if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(String(value).trim())) date.setUTCHours(23, 59, 59, 999);
+      return date;
+    };
+
+    const results = this.searchIndex.search(query, {
+      section: section === 'korea' ? 'kr' : section,
+      source: filters.source,
+      lang: filters.lang,
+      from: toDate(filters.from),
+      to: toDate(filters.to, true),
+    }, Math.min(Math.max(limit || 20, 1), 100));
+
+    this.logger.info(`[Search] "${query}" returned ${results.length} results`);
+    return results;
+  }
+
+  /**
+   * 섹션 캐시와 최근 아카이브에서 질문과 관련된 기사를 찾아, 그 기사들만 근거로 답합니다.
+   * 답변의 [n] 출처 표시를 문장별 기사 ID(claims)로 바꿔 돌려줍니다. 관련 기사가 없으면 모델을 호출하지 않고 거절합니다.
+   * @param {string} question - 질문
+   * @param {object} [opts] - { section: 섹션 필터, days: 최근 며칠 기사만 (기본 7, 최대 ASK_ARCHIVE_DAYS) }
+   * @returns {Promise<object>} { success, answer, refused, claims: [{ text, articleIds }], sources, grounding } 또는 { success: false, error, degraded }
+   */
+  async askNews(question, { section, days = ASK.DEFAULT_DAYS } = {}) {
+    const sec = section === 'korea' ? 'kr' : section;
+    const span = Math.min(Math.max(parseInt(days) || ASK.DEFAULT_DAYS, 1), ASK.MAX_DAYS);
+    const articles = await this._retrieveForQuestion(question, { section: sec, days: span });
+    const sources = articles.map((article, i) => ({
+      ref: i + 1,
+      id: article.id,
+      section: article.section,
+      title: article.titleKo || article.title,
+      source: article.source,
+      link: article.link || article.url,
+      publishedAt: article.publishedAt,
+      archived: article.archived || false,
+    }));
+    if (articles.length === 0) {
+      return { success: true, answer: QA_REFUSAL, refused: true, claims: [], sources, grounding: null };
+    }
+
+    const result = await this.aiService.answerQuestion(question, this._newsQAContext(articles), { callSite: 'api.ask', section: sec });
+    if (!result.success) return result;
+
+    const { answer, refused, grounding } = result.data;
+    return { success: true, answer, refused, claims: refused ? [] : this._answerClaims(answer, sources), sources, grounding };
+  }
+
+  /**
+   * 캐시 색인과 아카이브 색인을 함께 검색합니다. 같은 기사는 AI 결과가 최신인 캐시 쪽을 씁니다.
+   * 아카이브 색인은 마지막으로 만든 것을 그대로 쓰고, 오래됐으면 재구성만 백그라운드로 시작합니다.
+   * (두 색인의 점수는 각각 정규화돼 있어 합친 순위는 근사치)
+   */
+  async _retrieveForQuestion(question, { section, days }) {
+    await this._ensureSearchIndexSeeded();
+    this._scheduleArchiveIndexRefresh();
+
+    const query = this._expandQuestion(question);
+    const filters = { section, from: new Date(Date.now() - days * 24 * 3600_000) };
+    const live = this.searchIndex.search(query, filters, ASK.MAX_ARTICLES * 2);
+    const seen = new Set(live.map(a => a.id));
+    const archived = this.archiveIndex.search(query, filters, ASK.MAX_ARTICLES * 2)
+      .filter(a => !seen.has(a.id))
+      .map(a => ({ ...a, archived: true }));
+
+    const found = [...live, ...archived].sort((a, b) => b.searchScore - a.searchScore).slice(0, ASK.MAX_ARTICLES);
+    this.logger.info(`[Ask] "${question}" retrieved ${found.length} articles (${live.length} cached, ${archived.length} archived candidates)`);
+    return found;
+  }
+
+  // 용어집으로 질문의 한국어 표기에 원문 표기를 붙임 ("일본" → Japan) — 아직 번역되지 않은 기사도 찾도록
+  _expandQuestion(question) {
+    const extra = this.aiService.glossary.list()
+      .filter(e => e.ko && e.ko.length >= 2 && question.includes(e.ko))
+      .map(e => e.term);
+    return [question, ...new Set(extra)].join(' ');
+  }
+
+  // 아카이브 색인이 ARCHIVE_REFRESH_MS보다 오래됐으면 재구성을 시작만 하고 기다리지 않음
+  _scheduleArchiveIndexRefresh() {
+    if (this.archiveIndexBuilding || Date.now() - this.archiveIndexBuiltAt < ASK.ARCHIVE_REFRESH_MS) return;
+    this.refreshArchiveIndex();
+  }
+
+  /**
+   * 최근 ASK_ARCHIVE_DAYS일의 아카이브 기사로 질의응답용 색인을 새로 만들고, 다 만든 뒤에 교체합니다.
+   * 이미 만드는 중이면 그 작업을 기다립니다.
+   * @returns {Promise<void>}
+   */
+  refreshArchiveIndex() {
+    if (this.archiveIndexBuilding) return this.archiveIndexBuilding;
+    this.archiveIndexBuiltAt = Date.now();
+    this.archiveIndexBuilding = (async () => {
+      const index = new SearchIndex();
+      const since = archiveDate(Date.now() - ASK.MAX_DAYS * 24 * 3600_000);
+      try {
+        for (const section of sourceRegistry.sections()) {
+          for (const date of (await this.archive.listDates(section)).filter(d => d >= since)) {
+            index.indexArticles(await this.archive.getByDate(section, date), section);
+          }
+        }
+        this.archiveIndex = index;
+        this.logger.info(`[Ask] Archive index rebuilt: ${index.getStatus().documents} documents since ${since}`);
+      } catch (e) {
+        this.logger.warn('[Ask] Failed to rebuild archive index:', e.message);
+      }
+    })().finally(() => { this.archiveIndexBuilding = null; });
+    return this.archiveIndexBuilding;
+  }
+
+  // 질의응답 자료: 기사마다 번호를 붙이고 제목/설명/요약을 발췌
+  _newsQAContext(articles) {
+    return articles.map((article, i) => {
+      const meta = [article.source, article.publishedAt && `발행 ${article.publishedAt}`, `ID ${article.id}`].filter(Boolean).join(', ');
+      const body = [
+        article.titleKo && article.titleKo !== article.title ? `${article.title} (${article.titleKo})` : article.title,
+        article.description,
+        ...(article.summaryPoints || []).map(point => `- ${point}`),
+      ].filter(Boolean).join('\n');
+      return `[${i + 1}] (${meta})\n${body.slice(0, ASK.MAX_EXCERPT_CHARS)}`;
+    }).join('\n\n');
+  }
+
+  /**
+   * 답변을 문장(줄) 단위로 나누고 각 문장의 [n] 출처 표시를 기사 ID로 바꿉니다.
+   * @returns {Array<{ text: string, articleIds: Array<string> }>}
+   */
+  _answerClaims(answer, sources) {
+    return String(answer || '')
+      .split(/(?<=[.!?。](?:\s*\[\d+\])*)\s+(?!\[)|\n+/)
+      .map(sentence => sentence.trim())
+      .filter(Boolean)
+      .map(sentence => ({
+        text: sentence,
+        articleIds: [...new Set([...sentence.matchAll(/\[(\d+)\]/g)]
+          .map(m => sources[Number(m[1]) - 1]?.id)
+          .filter(Boolean))],
+      }));
+  }
+
   /**
    * AI 번역은 유지하면서 평점만 재계산하는 메서드
    */
@@ -1730,3 +2541,4 @@ class NewsService {
 }
 
 module.exports = NewsService;
+module.exports.RATING_SERVICE_VERSION = RATING_SERVICE_VERSION;
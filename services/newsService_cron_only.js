@@ -2,6 +2,7 @@
  * 크론 전용 뉴스 수집 메서드
  * API와 크론의 역할 분리를 위한 새로운 메서드들
  */
+const { RATING_SERVICE_VERSION } = require('./newsService');
 
 class NewsServiceCronOnly {
   constructor(newsService) {
@@ -23,8 +24,9 @@ class NewsServiceCronOnly {
       // 2. AI 처리
       const enrichedArticles = await this.newsService._enrichArticlesWithAI(articles, section);
       
-      // 3. 랭킹 및 정렬
-      const rankedArticles = await this.newsService.rankAndSort(section, enrichedArticles, readArticles);
+      // 3. 스토리 클러스터링 + 랭킹 및 정렬 (API 경로와 동일하게 클러스터당 대표 기사만 유지)
+      const clustered = this.newsService.storyClusterer.cluster(enrichedArticles);
+      const rankedArticles = await this.newsService._collapseStories(section, await this.newsService.rankAndSort(section, clustered, readArticles));
       
       // 4. 캐시에 저장
       await this.saveToCacheWithTTL(section, rankedArticles);
@@ -39,45 +41,10 @@ class NewsServiceCronOnly {
   }
 
   /**
-   * 뉴스 소스에서 데이터 수집
+   * 뉴스 소스에서 데이터 수집 (소스 레지스트리의 phase 1, 2 소스)
    */
   async collectNewsFromSources(section) {
-    const rs = this.newsService.RSS_FEEDS[section] || [];
-    let phase1 = [];
-    
-    // API 키가 없을 때는 RSS 우선으로 처리
-    if (section === 'kr') { 
-      phase1 = [ 
-        this.newsService.fetchFromNaver(section), 
-        ...(rs.slice(0,2).map(r => this.newsService.fetchFromRSS(r.url))) 
-      ]; 
-    }
-    else if (section === 'japan') { 
-      phase1 = [ ...(rs.slice(0,3).map(r => this.newsService.fetchFromRSS(r.url))) ]; 
-    }
-    else { 
-      // API 키가 있을 때만 NewsAPI 사용, 없으면 RSS만 사용
-      if (process.env.NEWS_API_KEY && process.env.NEWS_API_KEY !== 'your_newsapi_key_here') {
-        phase1 = [ 
-          this.newsService.fetchFromNewsAPI(section), 
-          ...(rs.slice(0,3).map(r => this.newsService.fetchFromRSS(r.url))) 
-        ];
-      } else {
-        phase1 = [ ...(rs.slice(0,4).map(r => this.newsService.fetchFromRSS(r.url))) ];
-      }
-    }
-    
-    const settledPromises = await Promise.allSettled(phase1);
-    const articles = settledPromises
-      .filter(x => x.status === 'fulfilled')
-      .flatMap(x => x.value || []);
-    
-    this.logger.info(`[CRON] Collected ${articles.length} raw articles from sources`);
-    
-    // 필터링 및 중복 제거
-    const filtered = this.newsService.filterRecent(articles, 336);
-    const unique = this.newsService.deduplicate(filtered);
-    
+    const unique = await this.newsService.collectFromSources(section, [1, 2]);
     this.logger.info(`[CRON] After filtering: ${unique.length} unique articles`);
     return unique;
   }
@@ -86,7 +53,6 @@ class NewsServiceCronOnly {
    * 캐시에 저장 (긴 TTL 사용)
    */
   async saveToCacheWithTTL(section, articles) {
-    const RATING_SERVICE_VERSION = "v2.2";
     const key = `${section}_fast_${RATING_SERVICE_VERSION}`;
     
     const payload = {
@@ -100,18 +66,14 @@ class NewsServiceCronOnly {
     };
 
     try {
-      const redis = this.newsService.redis;
-      if (redis) {
-        await redis.set(key, JSON.stringify(payload), 'EX', 1800); // 30분 TTL
-        this.logger.info(`[CRON] Cached ${articles.length} articles to Redis with key: ${key}`);
-        
-        // 개별 기사도 캐싱
-        await this.newsService.cacheIndividualArticles(payload.data, section);
-      } else {
-        this.newsService.memoryCache.set(key, payload);
-        setTimeout(() => this.newsService.memoryCache.delete(key), 1800 * 1000);
-        this.logger.info(`[CRON] Cached ${articles.length} articles to memory`);
-      }
+      await this.newsService._writeCache(key, payload, 1800); // 30분 TTL
+      this.logger.info(`[CRON] Cached ${articles.length} articles with key: ${key}`);
+      
+      // 개별 기사도 캐싱
+      await this.newsService.cacheIndividualArticles(payload.data, section);
+
+      // 저장된 기사의 상세 요약/설명 번역은 백그라운드에서 캐시에 반영
+      this.newsService.scheduleDetailedEnrichment(payload.data, section);
     } catch (error) {
       this.logger.error(`[CRON] Failed to cache articles for ${section}:`, error.message);
     }
@@ -0,0 +1,323 @@
+/**
+ * Emark - PromptRegistry
+ *
+ * 이름과 버전이 붙은 프롬프트 템플릿을 관리합니다. (제목/설명 번역, 짧은 요약, 상세 브리핑, 질의응답, 섹션 브리핑)
+ * - 템플릿 파일: PROMPTS_DIR/<name>/<version>.txt (기본 prompts/), 배포 없이 파일만 바꾸고 reload 가능
+ * - 파일 형식: 맨 앞 '#' 줄은 설명, '=== part ===' 줄로 system/user 등 부분을 나눔
+ *   {{var}}는 값으로 바꾸고, {{#var}}…{{/var}}는 값이 있을 때만, {{^var}}…{{/var}}는 없을 때만 출력
+ * - 활성 버전: 관리자가 고른 섹션별 버전 → 전체 기본 버전 → 가장 높은 버전 순으로 결정
+ *   선택은 CacheService에 영구 저장 (SourceRegistry/GlossaryService와 같은 방식)
+ * - 버전 id(summary@v2)와 파일 내용 해시는 AI 결과 저장소 키와 저장된 결과에 함께 기록
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const CacheService = require('./cacheService');
+const logger = require('../utils/logger');
+
+// -------------------- Configuration --------------------
+
+const CONFIG = {
+  DIR: process.env.PROMPTS_DIR || path.join(__dirname, '..', 'prompts'),
+  ACTIVE_KEY: 'prompts:active:v1',
+  SECTIONS: ['world', 'kr', 'japan', 'buzz', 'tech', 'business'],
+};
+
+// 템플릿별 필수 부분과 쓸 수 있는 변수 (파일이 맞지 않으면 읽지 않음)
+const TEMPLATES = {
+  translate: { description: '제목/설명 번역', parts: ['system', 'user', 'batchSystem'], variables: ['language', 'glossary', 'text'] },
+  summary: { description: '짧은 요약', parts: ['system', 'user'], variables: ['glossary', 'text'] },
+  brief: { description: '상세 브리핑', parts: ['system', 'user', 'repair'], variables: ['glossary', 'text', 'errors'] },
+  qa: { description: '기사 질의응답', parts: ['system', 'user'], variables: ['glossary', 'context', 'question', 'refusal'] },
+  briefing: { description: '섹션 브리핑', parts: ['system', 'user'], variables: ['glossary', 'section', 'date', 'items'] },
+};
+
+const VERSION_RX = /^[a-z0-9][a-z0-9.-]{0,31}$/;
+const PART_RX = /^===\s*([A-Za-z]+)\s*===\s*$/;
+const TAG_RX = /\{\{\s*([#^/]?)\s*([A-Za-z]+)\s*\}\}/g;
+
+// -------------------- Utilities --------------------
+
+const compareVersions = (a, b) => a.localeCompare(b, undefined, { numeric: true });
+
+/**
+ * 템플릿 파일을 설명과 부분으로 나눕니다.
+ * @returns {{ description: string, parts: object }}
+ */
+function parseTemplate(raw) {
+  const header = [];
+  const parts = {};
+  let current = null;
+  for (const line of String(raw).replace(/\r\n/g, '\n').split('\n')) {
+    const marker = line.match(PART_RX);
+    if (marker) {
+      current = marker[1];
+      parts[current] = [];
+    } else if (current) {
+      parts[current].push(line);
+    } else if (line.startsWith('#')) {
+      header.push(line.replace(/^#\s?/, ''));
+    }
+  }
+  return {
+    description: header.join(' ').trim(),
+    parts: Object.fromEntries(Object.entries(parts).map(([name, lines]) => [name, lines.join('\n').trim()])),
+  };
+}
+
+function validateTemplate(name, parsed) {
+  const spec = TEMPLATES[name];
+  const missing = spec.parts.filter(part => !parsed.parts[part]);
+  if (missing.length) return `missing parts: ${missing.join(', ')}`;
+  const open = [];
+  for (const [part, text] of Object.entries(parsed.parts)) {
+    for (const [, kind, variable] of text.matchAll(TAG_RX)) {
+      if (!spec.variables.includes(variable)) return `unknown variable {{${variable}}} in ${part}`;
+      if (kind === '#' || kind === '^') open.push(variable);
+      if (kind === '/' && open.pop() !== variable) return `unbalanced block {{/${variable}}} in ${part}`;
+    }
+    if (open.length) return `unclosed block {{#${open.pop()}}} in ${part}`;
+  }
+  return null;
+}
+
+const isEmpty = (value) => value == null || value === '' || (Array.isArray(value) && value.length === 0);
+
+/**
+ * 템플릿 부분을 렌더링합니다. 조건 블록을 지우고 남은 빈 줄은 한 줄로 줄입니다.
+ */
+function renderText(text, vars = {}) {
+  let out = text;
+  // 안쪽 블록부터 처리 (블록은 같은 변수끼리 중첩하지 않음)
+  const blockRx = /\{\{\s*([#^])\s*([A-Za-z]+)\s*\}\}\n?([\s\S]*?)\{\{\s*\/\s*\2\s*\}\}\n?/g;
+  while (blockRx.test(out)) {
+    blockRx.lastIndex = 0;
+    out = out.replace(blockRx, (_, kind, variable, body) => ((kind === '#') !== isEmpty(vars[variable]) ? body : ''));
+  }
+  // 값에 들어 있는 빈 줄(기사 원문 등)은 그대로 두도록 변수 치환 전에 정리
+  return out
+    .replace(/\n{3,}/g, '\n\n')
+    .replace(TAG_RX, (_, kind, variable) => (kind ? '' : String(vars[variable] ?? '')))
+    .trim();
+}
+
+// -------------------- Main Class --------------------
+
+class PromptRegistry {
+  constructor(opts = {}) {
+    this.dir = opts.dir || CONFIG.DIR;
+    this.templates = new Map(); // name -> Map(version -> template)
+    this.errors = []; // 읽지 못한 파일과 이유
+    this.active = {}; // name -> { default: version, sections: { section: version } }
+    this.cache = null;
+    this.loaded = false;
+    this.reload();
+  }
+
+  _cache() {
+    if (!this.cache) this.cache = new CacheService();
+    return this.cache;
+  }
+
+  /**
+   * 템플릿 파일을 다시 읽습니다. 없어진 버전을 가리키는 선택은 무시되고 기본 규칙을 따릅니다.
+   * 모듈을 불러올 때 동기적으로 한 번 읽어 두므로 서버 시작 전에도 프롬프트를 쓸 수 있습니다.
+   * @returns {object} { templates: 읽은 버전 수, errors }
+   */
+  reload() {
+    const templates = new Map();
+    const errors = [];
+    for (const name of Object.keys(TEMPLATES)) {
+      const versions = new Map();
+      let files = [];
+      try {
+        files = fs.readdirSync(path.join(this.dir, name)).filter(f => f.endsWith('.txt'));
+      } catch (e) {
+        if (e.code !== 'ENOENT') errors.push({ file: `${name}/`, error: e.message });
+      }
+      for (const file of files.sort()) {
+        const version = file.slice(0, -'.txt'.length);
+        const filePath = path.join(this.dir, name, file);
+        if (!VERSION_RX.test(version)) {
+          errors.push({ file: `${name}/${file}`, error: 'version must be lowercase letters, digits, dots and dashes' });
+          continue;
+        }
+        try {
+          const raw = fs.readFileSync(filePath, 'utf8');
+          const parsed = parseTemplate(raw);
+          const error = validateTemplate(name, parsed);
+          if (error) {
+            errors.push({ file: `${name}/${file}`, error });
+            continue;
+          }
+          versions.set(version, {
+            name,
+            version,
+            id: `${name}@${version}`,
+            hash: crypto.createHash('sha256').update(raw).digest('hex').slice(0, 12),
+            description: parsed.description,
+            parts: parsed.parts,
+          });
+        } catch (e) {
+          errors.push({ file: `${name}/${file}`, error: e.message });
+        }
+      }
+      if (versions.size === 0) errors.push({ file: `${name}/`, error: 'no usable template version' });
+      templates.set(name, versions);
+    }
+
+    errors.forEach(e => logger.warn(`[Prompts] Skipped ${e.file}: ${e.error}`));
+    // 읽을 수 있는 버전이 하나도 없는 템플릿은 이전에 읽어 둔 버전을 유지
+    for (const [name, versions] of templates) {
+      if (versions.size === 0 && this.templates.get(name)?.size) templates.set(name, this.templates.get(name));
+    }
+    this.templates = templates;
+    this.errors = errors;
+    const count = [...templates.values()].reduce((n, versions) => n + versions.size, 0);
+    return { templates: count, errors };
+  }
+
+  /**
+   * 저장된 활성 버전 선택을 불러옵니다. 서버 시작 시 한 번 호출합니다.
+   */
+  async load() {
+    try {
+      const stored = await this._cache().get(CONFIG.ACTIVE_KEY);
+      if (stored && typeof stored === 'object') this.active = stored;
+      this.loaded = true;
+      logger.info(`[Prompts] Loaded ${this.list().map(t => `${t.name}(${t.versions.length})`).join(', ')} from ${this.dir}`);
+    } catch (e) {
+      logger.warn('[Prompts] Failed to load active versions, using latest:', e.message);
+    }
+    return this;
+  }
+
+  async _persist() {
+    await this._cache().set(CONFIG.ACTIVE_KEY, this.active, 0);
+  }
+
+  _latest(name) {
+    const versions = [...(this.templates.get(name)?.keys() || [])].sort(compareVersions);
+    return versions[versions.length - 1] || null;
+  }
+
+  // -------------------- 조회 --------------------
+
+  /**
+   * 섹션에 적용할 템플릿 버전을 고릅니다.
+   * @param {string} name - 'translate' | 'summary' | 'brief' | 'qa' | 'briefing'
+   * @param {string} [section] - 기사 섹션 (없으면 전체 기본 버전)
+   * @returns {object} { name, version, id, hash, description, parts }
+   */
+  resolve(name, section) {
+    const versions = this.templates.get(name);
+    if (!versions) throw new Error(`Unknown prompt template: ${name}`);
+    const choice = this.active[name] || {};
+    const version = [choice.sections?.[section], choice.default, this._latest(name)].find(v => v && versions.has(v));
+    if (!version) throw new Error(`No usable version of prompt template: ${name}`);
+    return versions.get(version);
+  }
+
+  /**
+   * 템플릿의 한 부분을 렌더링합니다.
+   * @param {object} template - resolve()의 반환값
+   * @param {string} part - 'system' | 'user' | 'batchSystem' | 'repair'
+   * @param {object} [vars] - 템플릿 변수
+   */
+  render(template, part, vars = {}) {
+    const text = template.parts[part];
+    if (text == null) throw new Error(`Prompt ${template.id} has no part: ${part}`);
+    return renderText(text, vars);
+  }
+
+  _summary(template) {
+    return { version: template.version, id: template.id, hash: template.hash, description: template.description };
+  }
+
+  /**
+   * 템플릿별 버전 목록과 활성 버전
+   */
+  list() {
+    return Object.entries(TEMPLATES).map(([name, spec]) => {
+      const versions = [...(this.templates.get(name)?.values() || [])].sort((a, b) => compareVersions(a.version, b.version));
+      const choice = this.active[name] || {};
+      return {
+        name,
+        description: spec.description,
+        parts: spec.parts,
+        variables: spec.variables,
+        versions: versions.map(t => this._summary(t)),
+        active: {
+          default: versions.length ? this.resolve(name).id : null,
+          pinned: choice.default || null,
+          sections: Object.fromEntries(CONFIG.SECTIONS
+            .filter(section => choice.sections?.[section])
+            .map(section => [section, this.resolve(name, section).id])),
+        },
+      };
+    });
+  }
+
+  /**
+   * 템플릿 한 버전의 전체 내용
+   */
+  get(name, version) {
+    const template = this.templates.get(name)?.get(version);
+    return template ? { ...this._summary(template), name, parts: { ...template.parts } } : null;
+  }
+
+  // -------------------- 변경 --------------------
+
+  /**
+   * 활성 버전을 고릅니다.
+   * @param {string} name - 템플릿 이름
+   * @param {object} body - { version, section: 생략하면 전체 기본 버전 }
+   * @returns {Promise<object>} { success, data } 또는 { success: false, error }
+   */
+  async select(name, { version, section } = {}) {
+    if (!TEMPLATES[name]) return { success: false, error: 'Prompt template not found', notFound: true };
+    if (!this.templates.get(name)?.has(version)) return { success: false, error: `Unknown version for ${name}: ${version}` };
+    if (section != null && !CONFIG.SECTIONS.includes(section)) {
+      return { success: false, error: `Invalid section: ${section}. Must be one of: ${CONFIG.SECTIONS.join(', ')}` };
+    }
+
+    const choice = this.active[name] || { sections: {} };
+    if (section == null) choice.default = version;
+    else choice.sections = { ...choice.sections, [section]: version };
+    this.active[name] = choice;
+    await this._persist();
+    logger.info(`[Prompts] Active ${name} for ${section || 'all sections'}: ${version}`);
+    return { success: true, data: this.list().find(t => t.name === name) };
+  }
+
+  /**
+   * 선택을 지워 기본 규칙으로 되돌립니다. (섹션 → 전체 기본 버전, 전체 → 가장 높은 버전)
+   */
+  async unselect(name, { section } = {}) {
+    if (!TEMPLATES[name]) return { success: false, error: 'Prompt template not found', notFound: true };
+    if (section != null && !CONFIG.SECTIONS.includes(section)) {
+      return { success: false, error: `Invalid section: ${section}. Must be one of: ${CONFIG.SECTIONS.join(', ')}` };
+    }
+
+    const choice = this.active[name] || { sections: {} };
+    if (section == null) delete choice.default;
+    else delete choice.sections?.[section];
+    this.active[name] = choice;
+    await this._persist();
+    logger.info(`[Prompts] Reset active ${name} for ${section || 'all sections'}`);
+    return { success: true, data: this.list().find(t => t.name === name) };
+  }
+
+  getStatus() {
+    return {
+      loaded: this.loaded,
+      dir: this.dir,
+      active: Object.fromEntries(Object.keys(TEMPLATES).map(name => [name, this.templates.get(name)?.size ? this.resolve(name).id : null])),
+      errors: this.errors.length,
+    };
+  }
+}
+
+module.exports = new PromptRegistry();
+module.exports.PromptRegistry = PromptRegistry;
+module.exports.TEMPLATE_NAMES = Object.keys(TEMPLATES);
@@ -0,0 +1,66 @@
+/**
+ * Emark - QAHistory
+ *
+ * 질의응답의 최근 대화를 독자(emark_reader 쿠키)와 대화 대상(기사 등)별로 짧게 보관합니다.
+ * - 최근 MAX_TURNS개의 질문/답변만 남기고, 마지막 질문 후 TTL이 지나면 사라짐
+ * - 이전 대화는 "그 사람은?" 같은 후속 질문의 대상을 파악하는 데만 모델에 전달
+ * - CacheService에 저장하므로 Redis를 쓰면 여러 인스턴스가 대화를 공유
+ */
+const CacheService = require('./cacheService');
+
+// -------------------- Configuration --------------------
+
+const CONFIG = {
+  MAX_TURNS: Number(process.env.QA_HISTORY_TURNS || 4),
+  TTL_SEC: Number(process.env.QA_HISTORY_TTL_SEC || 30 * 60),
+  MAX_ANSWER_LENGTH: 1000, // 긴 답변은 잘라서 보관 (다음 요청의 토큰 절약)
+};
+
+const historyKey = (sessionId, scope) => `qa:history:v1:${sessionId}:${scope}`;
+
+// -------------------- Main Class --------------------
+
+class QAHistory {
+  constructor(opts = {}) {
+    this.cache = opts.cache || null;
+    this.maxTurns = opts.maxTurns ?? CONFIG.MAX_TURNS;
+  }
+
+  _cache() {
+    if (!this.cache) this.cache = new CacheService();
+    return this.cache;
+  }
+
+  /**
+   * @param {string} sessionId - 독자 ID (req.readerId)
+   * @param {string} scope - 대화 대상 (예: 'article:world:abc123')
+   * @returns {Promise<Array<{ question: string, answer: string, at: string }>>} 오래된 순
+   */
+  async get(sessionId, scope) {
+    if (!sessionId || this.maxTurns <= 0) return [];
+    const stored = await this._cache().get(historyKey(sessionId, scope));
+    return Array.isArray(stored) ? stored : [];
+  }
+
+  /**
+   * 질문/답변 한 쌍을 추가하고 오래된 대화를 버립니다.
+   */
+  async append(sessionId, scope, question, answer) {
+    if (!sessionId || this.maxTurns <= 0) return [];
+    const turns = [...await this.get(sessionId, scope), {
+      question,
+      answer: String(answer || '').slice(0, CONFIG.MAX_ANSWER_LENGTH),
+      at: new Date().toISOString(),
+    }].slice(-this.maxTurns);
+    await this._cache().set(historyKey(sessionId, scope), turns, CONFIG.TTL_SEC);
+    return turns;
+  }
+
+  async clear(sessionId, scope) {
+    if (!sessionId) return;
+    await this._cache().delete(historyKey(sessionId, scope));
+  }
+}
+
+module.exports = new QAHistory();
+module.exports.QAHistory = QAHistory;
@@ -6,21 +6,25 @@
  * - 서버 부하 감소를 위한 구조 최적화 및 사용 가이드 추가.
  * - 유틸리티 함수를 정적(static) 메서드로 통합하여 코드 구조 개선.
  * - 매직 넘버를 CONFIG 상수로 이전하여 유지보수성 향상.
+ * - 독자 피드백(좋아요/싫어요/소스 숨기기/비슷한 기사 더 보기)을 독자별 선호 벡터로 Redis에 저장하고,
+ *   전체 독자 집계는 섹션 프로필의 '커뮤니티 신호(c)' 가중치로 반영.
  */
 const crypto = require('crypto');
+const CacheService = require('./cacheService');
 const logger = require('../utils/logger');
+const { SUPPORTED_LANGS } = require('../config/languages');
 
 // -------------------- Configuration --------------------
 
 const CONFIG = {
-  // 섹션별 가중치 프로필 (f:신선도, v:화제성, e:참여도, s:신뢰도, d:다양성, l:로케일, u:긴급성)
+  // 섹션별 가중치 프로필 (f:신선도, v:화제성, e:참여도, s:신뢰도, d:다양성, l:로케일, u:긴급성, c:커뮤니티 신호)
   WEIGHTS: {
-    buzz:     { f: 0.20, v: 0.50, e: 0.10, s: 0.10, d: 0.05, l: 0.03, u: 0.02 },
-    world:    { f: 0.35, v: 0.15, e: 0.10, s: 0.30, d: 0.05, l: 0.03, u: 0.02 },
-    korea:    { f: 0.30, v: 0.20, e: 0.10, s: 0.30, d: 0.05, l: 0.03, u: 0.02 },
-    japan:    { f: 0.30, v: 0.20, e: 0.10, s: 0.30, d: 0.05, l: 0.03, u: 0.02 },
-    business: { f: 0.25, v: 0.20, e: 0.20, s: 0.30, d: 0.03, l: 0.02, u: 0.00 },
-    tech:     { f: 0.15, v: 0.50, e: 0.15, s: 0.15, d: 0.03, l: 0.02, u: 0.00 },
+    buzz:     { f: 0.20, v: 0.50, e: 0.10, s: 0.10, d: 0.05, l: 0.03, u: 0.02, c: 0.06 },
+    world:    { f: 0.35, v: 0.15, e: 0.10, s: 0.30, d: 0.05, l: 0.03, u: 0.02, c: 0.03 },
+    korea:    { f: 0.30, v: 0.20, e: 0.10, s: 0.30, d: 0.05, l: 0.03, u: 0.02, c: 0.03 },
+    japan:    { f: 0.30, v: 0.20, e: 0.10, s: 0.30, d: 0.05, l: 0.03, u: 0.02, c: 0.03 },
+    business: { f: 0.25, v: 0.20, e: 0.20, s: 0.30, d: 0.03, l: 0.02, u: 0.00, c: 0.03 },
+    tech:     { f: 0.15, v: 0.50, e: 0.15, s: 0.15, d: 0.03, l: 0.02, u: 0.00, c: 0.05 },
   },
   HALF_LIFE_MINUTES: {
     buzz: 90, world: 180, korea: 120, japan: 120, business: 240, tech: 120, default: 120,
@@ -46,7 +50,34 @@ const CONFIG = {
   BOOST_SCORES: {
     WEEKDAY_BUSINESS: 0.02, WEEKEND_BUZZ: 0.02, SPORTS_PENALTY: -0.02,
   },
+  FEEDBACK: {
+    // 피드백 종류별 선호도 변화량 (topic: 기사 토픽, domain: 기사 도메인)
+    ACTIONS: {
+      like:           { topic: 0.05, domain: 0.03 },
+      dislike:        { topic: -0.05, domain: -0.03 },
+      more_like_this: { topic: 0.10, domain: 0.05 },
+      hide_source:    { topic: 0, domain: -0.30, hide: true },
+    },
+    PREF_LIMIT: 0.3,          // 독자별 토픽/도메인 선호도 범위 (±)
+    READER_LIMIT: 0.3,        // 기사 한 건에 더해지는 독자 보정 합계 범위 (±)
+    COMMUNITY_SATURATION: 2,  // 커뮤니티 신호 = tanh(누적 변화량 / 값)
+    COMMUNITY_MAX_STEP: 0.1,  // 독자 한 명이 토픽/도메인 하나의 커뮤니티 집계에 줄 수 있는 최대 기여 (±, 모든 피드백 합계)
+    MAX_VOTES: 500,           // 중복 투표 확인용으로 독자별로 기억하는 최근 (기사, 피드백 종류) 수
+    MAX_HIDDEN: 100,
+    MAX_COMMUNITY_ENTRIES: 500,
+    PREFS_TTL_SEC: Number(process.env.PROFILE_TTL_SEC || 180 * 24 * 3600),
+    PERSIST_DELAY_MS: 5000,
+  },
+  // calculateRating의 score → rating 환산 계수
+  RATING_SCALE: 2.5,
+};
+
+const FEEDBACK_KEYS = {
+  COMMUNITY: 'feedback:community:v1',
+  readerPrefs: (readerId) => `feedback:prefs:${readerId}`,
 };
+// 피드백 학습에 사용하는 토픽 (extractTextFeatures 결과 키)
+const FEEDBACK_TOPICS = ['urgent', 'important', 'buzz', 'tech', 'business', 'sports'];
 
 // -------------------- Keyword Sets (Pre-compiled Regex) --------------------
 // ... (기존 RX, buildRegex, escapeRx 코드와 동일) ...
@@ -74,6 +105,10 @@ const minutesSince = (isoDate) => { const time = new Date(isoDate).getTime(); re
 const clamp = (num, min, max) => Math.max(min, Math.min(num, max));
 const fatigueLRU = new Map();
 
+// votes: 이미 반영한 '기사ID:피드백 종류' (최근순), community: 이 독자가 커뮤니티 집계에 더한 값
+const emptyPreferences = () => ({ topic: {}, domain: {}, hiddenDomains: [], votes: [], community: { topic: {}, domain: {} }, updatedAt: null });
+const topicsOf = (features) => FEEDBACK_TOPICS.filter(topic => features[topic]);
+
 function fatigueMark(hash) {
   if (fatigueLRU.has(hash)) fatigueLRU.delete(hash);
   fatigueLRU.set(hash, Date.now());
@@ -94,10 +129,36 @@ function fatiguePenalty(hash) {
 
 class RatingService {
   constructor() {
-    this.userPreferences = {
+    // 전체 독자 피드백 누적치 (커뮤니티 신호). 독자별 선호는 Redis의 feedback:prefs:<readerId>
+    this.community = {
       topic: new Map(),
       domain: new Map(),
     };
+    this.cache = null;
+    this.persistTimer = null;
+    this.locks = new Map(); // readerId -> Promise (같은 독자의 동시 피드백을 직렬화)
+  }
+
+  _cache() {
+    if (!this.cache) this.cache = new CacheService();
+    return this.cache;
+  }
+
+  /**
+   * 저장된 커뮤니티 집계를 불러옵니다. 서버 시작 시 한 번 호출합니다.
+   */
+  async load() {
+    try {
+      const stored = await this._cache().get(FEEDBACK_KEYS.COMMUNITY);
+      if (stored) {
+        this.community.topic = new Map(Object.entries(stored.topic || {}));
+        this.community.domain = new Map(Object.entries(stored.domain || {}));
+      }
+      logger.info(`[Rating] Community feedback loaded: ${this.community.topic.size} topics, ${this.community.domain.size} domains`);
+    } catch (e) {
+      logger.warn('[Rating] Failed to load community feedback:', e.message);
+    }
+    return this;
   }
   
   // -------------------- Scoring Components (Static Methods) --------------------
@@ -138,9 +199,15 @@ class RatingService {
 
   // -------------------- Core Scoring Logic --------------------
 
-  _scoreArticle(article, section = 'buzz') {
+  /**
+   * @param {object} article - 기사
+   * @param {string} section - 섹션
+   * @param {object|null} [prefs] - 독자 선호 벡터 (getReaderPreferences). 없으면 공용 점수
+   */
+  _scoreArticle(article, section = 'buzz', prefs = null) {
     const title = article?.title ?? '';
     const domain = (article?.domain || getDomain(article?.url) || '').toLowerCase();
+    // clusterId는 StoryClusterer가 부여하며, 클러스터링을 거치지 않은 기사만 제목 해시로 대체
     const clusterId = article?.clusterId ?? sha1(title.toLowerCase().replace(/\s+/g, ' ').slice(0, 120));
     const ageMinutes = minutesSince(article?.publishedAt);
 
@@ -155,7 +222,8 @@ class RatingService {
     if (article?.verifiedCross) s = clamp(s + 0.1, 0, 1);
     
     const u = features.urgent ? 1 : 0;
-    const l = (article?.lang && ['ko', 'ja', 'en'].includes(article.lang)) ? 1 : 0;
+    // 로케일: 서비스 언어로 쓰인 기사일수록 가산 (정규화 때 판별한 언어 확신도 반영, 이전 캐시 기사는 1)
+    const l = SUPPORTED_LANGS.includes(article?.lang) ? (article.langConfidence ?? 1) : 0;
     
     let score = (weights.f * f) + (weights.v * v) + (weights.e * e) + (weights.s * s) + (weights.l * l) + (weights.u * u);
     
@@ -165,15 +233,33 @@ class RatingService {
     if ((dayOfWeek === 0 || dayOfWeek === 6) && (section === 'buzz' || features.buzz)) score += CONFIG.BOOST_SCORES.WEEKEND_BUZZ;
     if (features.sports) score += CONFIG.BOOST_SCORES.SPORTS_PENALTY;
 
-    // 사용자 피드백 보정
-    score += this.userPreferences.domain.get(domain) ?? 0;
-    if (features.tech) score += this.userPreferences.topic.get('tech') ?? 0;
-    if (features.business) score += this.userPreferences.topic.get('business') ?? 0;
+    // 커뮤니티 신호: 전체 독자 피드백 집계 (-1~1)
+    score += (weights.c ?? 0) * this._communitySignal(features, domain);
+
+    // 독자별 선호 보정
+    const reader = this._readerPreference(features, domain, prefs);
+    score += reader.score;
 
     // 노출 피로도 감점
     const fatigue = fatiguePenalty(clusterId) + fatiguePenalty(sha1(title.toLowerCase()));
     
-    return { score: clamp(score - fatigue, 0, 1), features, domain, clusterId };
+    return { score: reader.hidden ? 0 : clamp(score - fatigue, 0, 1), features, domain, clusterId, hidden: reader.hidden };
+  }
+
+  _communitySignal(features, domain) {
+    const values = [this.community.domain.get(domain), ...topicsOf(features).map(t => this.community.topic.get(t))]
+      .filter(v => v !== undefined);
+    if (values.length === 0) return 0;
+    const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+    return Math.tanh(mean / CONFIG.FEEDBACK.COMMUNITY_SATURATION);
+  }
+
+  _readerPreference(features, domain, prefs) {
+    if (!prefs) return { score: 0, hidden: false };
+    if (domain && prefs.hiddenDomains?.includes(domain)) return { score: 0, hidden: true };
+    let score = prefs.domain?.[domain] ?? 0;
+    for (const topic of topicsOf(features)) score += prefs.topic?.[topic] ?? 0;
+    return { score: clamp(score, -CONFIG.FEEDBACK.READER_LIMIT, CONFIG.FEEDBACK.READER_LIMIT), hidden: false };
   }
 
   /**
@@ -229,13 +315,27 @@ class RatingService {
   
   // -------------------- Public API Methods --------------------
 
-  async calculateRating(article, section = 'buzz') {
-    const { score } = this._scoreArticle(article, section);
+  async calculateRating(article, section = 'buzz', prefs = null) {
+    const { score } = this._scoreArticle(article, section, prefs);
     // 기본값 2.5 기준으로 조정: 2.5 + (score * 2.5)로 1.0~5.0 범위 유지
-    const rating = clamp(2.5 + (score - 0.6) * 2.5, 1, 5);
+    const rating = clamp(2.5 + (score - 0.6) * CONFIG.RATING_SCALE, 1, 5);
     return Math.round(rating * 2) / 2;
   }
 
+  /**
+   * 공유 캐시에 저장된 평점 위에 더할 독자별 보정값을 계산합니다. (요청마다 전체 점수를 다시 계산하지 않기 위함)
+   * @param {object} article - 랭킹된 기사
+   * @param {object|null} prefs - 독자 선호 벡터
+   * @returns {{ delta: number, hidden: boolean }} delta는 rating 단위
+   */
+  readerAdjustment(article, prefs) {
+    if (!prefs) return { delta: 0, hidden: false };
+    const domain = (article?.domain || getDomain(article?.url) || '').toLowerCase();
+    const features = RatingService.extractTextFeatures(article?.title ?? '', article?.description);
+    const { score, hidden } = this._readerPreference(features, domain, prefs);
+    return { delta: score * CONFIG.RATING_SCALE, hidden };
+  }
+
   async generateTags(article) {
     const { title, description, publishedAt } = article;
     const features = RatingService.extractTextFeatures(title, description);
@@ -262,22 +362,159 @@ class RatingService {
     return clamp(importance, 0, 10);
   }
 
+  // -------------------- 독자 피드백 --------------------
+
+  /**
+   * 커뮤니티 집계(전체 독자)에 피드백을 누적합니다. 저장은 모아서 지연 실행됩니다.
+   */
   updateUserFeedback({ topic, domain }, delta = 0.05) {
-    if (topic) {
-      const current = this.userPreferences.topic.get(topic) ?? 0;
-      this.userPreferences.topic.set(topic, clamp(current + delta, -0.3, 0.3));
-    }
-    if (domain) {
-      const current = this.userPreferences.domain.get(domain) ?? 0;
-      this.userPreferences.domain.set(domain, clamp(current + delta, -0.3, 0.3));
+    const bump = (map, key) => {
+      map.set(key, (map.get(key) ?? 0) + delta);
+      if (map.size > CONFIG.FEEDBACK.MAX_COMMUNITY_ENTRIES) {
+        // 영향이 가장 작은 항목부터 정리
+        const [weakest] = [...map.entries()].sort((a, b) => Math.abs(a[1]) - Math.abs(b[1]))[0];
+        map.delete(weakest);
+      }
+    };
+    if (topic) bump(this.community.topic, topic);
+    if (domain) bump(this.community.domain, domain);
+    this._schedulePersist();
+  }
+
+  _schedulePersist() {
+    if (this.persistTimer) return;
+    this.persistTimer = setTimeout(() => {
+      this.persistTimer = null;
+      this.flush().catch(e => logger.error('[Rating] Failed to persist community feedback:', e.message));
+    }, CONFIG.FEEDBACK.PERSIST_DELAY_MS);
+    this.persistTimer.unref?.();
+  }
+
+  async flush() {
+    await this._cache().set(FEEDBACK_KEYS.COMMUNITY, {
+      topic: Object.fromEntries(this.community.topic),
+      domain: Object.fromEntries(this.community.domain),
+    }, 0);
+  }
+
+  /**
+   * 독자 선호 벡터를 불러옵니다.
+   * @param {string} readerId - 독자 ID
+   * @returns {Promise<object>} { topic, domain, hiddenDomains, updatedAt }
+   */
+  async getReaderPreferences(readerId) {
+    if (!readerId) return emptyPreferences();
+    const stored = await this._cache().get(FEEDBACK_KEYS.readerPrefs(readerId));
+    return stored ? { ...emptyPreferences(), ...stored } : emptyPreferences();
+  }
+
+  // 같은 독자의 선호 읽기/쓰기를 차례로 실행
+  _withReaderLock(readerId, fn) {
+    const previous = this.locks.get(readerId) || Promise.resolve();
+    const run = previous.catch(() => {}).then(fn);
+    this.locks.set(readerId, run);
+    run.finally(() => { if (this.locks.get(readerId) === run) this.locks.delete(readerId); }).catch(() => {});
+    return run;
+  }
+
+  async _updateReaderPreferences(readerId, mutate) {
+    return this._withReaderLock(readerId, async () => {
+      const prefs = await this.getReaderPreferences(readerId);
+      mutate(prefs);
+      prefs.updatedAt = new Date().toISOString();
+      await this._cache().set(FEEDBACK_KEYS.readerPrefs(readerId), prefs, CONFIG.FEEDBACK.PREFS_TTL_SEC);
+      return prefs;
+    });
+  }
+
+  /**
+   * 기사에 대한 독자 피드백을 기록합니다. 독자 선호 벡터와 커뮤니티 집계를 함께 갱신합니다.
+   * - 같은 기사에 같은 피드백을 다시 보내면 아무것도 바꾸지 않음 (duplicate: true)
+   * - 커뮤니티 집계에는 독자마다 토픽/도메인별 기여 합계를 ±COMMUNITY_MAX_STEP까지만 더해,
+   *   집계가 피드백 횟수가 아니라 서로 다른 독자 수를 반영하게 함
+   * @param {string} readerId - 독자 ID
+   * @param {'like'|'dislike'|'hide_source'|'more_like_this'} action - 피드백 종류
+   * @param {object} article - 대상 기사 (id, title, description, domain/url)
+   * @returns {Promise<object>} { success, data, duplicate } 또는 { success: false, error }
+   */
+  async recordFeedback(readerId, action, article) {
+    const effect = CONFIG.FEEDBACK.ACTIONS[action];
+    if (!effect) {
+      return { success: false, error: `Invalid action. Must be one of: ${Object.keys(CONFIG.FEEDBACK.ACTIONS).join(', ')}` };
     }
+    const domain = (article?.domain || getDomain(article?.url) || '').toLowerCase();
+    const topics = topicsOf(RatingService.extractTextFeatures(article?.title ?? '', article?.description));
+    if (effect.hide && !domain) return { success: false, error: 'Article has no source domain to hide' };
+
+    const limit = CONFIG.FEEDBACK.PREF_LIMIT;
+    const maxStep = CONFIG.FEEDBACK.COMMUNITY_MAX_STEP;
+    const vote = `${article?.id ?? ''}:${action}`;
+    let duplicate = false;
+    const communityDeltas = []; // [{ topic } | { domain }, 변화량]
+    const prefs = await this._updateReaderPreferences(readerId, (p) => {
+      if (p.votes.includes(vote)) {
+        duplicate = true;
+        return;
+      }
+      p.votes = [vote, ...p.votes].slice(0, CONFIG.FEEDBACK.MAX_VOTES);
+      const contribute = (kind, key, delta) => {
+        const previous = p.community[kind][key] ?? 0;
+        const next = clamp(previous + delta, -maxStep, maxStep);
+        if (next === previous) return;
+        p.community[kind][key] = next;
+        communityDeltas.push([{ [kind]: key }, next - previous]);
+      };
+      if (effect.topic) {
+        for (const topic of topics) p.topic[topic] = clamp((p.topic[topic] ?? 0) + effect.topic, -limit, limit);
+      }
+      if (domain && effect.domain) p.domain[domain] = clamp((p.domain[domain] ?? 0) + effect.domain, -limit, limit);
+      if (effect.hide) {
+        p.hiddenDomains = [domain, ...p.hiddenDomains.filter(d => d !== domain)].slice(0, CONFIG.FEEDBACK.MAX_HIDDEN);
+      }
+      if (effect.topic) topics.forEach(topic => contribute('topic', topic, effect.topic));
+      if (domain && effect.domain) contribute('domain', domain, effect.domain);
+    });
+
+    communityDeltas.forEach(([target, delta]) => this.updateUserFeedback(target, delta));
+
+    logger.debug(`[Rating] Feedback ${action} from ${readerId}: domain=${domain || '-'} topics=${topics.join(',') || '-'}${duplicate ? ' (duplicate)' : ''}`);
+    return { success: true, data: prefs, duplicate };
+  }
+
+  /**
+   * 숨긴 소스를 다시 표시합니다. 도메인 선호도는 0으로 되돌립니다.
+   */
+  async unhideSource(readerId, domain) {
+    const target = String(domain || '').toLowerCase();
+    return this._updateReaderPreferences(readerId, (p) => {
+      p.hiddenDomains = p.hiddenDomains.filter(d => d !== target);
+      delete p.domain[target];
+    });
+  }
+
+  /**
+   * 독자 선호를 지우고, 이 독자가 커뮤니티 집계에 더한 값도 되돌립니다. (초기화 후 다시 투표해도 중복 집계되지 않게)
+   */
+  async resetReaderPreferences(readerId) {
+    return this._withReaderLock(readerId, async () => {
+      const { community } = await this.getReaderPreferences(readerId);
+      for (const [kind, entries] of Object.entries(community || {})) {
+        for (const [key, value] of Object.entries(entries || {})) {
+          if (value) this.updateUserFeedback({ [kind]: key }, -value);
+        }
+      }
+      await this._cache().delete(FEEDBACK_KEYS.readerPrefs(readerId));
+    });
   }
 
   getStatus() {
+    const top = (map) => Object.fromEntries(
+      [...map.entries()].sort((a, b) => Math.abs(b[1]) - Math.abs(a[1])).slice(0, 20).map(([k, v]) => [k, Number(v.toFixed(3))])
+    );
     return {
       fatigueCacheSize: fatigueLRU.size,
-      userPrefTopics: Object.fromEntries(this.userPreferences.topic),
-      userPrefDomains: Object.fromEntries(this.userPreferences.domain),
+      communityTopics: top(this.community.topic),
+      communityDomains: top(this.community.domain),
     };
   }
 }
@@ -0,0 +1,238 @@
+/**
+ * Emark - ReaderProfileService
+ *
+ * 쿠키/디바이스 ID로 식별하는 익명 독자 프로필을 서버에 저장합니다.
+ * - 읽은 기사, 북마크, 관심 토픽(직접 설정 + 읽은 기사 태그에서 학습)
+ * - 개인화는 공유 섹션 캐시 위에서 가볍게 재정렬만 하므로 독자별 캐시/수집이 생기지 않음
+ * - 피드백 선호 벡터(좋아요/싫어요/소스 숨기기)는 RatingService가 관리하고 여기서는 보정값만 적용
+ */
+const crypto = require('crypto');
+const CacheService = require('./cacheService');
+const ratingService = require('./ratingService');
+const logger = require('../utils/logger');
+const { parseCookies, appendCookie } = require('../utils/cookies');
+
+// -------------------- Configuration --------------------
+
+const CONFIG = {
+  COOKIE_NAME: 'emark_reader',
+  DEVICE_HEADER: 'x-device-id',
+  COOKIE_MAX_AGE_SEC: 365 * 24 * 3600,
+  PROFILE_TTL_SEC: Number(process.env.PROFILE_TTL_SEC || 180 * 24 * 3600),
+  MAX_READ: 500,
+  MAX_BOOKMARKS: 200,
+  MAX_TOPICS: 50,
+  // 재정렬 점수 = rating + 토픽 가중치 합 * TOPIC_BOOST + 피드백 보정 - (읽음 ? READ_PENALTY : 0)
+  READ_PENALTY: 2.0,
+  TOPIC_BOOST: 0.8,
+  // 읽을 때마다 태그 가중치를 올리고, 오래된 관심사는 서서히 감쇠
+  LEARN_RATE: 0.1,
+  LEARN_DECAY: 0.98,
+};
+
+const ID_RX = /^[A-Za-z0-9_-]{16,64}$/;
+const TOPIC_RX = /^[^\s<>]{1,40}(?: [^\s<>]{1,40}){0,3}$/;
+
+// -------------------- Utilities --------------------
+
+const profileKey = (id) => `profile:${id}`;
+
+function emptyProfile(id) {
+  const now = new Date().toISOString();
+  return { id, createdAt: now, updatedAt: now, read: [], bookmarks: [], topics: {}, learnedTopics: {} };
+}
+
+// -------------------- Main Class --------------------
+
+class ReaderProfileService {
+  constructor(opts = {}) {
+    this.cache = opts.cache || new CacheService();
+    this.secureCookie = process.env.NODE_ENV === 'production';
+    this.locks = new Map(); // id -> Promise (같은 독자의 동시 수정을 직렬화)
+  }
+
+  /**
+   * 독자 ID를 확인하고 없으면 새로 발급해 쿠키로 내려주는 미들웨어. 결과는 req.readerId.
+   */
+  middleware() {
+    return (req, res, next) => {
+      const fromHeader = req.headers[CONFIG.DEVICE_HEADER];
+      const fromCookie = parseCookies(req.headers.cookie)[CONFIG.COOKIE_NAME];
+      let id = [fromHeader, fromCookie].find(v => ID_RX.test(v || ''));
+
+      if (!id) {
+        id = crypto.randomBytes(16).toString('base64url');
+        appendCookie(res, CONFIG.COOKIE_NAME, id, {
+          maxAge: CONFIG.COOKIE_MAX_AGE_SEC,
+          httpOnly: true,
+          secure: this.secureCookie,
+          sameSite: 'Lax',
+        });
+      }
+      req.readerId = id;
+      next();
+    };
+  }
+
+  async get(id) {
+    if (!ID_RX.test(id || '')) return null;
+    const stored = await this.cache.get(profileKey(id));
+    return stored ? { ...emptyProfile(id), ...stored } : emptyProfile(id);
+  }
+
+  async _update(id, mutate) {
+    const previous = this.locks.get(id) || Promise.resolve();
+    const run = previous.catch(() => {}).then(async () => {
+      const profile = await this.get(id);
+      mutate(profile);
+      profile.updatedAt = new Date().toISOString();
+      await this.cache.set(profileKey(id), profile, CONFIG.PROFILE_TTL_SEC);
+      return profile;
+    });
+    this.locks.set(id, run);
+    run.finally(() => { if (this.locks.get(id) === run) this.locks.delete(id); }).catch(() => {});
+    return run;
+  }
+
+  /**
+   * 기사를 읽음으로 기록합니다. 기사 태그가 주어지면 관심 토픽을 학습합니다.
+   * @param {string} id - 독자 ID
+   * @param {Array<string>} articleIds - 읽은 기사 ID 목록
+   * @param {Array<string>} [tags] - 기사 태그 (단일 기사일 때)
+   */
+  async markRead(id, articleIds, tags = []) {
+    const ids = [...new Set((articleIds || []).filter(Boolean).map(String))];
+    if (ids.length === 0) return this.get(id);
+    return this._update(id, (profile) => {
+      const now = new Date().toISOString();
+      const seen = new Set(ids);
+      profile.read = [...ids.map(articleId => ({ id: articleId, at: now })), ...profile.read.filter(r => !seen.has(r.id))]
+        .slice(0, CONFIG.MAX_READ);
+
+      if (tags.length) {
+        const learned = profile.learnedTopics;
+        for (const key of Object.keys(learned)) learned[key] *= CONFIG.LEARN_DECAY;
+        for (const tag of tags) learned[tag] = Math.min(1, (learned[tag] || 0) + CONFIG.LEARN_RATE);
+        profile.learnedTopics = Object.fromEntries(
+          Object.entries(learned).filter(([, w]) => w >= 0.01).sort((a, b) => b[1] - a[1]).slice(0, CONFIG.MAX_TOPICS)
+        );
+      }
+    });
+  }
+
+  async addBookmark(id, article) {
+    return this._update(id, (profile) => {
+      profile.bookmarks = [
+        { ...article, at: new Date().toISOString() },
+        ...profile.bookmarks.filter(b => b.id !== article.id),
+      ].slice(0, CONFIG.MAX_BOOKMARKS);
+    });
+  }
+
+  async removeBookmark(id, articleId) {
+    return this._update(id, (profile) => {
+      profile.bookmarks = profile.bookmarks.filter(b => b.id !== articleId);
+    });
+  }
+
+  /**
+   * 직접 설정한 관심 토픽을 교체합니다.
+   * @param {object|Array<string>} topics - { 토픽: 가중치(-1~1) } 또는 토픽 배열(가중치 1)
+   * @returns {Promise<object>} { success, data } 또는 { success: false, error }
+   */
+  async setTopics(id, topics) {
+    const entries = Array.isArray(topics) ? topics.map(t => [t, 1]) : Object.entries(topics || {});
+    if (entries.length > CONFIG.MAX_TOPICS) return { success: false, error: `At most ${CONFIG.MAX_TOPICS} topics allowed` };
+    for (const [topic, weight] of entries) {
+      if (typeof topic !== 'string' || !TOPIC_RX.test(topic.trim())) return { success: false, error: `Invalid topic: ${topic}` };
+      if (typeof weight !== 'number' || weight < -1 || weight > 1) return { success: false, error: 'Topic weights must be numbers between -1 and 1' };
+    }
+    const profile = await this._update(id, (p) => {
+      p.topics = Object.fromEntries(entries.map(([t, w]) => [t.trim(), w]));
+    });
+    return { success: true, data: profile };
+  }
+
+  async remove(id) {
+    await this.cache.delete(profileKey(id));
+    logger.info(`[Profile] Deleted reader profile: ${id}`);
+  }
+
+  // -------------------- 개인화 --------------------
+
+  _topicWeights(profile) {
+    // 직접 설정한 토픽이 학습된 토픽보다 우선
+    const weights = { ...profile.learnedTopics };
+    for (const [topic, w] of Object.entries(profile.topics)) weights[topic] = w;
+    return Object.entries(weights).map(([topic, w]) => [topic.toLowerCase(), w]).filter(([, w]) => w !== 0);
+  }
+
+  _topicScore(article, topicWeights) {
+    if (topicWeights.length === 0) return 0;
+    const tags = (article.tags || []).map(t => String(t).toLowerCase());
+    const text = `${article.title || ''} ${article.titleKo || ''}`.toLowerCase();
+    let score = 0;
+    for (const [topic, w] of topicWeights) {
+      if (tags.includes(topic) || text.includes(topic)) score += w;
+    }
+    return Math.max(-1, Math.min(1, score));
+  }
+
+  /**
+   * 공유 캐시에서 가져온 기사 목록을 독자 프로필로 재정렬합니다. 원본 배열은 변경하지 않습니다.
+   * @param {Array<object>} articles - 랭킹된 기사 배열
+   * @param {object|null} profile - 독자 프로필
+   * @param {object} [opts] - { reorder: false면 isRead/bookmarked 표시만 추가 (페이지네이션용), prefs: 피드백 선호 벡터 }
+   * @returns {Array<object>} 재정렬된 기사 배열 (숨긴 소스의 기사는 제외)
+   */
+  personalize(articles, profile, opts = {}) {
+    if (!Array.isArray(articles) || !profile) return articles;
+    const readIds = new Set(profile.read.map(r => r.id));
+    const bookmarkIds = new Set(profile.bookmarks.map(b => b.id));
+    const topicWeights = this._topicWeights(profile);
+
+    const marked = [];
+    articles.forEach((article, index) => {
+      const { delta, hidden } = ratingService.readerAdjustment(article, opts.prefs);
+      if (hidden) return;
+      const isRead = readIds.has(article.id);
+      const personalScore = (parseFloat(article.rating) || 0)
+        + this._topicScore(article, topicWeights) * CONFIG.TOPIC_BOOST
+        + delta
+        - (isRead ? CONFIG.READ_PENALTY : 0);
+      marked.push({ article: { ...article, isRead, bookmarked: bookmarkIds.has(article.id) }, personalScore, index });
+    });
+
+    if (opts.reorder === false) return marked.map(m => m.article);
+    // 점수가 같으면 원래(공유 랭킹) 순서 유지
+    return marked
+      .sort((a, b) => b.personalScore - a.personalScore || a.index - b.index)
+      .map(m => m.article);
+  }
+
+  /**
+   * 섹션 응답 payload에 개인화를 적용합니다.
+   */
+  personalizePayload(payload, profile, opts = {}) {
+    if (!payload || !payload.success || !Array.isArray(payload.data) || !profile) return payload;
+    return { ...payload, data: this.personalize(payload.data, profile, opts), personalized: opts.reorder !== false };
+  }
+
+  /**
+   * 응답용 프로필 요약
+   */
+  summarize(profile) {
+    return {
+      id: profile.id,
+      createdAt: profile.createdAt,
+      updatedAt: profile.updatedAt,
+      readCount: profile.read.length,
+      recentlyRead: profile.read.slice(0, 20),
+      bookmarks: profile.bookmarks,
+      topics: profile.topics,
+      learnedTopics: profile.learnedTopics,
+    };
+  }
+}
+
+module.exports = ReaderProfileService;
@@ -1,5 +1,5 @@
-// RSS 피드 상태 모니터링 서비스
-const { rssSources } = require('../config/rssSources');
+// RSS 피드 상태 모니터링 서비스 - 소스 레지스트리의 활성 RSS 소스(실제 수집 대상)를 점검
+const sourceRegistry = require('./sourceRegistry');
 const fetch = require('node-fetch');
 
 class RSSMonitor {
@@ -21,7 +21,10 @@ class RSSMonitor {
             sections: {}
         };
 
-        for (const [sectionName, feeds] of Object.entries(rssSources)) {
+        // 여러 섹션에 속한 피드는 한 번만 요청하고 결과를 재사용
+        const checked = new Map();
+
+        for (const [sectionName, feeds] of Object.entries(sourceRegistry.bySection({ type: 'rss' }))) {
             console.log(`📡 Checking ${sectionName} section...`);
             
             const sectionResults = {
@@ -32,7 +35,9 @@ class RSSMonitor {
             };
 
             for (const feed of feeds) {
-                const status = await this.checkSingleFeed(feed);
+                const reused = checked.has(feed.id);
+                const status = reused ? checked.get(feed.id) : await this.checkSingleFeed(feed);
+                checked.set(feed.id, status);
                 sectionResults.feeds[feed.name] = status;
                 
                 if (status.working) {
@@ -46,7 +51,7 @@ class RSSMonitor {
                 results.totalFeeds++;
                 
                 // 요청 간격 조절 (서버 부담 방지)
-                await this.delay(1000);
+                if (!reused) await this.delay(1000);
             }
 
             results.sections[sectionName] = sectionResults;
@@ -78,6 +83,7 @@ class RSSMonitor {
             const responseTime = Date.now() - startTime;
             
             const status = {
+                id: feed.id,
                 name: feed.name,
                 url: feed.url,
                 working: response.ok,
@@ -95,6 +101,7 @@ class RSSMonitor {
 
         } catch (error) {
             return {
+                id: feed.id,
                 name: feed.name,
                 url: feed.url,
                 working: false,
@@ -0,0 +1,230 @@
+/**
+ * Emark - SearchIndex
+ *
+ * 파이프라인이 캐시에 기록하는 모든 기사를 대상으로 하는 인메모리 역색인입니다.
+ * - 필드별 가중치(title/titleKo > source > description/summary)를 적용한 BM25 점수
+ * - 라틴 문자는 단어 단위, 한글/일본어/한자는 바이그램 단위로 토큰화
+ * - 관련도 점수를 기존 rating과 블렌딩하여 최종 순위 결정
+ */
+const logger = require('../utils/logger');
+const languageDetector = require('./languageDetector');
+
+// -------------------- Configuration --------------------
+
+const CONFIG = {
+  MAX_DOCS: Number(process.env.SEARCH_MAX_DOCS || 5000),
+  // 필드별 가중치
+  FIELD_WEIGHTS: {
+    title: 3.0,
+    titleKo: 3.0,
+    source: 2.0,
+    description: 1.0,
+    descriptionKo: 1.0,
+    summaryPoints: 1.0,
+  },
+  BM25: { K1: 1.2, B: 0.75 },
+  // 최종 점수 = relevance * (1 - RATING_BLEND) + (rating / 5) * RATING_BLEND
+  RATING_BLEND: Number(process.env.SEARCH_RATING_BLEND || 0.25),
+};
+
+const STOPWORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'of', 'to', 'in', 'on', 'for', 'with', 'at', 'by',
+  'from', 'is', 'are', 'was', 'were', 'be', 'as', 'it', 'its', 'this', 'that',
+]);
+
+// 한글, 히라가나/가타카나, 한자(CJK 통합 한자)
+const CJK_RUN = /[가-힯぀-ゟ゠-ヿ一-鿿]+/g;
+const WORD_RUN = /[a-z0-9]+/g;
+
+// -------------------- Utilities --------------------
+
+function tokenize(text) {
+  if (!text) return [];
+  const normalized = String(text).normalize('NFKC').toLowerCase();
+  const tokens = [];
+
+  for (const word of normalized.match(WORD_RUN) || []) {
+    if (word.length < 2 && !/\d/.test(word)) continue;
+    if (STOPWORDS.has(word)) continue;
+    tokens.push(word);
+  }
+
+  // 조사/어미가 붙는 한국어·일본어는 띄어쓰기 기준 분리가 부정확하므로 바이그램 사용
+  for (const run of normalized.match(CJK_RUN) || []) {
+    if (run.length === 1) { tokens.push(run); continue; }
+    for (let i = 0; i < run.length - 1; i++) tokens.push(run.slice(i, i + 2));
+  }
+
+  return tokens;
+}
+
+// 정규화 전에 캐시된 기사는 언어 필드가 없으므로 여기서 판별
+function inferLang(article) {
+  if (article.lang) return article.lang;
+  return languageDetector.articleLanguage(article).lang || 'en';
+}
+
+function fieldText(article, field) {
+  const value = article[field];
+  if (Array.isArray(value)) return value.join(' ');
+  return typeof value === 'string' ? value : '';
+}
+
+// -------------------- Main Class --------------------
+
+class SearchIndex {
+  constructor() {
+    this.docs = new Map();     // docKey -> { article, section, terms, length, ... }
+    this.postings = new Map(); // term -> Set<docKey>
+    this.totalLength = 0;
+  }
+
+  static docKey(section, id) {
+    return `${section}:${id}`;
+  }
+
+  /**
+   * 기사 배열을 색인에 추가(또는 갱신)합니다.
+   * @param {Array<object>} articles - 기사 객체 배열
+   * @param {string} section - 기사 섹션
+   * @returns {number} 색인된 기사 수
+   */
+  indexArticles(articles, section) {
+    if (!Array.isArray(articles)) return 0;
+    let count = 0;
+    for (const article of articles) {
+      if (!article || !article.id) continue;
+      this._upsert(article, section);
+      count++;
+    }
+    this._evictOverflow();
+    return count;
+  }
+
+  _upsert(article, section) {
+    const key = SearchIndex.docKey(section, article.id);
+    if (this.docs.has(key)) this._remove(key);
+
+    const terms = new Map();
+    let length = 0;
+    for (const [field, weight] of Object.entries(CONFIG.FIELD_WEIGHTS)) {
+      for (const token of tokenize(fieldText(article, field))) {
+        terms.set(token, (terms.get(token) || 0) + weight);
+        length += weight;
+      }
+    }
+
+    const publishedTs = new Date(article.publishedAt).getTime();
+    this.docs.set(key, {
+      key,
+      section,
+      article,
+      terms,
+      length,
+      lang: inferLang(article),
+      source: article.source || '',
+      publishedTs: Number.isNaN(publishedTs) ? 0 : publishedTs,
+      indexedAt: Date.now(),
+    });
+    this.totalLength += length;
+
+    for (const term of terms.keys()) {
+      if (!this.postings.has(term)) this.postings.set(term, new Set());
+      this.postings.get(term).add(key);
+    }
+  }
+
+  _remove(key) {
+    const doc = this.docs.get(key);
+    if (!doc) return;
+    for (const term of doc.terms.keys()) {
+      const set = this.postings.get(term);
+      if (!set) continue;
+      set.delete(key);
+      if (set.size === 0) this.postings.delete(term);
+    }
+    this.totalLength -= doc.length;
+    this.docs.delete(key);
+  }
+
+  _evictOverflow() {
+    if (this.docs.size <= CONFIG.MAX_DOCS) return;
+    const oldest = [...this.docs.values()]
+      .sort((a, b) => a.indexedAt - b.indexedAt)
+      .slice(0, this.docs.size - CONFIG.MAX_DOCS);
+    oldest.forEach(doc => this._remove(doc.key));
+    logger.info(`[Search] Evicted ${oldest.length} documents from index`);
+  }
+
+  _matchesFilters(doc, filters) {
+    if (filters.section && doc.section !== filters.section) return false;
+    if (filters.lang && doc.lang !== filters.lang) return false;
+    if (filters.source && !doc.source.toLowerCase().includes(filters.source.toLowerCase())) return false;
+    if (filters.from && doc.publishedTs < filters.from.getTime()) return false;
+    if (filters.to && doc.publishedTs > filters.to.getTime()) return false;
+    return true;
+  }
+
+  /**
+   * 질의어로 기사를 검색합니다.
+   * @param {string} query - 검색어
+   * @param {object} filters - { section, source, lang, from: Date, to: Date }
+   * @param {number} limit - 반환할 최대 결과 수
+   * @returns {Array<object>} 관련도 순으로 정렬된 기사 배열 (searchScore, section 포함)
+   */
+  search(query, filters = {}, limit = 20) {
+    const queryTerms = [...new Set(tokenize(query))];
+    if (queryTerms.length === 0 || this.docs.size === 0) return [];
+
+    const N = this.docs.size;
+    const avgLength = this.totalLength / N || 1;
+    const { K1, B } = CONFIG.BM25;
+    const scores = new Map();
+
+    for (const term of queryTerms) {
+      const posting = this.postings.get(term);
+      if (!posting) continue;
+      const idf = Math.log(1 + (N - posting.size + 0.5) / (posting.size + 0.5));
+
+      for (const key of posting) {
+        const doc = this.docs.get(key);
+        if (!this._matchesFilters(doc, filters)) continue;
+        const tf = doc.terms.get(term);
+        const norm = tf * (K1 + 1) / (tf + K1 * (1 - B + B * doc.length / avgLength));
+        const entry = scores.get(key) || { score: 0, matched: 0 };
+        entry.score += idf * norm;
+        entry.matched++;
+        scores.set(key, entry);
+      }
+    }
+    if (scores.size === 0) return [];
+
+    // 질의어 커버리지를 반영하고 0~1로 정규화
+    const candidates = [...scores.entries()].map(([key, { score, matched }]) => ({
+      doc: this.docs.get(key),
+      relevance: score * (matched / queryTerms.length),
+    }));
+    const maxRelevance = Math.max(...candidates.map(c => c.relevance)) || 1;
+
+    return candidates
+      .map(({ doc, relevance }) => {
+        const normalized = relevance / maxRelevance;
+        const rating = parseFloat(doc.article.rating) || 2.5;
+        const searchScore = normalized * (1 - CONFIG.RATING_BLEND) + (rating / 5) * CONFIG.RATING_BLEND;
+        return { ...doc.article, section: doc.section, lang: doc.lang, searchScore: Number(searchScore.toFixed(4)) };
+      })
+      .sort((a, b) => b.searchScore - a.searchScore)
+      .slice(0, limit);
+  }
+
+  getStatus() {
+    return {
+      documents: this.docs.size,
+      terms: this.postings.size,
+      maxDocuments: CONFIG.MAX_DOCS,
+    };
+  }
+}
+
+module.exports = SearchIndex;
+module.exports.tokenize = tokenize;
@@ -0,0 +1,280 @@
+/**
+ * Emark - SourceRegistry
+ *
+ * 뉴스 소스의 단일 레지스트리입니다. NewsService, 크론 수집, RSSMonitor, FeedHealthChecker가
+ * 모두 여기서 소스 목록을 읽으므로 수집하는 피드와 점검하는 피드가 항상 같습니다.
+ * - 기본값: config/sources.js
+ * - 런타임 변경(추가/수정/삭제)은 CacheService에 덮어쓰기(override)로 영구 저장
+ */
+const { SOURCES, DOMAIN_TRUST, SOURCE_TYPES } = require('../config/sources');
+const CacheService = require('./cacheService');
+const logger = require('../utils/logger');
+
+// -------------------- Configuration --------------------
+
+const CONFIG = {
+  OVERRIDES_KEY: 'sources:overrides:v1',
+  SECTIONS: ['world', 'kr', 'japan', 'buzz', 'tech', 'business'],
+  PHASES: [1, 2, 3],
+  EDITABLE_FIELDS: ['name', 'type', 'url', 'sections', 'lang', 'trust', 'phase', 'enabled', 'domain', 'options'],
+};
+
+const ID_RX = /^[a-z0-9][a-z0-9-]{1,63}$/;
+
+// -------------------- Utilities --------------------
+
+// feeds.reuters.com → reuters.com 처럼 피드 전용 서브도메인을 제거해 기사 도메인과 맞춤
+function feedDomain(url) {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^(www\d*|feeds?|rss)\./, '');
+  } catch {
+    return '';
+  }
+}
+
+function normalizeSection(section) {
+  return section === 'korea' ? 'kr' : section;
+}
+
+// -------------------- Main Class --------------------
+
+class SourceRegistry {
+  constructor() {
+    this.defaults = new Map(SOURCES.map(s => [s.id, s]));
+    this.overrides = {}; // id -> 부분 덮어쓰기 | null(삭제)
+    this.cache = null;
+    this.loaded = false;
+    this._rebuild();
+  }
+
+  _cache() {
+    if (!this.cache) this.cache = new CacheService();
+    return this.cache;
+  }
+
+  /**
+   * 저장된 덮어쓰기를 불러옵니다. 서버 시작 시 한 번 호출합니다.
+   */
+  async load() {
+    try {
+      const stored = await this._cache().get(CONFIG.OVERRIDES_KEY);
+      if (stored && typeof stored === 'object') this.overrides = stored;
+      this.loaded = true;
+      this._rebuild();
+      logger.info(`[Sources] Registry loaded: ${this.sources.size} sources (${Object.keys(this.overrides).length} overrides)`);
+    } catch (e) {
+      logger.warn('[Sources] Failed to load overrides, using defaults:', e.message);
+    }
+    return this;
+  }
+
+  async _persist() {
+    await this._cache().set(CONFIG.OVERRIDES_KEY, this.overrides, 0);
+  }
+
+  _rebuild() {
+    const merged = new Map();
+    for (const [id, base] of this.defaults) {
+      if (this.overrides[id] === null) continue;
+      merged.set(id, this._normalize({ ...base, ...(this.overrides[id] || {}), id }));
+    }
+    for (const [id, entry] of Object.entries(this.overrides)) {
+      if (entry && !this.defaults.has(id)) merged.set(id, this._normalize({ ...entry, id }));
+    }
+    this.sources = merged;
+
+    // 도메인 신뢰도: 기본 표 위에 trust가 지정된 소스의 도메인을 덮어씀
+    this.domainTrust = { ...DOMAIN_TRUST };
+    for (const s of merged.values()) {
+      if (s.trust != null && s.domain) this.domainTrust[s.domain] = s.trust;
+    }
+  }
+
+  _normalize(entry) {
+    return {
+      ...entry,
+      sections: (entry.sections || []).map(normalizeSection),
+      phase: entry.phase || 1,
+      enabled: entry.enabled !== false,
+      domain: entry.domain || (entry.url ? feedDomain(entry.url) : null),
+      options: entry.options || {},
+    };
+  }
+
+  /**
+   * 소스 항목을 검증합니다.
+   * @returns {string|null} 오류 메시지 또는 null
+   */
+  validate(entry) {
+    if (!ID_RX.test(entry.id || '')) return 'id must be lowercase letters, digits and dashes';
+    if (!entry.name || typeof entry.name !== 'string') return 'name is required';
+    if (!SOURCE_TYPES.includes(entry.type)) return `type must be one of: ${SOURCE_TYPES.join(', ')}`;
+    if (entry.type === 'rss') {
+      try {
+        if (!/^https?:$/.test(new URL(entry.url).protocol)) return 'url must be http(s)';
+      } catch {
+        return 'url is required for rss sources';
+      }
+    }
+    if (!Array.isArray(entry.sections) || entry.sections.length === 0) return 'sections must be a non-empty array';
+    const badSection = entry.sections.map(normalizeSection).find(s => !CONFIG.SECTIONS.includes(s));
+    if (badSection) return `Invalid section: ${badSection}. Must be one of: ${CONFIG.SECTIONS.join(', ')}`;
+    if (entry.phase != null && !CONFIG.PHASES.includes(entry.phase)) return `phase must be one of: ${CONFIG.PHASES.join(', ')}`;
+    if (entry.trust != null && !(typeof entry.trust === 'number' && entry.trust >= 0 && entry.trust <= 5)) return 'trust must be a number between 0 and 5';
+    if (entry.lang != null && !/^[a-z]{2}$/.test(entry.lang)) return 'lang must be a two-letter language code';
+    if (entry.enabled != null && typeof entry.enabled !== 'boolean') return 'enabled must be a boolean';
+    if (entry.options != null && (typeof entry.options !== 'object' || Array.isArray(entry.options))) return 'options must be an object';
+    return null;
+  }
+
+  _pick(body) {
+    const patch = {};
+    for (const field of CONFIG.EDITABLE_FIELDS) {
+      if (body[field] !== undefined) patch[field] = body[field];
+    }
+    return patch;
+  }
+
+  // -------------------- 조회 --------------------
+
+  /**
+   * 소스 목록을 반환합니다.
+   * @param {object} [filters] - { section, type, enabled, phase }
+   * @returns {Array<object>} 소스 항목 배열 (복사본)
+   */
+  list(filters = {}) {
+    const section = filters.section && normalizeSection(filters.section);
+    return [...this.sources.values()]
+      .filter(s => !section || s.sections.includes(section))
+      .filter(s => !filters.type || s.type === filters.type)
+      .filter(s => filters.enabled === undefined || s.enabled === filters.enabled)
+      .filter(s => !filters.phase || s.phase === filters.phase)
+      .map(s => ({ ...s, trust: this.trustOf(s), customized: this.overrides[s.id] !== undefined }));
+  }
+
+  get(id) {
+    const s = this.sources.get(id);
+    return s ? { ...s, trust: this.trustOf(s), customized: this.overrides[s.id] !== undefined } : null;
+  }
+
+  /**
+   * 섹션의 활성 소스를 수집 단계별로 반환합니다.
+   * @param {string} section - 기사 섹션
+   * @param {Array<number>} [phases] - 포함할 phase (생략 시 전체)
+   */
+  forSection(section, phases = CONFIG.PHASES) {
+    return this.list({ section, enabled: true }).filter(s => phases.includes(s.phase));
+  }
+
+  /**
+   * 섹션별로 묶은 활성 소스 목록 (모니터링용)
+   * @param {object} [filters] - list()와 동일
+   * @returns {object} { [section]: Array<source> }
+   */
+  bySection(filters = {}) {
+    const grouped = {};
+    for (const source of this.list({ enabled: true, ...filters })) {
+      for (const section of source.sections) {
+        (grouped[section] = grouped[section] || []).push(source);
+      }
+    }
+    return grouped;
+  }
+
+  sections() {
+    return [...CONFIG.SECTIONS];
+  }
+
+  trustOf(source) {
+    if (source.trust != null) return source.trust;
+    return source.domain ? this.trustForDomain(source.domain) : 1;
+  }
+
+  /**
+   * 기사 도메인의 신뢰도를 반환합니다. edition.cnn.com → cnn.com 처럼 상위 도메인까지 거슬러 올라갑니다.
+   * @param {string} domain - 기사 도메인
+   * @returns {number} 1~5 (모르는 도메인은 1)
+   */
+  trustForDomain(domain) {
+    const parts = String(domain || '').toLowerCase().replace(/^www\./, '').split('.');
+    for (let i = 0; i < parts.length - 1; i++) {
+      const candidate = parts.slice(i).join('.');
+      if (this.domainTrust[candidate] !== undefined) return this.domainTrust[candidate];
+    }
+    return 1;
+  }
+
+  // -------------------- 변경 --------------------
+
+  /**
+   * 새 소스를 추가합니다.
+   * @returns {Promise<object>} { success, data } 또는 { success: false, error }
+   */
+  async add(body) {
+    const entry = { ...this._pick(body), id: body.id };
+    if (this.sources.has(entry.id)) return { success: false, error: `Source already exists: ${entry.id}` };
+    const error = this.validate(entry);
+    if (error) return { success: false, error };
+
+    this.overrides[entry.id] = entry;
+    this._rebuild();
+    await this._persist();
+    logger.info(`[Sources] Added source: ${entry.id}`);
+    return { success: true, data: this.get(entry.id) };
+  }
+
+  /**
+   * 기존 소스를 부분 수정합니다. (enabled 토글, phase/trust 조정 등)
+   */
+  async update(id, body) {
+    const current = this.sources.get(id);
+    if (!current) return { success: false, error: 'Source not found', notFound: true };
+    const patch = this._pick(body);
+    const error = this.validate({ ...current, ...patch, id });
+    if (error) return { success: false, error };
+
+    this.overrides[id] = { ...(this.overrides[id] || {}), ...patch };
+    this._rebuild();
+    await this._persist();
+    logger.info(`[Sources] Updated source: ${id} (${Object.keys(patch).join(', ')})`);
+    return { success: true, data: this.get(id) };
+  }
+
+  /**
+   * 소스를 삭제합니다. 기본 소스는 삭제 표시만 남기므로 reset으로 되돌릴 수 있습니다.
+   */
+  async remove(id) {
+    if (!this.sources.has(id)) return { success: false, error: 'Source not found', notFound: true };
+    if (this.defaults.has(id)) this.overrides[id] = null;
+    else delete this.overrides[id];
+    this._rebuild();
+    await this._persist();
+    logger.info(`[Sources] Removed source: ${id}`);
+    return { success: true, id };
+  }
+
+  /**
+   * 기본 소스에 대한 덮어쓰기를 제거해 config/sources.js 값으로 되돌립니다.
+   */
+  async reset(id) {
+    if (!this.defaults.has(id)) return { success: false, error: 'Only built-in sources can be reset', notFound: !this.sources.has(id) };
+    delete this.overrides[id];
+    this._rebuild();
+    await this._persist();
+    logger.info(`[Sources] Reset source to default: ${id}`);
+    return { success: true, data: this.get(id) };
+  }
+
+  getStatus() {
+    const all = [...this.sources.values()];
+    return {
+      loaded: this.loaded,
+      total: all.length,
+      enabled: all.filter(s => s.enabled).length,
+      overrides: Object.keys(this.overrides).length,
+      byType: all.reduce((acc, s) => ({ ...acc, [s.type]: (acc[s.type] || 0) + 1 }), {}),
+    };
+  }
+}
+
+module.exports = new SourceRegistry();
@@ -0,0 +1,198 @@
+/**
+ * Emark - StoryClusterer
+ *
+ * 같은 사건을 다룬 여러 매체의 기사를 하나의 스토리로 묶습니다.
+ * - 제목/설명을 슁글(단어 단위, 한글·일본어는 문자 바이그램)로 분해해 Jaccard 유사도 계산
+ * - 번역된 titleKo가 있으면 한국어 뷰로도 비교하여 언어가 다른 기사도 묶음
+ * - Union-Find로 클러스터를 만들고, 랭킹 후 클러스터당 대표 기사 1건만 노출
+ */
+const crypto = require('crypto');
+const { tokenize } = require('./searchIndex');
+
+// -------------------- Configuration --------------------
+
+const CONFIG = {
+  SIMILARITY_THRESHOLD: Number(process.env.STORY_SIMILARITY_THRESHOLD || 0.4),
+  TITLE_WEIGHT: 0.7,
+  DESCRIPTION_WEIGHT: 0.3,
+  MAX_TIME_GAP_HOURS: 48, // 발행 시각이 이보다 멀면 같은 사건으로 보지 않음
+  MAX_MEMBER_REFS: 20,
+  MIN_SHINGLES: 2, // 너무 짧은 제목은 오탐이 많으므로 비교 대상에서 제외
+};
+
+// -------------------- Utilities --------------------
+
+const sha1 = (s) => crypto.createHash('sha1').update(String(s)).digest('hex');
+const hasHangul = (s) => /[가-힯]/.test(s || '');
+
+// 간단한 어간 처리로 복수형/시제 차이를 흡수 (talks/talk, meets/meet)
+const shingles = (text) => new Set(tokenize(text).map(t => (/^[a-z]{4,}s$/.test(t) ? t.slice(0, -1) : t)));
+
+function jaccard(a, b) {
+  if (!a.size || !b.size) return 0;
+  let inter = 0;
+  const [small, large] = a.size < b.size ? [a, b] : [b, a];
+  for (const t of small) if (large.has(t)) inter++;
+  return inter / (a.size + b.size - inter);
+}
+
+function memberRef(article) {
+  return {
+    id: article.id,
+    title: article.title,
+    titleKo: article.titleKo,
+    source: article.source,
+    link: article.link,
+    publishedAt: article.publishedAt,
+  };
+}
+
+class UnionFind {
+  constructor(n) { this.parent = Array.from({ length: n }, (_, i) => i); }
+  find(i) { while (this.parent[i] !== i) { this.parent[i] = this.parent[this.parent[i]]; i = this.parent[i]; } return i; }
+  union(a, b) { const ra = this.find(a), rb = this.find(b); if (ra !== rb) this.parent[rb] = ra; }
+}
+
+// -------------------- Main Class --------------------
+
+class StoryClusterer {
+  _features(article) {
+    const title = article.title || '';
+    const ko = article.titleKo || (hasHangul(title) ? title : '');
+    const publishedTs = new Date(article.publishedAt).getTime();
+    return {
+      title: shingles(title),
+      ko: ko ? shingles(ko) : null,
+      description: shingles(article.descriptionKo && hasHangul(title) ? article.descriptionKo : article.description),
+      publishedTs: Number.isNaN(publishedTs) ? null : publishedTs,
+    };
+  }
+
+  similarity(fa, fb) {
+    if (fa.publishedTs && fb.publishedTs &&
+        Math.abs(fa.publishedTs - fb.publishedTs) > CONFIG.MAX_TIME_GAP_HOURS * 3600 * 1000) {
+      return 0;
+    }
+    let titleSim = jaccard(fa.title, fb.title);
+    if (fa.ko && fb.ko) titleSim = Math.max(titleSim, jaccard(fa.ko, fb.ko));
+    const descSim = jaccard(fa.description, fb.description);
+    // 설명이 없는 소스(RSS 제목만 있는 경우)는 제목만으로 판단
+    if (!fa.description.size || !fb.description.size) return titleSim;
+    return Math.max(titleSim, CONFIG.TITLE_WEIGHT * titleSim + CONFIG.DESCRIPTION_WEIGHT * descSim);
+  }
+
+  /**
+   * 기사 배열에 clusterId/clusterSize를 부여합니다. 입력 순서는 유지됩니다.
+   * 이미 collapse된 대표 기사(cluster.members 보유)도 다시 넣을 수 있으며, 기존 멤버 정보는 유지됩니다.
+   * @param {Array<object>} articles - 중복 제거된 기사 배열
+   * @returns {Array<object>} clusterId가 부여된 기사 배열
+   */
+  cluster(articles) {
+    if (!Array.isArray(articles) || articles.length === 0) return [];
+
+    const features = articles.map(a => this._features(a));
+    const uf = new UnionFind(articles.length);
+
+    // 후보 쌍을 줄이기 위한 슁글 역색인
+    const postings = new Map();
+    features.forEach((f, i) => {
+      const keys = new Set([...f.title, ...(f.ko || [])]);
+      if (keys.size < CONFIG.MIN_SHINGLES) return;
+      for (const k of keys) {
+        if (!postings.has(k)) postings.set(k, []);
+        postings.get(k).push(i);
+      }
+    });
+
+    const compared = new Set();
+    for (const list of postings.values()) {
+      if (list.length > 200) continue; // 흔한 슁글은 변별력이 없음
+      for (let x = 0; x < list.length; x++) {
+        for (let y = x + 1; y < list.length; y++) {
+          const i = list[x], j = list[y];
+          const pair = i * articles.length + j;
+          if (compared.has(pair)) continue;
+          compared.add(pair);
+          if (this.similarity(features[i], features[j]) >= CONFIG.SIMILARITY_THRESHOLD) uf.union(i, j);
+        }
+      }
+    }
+
+    const groups = new Map();
+    articles.forEach((a, i) => {
+      const root = uf.find(i);
+      if (!groups.has(root)) groups.set(root, []);
+      groups.get(root).push(a);
+    });
+
+    const assigned = new Map();
+    for (const members of groups.values()) {
+      const refs = this._mergeRefs(members);
+      const clusterId = this._clusterId(refs);
+      members.forEach(a => assigned.set(a, { clusterId, clusterSize: refs.length, refs }));
+    }
+
+    return articles.map(a => {
+      const { clusterId, clusterSize, refs } = assigned.get(a);
+      return { ...a, clusterId, clusterSize, _clusterRefs: refs };
+    });
+  }
+
+  _mergeRefs(members) {
+    const byId = new Map();
+    for (const a of members) {
+      byId.set(a.id, memberRef(a));
+      for (const ref of a.cluster?.members || []) {
+        if (!byId.has(ref.id)) byId.set(ref.id, ref);
+      }
+    }
+    return [...byId.values()];
+  }
+
+  // 가장 먼저 발행된 기사 기준으로 ID를 정해 갱신 주기가 바뀌어도 같은 스토리는 같은 ID 유지
+  _clusterId(refs) {
+    const oldest = [...refs].sort((a, b) =>
+      (new Date(a.publishedAt).getTime() || 0) - (new Date(b.publishedAt).getTime() || 0) || String(a.id).localeCompare(String(b.id))
+    )[0];
+    return `c_${sha1(oldest.id).slice(0, 12)}`;
+  }
+
+  /**
+   * 랭킹된 기사 배열에서 클러스터당 가장 상위 기사만 남깁니다.
+   * @param {Array<object>} rankedArticles - cluster()를 거친 뒤 점수순으로 정렬된 기사 배열
+   * @returns {{ leads: Array<object>, stories: Map<string, Array<object>> }} 대표 기사 목록과 클러스터별 멤버
+   */
+  collapse(rankedArticles) {
+    const leads = [];
+    const stories = new Map();
+    const leadIndex = new Map();
+
+    for (const article of rankedArticles || []) {
+      const { _clusterRefs, cluster, ...clean } = article;
+      const clusterId = clean.clusterId;
+      if (!clusterId) { leads.push(clean); continue; }
+
+      if (!stories.has(clusterId)) stories.set(clusterId, []);
+      stories.get(clusterId).push(clean);
+
+      if (leadIndex.has(clusterId)) continue;
+      const refs = _clusterRefs || [memberRef(clean)];
+      const others = refs.filter(r => r.id !== clean.id);
+      leadIndex.set(clusterId, leads.length);
+      leads.push(others.length > 0 ? {
+        ...clean,
+        cluster: {
+          id: clusterId,
+          size: refs.length,
+          moreSources: others.length,
+          sources: [...new Set(others.map(r => r.source).filter(Boolean))],
+          members: others.slice(0, CONFIG.MAX_MEMBER_REFS),
+        }
+      } : clean);
+    }
+
+    return { leads, stories };
+  }
+}
+
+module.exports = StoryClusterer;
@@ -0,0 +1,115 @@
+// AIService.answerQuestion 테스트 - 질의응답 우선 처리(백그라운드 큐를 기다리지 않음), 동시 실행 한도, 예산/사용량 기록
+// 실행: npm test (node --test) - 응답 시점을 정하는 테스트용 공급자 사용
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'emark-qa-'));
+process.env.LLM_PROVIDER = 'offline';
+process.env.AI_RESULTS_DIR = path.join(tmpDir, 'ai-results');
+process.env.DEAD_LETTER_FILE = path.join(tmpDir, 'dead-letters.json');
+process.env.LOG_LEVEL = 'error';
+delete process.env.REDIS_URL;
+delete process.env.OPENAI_API_KEY;
+
+const AIService = require('../services/aiService');
+
+const CONTEXT = '[1] The volcano erupted near Grindavik overnight.';
+
+// answerStream 호출마다 releaseAll()을 부를 때까지 응답을 붙잡아 두는 공급자
+function heldProvider() {
+  const held = [];
+  return {
+    name: 'fake',
+    held,
+    async answerStream({ question, onDelta }) {
+      await new Promise(resolve => held.push(resolve));
+      onDelta?.('The volcano erupted ');
+      onDelta?.('near Grindavik [1].');
+      return { text: `The volcano erupted near Grindavik [1]. (${question})`, usage: { prompt_tokens: 10, completion_tokens: 5 } };
+    },
+    releaseAll() { held.splice(0).forEach(resolve => resolve()); },
+  };
+}
+
+const services = [];
+function newService(provider, usage = {}) {
+  const route = { provider, model: 'fake-model', temperature: 0, maxTokens: 100, timeoutMs: 0 };
+  const recorded = [];
+  const service = new AIService({
+    llm: { resolve: () => route, isAvailable: () => true, getStatus: () => ({}) },
+    usage: {
+      mode: () => 'full',
+      allowsCall: () => true,
+      record: (entry) => recorded.push(entry),
+      recordCacheHit() {},
+      recordSkipped: (entry) => recorded.push({ skipped: true, ...entry }),
+      ...usage,
+    },
+  });
+  services.push(service);
+  return { service, recorded };
+}
+
+// 답변이 붙잡힌 호출 수가 n이 될 때까지 기다림
+async function waitForHeld(provider, n) {
+  for (let i = 0; i < 100 && provider.held.length < n; i++) await new Promise(resolve => setImmediate(resolve));
+  assert.equal(provider.held.length, n);
+}
+
+test.after(() => {
+  services.forEach(service => clearInterval(service.queueTimer));
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('answerQuestion runs right away instead of waiting behind the background queue', async () => {
+  const provider = heldProvider();
+  const { service, recorded } = newService(provider);
+  // 백그라운드 보강/일괄 번역 작업으로 찬 큐
+  for (let i = 0; i < 10; i++) service.queueTask(() => new Promise(() => {}));
+
+  const deltas = [];
+  const pending = service.answerQuestion('What erupted?', CONTEXT, { callSite: 'api.ask', section: 'world', onDelta: d => deltas.push(d) });
+  await waitForHeld(provider, 1); // 1초 주기 처리 전에 이미 공급자를 호출
+  provider.releaseAll();
+  const result = await pending;
+
+  assert.equal(result.success, true);
+  assert.equal(result.data.refused, false);
+  assert.match(result.data.answer, /Grindavik \[1\]/);
+  assert.deepEqual(deltas, ['The volcano erupted ', 'near Grindavik [1].']);
+  assert.equal(service.queue.length, 10);
+  assert.deepEqual(recorded.map(r => [r.callSite, r.section, r.model]), [['api.ask', 'world', 'fake-model']]);
+});
+
+test('answerQuestion limits concurrent interactive calls and runs the rest in order', async () => {
+  const provider = heldProvider();
+  const { service } = newService(provider);
+
+  const pending = ['first', 'second', 'third'].map(q => service.answerQuestion(q, CONTEXT));
+  await waitForHeld(provider, service.interactiveConcurrency);
+  assert.equal(service.activeInteractive, 2);
+  assert.equal(service.priorityQueue.length, 1);
+
+  provider.releaseAll();
+  await waitForHeld(provider, 1);
+  provider.releaseAll();
+
+  const results = await Promise.all(pending);
+  assert.deepEqual(results.map(r => r.data.answer.match(/\((\w+)\)$/)[1]), ['first', 'second', 'third']);
+  assert.equal(service.activeInteractive, 0);
+});
+
+test('answerQuestion still goes through the budget gate', async () => {
+  const provider = heldProvider();
+  const { service, recorded } = newService(provider, { mode: () => 'cached_only', allowsCall: () => false });
+
+  const result = await service.answerQuestion('What erupted?', CONTEXT, { callSite: 'api.article.ask' });
+
+  assert.equal(result.success, false);
+  assert.equal(result.degraded, 'cached_only');
+  assert.equal(provider.held.length, 0);
+  assert.deepEqual(recorded, [{ skipped: true, callSite: 'api.article.ask', section: undefined }]);
+});
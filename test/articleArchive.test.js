@@ -0,0 +1,97 @@
+// ArticleArchive 테스트 - 날짜별/ID 조회, 바뀐 기사만 기록, 동시 기록 직렬화, 쓰기 실패 후 재기록
+// 실행: npm test (node --test) - 임시 디렉터리에만 기록
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'emark-archive-'));
+process.env.ARCHIVE_TZ = 'UTC';
+process.env.LOG_LEVEL = 'error';
+
+const ArticleArchive = require('../services/articleArchive');
+const { archiveDate } = ArticleArchive;
+
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 3600_000).toISOString();
+const article = (id, days, extra = {}) => ({ id, title: `Story ${id}`, publishedAt: daysAgo(days), rating: 3, ...extra });
+
+let dirs = 0;
+const newArchive = () => new ArticleArchive({ dir: path.join(tmpDir, `archive-${dirs++}`) });
+
+test.after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+test('record stores articles by publish date and finds them by date and by id', async () => {
+  const archive = newArchive();
+  const today = article('today', 0, { rating: 4 });
+  const yesterday = article('yesterday', 1);
+
+  assert.equal(await archive.record([today, article('today-low', 0), yesterday], 'world'), 3);
+
+  assert.deepEqual(await archive.listDates('world'), [archiveDate(today.publishedAt), archiveDate(yesterday.publishedAt)]);
+  assert.deepEqual((await archive.getByDate('world', archiveDate(today.publishedAt))).map(a => a.id), ['today', 'today-low']);
+  const found = await archive.getById('yesterday');
+  assert.equal(found.title, 'Story yesterday');
+  assert.equal(found.section, 'world');
+  assert.ok(found.archivedAt);
+
+  // 새 인스턴스는 ids.jsonl 색인으로 찾음
+  const reopened = new ArticleArchive({ dir: archive.dir });
+  assert.equal((await reopened.getById('today')).title, 'Story today');
+  assert.equal(await reopened.getById('missing'), null);
+});
+
+test('record skips unchanged articles and the latest version wins when one changes', async () => {
+  const archive = newArchive();
+  const original = article('a1', 0);
+  await archive.record([original], 'world');
+
+  assert.equal(await archive.record([{ ...original }], 'world'), 0);
+  assert.equal(await archive.record([{ ...original, titleKo: '이야기 a1' }], 'world'), 1);
+
+  const [stored] = await archive.getByDate('world', archiveDate(original.publishedAt));
+  assert.equal(stored.titleKo, '이야기 a1');
+  assert.equal((await archive.getById('a1')).titleKo, '이야기 a1');
+});
+
+test('concurrent record calls write the same article once', async () => {
+  const archive = newArchive();
+  const item = article('a1', 0);
+  const counts = await Promise.all([archive.record([item], 'world'), archive.record([{ ...item }], 'world')]);
+
+  assert.deepEqual(counts, [1, 0]);
+  const lines = fs.readFileSync(path.join(archive.dir, 'world', `${archiveDate(item.publishedAt)}.jsonl`), 'utf8').trim().split('\n');
+  assert.equal(lines.length, 1);
+});
+
+test('a failed write rejects and the articles are recorded on the next call', async () => {
+  const archive = newArchive();
+  // 섹션 디렉터리 자리에 파일이 있어 mkdir이 실패
+  fs.mkdirSync(archive.dir, { recursive: true });
+  fs.writeFileSync(path.join(archive.dir, 'world'), '');
+  const item = article('a1', 0);
+
+  await assert.rejects(archive.record([item], 'world'));
+  assert.equal(await archive.getById('a1'), null);
+
+  fs.rmSync(path.join(archive.dir, 'world'));
+  assert.equal(await archive.record([item], 'world'), 1);
+  assert.equal((await archive.getById('a1')).title, 'Story a1');
+});
+
+test('articles older than the id index range are found by date only', async () => {
+  const archive = newArchive();
+  const old = article('old', 120);
+  assert.equal(await archive.record([old], 'world'), 1);
+
+  assert.equal(await archive.getById('old'), null);
+  assert.deepEqual((await archive.getByDate('world', archiveDate(old.publishedAt))).map(a => a.id), ['old']);
+});
+
+test('invalid sections and dates are ignored', async () => {
+  const archive = newArchive();
+  assert.equal(await archive.record([article('a1', 0)], '../etc'), 0);
+  assert.deepEqual(await archive.getByDate('world', '2026-13-45'), []);
+  assert.deepEqual(await archive.getByDate('../etc', archiveDate()), []);
+  assert.deepEqual(await archive.listDates('world'), []);
+});
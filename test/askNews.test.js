@@ -0,0 +1,138 @@
+// NewsService.askNews 테스트 (/api/ask) - offline 공급자로 네트워크/API 키 없이 실행
+// 실행: npm test (node --test)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// 서비스 모듈이 설정을 읽기 전에 환경 변수를 정함 (임시 디렉터리에만 기록)
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'emark-ask-'));
+process.env.LLM_PROVIDER = 'offline';
+process.env.ARCHIVE_DIR = path.join(tmpDir, 'archive');
+process.env.AI_RESULTS_DIR = path.join(tmpDir, 'ai-results');
+process.env.DEAD_LETTER_FILE = path.join(tmpDir, 'dead-letters.json');
+process.env.AUDIT_LOG_DIR = path.join(tmpDir, 'audit');
+process.env.BRIEFING_DIR = path.join(tmpDir, 'briefings');
+process.env.LOG_LEVEL = 'error';
+delete process.env.REDIS_URL;
+delete process.env.OPENAI_API_KEY;
+
+const NewsService = require('../services/newsService');
+const { QA_REFUSAL } = require('../services/llm/prompts');
+
+const hoursAgo = (h) => new Date(Date.now() - h * 3600_000).toISOString();
+
+// 섹션 캐시에 있는 기사 (검색 색인에 바로 올림)
+const CACHED = [
+  {
+    id: 'cached-volcano',
+    title: 'Volcano erupts near Grindavik in Iceland',
+    description: 'The volcano eruption forced the evacuation of Grindavik residents.',
+    source: 'Reuters',
+    url: 'https://example.com/volcano',
+    publishedAt: hoursAgo(2),
+    rating: 4.2,
+  },
+  {
+    id: 'cached-chips',
+    title: 'Chipmaker reports record quarterly revenue',
+    description: 'Strong demand for AI accelerators lifted revenue.',
+    source: 'Bloomberg',
+    url: 'https://example.com/chips',
+    publishedAt: hoursAgo(3),
+    rating: 3.8,
+  },
+];
+
+// 캐시에서는 이미 빠지고 아카이브에만 있는 기사
+const ARCHIVED = [
+  {
+    id: 'archived-volcano',
+    title: 'Iceland declares emergency as volcano activity rises',
+    description: 'Authorities in Iceland warned of a possible volcano eruption near Grindavik.',
+    source: 'AP',
+    url: 'https://example.com/iceland-emergency',
+    publishedAt: hoursAgo(72),
+    rating: 3.5,
+  },
+];
+
+let ns;
+
+test.before(async () => {
+  ns = new NewsService();
+  ns.searchIndexSeeded = true; // 테스트 기사만 색인에 올림
+  ns.searchIndex.indexArticles(CACHED, 'world');
+  assert.equal(await ns.archive.record(ARCHIVED, 'world'), ARCHIVED.length);
+  await ns.refreshArchiveIndex();
+});
+
+test.after(() => {
+  clearInterval(ns.aiService.queueTimer);
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('askNews answers from cached and archived articles and maps citations to article IDs', async () => {
+  const result = await ns.askNews('Iceland volcano Grindavik eruption');
+
+  assert.equal(result.success, true);
+  assert.equal(result.refused, false);
+
+  const ids = result.sources.map(s => s.id);
+  assert.ok(ids.includes('cached-volcano'), 'cached article is retrieved');
+  assert.ok(ids.includes('archived-volcano'), 'archived article is retrieved');
+  assert.ok(!ids.includes('cached-chips'), 'unrelated article is not retrieved');
+  assert.equal(result.sources.find(s => s.id === 'archived-volcano').archived, true);
+  assert.equal(result.sources.find(s => s.id === 'cached-volcano').archived, false);
+  result.sources.forEach((source, i) => assert.equal(source.ref, i + 1));
+
+  assert.ok(result.claims.length > 0);
+  for (const claim of result.claims) {
+    const refs = [...claim.text.matchAll(/\[(\d+)\]/g)].map(m => Number(m[1]));
+    assert.deepEqual(claim.articleIds, [...new Set(refs.map(ref => result.sources[ref - 1].id))]);
+  }
+  const cited = new Set(result.claims.flatMap(c => c.articleIds));
+  assert.ok(cited.has('cached-volcano') || cited.has('archived-volcano'));
+});
+
+test('askNews section and days filters limit retrieval', async () => {
+  const recent = await ns.askNews('Iceland volcano Grindavik eruption', { days: 1 });
+  assert.deepEqual(recent.sources.map(s => s.id), ['cached-volcano']);
+
+  const otherSection = await ns.askNews('Iceland volcano Grindavik eruption', { section: 'tech' });
+  assert.equal(otherSection.refused, true);
+  assert.deepEqual(otherSection.sources, []);
+});
+
+test('askNews refuses without calling the model when nothing matches', async () => {
+  const answerQuestion = ns.aiService.answerQuestion;
+  let called = false;
+  ns.aiService.answerQuestion = async (...args) => { called = true; return answerQuestion.apply(ns.aiService, args); };
+  try {
+    const result = await ns.askNews('quantum zebra migration patterns');
+    assert.equal(result.success, true);
+    assert.equal(result.refused, true);
+    assert.equal(result.answer, QA_REFUSAL);
+    assert.deepEqual(result.claims, []);
+    assert.deepEqual(result.sources, []);
+    assert.equal(called, false);
+  } finally {
+    ns.aiService.answerQuestion = answerQuestion;
+  }
+});
+
+test('_answerClaims splits sentences and maps [n] to source article IDs', () => {
+  const sources = [{ id: 'a1' }, { id: 'a2' }, { id: 'a3' }];
+  const claims = ns._answerClaims(
+    'Iceland declared an emergency [2]. The volcano erupted near Grindavik [1][2].\nResidents were evacuated [1] [3]. No source here. Unknown ref [9].',
+    sources,
+  );
+  assert.deepEqual(claims, [
+    { text: 'Iceland declared an emergency [2].', articleIds: ['a2'] },
+    { text: 'The volcano erupted near Grindavik [1][2].', articleIds: ['a1', 'a2'] },
+    { text: 'Residents were evacuated [1] [3].', articleIds: ['a1', 'a3'] },
+    { text: 'No source here.', articleIds: [] },
+    { text: 'Unknown ref [9].', articleIds: [] },
+  ]);
+});
@@ -0,0 +1,124 @@
+// NewsService 캐시 부분 갱신 테스트 - 섹션별 패치 묶음, Redis compare-and-set 재시도 (보강 결과 반영)
+// 실행: npm test (node --test) - redis 모듈을 메모리 가짜 클라이언트로 바꿔 실행
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'emark-patch-'));
+process.env.LLM_PROVIDER = 'offline';
+process.env.ARCHIVE_DIR = path.join(tmpDir, 'archive');
+process.env.AI_RESULTS_DIR = path.join(tmpDir, 'ai-results');
+process.env.DEAD_LETTER_FILE = path.join(tmpDir, 'dead-letters.json');
+process.env.AUDIT_LOG_DIR = path.join(tmpDir, 'audit');
+process.env.BRIEFING_DIR = path.join(tmpDir, 'briefings');
+process.env.LOG_LEVEL = 'error';
+process.env.REDIS_URL = 'redis://fake';
+delete process.env.OPENAI_API_KEY;
+
+// newsService가 쓰는 명령만 흉내 내는 가짜 Redis (eval은 CAS_SCRIPT와 같은 동작)
+const store = new Map();
+const calls = { eval: [] };
+const fakeClient = {
+  on() {},
+  async connect() {},
+  async get(key) { return store.get(key) ?? null; },
+  async set(key, value) { store.set(key, value); return 'OK'; },
+  async del(keys) { [].concat(keys).forEach(key => store.delete(key)); },
+  async eval(script, { keys: [key], arguments: [value, expected] }) {
+    calls.eval.push(key);
+    const current = store.get(key);
+    if (current === undefined) return 0;
+    if (crypto.createHash('sha1').update(current).digest('hex') !== expected) return -1;
+    store.set(key, value);
+    return 1;
+  },
+  async *scanIterator() {},
+};
+require.cache[require.resolve('redis')] = { exports: { createClient: () => fakeClient } };
+
+const NewsService = require('../services/newsService');
+const { RATING_SERVICE_VERSION } = NewsService;
+
+const FULL_KEY = `world_full_${RATING_SERVICE_VERSION}`;
+const FAST_KEY = `world_fast_${RATING_SERVICE_VERSION}`;
+const ARTICLES = [
+  { id: 'a1', title: 'Volcano erupts near Grindavik', publishedAt: '2026-10-19T03:00:00Z' },
+  { id: 'a2', title: 'Chipmaker posts record revenue', publishedAt: '2026-10-19T04:00:00Z' },
+];
+const readList = (key) => JSON.parse(store.get(key)).data;
+
+let ns;
+
+test.beforeEach(() => {
+  store.clear();
+  calls.eval.length = 0;
+  store.set(FULL_KEY, JSON.stringify({ success: true, data: ARTICLES }));
+  store.set(FAST_KEY, JSON.stringify({ success: true, data: ARTICLES.slice(0, 1) }));
+});
+
+test.before(() => {
+  ns = new NewsService();
+});
+
+test.after(() => {
+  clearInterval(ns.aiService.queueTimer);
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('patches for one section are written together with one write per section cache', async () => {
+  const [first, second] = await Promise.all([
+    ns._patchCachedArticle('world', 'a1', { titleKo: '그린다비크 인근 화산 분화' }),
+    ns._patchCachedArticle('world', 'a2', { titleKo: '반도체 업체 사상 최대 매출' }),
+  ]);
+
+  assert.equal(first.titleKo, '그린다비크 인근 화산 분화');
+  assert.equal(second.titleKo, '반도체 업체 사상 최대 매출');
+  assert.deepEqual(readList(FULL_KEY).map(a => a.titleKo), ['그린다비크 인근 화산 분화', '반도체 업체 사상 최대 매출']);
+  assert.equal(readList(FAST_KEY)[0].titleKo, '그린다비크 인근 화산 분화');
+  assert.deepEqual(calls.eval.filter(key => key === FULL_KEY || key === FAST_KEY).sort(), [FAST_KEY, FULL_KEY]);
+});
+
+test('patches for the same article merge translations instead of overwriting them', async () => {
+  await Promise.all([
+    ns._patchCachedArticle('world', 'a1', { translations: { en: { title: 'Volcano erupts' } } }),
+    ns._patchCachedArticle('world', 'a1', { translations: { ja: { title: '火山が噴火' } } }),
+  ]);
+  assert.deepEqual(readList(FULL_KEY)[0].translations, { en: { title: 'Volcano erupts' }, ja: { title: '火山が噴火' } });
+});
+
+test('a section list rewritten during a patch is re-read instead of overwritten', async () => {
+  const refreshed = [{ id: 'a0', title: 'New lead story', publishedAt: '2026-10-19T05:00:00Z' }, ...ARTICLES];
+  // 패치가 목록을 읽은 뒤 쓰기 전에 크론 갱신이 새 목록을 씀
+  let rewritten = false;
+  const originalGet = fakeClient.get;
+  fakeClient.get = async (key) => {
+    const value = await originalGet(key);
+    if (key === FULL_KEY && !rewritten) {
+      rewritten = true;
+      store.set(FULL_KEY, JSON.stringify({ success: true, data: refreshed }));
+    }
+    return value;
+  };
+  try {
+    const updated = await ns._patchCachedArticle('world', 'a2', { summaryPoints: ['Revenue hit a record.'] });
+    assert.deepEqual(updated.summaryPoints, ['Revenue hit a record.']);
+  } finally {
+    fakeClient.get = originalGet;
+  }
+
+  const list = readList(FULL_KEY);
+  assert.deepEqual(list.map(a => a.id), ['a0', 'a1', 'a2']);
+  assert.deepEqual(list[2].summaryPoints, ['Revenue hit a record.']);
+  assert.equal(calls.eval.filter(key => key === FULL_KEY).length, 2);
+});
+
+test('patching an article that is no longer cached resolves to null without writing', async () => {
+  store.delete(FAST_KEY);
+  const updated = await ns._patchCachedArticle('world', 'missing', { titleKo: '없음' });
+  assert.equal(updated, null);
+  assert.deepEqual(calls.eval, []);
+  assert.equal(store.has(FAST_KEY), false);
+});
@@ -0,0 +1,88 @@
+// NewsService 다국어 응답 테스트 (?lang) - 저장된 번역 선택, 원문 대체(fallback), 번역 패치 병합
+// 실행: npm test (node --test)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'emark-lang-'));
+process.env.LLM_PROVIDER = 'offline';
+process.env.ARCHIVE_DIR = path.join(tmpDir, 'archive');
+process.env.AI_RESULTS_DIR = path.join(tmpDir, 'ai-results');
+process.env.DEAD_LETTER_FILE = path.join(tmpDir, 'dead-letters.json');
+process.env.AUDIT_LOG_DIR = path.join(tmpDir, 'audit');
+process.env.BRIEFING_DIR = path.join(tmpDir, 'briefings');
+process.env.LOG_LEVEL = 'error';
+delete process.env.REDIS_URL;
+delete process.env.OPENAI_API_KEY;
+
+const NewsService = require('../services/newsService');
+
+const ENGLISH = {
+  id: 'en-volcano',
+  title: 'Volcano erupts near Grindavik as residents flee the town',
+  description: 'The eruption began overnight after weeks of earthquakes.',
+  titleKo: '그린다비크 인근 화산 분화, 주민 대피',
+  translations: { ja: { title: 'グリンダヴィーク近郊で火山噴火' } },
+};
+const KOREAN = {
+  id: 'ko-volcano',
+  title: '아이슬란드 화산이 다시 분화해 주민들이 대피했다',
+  description: '',
+};
+
+let ns;
+test.before(() => { ns = new NewsService(); });
+test.after(() => {
+  clearInterval(ns.aiService.queueTimer);
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('localizeArticle uses the stored translation for the requested language', () => {
+  assert.deepEqual(ns.localizeArticle(ENGLISH, 'ja').translation, {
+    lang: 'ja',
+    title: 'グリンダヴィーク近郊で火山噴火',
+    description: ENGLISH.description,
+    fallback: false,
+  });
+  // 기본 언어(ko)는 이전 캐시 기사의 titleKo도 사용
+  assert.equal(ns.localizeArticle(ENGLISH, 'ko').translation.title, ENGLISH.titleKo);
+  assert.equal(ns.localizeArticle(ENGLISH, 'ko').translation.fallback, false);
+});
+
+test('localizeArticle falls back to the original text when no translation exists', () => {
+  const en = ns.localizeArticle(KOREAN, 'en').translation;
+  assert.equal(en.title, KOREAN.title);
+  assert.equal(en.fallback, true);
+
+  // 원문이 이미 요청 언어면 대체가 아님
+  assert.equal(ns.localizeArticle(ENGLISH, 'en').translation.fallback, false);
+  assert.equal(ns.localizeArticle(KOREAN, 'ko').translation.fallback, false);
+});
+
+test('localizePayload only adds translations when a language is requested', () => {
+  const payload = { success: true, data: [ENGLISH, KOREAN] };
+  assert.equal(ns.localizePayload(payload, undefined), payload);
+
+  const localized = ns.localizePayload(payload, 'ja');
+  assert.equal(localized.lang, 'ja');
+  assert.deepEqual(localized.data.map(a => a.translation.fallback), [false, true]);
+  assert.equal(payload.data[0].translation, undefined, 'cached payload is not modified');
+});
+
+test('translation patches merge per language without overwriting other languages', () => {
+  const ko = ns._translationPatch('ko', 'title', { translated: '화산 분화', prompt: 'translate@v1' });
+  assert.deepEqual(ko, { translations: { ko: { title: '화산 분화' } }, titleKo: '화산 분화', aiPrompts: { title: 'translate@v1' } });
+
+  const en = ns._translationPatch('en', 'description', { translated: 'The eruption began.' });
+  assert.deepEqual(en, { translations: { en: { description: 'The eruption began.' } } });
+
+  const merged = ns._mergeArticle(ns._mergeArticle(ENGLISH, ko), en);
+  assert.deepEqual(merged.translations, {
+    ja: { title: 'グリンダヴィーク近郊で火山噴火' },
+    ko: { title: '화산 분화' },
+    en: { description: 'The eruption began.' },
+  });
+  assert.equal(merged.titleKo, '화산 분화');
+});
@@ -0,0 +1,59 @@
+// NearDuplicateDetector 테스트 - URL 정규화, SimHash 유사 중복 판정, 충돌 시 남길 기사 선택
+// 실행: npm test (node --test)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const NearDuplicateDetector = require('../services/nearDuplicateDetector');
+const { canonicalizeUrl, simhash, hammingDistance } = NearDuplicateDetector;
+
+const HEADLINE = 'Iceland declares state of emergency as volcano erupts near Grindavik';
+const DESCRIPTION = 'Residents of the fishing town were evacuated overnight after the eruption began.';
+
+test('canonicalizeUrl drops tracking parameters, AMP paths and mobile subdomains', () => {
+  const canonical = canonicalizeUrl('http://www.example.com/news/story-1?id=5');
+  assert.equal(canonical, 'example.com/news/story-1?id=5');
+  assert.equal(canonicalizeUrl('https://m.example.com/news/amp/story-1/?utm_source=rss&id=5&fbclid=abc'), canonical);
+  assert.equal(canonicalizeUrl('https://amp.example.com/news/story-1.amp.html'), 'example.com/news/story-1.html');
+  assert.equal(canonicalizeUrl('not a url'), 'not a url');
+  assert.equal(canonicalizeUrl(''), '');
+});
+
+test('simhash ignores source suffixes and breaking-news prefixes on headlines', () => {
+  const base = simhash({ title: HEADLINE, description: DESCRIPTION });
+  for (const title of [`${HEADLINE} - Reuters`, `BREAKING: ${HEADLINE}`, `[속보] ${HEADLINE}`]) {
+    assert.equal(hammingDistance(base, simhash({ title, description: DESCRIPTION })), 0, title);
+  }
+  const other = simhash({ title: 'Chipmaker posts record quarterly revenue on AI demand', description: DESCRIPTION });
+  assert.ok(hammingDistance(base, other) > 3);
+  assert.equal(simhash({ title: '' }), 0n);
+});
+
+test('deduplicate merges URL duplicates and keeps the more trusted source', () => {
+  const detector = new NearDuplicateDetector({ trustOf: item => (item.source === 'Reuters' ? 2 : 1) });
+  const out = detector.deduplicate([
+    { id: 'syndicated', source: 'Yahoo', link: 'https://m.example.com/a?utm_source=rss', title: 'Wire story', publishedAt: '2026-10-19T01:00:00Z' },
+    { id: 'original', source: 'Reuters', link: 'https://example.com/a', title: 'Wire story', publishedAt: '2026-10-19T02:00:00Z' },
+  ]);
+  assert.deepEqual(out.map(a => a.id), ['original']);
+  assert.equal(detector.getStatus().urlDuplicates, 1);
+});
+
+test('deduplicate merges near-duplicate headlines from different URLs and keeps input order', () => {
+  const detector = new NearDuplicateDetector();
+  const out = detector.deduplicate([
+    { id: 'chips', title: 'Chipmaker posts record quarterly revenue on AI demand', link: 'https://example.com/chips', publishedAt: '2026-10-19T00:00:00Z' },
+    { id: 'later', title: `${HEADLINE} - AP`, description: DESCRIPTION, link: 'https://ap.example.com/volcano', publishedAt: '2026-10-19T02:00:00Z' },
+    { id: 'earlier', title: `[속보] ${HEADLINE}`, description: DESCRIPTION, link: 'https://bbc.example.com/volcano', publishedAt: '2026-10-19T01:00:00Z' },
+    { id: 'other', title: 'Central bank holds interest rates steady', link: 'https://example.com/rates', publishedAt: '2026-10-19T03:00:00Z' },
+  ]);
+
+  // 신뢰도와 설명 길이가 같으면 먼저 발행된 기사를 남기되, 자리는 먼저 나온 기사의 위치를 따름
+  assert.deepEqual(out.map(a => a.id), ['chips', 'earlier', 'other']);
+  assert.deepEqual(detector.getStatus(), { lastInput: 4, lastOutput: 3, urlDuplicates: 0, nearDuplicates: 1, maxHamming: 3 });
+});
+
+test('deduplicate handles empty input', () => {
+  const detector = new NearDuplicateDetector();
+  assert.deepEqual(detector.deduplicate([]), []);
+  assert.deepEqual(detector.deduplicate(null), []);
+});
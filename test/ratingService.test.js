@@ -0,0 +1,112 @@
+// RatingService.recordFeedback 테스트 - 중복 투표 무시, 독자별 커뮤니티 기여 상한, 초기화 시 기여 되돌림
+// 실행: npm test (node --test) - REDIS_URL 없이 메모리 캐시 사용
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = 'error';
+delete process.env.REDIS_URL;
+
+const ratingService = require('../services/ratingService');
+
+const RatingService = ratingService.constructor;
+const ARTICLE = {
+  id: 'reuters-chip',
+  title: 'Apple unveils new AI chip for smartphones',
+  url: 'https://www.reuters.com/technology/apple-chip',
+};
+
+// 테스트마다 새 인스턴스 (각자 메모리 캐시를 씀), 지연 저장 타이머는 정리
+const services = [];
+const newService = () => {
+  const service = new RatingService();
+  services.push(service);
+  return service;
+};
+test.after(() => services.forEach(service => clearTimeout(service.persistTimer)));
+
+const round = (value) => Number(value.toFixed(3));
+
+test('recordFeedback updates reader preferences and the community aggregate', async () => {
+  const service = newService();
+  const result = await service.recordFeedback('reader-1', 'like', ARTICLE);
+
+  assert.equal(result.success, true);
+  assert.equal(result.duplicate, false);
+  assert.deepEqual(result.data.topic, { tech: 0.05 });
+  assert.deepEqual(result.data.domain, { 'reuters.com': 0.03 });
+  assert.deepEqual(result.data.votes, ['reuters-chip:like']);
+  assert.equal(service.community.topic.get('tech'), 0.05);
+  assert.equal(service.community.domain.get('reuters.com'), 0.03);
+});
+
+test('recordFeedback ignores the same feedback on the same article', async () => {
+  const service = newService();
+  await service.recordFeedback('reader-1', 'like', ARTICLE);
+  const again = await service.recordFeedback('reader-1', 'like', ARTICLE);
+
+  assert.equal(again.success, true);
+  assert.equal(again.duplicate, true);
+  assert.deepEqual(again.data.topic, { tech: 0.05 });
+  assert.equal(service.community.topic.get('tech'), 0.05);
+
+  // 다른 종류의 피드백은 따로 집계
+  const more = await service.recordFeedback('reader-1', 'more_like_this', ARTICLE);
+  assert.equal(more.duplicate, false);
+  assert.equal(round(service.community.topic.get('tech')), 0.1);
+});
+
+test('recordFeedback caps each reader contribution to the community aggregate', async () => {
+  const service = newService();
+  for (let i = 0; i < 10; i++) {
+    await service.recordFeedback('reader-1', 'more_like_this', { ...ARTICLE, id: `article-${i}` });
+  }
+  const maxStep = 0.1;
+  assert.equal(round(service.community.topic.get('tech')), maxStep);
+  assert.equal(round(service.community.domain.get('reuters.com')), maxStep);
+
+  // 독자 선호는 PREF_LIMIT까지 오름
+  const prefs = await service.getReaderPreferences('reader-1');
+  assert.equal(prefs.topic.tech, 0.3);
+
+  // 다른 독자의 피드백은 따로 더해짐
+  await service.recordFeedback('reader-2', 'like', ARTICLE);
+  assert.equal(round(service.community.topic.get('tech')), 0.15);
+});
+
+test('resetReaderPreferences removes the reader contribution and allows voting again', async () => {
+  const service = newService();
+  await service.recordFeedback('reader-1', 'like', ARTICLE);
+  await service.recordFeedback('reader-2', 'like', ARTICLE);
+  await service.resetReaderPreferences('reader-1');
+
+  assert.equal(round(service.community.topic.get('tech')), 0.05);
+  assert.deepEqual((await service.getReaderPreferences('reader-1')).votes, []);
+
+  const again = await service.recordFeedback('reader-1', 'like', ARTICLE);
+  assert.equal(again.duplicate, false);
+  assert.equal(round(service.community.topic.get('tech')), 0.1);
+});
+
+test('recordFeedback serializes concurrent feedback from the same reader', async () => {
+  const service = newService();
+  await Promise.all(Array.from({ length: 5 }, (_, i) =>
+    service.recordFeedback('reader-1', 'like', { ...ARTICLE, id: `article-${i}` })));
+
+  const prefs = await service.getReaderPreferences('reader-1');
+  assert.equal(prefs.votes.length, 5);
+  assert.equal(round(prefs.topic.tech), 0.25);
+  assert.equal(round(service.community.topic.get('tech')), 0.1);
+});
+
+test('recordFeedback rejects unknown actions and hiding articles without a domain', async () => {
+  const service = newService();
+  const invalid = await service.recordFeedback('reader-1', 'love', ARTICLE);
+  assert.equal(invalid.success, false);
+  assert.match(invalid.error, /Invalid action/);
+
+  const noDomain = await service.recordFeedback('reader-1', 'hide_source', { id: 'x', title: 'No link' });
+  assert.equal(noDomain.success, false);
+
+  const hidden = await service.recordFeedback('reader-1', 'hide_source', ARTICLE);
+  assert.deepEqual(hidden.data.hiddenDomains, ['reuters.com']);
+});
@@ -0,0 +1,130 @@
+// SearchIndex 테스트 - 토큰화(CJK 바이그램), 필드 가중 BM25 순위, 필터, 날짜만 준 to 처리 (/api/search)
+// 실행: npm test (node --test)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'emark-search-'));
+process.env.LLM_PROVIDER = 'offline';
+process.env.ARCHIVE_DIR = path.join(tmpDir, 'archive');
+process.env.AI_RESULTS_DIR = path.join(tmpDir, 'ai-results');
+process.env.DEAD_LETTER_FILE = path.join(tmpDir, 'dead-letters.json');
+process.env.AUDIT_LOG_DIR = path.join(tmpDir, 'audit');
+process.env.BRIEFING_DIR = path.join(tmpDir, 'briefings');
+process.env.LOG_LEVEL = 'error';
+delete process.env.REDIS_URL;
+delete process.env.OPENAI_API_KEY;
+
+const SearchIndex = require('../services/searchIndex');
+const NewsService = require('../services/newsService');
+
+const { tokenize } = SearchIndex;
+
+const ARTICLES = [
+  {
+    id: 'title-match',
+    title: 'Volcano erupts near Grindavik',
+    description: 'Residents were evacuated overnight.',
+    source: 'Reuters',
+    publishedAt: '2026-10-19T15:00:00Z',
+    rating: 3,
+  },
+  {
+    id: 'description-match',
+    title: 'Iceland travel warnings updated',
+    description: 'Airlines monitor the volcano after the eruption.',
+    source: 'AP',
+    publishedAt: '2026-10-18T09:00:00Z',
+    rating: 3,
+  },
+  {
+    id: 'korean',
+    title: '아이슬란드 화산 분화로 주민 대피',
+    description: '그린다비크 주민들이 밤사이 대피했다.',
+    source: '연합뉴스',
+    lang: 'ko',
+    publishedAt: '2026-10-19T03:00:00Z',
+    rating: 3,
+  },
+  {
+    id: 'unrelated',
+    title: 'Chipmaker posts record quarterly revenue',
+    description: 'Demand for accelerators lifted revenue.',
+    source: 'Bloomberg',
+    publishedAt: '2026-10-19T12:00:00Z',
+    rating: 5,
+  },
+];
+
+const newIndex = () => {
+  const index = new SearchIndex();
+  index.indexArticles(ARTICLES, 'world');
+  return index;
+};
+
+let ns;
+test.after(() => {
+  if (ns) clearInterval(ns.aiService.queueTimer);
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('tokenize splits Latin words, drops stopwords and uses bigrams for CJK', () => {
+  assert.deepEqual(tokenize('The Volcano erupts in Iceland'), ['volcano', 'erupts', 'iceland']);
+  assert.deepEqual(tokenize('화산 분화'), ['화산', '분화']);
+  assert.deepEqual(tokenize('아이슬란드'), ['아이', '이슬', '슬란', '란드']);
+  assert.deepEqual(tokenize('東京'), ['東京']);
+  assert.deepEqual(tokenize(''), []);
+});
+
+test('search ranks title matches above description matches and skips unrelated articles', () => {
+  const index = newIndex();
+  const results = index.search('volcano');
+  assert.deepEqual(results.map(a => a.id), ['title-match', 'description-match']);
+  assert.ok(results[0].searchScore > results[1].searchScore);
+  assert.equal(results[0].section, 'world');
+
+  // 질의어를 더 많이 포함한 기사가 앞섬
+  assert.deepEqual(index.search('volcano eruption').map(a => a.id), ['description-match', 'title-match']);
+});
+
+test('search finds Korean articles by partial words through bigrams', () => {
+  const index = newIndex();
+  assert.deepEqual(index.search('화산').map(a => a.id), ['korean']);
+  // 조사가 붙은 질의어도 바이그램이 겹쳐 찾음
+  assert.deepEqual(index.search('주민들이').map(a => a.id), ['korean']);
+});
+
+test('search applies section, source, lang and date filters', () => {
+  const index = newIndex();
+  index.indexArticles([{ ...ARTICLES[0], id: 'tech-volcano' }], 'tech');
+
+  assert.deepEqual(index.search('volcano', { section: 'tech' }).map(a => a.id), ['tech-volcano']);
+  assert.deepEqual(index.search('volcano', { source: 'ap' }).map(a => a.id), ['description-match']);
+  assert.deepEqual(index.search('화산', { lang: 'en' }), []);
+  assert.deepEqual(
+    index.search('volcano', { section: 'world', from: new Date('2026-10-19T00:00:00Z') }).map(a => a.id),
+    ['title-match'],
+  );
+});
+
+test('indexArticles replaces an article indexed again under the same id', () => {
+  const index = newIndex();
+  index.indexArticles([{ ...ARTICLES[0], title: 'Earthquake shakes Reykjavik', description: '' }], 'world');
+  assert.equal(index.getStatus().documents, ARTICLES.length);
+  assert.deepEqual(index.search('grindavik').map(a => a.id), []);
+  assert.deepEqual(index.search('earthquake').map(a => a.id), ['title-match']);
+});
+
+test('searchNews treats a date-only to as the end of that day', async () => {
+  ns = new NewsService();
+  ns.searchIndexSeeded = true;
+  ns.searchIndex.indexArticles(ARTICLES, 'world');
+
+  const ids = async (filters) => (await ns.searchNews('volcano', null, 20, filters)).map(a => a.id);
+  assert.deepEqual(await ids({ to: '2026-10-19' }), ['title-match', 'description-match']);
+  assert.deepEqual(await ids({ to: '2026-10-18' }), ['description-match']);
+  assert.deepEqual(await ids({ to: '2026-10-19T12:00:00Z' }), ['description-match']);
+  assert.deepEqual(await ids({ from: '2026-10-19', to: '2026-10-19' }), ['title-match']);
+});
@@ -0,0 +1,94 @@
+// StoryClusterer 테스트 - 같은 사건 묶기, 대표 기사 collapse, 갱신 간 clusterId 유지
+// 실행: npm test (node --test)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const StoryClusterer = require('../services/storyClusterer');
+
+const at = (hour) => new Date(Date.UTC(2026, 9, 19, hour)).toISOString();
+
+const VOLCANO_REUTERS = {
+  id: 'reuters-volcano',
+  title: 'Volcano erupts near Grindavik forcing evacuation',
+  source: 'Reuters',
+  link: 'https://example.com/reuters-volcano',
+  publishedAt: at(3),
+};
+const VOLCANO_AP = {
+  id: 'ap-volcano',
+  title: 'Volcano erupts near Grindavik, residents evacuated',
+  source: 'AP',
+  link: 'https://example.com/ap-volcano',
+  publishedAt: at(2),
+};
+const CHIPS = {
+  id: 'bloomberg-chips',
+  title: 'Chipmaker posts record quarterly revenue',
+  source: 'Bloomberg',
+  link: 'https://example.com/chips',
+  publishedAt: at(4),
+};
+
+test('cluster groups articles about the same event and keeps input order', () => {
+  const clusterer = new StoryClusterer();
+  const out = clusterer.cluster([VOLCANO_REUTERS, VOLCANO_AP, CHIPS]);
+
+  assert.deepEqual(out.map(a => a.id), ['reuters-volcano', 'ap-volcano', 'bloomberg-chips']);
+  assert.equal(out[0].clusterId, out[1].clusterId);
+  assert.equal(out[0].clusterSize, 2);
+  assert.notEqual(out[2].clusterId, out[0].clusterId);
+  assert.equal(out[2].clusterSize, 1);
+});
+
+test('cluster does not group the same headline published too far apart', () => {
+  const clusterer = new StoryClusterer();
+  const out = clusterer.cluster([VOLCANO_REUTERS, { ...VOLCANO_AP, publishedAt: new Date(Date.UTC(2026, 9, 22)).toISOString() }]);
+  assert.notEqual(out[0].clusterId, out[1].clusterId);
+});
+
+test('cluster compares translated Korean titles across languages', () => {
+  const clusterer = new StoryClusterer();
+  const out = clusterer.cluster([
+    { id: 'en', title: 'Iceland volcano erupts again', titleKo: '아이슬란드 화산 다시 분화', source: 'BBC', publishedAt: at(1) },
+    { id: 'ko', title: '아이슬란드 화산 다시 분화', source: '연합뉴스', publishedAt: at(2) },
+  ]);
+  assert.equal(out[0].clusterId, out[1].clusterId);
+});
+
+test('collapse keeps the top-ranked article per story with the other sources as members', () => {
+  const clusterer = new StoryClusterer();
+  const { leads, stories } = clusterer.collapse(clusterer.cluster([VOLCANO_REUTERS, VOLCANO_AP, CHIPS]));
+
+  assert.deepEqual(leads.map(a => a.id), ['reuters-volcano', 'bloomberg-chips']);
+  const lead = leads[0];
+  assert.equal(lead.cluster.id, lead.clusterId);
+  assert.equal(lead.cluster.size, 2);
+  assert.equal(lead.cluster.moreSources, 1);
+  assert.deepEqual(lead.cluster.sources, ['AP']);
+  assert.deepEqual(lead.cluster.members.map(m => m.id), ['ap-volcano']);
+  assert.equal(leads[1].cluster, undefined);
+  assert.equal('_clusterRefs' in lead, false);
+  assert.deepEqual(stories.get(lead.clusterId).map(a => a.id), ['reuters-volcano', 'ap-volcano']);
+});
+
+test('clusterId stays stable when a collapsed story is re-clustered with new articles', () => {
+  const clusterer = new StoryClusterer();
+  const first = clusterer.collapse(clusterer.cluster([VOLCANO_REUTERS, VOLCANO_AP])).leads[0];
+
+  // 다음 갱신: 캐시의 대표 기사(멤버 정보 포함)에 새 매체 기사가 더해짐
+  const later = {
+    id: 'bbc-volcano',
+    title: 'Grindavik evacuated as volcano erupts',
+    source: 'BBC',
+    publishedAt: at(5),
+  };
+  const next = clusterer.cluster([later, first]);
+
+  assert.equal(next[0].clusterId, first.clusterId);
+  assert.equal(next[1].clusterId, first.clusterId);
+  assert.equal(next[0].clusterSize, 3);
+
+  // 입력 순서가 바뀌어도 가장 먼저 발행된 기사로 ID를 정함
+  const reversed = clusterer.cluster([VOLCANO_AP, VOLCANO_REUTERS]);
+  assert.equal(reversed[0].clusterId, first.clusterId);
+});
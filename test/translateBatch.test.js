@@ -0,0 +1,129 @@
+// AIService.translateBatch 테스트 - 응답 id를 원래 항목에 맞추기, 빠지거나 어긋난 항목의 개별 번역, 429 처리
+// 실행: npm test (node --test) - 응답을 정해 주는 테스트용 공급자 사용
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'emark-batch-'));
+process.env.LLM_PROVIDER = 'offline';
+process.env.LLM_TRANSLATE_BATCH_SIZE = '3';
+process.env.AI_RESULTS_DIR = path.join(tmpDir, 'ai-results');
+process.env.DEAD_LETTER_FILE = path.join(tmpDir, 'dead-letters.json');
+process.env.LOG_LEVEL = 'error';
+delete process.env.REDIS_URL;
+delete process.env.OPENAI_API_KEY;
+
+const AIService = require('../services/aiService');
+const { AIResultStore } = require('../services/aiResultStore');
+
+// translateBatch({ items })의 응답을 테스트마다 정하는 공급자 (요청 id는 '1'부터의 순번)
+function fakeProvider(batchOutput) {
+  const calls = { batches: [], singles: [] };
+  const provider = {
+    name: 'fake',
+    calls,
+    async translateBatch({ items }) {
+      calls.batches.push(items.map(item => item.text));
+      const output = await batchOutput(items);
+      return { text: JSON.stringify({ items: output }), usage: {} };
+    },
+    async translate({ text }) {
+      calls.singles.push(text);
+      return { text: `single:${text}`, usage: {} };
+    },
+  };
+  return provider;
+}
+
+const services = [];
+function newService(provider) {
+  const route = { provider, model: 'fake-model', temperature: 0, maxTokens: 100, timeoutMs: 0 };
+  const service = new AIService({
+    llm: { resolve: () => route, isAvailable: () => true, getStatus: () => ({}) },
+    usage: { mode: () => 'full', allowsCall: () => true, record() {}, recordCacheHit() {}, recordSkipped() {} },
+    results: new AIResultStore({ dir: path.join(tmpDir, `results-${services.length}`) }), // 테스트마다 빈 저장소
+  });
+  service.retryWithBackoff = (fn) => fn(); // 재시도 대기 없이 바로 실패
+  services.push(service);
+  return service;
+}
+
+test.after(() => {
+  services.forEach(service => clearInterval(service.queueTimer));
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+const ITEMS = [
+  { id: 'article-a', text: 'Volcano erupts in Iceland' },
+  { id: 'article-b', text: 'Chipmaker posts record revenue' },
+  { id: 'article-c', text: 'Central bank holds rates' },
+];
+const translatedOf = (results) => Object.fromEntries([...results].map(([id, r]) => [id, r.success ? r.data.translated : null]));
+
+test('translateBatch maps reordered response ids back to the original items', async () => {
+  const provider = fakeProvider(items => [...items].reverse().map(({ id, text }) => ({ id, translation: `batch:${text}` })));
+  const service = newService(provider);
+
+  const results = await service.translateBatch(ITEMS, 'ko');
+
+  assert.deepEqual(translatedOf(results), {
+    'article-a': 'batch:Volcano erupts in Iceland',
+    'article-b': 'batch:Chipmaker posts record revenue',
+    'article-c': 'batch:Central bank holds rates',
+  });
+  assert.equal(provider.calls.batches.length, 1);
+  assert.deepEqual(provider.calls.singles, []);
+  assert.deepEqual(service.batchStats, { batches: 1, items: 3, fallbacks: 0 });
+});
+
+test('translateBatch retranslates missing, duplicated and unknown ids one by one', async () => {
+  const provider = fakeProvider(() => [
+    { id: '1', translation: 'batch:a' },
+    { id: '2', translation: 'batch:b (first)' },
+    { id: '2', translation: 'batch:b (second)' },
+    { id: '9', translation: 'batch:unknown' },
+    { id: '3', translation: '   ' },
+  ]);
+  const service = newService(provider);
+
+  const results = await service.translateBatch(ITEMS, 'ko');
+
+  assert.deepEqual(translatedOf(results), {
+    'article-a': 'batch:a',
+    'article-b': 'single:Chipmaker posts record revenue',
+    'article-c': 'single:Central bank holds rates',
+  });
+  assert.deepEqual(provider.calls.singles.sort(), ['Central bank holds rates', 'Chipmaker posts record revenue']);
+  assert.equal(service.batchStats.fallbacks, 2);
+});
+
+test('translateBatch falls back to single calls when a batch fails', async () => {
+  const provider = fakeProvider(() => { throw Object.assign(new Error('bad gateway'), { status: 502 }); });
+  const service = newService(provider);
+
+  const results = await service.translateBatch(ITEMS, 'ko');
+
+  assert.deepEqual(translatedOf(results), {
+    'article-a': 'single:Volcano erupts in Iceland',
+    'article-b': 'single:Chipmaker posts record revenue',
+    'article-c': 'single:Central bank holds rates',
+  });
+  assert.equal(provider.calls.singles.length, 3);
+});
+
+test('translateBatch stops after a rate-limited batch without single calls', async () => {
+  const provider = fakeProvider(() => { throw Object.assign(new Error('rate limited'), { status: 429 }); });
+  const service = newService(provider);
+  const items = [...ITEMS, { id: 'article-d', text: 'Storm hits coast' }, { id: 'article-e', text: 'Election results announced' }];
+
+  const results = await service.translateBatch(items, 'ko');
+
+  assert.equal(provider.calls.batches.length, 1); // 묶음 크기 3: 두 번째 묶음은 보내지 않음
+  assert.deepEqual(provider.calls.singles, []);
+  assert.deepEqual([...results.keys()].sort(), items.map(item => item.id));
+  for (const result of results.values()) {
+    assert.deepEqual(result, { success: false, error: 'rate limited', rateLimited: true });
+  }
+});
@@ -0,0 +1,56 @@
+// utils/cookies.js - 쿠키 파싱/직렬화 헬퍼 (cookie-parser 의존성 없이 사용)
+
+/**
+ * Cookie 헤더를 객체로 파싱합니다.
+ * @param {string} header - req.headers.cookie
+ * @returns {object} { name: value }
+ */
+function parseCookies(header) {
+  const cookies = {};
+  if (!header) return cookies;
+  for (const part of String(header).split(';')) {
+    const index = part.indexOf('=');
+    if (index < 0) continue;
+    const name = part.slice(0, index).trim();
+    if (!name || cookies[name] !== undefined) continue;
+    const raw = part.slice(index + 1).trim().replace(/^"(.*)"$/, '$1');
+    try {
+      cookies[name] = decodeURIComponent(raw);
+    } catch {
+      cookies[name] = raw;
+    }
+  }
+  return cookies;
+}
+
+/**
+ * Set-Cookie 헤더 값을 만듭니다.
+ * @param {string} name - 쿠키 이름
+ * @param {string} value - 쿠키 값
+ * @param {object} [opts] - { maxAge(초), path, httpOnly, secure, sameSite }
+ * @returns {string} Set-Cookie 헤더 값
+ */
+function serializeCookie(name, value, opts = {}) {
+  const parts = [`${name}=${encodeURIComponent(value)}`];
+  parts.push(`Path=${opts.path || '/'}`);
+  if (opts.maxAge !== undefined) {
+    parts.push(`Max-Age=${Math.floor(opts.maxAge)}`);
+    parts.push(`Expires=${new Date(Date.now() + opts.maxAge * 1000).toUTCString()}`);
+  }
+  if (opts.httpOnly !== false) parts.push('HttpOnly');
+  if (opts.secure) parts.push('Secure');
+  parts.push(`SameSite=${opts.sameSite || 'Lax'}`);
+  return parts.join('; ');
+}
+
+/**
+ * 기존 Set-Cookie 헤더를 유지하면서 쿠키를 추가합니다.
+ */
+function appendCookie(res, name, value, opts) {
+  const existing = res.getHeader('Set-Cookie');
+  const list = existing ? [].concat(existing) : [];
+  list.push(serializeCookie(name, value, opts));
+  res.setHeader('Set-Cookie', list);
+}
+
+module.exports = { parseCookies, serializeCookie, appendCookie };